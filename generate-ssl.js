@@ -1,23 +1,46 @@
-import { execSync } from 'child_process';
+import crypto from 'crypto';
 import fs from 'fs';
+import dotenv from 'dotenv';
+import { ensureCertificates, localHosts } from './lib/certs.js';
 
-console.log('Generating self-signed SSL certificates for localhost...');
+// Issues a new HTTPS certificate from the local CA (created on first run),
+// no openssl needed. `npm run https` does the same on its own when the
+// certificate is missing or expiring; run this to reissue now or to add
+// hostnames: npm run generate-ssl -- voice.local 192.168.1.20
+dotenv.config();
 
-try {
-  // Generate private key
-  execSync('openssl genrsa -out localhost-key.pem 2048', { stdio: 'inherit' });
+const paths = {
+  keyPath: process.env.SSL_KEY || './localhost-key.pem',
+  certPath: process.env.SSL_CERT || './localhost.pem',
+  caKeyPath: process.env.SSL_CA_KEY || './localhost-ca-key.pem',
+  caCertPath: process.env.SSL_CA_CERT || './localhost-ca.pem'
+};
+const extra = [...(process.env.SSL_HOSTS || '').split(','), ...process.argv.slice(2)];
 
-  // Generate certificate
-  execSync(`openssl req -new -x509 -key localhost-key.pem -out localhost.pem -days 365 -subj "/C=JP/ST=Tokyo/L=Tokyo/O=Dev/OU=Dev/CN=localhost"`, { stdio: 'inherit' });
+console.log('Generating SSL certificates...');
 
+try {
+  const result = ensureCertificates({ ...paths, hosts: localHosts(extra), force: true });
+  if (!result.managed) {
+    throw new Error(`${paths.certPath} was not issued by the local CA and is left as is; remove it and ${paths.keyPath} to issue a new one`);
+  }
+  const ca = new crypto.X509Certificate(fs.readFileSync(paths.caCertPath));
   console.log('✅ SSL certificates generated successfully!');
-  console.log('  - localhost-key.pem (private key)');
-  console.log('  - localhost.pem (certificate)');
+  console.log(`  - ${paths.keyPath} (private key)`);
+  console.log(`  - ${paths.certPath} (certificate, expires ${result.expiresAt})`);
+  console.log(`  - ${paths.caCertPath} (local CA${result.caCreated ? ', new' : ''})`);
+  console.log(`\nValid for: ${result.hosts.join(', ')}`);
+  console.log(`\nCA fingerprint (SHA-256): ${ca.fingerprint256}`);
+  console.log('\nTo trust it, install the CA once on each device:');
+  console.log('  - this PC: import the CA file above as a trusted root');
+  console.log('  - phones: open http://<this PC>:<HTTP_REDIRECT_PORT>/ca.crt (or https://…/ca.crt) and install it');
+  console.log('    (iOS: also enable it under Settings > General > About > Certificate Trust Settings)');
+  console.log(`\nKeep ${paths.caKeyPath} private: it can sign certificates for any site.`);
   console.log('\nTo use HTTPS:');
-  console.log('  HTTPS=true npm start');
-
+  console.log('  npm run https');
 } catch (error) {
   console.error('❌ Failed to generate SSL certificates:', error.message);
   console.log('\nAlternative: You can still use HTTP mode:');
   console.log('  npm start');
-}
\ No newline at end of file
+  process.exitCode = 1;
+}
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+
+// Optional access control. Two modes, both configured through .env:
+//   ACCESS_TOKEN=...              one shared token (user "shared")
+//   ACCESS_USERS=alice:pw,bob:pw  named users, enabling per-user limits
+// Clients authenticate with "Authorization: Bearer <token>" or by logging in
+// once via POST /auth/login, which sets a signed cookie.
+// ADMIN_USERS=alice names the users allowed on admin pages (recordings, ...);
+// without access control nobody is, since anyone on the network could rewrite
+// the settings or play back recordings.
+
+const COOKIE_NAME = 'rm_auth';
+
+export function parseUsers(spec) {
+  const users = new Map();
+  for (const entry of (spec || '').split(',')) {
+    const idx = entry.indexOf(':');
+    if (idx <= 0) continue;
+    const name = entry.slice(0, idx).trim();
+    const password = entry.slice(idx + 1).trim();
+    if (name && password) users.set(name, password);
+  }
+  return users;
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of (header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const raw = part.slice(idx + 1).trim();
+    // Other apps on the same host may set cookies that are not URI-encoded
+    let value = raw;
+    try { value = decodeURIComponent(raw); } catch {}
+    out[part.slice(0, idx).trim()] = value;
+  }
+  return out;
+}
+
+export function createAuth({ token = '', users = new Map(), admins = [], secret = '', maxAgeHours = 12, secureCookie = false } = {}) {
+  const enabled = Boolean(token) || users.size > 0;
+  // Without a configured secret, cookies only survive until the next restart
+  const signingKey = secret || crypto.randomBytes(32).toString('hex');
+  const maxAgeSec = Math.round(maxAgeHours * 3600);
+
+  const sign = (payload) => crypto.createHmac('sha256', signingKey).update(payload).digest('base64url');
+
+  function issueCookie(user) {
+    const payload = `${Buffer.from(user).toString('base64url')}.${Math.floor(Date.now() / 1000) + maxAgeSec}`;
+    const attrs = [`${COOKIE_NAME}=${payload}.${sign(payload)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAgeSec}`];
+    if (secureCookie) attrs.push('Secure');
+    return attrs.join('; ');
+  }
+
+  function clearCookie() {
+    return `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+  }
+
+  function userFromCookie(value) {
+    const parts = (value || '').split('.');
+    if (parts.length !== 3) return null;
+    const [userPart, exp, sig] = parts;
+    if (!safeEqual(sig, sign(`${userPart}.${exp}`))) return null;
+    if (Number(exp) * 1000 < Date.now()) return null;
+    const user = Buffer.from(userPart, 'base64url').toString();
+    // Users removed from ACCESS_USERS lose access even with a valid cookie
+    if (user !== 'shared' && !users.has(user)) return null;
+    if (user === 'shared' && !token) return null;
+    return user;
+  }
+
+  // Returns the user name for valid credentials, otherwise null
+  function verifyCredentials({ user, password, token: given } = {}) {
+    if (user && users.has(user) && safeEqual(users.get(user), password || '')) return user;
+    if (token && given && safeEqual(token, given)) return 'shared';
+    return null;
+  }
+
+  // Works on plain http.IncomingMessage too (WebSocket upgrades)
+  function identify(req) {
+    if (!enabled) return 'anonymous';
+    const bearer = (req.headers.authorization || '').match(/^Bearer (.+)$/)?.[1];
+    if (bearer && token && safeEqual(token, bearer)) return 'shared';
+    return userFromCookie(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+  }
+
+  // Express middleware: sets req.user or answers 401
+  function requireAuth(req, res, next) {
+    const user = identify(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required', code: 'login_required', login: true });
+    }
+    req.user = user;
+    next();
+  }
+
+  function isAdmin(user) {
+    if (!enabled) return false;
+    return Boolean(user) && admins.includes(user);
+  }
+
+  // Like requireAuth, but only for admins (403 for everyone else)
+  function requireAdmin(req, res, next) {
+    requireAuth(req, res, () => {
+      if (!isAdmin(req.user)) return res.status(403).json({ error: 'Admin access required' });
+      next();
+    });
+  }
+
+  return { enabled, identify, requireAuth, requireAdmin, isAdmin, verifyCredentials, issueCookie, clearCookie };
+}
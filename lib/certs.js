@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+// Local HTTPS certificates without the openssl binary. Browsers only allow
+// the microphone in a secure context, so phones and other PCs on the LAN
+// need https://192.168.x.x to be trusted. A local CA signs a leaf
+// certificate whose SANs cover localhost, this machine's LAN addresses and
+// any extra hostnames; installing the CA once on a device (GET /ca.crt)
+// makes every later leaf trusted there.
+//
+// Certificates are built here as DER (X.509 v3, ECDSA P-256 with SHA-256)
+// and signed with crypto.sign; node:crypto can read certificates but not
+// write them.
+
+const CA_DAYS = 3650;
+// Apple rejects TLS certificates valid for more than 825 days, even from a
+// user-installed CA
+const LEAF_DAYS = 365;
+const RENEW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- DER encoding ---
+
+function derLength(n) {
+  if (n < 0x80) return Buffer.from([n]);
+  const bytes = [];
+  for (let v = n; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+const tlv = (tag, ...parts) => {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+};
+const seq = (...parts) => tlv(0x30, ...parts);
+const set = (...parts) => tlv(0x31, ...parts);
+const explicit = (n, ...parts) => tlv(0xa0 | n, ...parts);
+const bool = (value) => tlv(0x01, Buffer.from([value ? 0xff : 0]));
+const octets = (buf) => tlv(0x04, buf);
+const utf8 = (text) => tlv(0x0c, Buffer.from(text, 'utf8'));
+
+// Unsigned big-endian integer
+function integer(buf) {
+  let b = Buffer.from(buf);
+  while (b.length > 1 && b[0] === 0 && !(b[1] & 0x80)) b = b.subarray(1);
+  if (b[0] & 0x80) b = Buffer.concat([Buffer.from([0]), b]);
+  return tlv(0x02, b);
+}
+
+function bitString(buf, unusedBits = 0) {
+  return tlv(0x03, Buffer.from([unusedBits]), buf);
+}
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [40 * first + second];
+  for (const part of rest) {
+    const encoded = [part & 0x7f];
+    for (let v = part >> 7; v > 0; v >>= 7) encoded.unshift((v & 0x7f) | 0x80);
+    bytes.push(...encoded);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+// UTCTime until 2049, GeneralizedTime after (RFC 5280 4.1.2.5)
+function time(date) {
+  const stamp = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+  return date.getUTCFullYear() < 2050 ? tlv(0x17, Buffer.from(stamp.slice(2))) : tlv(0x18, Buffer.from(stamp));
+}
+
+function ipBytes(ip) {
+  if (net.isIPv4(ip)) return Buffer.from(ip.split('.').map(Number));
+  const [head, tail = ''] = ip.split('::');
+  const groups = (s) => (s ? s.split(':') : []);
+  const missing = 8 - groups(head).length - groups(tail).length;
+  const all = [...groups(head), ...Array(ip.includes('::') ? missing : 0).fill('0'), ...groups(tail)];
+  const buf = Buffer.alloc(16);
+  all.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16), i * 2));
+  return buf;
+}
+
+const OID = {
+  commonName: '2.5.4.3',
+  organization: '2.5.4.10',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  basicConstraints: '2.5.29.19',
+  keyUsage: '2.5.29.15',
+  extKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1',
+  subjectAltName: '2.5.29.17',
+  subjectKeyId: '2.5.29.14',
+  authorityKeyId: '2.5.29.35'
+};
+
+const SIGNATURE_ALGORITHM = seq(oid(OID.ecdsaWithSha256));
+
+function name(commonName) {
+  return seq(
+    set(seq(oid(OID.organization), utf8('Realtime Voice Chat (local)'))),
+    set(seq(oid(OID.commonName), utf8(commonName)))
+  );
+}
+
+function extension(id, value, critical = false) {
+  return seq(oid(id), ...(critical ? [bool(true)] : []), octets(value));
+}
+
+function keyId(publicKey) {
+  return crypto.createHash('sha1').update(publicKey.export({ type: 'spki', format: 'der' })).digest();
+}
+
+function toPem(der) {
+  const lines = der.toString('base64').match(/.{1,64}/g);
+  return `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----\n`;
+}
+
+// -> PEM certificate for publicKey, signed by issuerKey
+function buildCertificate({ subject, issuer, publicKey, issuerKey, issuerKeyId, days, extensions, now = Date.now() }) {
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  const tbs = seq(
+    explicit(0, integer(Buffer.from([2]))),
+    integer(serial),
+    SIGNATURE_ALGORITHM,
+    name(issuer),
+    // Backdated a little for devices whose clock runs slow
+    seq(time(new Date(now - DAY_MS)), time(new Date(now + days * DAY_MS))),
+    name(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, seq(
+      ...extensions,
+      extension(OID.subjectKeyId, octets(keyId(publicKey))),
+      ...(issuerKeyId ? [extension(OID.authorityKeyId, seq(tlv(0x80, issuerKeyId)))] : [])
+    ))
+  );
+  const signature = crypto.sign('sha256', tbs, issuerKey);
+  return toPem(seq(tbs, SIGNATURE_ALGORITHM, bitString(signature)));
+}
+
+const newKey = () => crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const keyPem = (key) => key.export({ type: 'pkcs8', format: 'pem' });
+
+export function createCertificateAuthority({ commonName = `Realtime Voice Chat local CA (${os.hostname()})`, days = CA_DAYS, now } = {}) {
+  const { publicKey, privateKey } = newKey();
+  const cert = buildCertificate({
+    subject: commonName,
+    issuer: commonName,
+    publicKey,
+    issuerKey: privateKey,
+    days,
+    now,
+    extensions: [
+      extension(OID.basicConstraints, seq(bool(true), integer(Buffer.from([0]))), true),
+      // keyCertSign, cRLSign
+      extension(OID.keyUsage, bitString(Buffer.from([0x06]), 1), true)
+    ]
+  });
+  return { key: keyPem(privateKey), cert };
+}
+
+// hosts: DNS names and IP addresses for the subjectAltName
+export function issueCertificate(ca, { hosts, days = LEAF_DAYS, now } = {}) {
+  if (!hosts?.length) throw new Error('At least one host is required');
+  const caKey = crypto.createPrivateKey(ca.key);
+  const caCert = new crypto.X509Certificate(ca.cert);
+  const { publicKey, privateKey } = newKey();
+  const names = hosts.map(host => (net.isIP(host) ? tlv(0x87, ipBytes(host)) : tlv(0x82, Buffer.from(host, 'ascii'))));
+  const cert = buildCertificate({
+    subject: hosts[0],
+    issuer: caCert.subject.split('\n').find(line => line.startsWith('CN=')).slice(3),
+    publicKey,
+    issuerKey: caKey,
+    issuerKeyId: keyId(caCert.publicKey),
+    days,
+    now,
+    extensions: [
+      extension(OID.basicConstraints, seq(), true),
+      // digitalSignature
+      extension(OID.keyUsage, bitString(Buffer.from([0x80]), 7), true),
+      extension(OID.extKeyUsage, seq(oid(OID.serverAuth))),
+      extension(OID.subjectAltName, seq(...names))
+    ]
+  });
+  return { key: keyPem(privateKey), cert };
+}
+
+// localhost, this machine's name and its LAN addresses, then extra names.
+// Link-local IPv6 addresses are left out: they need a zone id in URLs.
+export function localHosts(extra = []) {
+  const hosts = ['localhost', '127.0.0.1', '::1'];
+  const hostname = os.hostname().toLowerCase();
+  if (/^[a-z0-9-]+$/.test(hostname) && hostname !== 'localhost') hosts.push(hostname, `${hostname}.local`);
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const iface of list || []) {
+      if (iface.internal || iface.address.startsWith('fe80:')) continue;
+      hosts.push(iface.address);
+    }
+  }
+  hosts.push(...extra.map(h => h.trim().toLowerCase()).filter(Boolean));
+  return [...new Set(hosts)];
+}
+
+function covers(cert, host) {
+  return net.isIP(host) ? Boolean(cert.checkIP(host)) : Boolean(cert.checkHost(host, { wildcards: false }));
+}
+
+function readCert(file) {
+  try {
+    return new crypto.X509Certificate(fs.readFileSync(file));
+  } catch {
+    return null;
+  }
+}
+
+function writeFile(file, content, mode) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, content, { mode });
+}
+
+// A private key is only written over together with the certificate that
+// shows it was made here; one whose certificate is gone may be someone's own
+function checkKeyHasCert(keyPath, certPath, cert) {
+  if (!cert && fs.existsSync(keyPath)) {
+    throw new Error(`${keyPath} exists but ${certPath} is missing or unreadable; restore the certificate, or remove the key to issue a new pair`);
+  }
+}
+
+// Self-signed by the old openssl script (generate-ssl.js before the local CA)
+const isLegacy = (cert) => cert.checkIssued(cert) && cert.subject.split('\n').includes('CN=localhost');
+
+// Creates or renews the leaf (and the CA when needed). A certificate not
+// issued by the local CA is left alone, even with force, unless the old
+// openssl script made it: it is someone's real certificate.
+// -> { created, reason, managed, expiresAt, hosts }
+export function ensureCertificates({ keyPath, certPath, caKeyPath, caCertPath, hosts, renewDays = RENEW_DAYS, force = false, now = Date.now() }) {
+  const expiring = (cert) => Date.parse(cert.validTo) - now < renewDays * DAY_MS;
+  let ca = null;
+  let caCert = readCert(caCertPath);
+  if (caCert && fs.existsSync(caKeyPath)) ca = { key: fs.readFileSync(caKeyPath, 'utf8'), cert: fs.readFileSync(caCertPath, 'utf8') };
+  else caCert = null;
+
+  const leaf = readCert(certPath);
+  checkKeyHasCert(keyPath, certPath, leaf);
+  let reason = force ? 'forced' : 'missing';
+  if (leaf) {
+    const fromLocalCa = caCert && leaf.checkIssued(caCert) && leaf.verify(caCert.publicKey);
+    if (!fromLocalCa && !isLegacy(leaf)) {
+      return { created: false, reason: expiring(leaf) ? 'custom-expiring' : 'custom', managed: false, expiresAt: leaf.validTo, hosts: [] };
+    }
+    // Without its key the certificate is reissued ('missing')
+    if (!force && fs.existsSync(keyPath)) {
+      const uncovered = hosts.filter(host => !covers(leaf, host));
+      if (fromLocalCa && !expiring(leaf) && !expiring(caCert) && !uncovered.length) {
+        return { created: false, reason: 'valid', managed: true, expiresAt: leaf.validTo, hosts };
+      }
+      reason = !fromLocalCa ? 'self-signed' : expiring(leaf) || expiring(caCert) ? 'expiring' : `new hosts: ${uncovered.join(', ')}`;
+    }
+  }
+
+  let caCreated = false;
+  if (!ca) checkKeyHasCert(caKeyPath, caCertPath, null);
+  if (!ca || expiring(caCert)) {
+    ca = createCertificateAuthority({ now });
+    writeFile(caKeyPath, ca.key, 0o600);
+    writeFile(caCertPath, ca.cert, 0o644);
+    caCreated = true;
+  }
+  const issued = issueCertificate(ca, { hosts, now });
+  writeFile(keyPath, issued.key, 0o600);
+  writeFile(certPath, issued.cert, 0o644);
+  return {
+    created: true,
+    caCreated,
+    reason,
+    managed: true,
+    expiresAt: new crypto.X509Certificate(issued.cert).validTo,
+    hosts
+  };
+}
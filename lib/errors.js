@@ -0,0 +1,49 @@
+// Error codes returned alongside `error` in JSON responses (and relay.error
+// messages) so the page can explain a failure and offer the right recovery
+// without parsing messages. public/errors.js knows the same codes.
+//
+//   missing_api_key       OPENAI_API_KEY is not configured on the server
+//   invalid_api_key       the upstream rejected the server's API key
+//   quota_exceeded        the upstream account is out of credit
+//   invalid_voice         voice not allowed here or not supported upstream
+//   invalid_model         model not allowed here or not available upstream
+//   invalid_request       any other problem with the request body
+//   rate_limited          our session limits or the upstream rate limit
+//   budget_exceeded       our daily/monthly spending cap (USAGE_LIMIT_*)
+//   login_required        access control is on and the caller is not logged in
+//   upstream_error        the upstream failed in some other way
+//   upstream_unreachable  the upstream could not be reached at all
+//   internal_error        a bug or unexpected failure on our side
+//   room_not_found        no room with that code (room.error, lib/rooms.js)
+//   room_full             the room has ROOM_MAX_MEMBERS members already
+
+// Reads the error object out of an upstream response body, if it is JSON
+function upstreamError(body) {
+  if (body && typeof body === 'object') return body.error || {};
+  try {
+    return JSON.parse(body)?.error || {};
+  } catch {
+    return {};
+  }
+}
+
+export function classifyUpstreamError(status, body) {
+  const error = upstreamError(body);
+  const code = String(error.code || '');
+  const param = String(error.param || '');
+  const message = String(error.message || '');
+  if (code === 'invalid_api_key' || status === 401) return 'invalid_api_key';
+  if (code === 'insufficient_quota' || /quota|billing/i.test(message)) return 'quota_exceeded';
+  if (code === 'rate_limit_exceeded' || status === 429) return 'rate_limited';
+  if (code === 'model_not_found' || param === 'model' || /\bmodel\b/i.test(message)) return 'invalid_model';
+  if (param === 'voice' || /\bvoice\b/i.test(message)) return 'invalid_voice';
+  if (status === 400 || status === 422) return 'invalid_request';
+  return 'upstream_error';
+}
+
+// Our own validation messages name the offending field first
+export function classifyValidationErrors(details) {
+  if (details.some(d => d.startsWith('voice '))) return 'invalid_voice';
+  if (details.some(d => d.startsWith('model '))) return 'invalid_model';
+  return 'invalid_request';
+}
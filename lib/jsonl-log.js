@@ -0,0 +1,38 @@
+import fs from 'fs';
+import path from 'path';
+
+// Append-only JSON Lines file. Appends are chained so concurrent requests
+// never interleave partial lines.
+export function createJsonlLog(file) {
+  let chain = Promise.resolve();
+  return {
+    file,
+    append(record) {
+      const line = JSON.stringify(record) + '\n';
+      // A failed append must not block the ones queued after it
+      chain = chain.catch(() => {}).then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, line);
+      });
+      return chain;
+    },
+    // Last records (that pass filter), newest first; unreadable lines are skipped
+    async tail(limit = 100, filter = () => true) {
+      await chain.catch(() => {});
+      let text = '';
+      try {
+        text = await fs.promises.readFile(file, 'utf8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      const records = [];
+      const lines = text.split('\n').filter(Boolean);
+      for (let i = lines.length - 1; i >= 0 && records.length < limit; i--) {
+        let record;
+        try { record = JSON.parse(lines[i]); } catch { continue; }
+        if (filter(record)) records.push(record);
+      }
+      return records;
+    }
+  };
+}
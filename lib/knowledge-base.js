@@ -0,0 +1,230 @@
+import fs from 'fs';
+import path from 'path';
+
+// Local knowledge base: Markdown/text files from a folder, split into
+// passages and ranked with BM25. Everything runs in-process and offline.
+//
+// Japanese has no spaces between words, so CJK runs are indexed as
+// overlapping character bigrams per script (kanji, katakana, hiragana);
+// hiragana next to other scripts is mostly particles and endings and is
+// skipped. Latin text is indexed as lowercased words.
+
+const EXTENSIONS = new Set(['.md', '.markdown', '.txt']);
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Hiragana, katakana, CJK ideographs (+ compatibility), half-width katakana
+const CJK = /[぀-ヿ㐀-鿿豈-﫿ｦ-ﾟ]/;
+const TOKEN_RUNS = /[぀-ヿ㐀-鿿豈-﫿ｦ-ﾟ]+|[\p{L}\p{N}]+/gu;
+const SCRIPT_RUNS = /[぀-ゟ]+|[゠-ヿｦ-ﾟ]+|[㐀-鿿豈-﫿]+/g;
+const HIRAGANA = /^[぀-ゟ]+$/;
+
+function bigrams(run, tokens) {
+  if (run.length === 1) tokens.push(run);
+  for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+}
+
+export function tokenize(text) {
+  const tokens = [];
+  const normalized = String(text || '').normalize('NFKC').toLowerCase();
+  for (const run of normalized.match(TOKEN_RUNS) || []) {
+    if (!CJK.test(run)) {
+      tokens.push(run);
+      continue;
+    }
+    const segments = run.match(SCRIPT_RUNS) || [];
+    const kanaOnly = segments.every(s => HIRAGANA.test(s));
+    for (const segment of segments) {
+      if (kanaOnly || !HIRAGANA.test(segment)) bigrams(segment, tokens);
+    }
+  }
+  return tokens;
+}
+
+// Splits a document into passages of at most maxChars, each remembering
+// the heading it sits under. Plain text files have no headings.
+export function splitPassages(text, { maxChars = 600 } = {}) {
+  const passages = [];
+  let heading = '';
+  let title = '';
+  let buffer = [];
+
+  const flush = () => {
+    const body = buffer.join('\n\n').trim();
+    buffer = [];
+    if (body) passages.push({ heading, text: body });
+  };
+
+  const blocks = String(text || '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    let rest = [];
+    for (const line of lines) {
+      const m = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (m) {
+        if (rest.length) buffer.push(rest.join('\n'));
+        rest = [];
+        flush();
+        heading = m[2];
+        if (m[1].length === 1 && !title) title = m[2];
+      } else {
+        rest.push(line);
+      }
+    }
+    const paragraph = rest.join('\n').trim();
+    if (!paragraph) continue;
+    const size = buffer.reduce((n, p) => n + p.length + 2, 0);
+    if (size && size + paragraph.length > maxChars) flush();
+    // A single overlong paragraph is cut on sentence ends where possible
+    if (paragraph.length > maxChars) {
+      const sentences = paragraph.match(/[^。．.!?！？\n]+[。．.!?！？]?\s*/g) || [paragraph];
+      let piece = '';
+      for (const s of sentences) {
+        if (piece && piece.length + s.length > maxChars) {
+          buffer.push(piece.trim());
+          flush();
+          piece = '';
+        }
+        piece += s.length > maxChars ? s.slice(0, maxChars) : s;
+      }
+      if (piece.trim()) buffer.push(piece.trim());
+    } else {
+      buffer.push(paragraph);
+    }
+  }
+  flush();
+  return { title, passages };
+}
+
+// Short excerpt around the first query term found in the text
+export function excerpt(text, queryTokens, maxChars = 120) {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  if (flat.length <= maxChars) return flat;
+  const lower = flat.normalize('NFKC').toLowerCase();
+  let at = -1;
+  for (const t of queryTokens) {
+    const i = lower.indexOf(t);
+    if (i >= 0 && (at < 0 || i < at)) at = i;
+  }
+  const start = Math.max(0, Math.min(at < 0 ? 0 : at - 30, flat.length - maxChars));
+  return `${start > 0 ? '…' : ''}${flat.slice(start, start + maxChars)}${start + maxChars < flat.length ? '…' : ''}`;
+}
+
+function listFiles(dir) {
+  const out = [];
+  const walk = (current) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile() && EXTENSIONS.has(path.extname(entry.name).toLowerCase())) out.push(full);
+    }
+  };
+  walk(dir);
+  return out.sort();
+}
+
+// Builds the index from dir and rebuilds it when files change (checked at
+// most every refreshMs when searching).
+export function createKnowledgeBase(dir, { maxChars = 600, refreshMs = 5000 } = {}) {
+  let index = null;
+  let signature = '';
+  let checkedAt = 0;
+
+  function currentSignature(files) {
+    return files.map(f => {
+      const st = fs.statSync(f);
+      return `${f}:${st.size}:${st.mtimeMs}`;
+    }).join('|');
+  }
+
+  function build(files) {
+    const passages = [];
+    const documents = [];
+    for (const file of files) {
+      const size = fs.statSync(file).size;
+      if (size > MAX_FILE_BYTES) {
+        console.warn(`[WARN] Skipping large knowledge file ${file} (${size} bytes)`);
+        continue;
+      }
+      const rel = path.relative(dir, file).split(path.sep).join('/');
+      const { title, passages: parts } = splitPassages(fs.readFileSync(file, 'utf8'), { maxChars });
+      const docTitle = title || path.basename(file, path.extname(file));
+      documents.push({ doc: rel, title: docTitle, passages: parts.length });
+      parts.forEach((p, i) => {
+        // Headings and the title count as part of the passage text
+        const tokens = tokenize(`${docTitle} ${p.heading} ${p.text}`);
+        const tf = new Map();
+        for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+        passages.push({ id: `${rel}#${i + 1}`, doc: rel, title: docTitle, heading: p.heading, text: p.text, length: tokens.length, tf });
+      });
+    }
+    const df = new Map();
+    for (const p of passages) for (const t of p.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    const avgLength = passages.reduce((n, p) => n + p.length, 0) / (passages.length || 1);
+    return { passages, documents, df, avgLength, builtAt: Date.now() };
+  }
+
+  function refresh(force = false) {
+    const now = Date.now();
+    if (!force && index && now - checkedAt < refreshMs) return index;
+    checkedAt = now;
+    const files = listFiles(dir);
+    const sig = currentSignature(files);
+    if (!index || sig !== signature) {
+      index = build(files);
+      signature = sig;
+    }
+    return index;
+  }
+
+  return {
+    dir,
+    refresh() {
+      return refresh(true);
+    },
+    // Best passages for the query: [{ id, doc, title, heading, text, snippet, score }]
+    search(query, { limit = 3 } = {}) {
+      const { passages, df, avgLength } = refresh();
+      const terms = [...new Set(tokenize(query))];
+      if (!terms.length || !passages.length) return [];
+      const n = passages.length;
+      const scored = [];
+      for (const p of passages) {
+        let score = 0;
+        for (const t of terms) {
+          const f = p.tf.get(t);
+          if (!f) continue;
+          const idf = Math.log(1 + (n - df.get(t) + 0.5) / (df.get(t) + 0.5));
+          score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * (p.length / avgLength)));
+        }
+        if (score > 0) scored.push({ p, score });
+      }
+      return scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ p, score }) => ({
+          id: p.id,
+          doc: p.doc,
+          title: p.title,
+          heading: p.heading,
+          text: p.text,
+          snippet: excerpt(p.text, terms),
+          score: Math.round(score * 1000) / 1000
+        }));
+    },
+    stats() {
+      const { documents, passages, builtAt } = refresh();
+      return { dir, documents, passages: passages.length, builtAt };
+    }
+  };
+}
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Personas bundle instructions, voice, VAD settings and tool selection.
+// They live in a single JSON file that is rewritten atomically on change.
+
+export const DEFAULT_PERSONAS = [
+  {
+    id: 'receptionist',
+    name: '受付',
+    instructions: 'あなたはオフィスの受付担当です。来訪者の名前・会社名・用件・面会相手を丁寧に確認し、1〜2文で簡潔に応答してください。固有名詞は必ず復唱して確認します。',
+    voice: 'alloy',
+    vad: { threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 600 },
+    tools: ['get_current_time', 'lookup_notes', 'search_knowledge']
+  },
+  {
+    id: 'language-tutor',
+    name: '英会話チューター',
+    instructions: 'You are a friendly English conversation tutor for Japanese learners. Speak slowly and clearly in simple English. After each user turn, briefly correct one important mistake, then continue the conversation with a question. Switch to Japanese only when the learner is clearly stuck.',
+    voice: 'verse',
+    vad: { threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 900 },
+    tools: []
+  },
+  {
+    id: 'interview-practice',
+    name: '面接練習',
+    instructions: 'あなたは採用面接官です。一度に1つずつ質問し、ユーザーの回答を最後まで聞いてから次の質問に進みます。回答が曖昧なときは具体例を求める深掘り質問をしてください。ユーザーが「フィードバック」と言ったら、それまでの回答の良い点と改善点を3つずつ伝えます。',
+    voice: 'aria',
+    vad: { threshold: 0.6, prefix_padding_ms: 300, silence_duration_ms: 1200 },
+    tools: ['get_current_time']
+  }
+];
+
+export function createPersonaStore(file) {
+  function readAll({ seed = true } = {}) {
+    try {
+      const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(list) ? list : [];
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        if (!seed) return [];
+        // First run: seed the examples so the picker is not empty
+        writeAll(DEFAULT_PERSONAS);
+        return structuredClone(DEFAULT_PERSONAS);
+      }
+      throw err;
+    }
+  }
+
+  function writeAll(list) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(list, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function slugify(name) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || `persona-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  return {
+    // seed: false only reads, e.g. for the readiness probe
+    list({ seed = true } = {}) {
+      return readAll({ seed });
+    },
+    get(id) {
+      return readAll().find(p => p.id === id) || null;
+    },
+    create(data) {
+      const list = readAll();
+      let id = slugify(data.name);
+      while (list.some(p => p.id === id)) id = `${slugify(data.name)}-${crypto.randomBytes(2).toString('hex')}`;
+      const persona = { id, ...data, updatedAt: new Date().toISOString() };
+      list.push(persona);
+      writeAll(list);
+      return persona;
+    },
+    update(id, data) {
+      const list = readAll();
+      const idx = list.findIndex(p => p.id === id);
+      if (idx < 0) return null;
+      list[idx] = { ...list[idx], ...data, id, updatedAt: new Date().toISOString() };
+      writeAll(list);
+      return list[idx];
+    },
+    remove(id) {
+      const list = readAll();
+      const next = list.filter(p => p.id !== id);
+      if (next.length === list.length) return false;
+      writeAll(next);
+      return true;
+    }
+  };
+}
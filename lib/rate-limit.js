@@ -0,0 +1,96 @@
+// In-memory limiters for session creation. State is per process and resets
+// on restart, which is acceptable for a single-instance deployment.
+
+// Sliding-window limiter: at most `limit` hits per key within `windowMs`.
+// A limit of 0 disables it.
+export function createRateLimiter({ limit = 0, windowMs = 60_000 } = {}) {
+  const hits = new Map();
+  let lastSweep = 0;
+
+  function prune(key, now) {
+    const list = (hits.get(key) || []).filter(t => now - t < windowMs);
+    if (list.length) hits.set(key, list);
+    else hits.delete(key);
+    return list;
+  }
+
+  // Keys that never come back (one-off IPs) would otherwise stay forever;
+  // dropping them once per window keeps the map at the active keys
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const key of hits.keys()) prune(key, now);
+  }
+
+  return {
+    get limit() {
+      return limit;
+    },
+    // Keys currently tracked
+    get size() {
+      return hits.size;
+    },
+    // Runtime change from the admin settings; hits so far still count
+    setLimit(value) {
+      limit = value;
+    },
+    check(key, now = Date.now()) {
+      if (!limit) return { ok: true };
+      const list = prune(key, now);
+      if (list.length < limit) return { ok: true, remaining: limit - list.length };
+      return { ok: false, retryAfterMs: windowMs - (now - list[0]) };
+    },
+    hit(key, now = Date.now()) {
+      if (!limit) return;
+      sweep(now);
+      const list = prune(key, now);
+      list.push(now);
+      hits.set(key, list);
+    }
+  };
+}
+
+function localDay(now) {
+  const d = new Date(now);
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+}
+
+// Counter that resets at local midnight. A limit of 0 disables it.
+export function createDailyBudget({ limit = 0 } = {}) {
+  let day = localDay(Date.now());
+  let used = 0;
+
+  function roll(now) {
+    const today = localDay(now);
+    if (today !== day) {
+      day = today;
+      used = 0;
+    }
+  }
+
+  return {
+    get limit() {
+      return limit;
+    },
+    setLimit(value) {
+      limit = value;
+    },
+    check(now = Date.now()) {
+      if (!limit) return { ok: true };
+      roll(now);
+      if (used < limit) return { ok: true, remaining: limit - used };
+      const midnight = new Date(now);
+      midnight.setHours(24, 0, 0, 0);
+      return { ok: false, retryAfterMs: midnight.getTime() - now };
+    },
+    hit(now = Date.now()) {
+      if (!limit) return;
+      roll(now);
+      used++;
+    },
+    usage(now = Date.now()) {
+      roll(now);
+      return { used, limit };
+    }
+  };
+}
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Server-side call recordings. Each recording is a directory holding
+//   meta.json      user, persona, voice, model, timestamps, sizes
+//   events.jsonl   the conversation event stream, one event per line
+//   audio.<ext>    mixed mic/AI audio, appended chunk by chunk as it arrives
+// Chunks from MediaRecorder concatenate into one playable file.
+
+const ID_PATTERN = /^rec_[a-f0-9]{16}$/;
+
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav'
+};
+
+// 'audio/webm;codecs=opus' -> 'audio/webm'
+export function baseMimeType(type) {
+  return String(type || '').split(';')[0].trim().toLowerCase();
+}
+
+export function isRecordableAudio(type) {
+  return baseMimeType(type) in AUDIO_EXTENSIONS;
+}
+
+export function createRecordingStore(dir, { retentionDays = 30, maxAudioBytes = 200 * 1024 * 1024, maxEvents = 50_000 } = {}) {
+  const folder = (id) => {
+    // Ids end up in paths, so anything else is treated as unknown
+    if (!ID_PATTERN.test(String(id))) return null;
+    return path.join(dir, id);
+  };
+
+  function readMeta(id) {
+    const dirPath = folder(id);
+    if (!dirPath) return null;
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dirPath, 'meta.json'), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  function writeMeta(meta) {
+    const file = path.join(folder(meta.id), 'meta.json');
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(meta, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  const expiresAt = (meta) => (retentionDays > 0 ? meta.startedAt + retentionDays * 86_400_000 : null);
+
+  return {
+    retentionDays,
+    create({ user, persona = null, voice = null, model = null, transport = null, usageSession = null }) {
+      const id = `rec_${crypto.randomBytes(8).toString('hex')}`;
+      fs.mkdirSync(folder(id), { recursive: true });
+      const meta = {
+        id, user, persona, voice, model, transport, usageSession,
+        startedAt: Date.now(),
+        endedAt: null,
+        events: 0,
+        audioType: null,
+        audioBytes: 0
+      };
+      writeMeta(meta);
+      return meta;
+    },
+    get(id) {
+      const meta = readMeta(id);
+      return meta && { ...meta, expiresAt: expiresAt(meta) };
+    },
+    // Newest first
+    list() {
+      let names = [];
+      try {
+        names = fs.readdirSync(dir);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      return names.map(name => this.get(name)).filter(Boolean).sort((a, b) => b.startedAt - a.startedAt);
+    },
+    // Returns the number of events stored, or null for an unknown id.
+    // Throws with status 413 once the recording is full.
+    appendEvents(id, events) {
+      const meta = readMeta(id);
+      if (!meta) return null;
+      if (meta.events + events.length > maxEvents) {
+        throw Object.assign(new Error('Recording has too many events'), { status: 413 });
+      }
+      fs.appendFileSync(path.join(folder(id), 'events.jsonl'), events.map(e => JSON.stringify(e) + '\n').join(''));
+      meta.events += events.length;
+      writeMeta(meta);
+      return meta.events;
+    },
+    // Appends an audio chunk; the first chunk fixes the container type
+    appendAudio(id, chunk, type) {
+      const meta = readMeta(id);
+      if (!meta) return null;
+      const mime = baseMimeType(type);
+      if (meta.audioType && meta.audioType !== mime) {
+        throw Object.assign(new Error(`Audio type changed from ${meta.audioType}`), { status: 409 });
+      }
+      if (meta.audioBytes + chunk.length > maxAudioBytes) {
+        throw Object.assign(new Error('Recording audio is too large'), { status: 413 });
+      }
+      meta.audioType = mime;
+      fs.appendFileSync(path.join(folder(id), `audio.${AUDIO_EXTENSIONS[mime]}`), chunk);
+      meta.audioBytes += chunk.length;
+      writeMeta(meta);
+      return meta.audioBytes;
+    },
+    finish(id) {
+      const meta = readMeta(id);
+      if (!meta) return null;
+      if (!meta.endedAt) {
+        meta.endedAt = Date.now();
+        writeMeta(meta);
+      }
+      return meta;
+    },
+    events(id) {
+      const dirPath = folder(id);
+      if (!dirPath || !readMeta(id)) return null;
+      try {
+        return fs.readFileSync(path.join(dirPath, 'events.jsonl'), 'utf8')
+          .split('\n').filter(Boolean).map(line => JSON.parse(line));
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+    },
+    // { file, type } of the audio, or null when there is none
+    audio(id) {
+      const meta = readMeta(id);
+      if (!meta?.audioType) return null;
+      return { file: path.join(folder(id), `audio.${AUDIO_EXTENSIONS[meta.audioType]}`), type: meta.audioType };
+    },
+    remove(id) {
+      if (!readMeta(id)) return false;
+      fs.rmSync(folder(id), { recursive: true, force: true });
+      return true;
+    },
+    // Deletes recordings past the retention period; returns their metadata
+    prune(now = Date.now()) {
+      if (retentionDays <= 0) return [];
+      const expired = this.list().filter(meta => meta.expiresAt <= now);
+      for (const meta of expired) fs.rmSync(folder(meta.id), { recursive: true, force: true });
+      return expired;
+    }
+  };
+}
@@ -0,0 +1,137 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import { classifyUpstreamError } from './errors.js';
+
+// WebSocket relay for networks where the browser cannot reach the realtime
+// API over WebRTC. The browser connects to our own endpoint and this process
+// holds the upstream realtime WebSocket with the server's API key.
+//
+// Browser -> relay:
+//   { type: 'relay.start', session: <same body as POST /session> }   first message
+//   realtime client events as JSON text, mic audio as binary PCM16 frames
+//   (24 kHz mono, little endian), wrapped here into input_audio_buffer.append
+// Relay -> browser:
+//   { type: 'relay.ready', ...session info } or { type: 'relay.error', status, error, code, details? }
+//   (code as in lib/errors.js)
+//   then every upstream event verbatim
+
+const HEARTBEAT_MS = 30_000;
+
+// Hooks supplied by server.js:
+//   authorize(req) -> { user } or { status, error }
+//   start(req, user, sessionBody) -> { model, session, info } or { status, error, code, details?, retry_after? }
+//   upstreamUrl    ws(s):// URL of the realtime endpoint (without ?model=)
+//   apiKey         server API key for the upstream connection
+export function attachRelay(server, { path = '/relay', authorize, start, upstreamUrl, apiKey }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 1024 * 1024 });
+
+  server.on('upgrade', (req, socket, head) => {
+    const pathname = (req.url || '').split('?')[0];
+    if (pathname !== path) return;
+    let auth;
+    try {
+      auth = authorize(req);
+    } catch (err) {
+      // A throw here would escape the 'upgrade' listener and end the process
+      console.warn(`[WARN] relay authorization failed: ${err.message}`);
+      auth = { status: 400, error: 'Bad Request' };
+    }
+    if (!auth.user) {
+      socket.write(`HTTP/1.1 ${auth.status || 401} ${auth.error || 'Unauthorized'}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (client) => handleClient(client, req, auth.user));
+  });
+
+  function handleClient(client, req, user) {
+    let upstream = null;
+    let starting = false;
+    let alive = true;
+
+    const reply = (msg) => {
+      if (client.readyState === WebSocket.OPEN) client.send(JSON.stringify(msg));
+    };
+    const fail = (status, error, extra = {}) => {
+      reply({ type: 'relay.error', status, error, ...extra });
+      client.close(1008, error.slice(0, 120));
+    };
+
+    const heartbeat = setInterval(() => {
+      if (!alive) return client.terminate();
+      alive = false;
+      try { client.ping(); } catch {}
+    }, HEARTBEAT_MS);
+    client.on('pong', () => { alive = true; });
+
+    function openUpstream({ model, session, info }) {
+      const url = `${upstreamUrl}?model=${encodeURIComponent(model)}`;
+      upstream = new WebSocket(url, {
+        headers: { Authorization: `Bearer ${apiKey}`, 'OpenAI-Beta': 'realtime=v1' }
+      });
+      upstream.on('open', () => {
+        upstream.send(JSON.stringify({ type: 'session.update', session }));
+        reply({ type: 'relay.ready', ...info });
+        console.log(`[DEBUG] relay open user=${user} model=${model}`);
+      });
+      upstream.on('unexpected-response', (_req, res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => {
+          console.log('[DEBUG] relay upstream rejected:', res.statusCode, body);
+          fail(res.statusCode || 502, 'Failed to open realtime upstream', { code: classifyUpstreamError(res.statusCode, body) });
+        });
+      });
+      upstream.on('message', (data, isBinary) => {
+        if (client.readyState === WebSocket.OPEN) client.send(isBinary ? data : data.toString());
+      });
+      upstream.on('close', (code) => {
+        if (client.readyState === WebSocket.OPEN) client.close(code === 1000 ? 1000 : 1011, 'Upstream closed');
+      });
+      upstream.on('error', (err) => {
+        console.warn('[WARN] relay upstream error:', err.message);
+        if (upstream.readyState !== WebSocket.OPEN) fail(502, 'Failed to reach realtime upstream', { code: 'upstream_unreachable' });
+      });
+    }
+
+    client.on('message', async (data, isBinary) => {
+      if (!upstream) {
+        // Nothing but relay.start is accepted until the upstream is being opened
+        if (starting || isBinary) return;
+        let msg;
+        try { msg = JSON.parse(data.toString()); } catch {}
+        if (msg?.type !== 'relay.start') return fail(400, 'Expected relay.start', { code: 'invalid_request' });
+        starting = true;
+        try {
+          const result = await start(req, user, msg.session ?? {});
+          if (result.error) {
+            const { status, error, ...extra } = result;
+            return fail(status, error, extra);
+          }
+          if (client.readyState === WebSocket.OPEN) openUpstream(result);
+        } catch (err) {
+          console.error('Error starting relay session:', err);
+          fail(500, 'Internal error creating session', { code: 'internal_error' });
+        }
+        return;
+      }
+      if (upstream.readyState !== WebSocket.OPEN) return;
+      if (isBinary) {
+        upstream.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: Buffer.from(data).toString('base64') }));
+        return;
+      }
+      const text = data.toString();
+      let type;
+      try { type = JSON.parse(text)?.type; } catch {}
+      if (typeof type !== 'string' || type.startsWith('relay.')) return;
+      upstream.send(text);
+    });
+
+    client.on('close', () => {
+      clearInterval(heartbeat);
+      try { upstream?.close(); } catch {}
+    });
+    client.on('error', (err) => console.warn('[WARN] relay client error:', err.message));
+  }
+
+  return wss;
+}
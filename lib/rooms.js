@@ -0,0 +1,272 @@
+import crypto from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+
+// Rooms let several browsers share one assistant conversation. The host's
+// page holds the realtime connection as usual; everyone else in the room
+// gets its transcript, status line and reply audio through this server, and
+// the host can pass the mic to a guest, whose audio is then forwarded to the
+// host and sent to the model from there. Rooms live in memory only.
+//
+// Protocol over one WebSocket per participant:
+// Browser -> server:
+//   first message { type: 'room.create', name } or { type: 'room.join', code, name }
+//   host:  { type: 'room.state', state: { status, turns } }   shared with the guests
+//          { type: 'room.floor', member }                    pass the mic (member id)
+//          binary PCM16 frames: reply audio, sent on to the guests
+//   guest holding the mic: binary PCM16 frames, sent on to the host
+//   { type: 'room.leave' }
+// Server -> browser:
+//   { type: 'room.joined', member, room }   room = { code, host, floor, members }
+//   { type: 'room.update', room }           someone joined or left, or the mic moved
+//   { type: 'room.state', state }           latest host state (also right after joining)
+//   { type: 'room.closed', reason }         the host left
+//   { type: 'room.error', status, error, code }
+//   binary PCM16 frames as above
+
+const HEARTBEAT_MS = 30_000;
+// Unambiguous characters for codes read out loud or typed from a screen
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_NAME_CHARS = 40;
+const MAX_TURN_CHARS = 4000;
+const MAX_STATUS_PARAMS = 10;
+const MAX_PARAM_CHARS = 200;
+
+export function normalizeRoomCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function randomCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+function cleanName(name, fallback) {
+  const text = String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_CHARS);
+  return text || fallback;
+}
+
+// Message parameters for translate(): a few strings and numbers, nothing nested
+function cleanParams(params) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) return undefined;
+  const out = {};
+  for (const [key, value] of Object.entries(params).slice(0, MAX_STATUS_PARAMS)) {
+    if (typeof value === 'string') out[key.slice(0, 40)] = value.slice(0, MAX_PARAM_CHARS);
+    else if (typeof value === 'number' && Number.isFinite(value)) out[key.slice(0, 40)] = value;
+  }
+  return out;
+}
+
+// The host's state as guests may see it: a status line and the last turns
+export function sanitizeRoomState(state, { maxTurns = 50 } = {}) {
+  const status = state?.status;
+  const turns = Array.isArray(state?.turns) ? state.turns.slice(-maxTurns) : [];
+  return {
+    status: status && typeof status === 'object'
+      ? {
+          key: typeof status.key === 'string' ? status.key.slice(0, 100) : null,
+          params: cleanParams(status.params),
+          text: typeof status.text === 'string' ? status.text.slice(0, 500) : undefined
+        }
+      : null,
+    turns: turns
+      .filter(t => t && (t.role === 'user' || t.role === 'assistant'))
+      .map(t => ({
+        id: String(t.id || '').slice(0, 100),
+        role: t.role,
+        text: String(t.text || '').slice(0, MAX_TURN_CHARS),
+        final: Boolean(t.final),
+        interrupted: Boolean(t.interrupted),
+        failed: Boolean(t.failed)
+      }))
+  };
+}
+
+// Room membership and state, independent of any socket
+export function createRoomRegistry({ maxMembers = 8, maxRooms = 100, maxTurns = 50 } = {}) {
+  const rooms = new Map();
+  let nextMember = 1;
+
+  const newMember = (room, user, name, role) => {
+    const member = { id: `m${nextMember++}`, user, name: cleanName(name, user), role };
+    room.members.set(member.id, member);
+    return member;
+  };
+
+  return {
+    // -> { room, member } or { status, error, code }
+    create(user, name) {
+      if (rooms.size >= maxRooms) return { status: 429, error: 'Too many rooms', code: 'rate_limited' };
+      let code;
+      do code = randomCode(); while (rooms.has(code));
+      const room = { code, host: null, floor: null, members: new Map(), state: { status: null, turns: [] } };
+      const member = newMember(room, user, name, 'host');
+      room.host = member.id;
+      room.floor = member.id;
+      rooms.set(code, room);
+      return { room, member };
+    },
+    join(code, user, name) {
+      const room = rooms.get(normalizeRoomCode(code));
+      if (!room) return { status: 404, error: 'Room not found', code: 'room_not_found' };
+      if (room.members.size >= maxMembers) return { status: 409, error: 'Room is full', code: 'room_full' };
+      return { room, member: newMember(room, user, name, 'guest') };
+    },
+    // Removes a member; the room closes when its host leaves. -> { closed }
+    leave(room, memberId) {
+      room.members.delete(memberId);
+      if (memberId === room.host) {
+        rooms.delete(room.code);
+        return { closed: true };
+      }
+      if (room.floor === memberId) room.floor = room.host;
+      return { closed: false };
+    },
+    // Only the host passes the mic, and only to someone in the room
+    setFloor(room, byId, memberId) {
+      if (byId !== room.host || !room.members.has(memberId)) return false;
+      room.floor = memberId;
+      return true;
+    },
+    setState(room, state) {
+      room.state = sanitizeRoomState(state, { maxTurns });
+      return room.state;
+    },
+    get(code) {
+      return rooms.get(normalizeRoomCode(code)) || null;
+    },
+    snapshot(room) {
+      return {
+        code: room.code,
+        host: room.host,
+        floor: room.floor,
+        members: [...room.members.values()].map(({ id, name, role }) => ({ id, name, role }))
+      };
+    },
+    get size() {
+      return rooms.size;
+    }
+  };
+}
+
+// Hooks supplied by server.js:
+//   authorize(req) -> { user } or { status, error }
+export function attachRooms(server, { path = '/rooms', authorize, maxMembers, maxRooms }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 256 * 1024 });
+  const registry = createRoomRegistry({ maxMembers, maxRooms });
+  // member id -> socket
+  const sockets = new Map();
+
+  server.on('upgrade', (req, socket, head) => {
+    const pathname = (req.url || '').split('?')[0];
+    if (pathname !== path) return;
+    let auth;
+    try {
+      auth = authorize(req);
+    } catch (err) {
+      // A throw here would escape the 'upgrade' listener and end the process
+      console.warn(`[WARN] rooms authorization failed: ${err.message}`);
+      auth = { status: 400, error: 'Bad Request' };
+    }
+    if (!auth.user) {
+      socket.write(`HTTP/1.1 ${auth.status || 401} ${auth.error || 'Unauthorized'}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (client) => handleClient(client, auth.user));
+  });
+
+  const send = (client, msg) => {
+    if (client?.readyState === WebSocket.OPEN) client.send(JSON.stringify(msg));
+  };
+  const broadcast = (room, msg, exceptId = null) => {
+    for (const id of room.members.keys()) if (id !== exceptId) send(sockets.get(id), msg);
+  };
+  const sendAudio = (data, toIds) => {
+    for (const id of toIds) {
+      const client = sockets.get(id);
+      if (client?.readyState === WebSocket.OPEN) client.send(data, { binary: true });
+    }
+  };
+
+  function handleClient(client, user) {
+    let room = null;
+    let member = null;
+    let alive = true;
+
+    const fail = (status, error, code) => {
+      send(client, { type: 'room.error', status, error, code });
+      client.close(1008, error.slice(0, 120));
+    };
+
+    const heartbeat = setInterval(() => {
+      if (!alive) return client.terminate();
+      alive = false;
+      try { client.ping(); } catch {}
+    }, HEARTBEAT_MS);
+    client.on('pong', () => { alive = true; });
+
+    function enter(result) {
+      if (!result.member) return fail(result.status, result.error, result.code);
+      ({ room, member } = result);
+      sockets.set(member.id, client);
+      console.log(`[DEBUG] room ${room.code} ${member.role} joined user=${user} members=${room.members.size}`);
+      send(client, { type: 'room.joined', member: { id: member.id, name: member.name, role: member.role }, room: registry.snapshot(room) });
+      if (member.role === 'guest') {
+        send(client, { type: 'room.state', state: room.state });
+        broadcast(room, { type: 'room.update', room: registry.snapshot(room) }, member.id);
+      }
+    }
+
+    function leave() {
+      if (!room) return;
+      const left = room;
+      const { closed } = registry.leave(left, member.id);
+      sockets.delete(member.id);
+      console.log(`[DEBUG] room ${left.code} ${member.role} left user=${user}${closed ? ' (closed)' : ''}`);
+      if (closed) {
+        broadcast(left, { type: 'room.closed', reason: 'host_left' });
+        for (const id of left.members.keys()) sockets.get(id)?.close(1000);
+      } else {
+        broadcast(left, { type: 'room.update', room: registry.snapshot(left) });
+      }
+      room = null;
+    }
+
+    client.on('message', (data, isBinary) => {
+      if (isBinary) {
+        if (!room) return;
+        // Reply audio fans out from the host; a guest's mic goes to the host
+        if (member.id === room.host) sendAudio(data, [...room.members.keys()].filter(id => id !== member.id));
+        else if (member.id === room.floor) sendAudio(data, [room.host]);
+        return;
+      }
+      let msg;
+      try { msg = JSON.parse(data.toString()); } catch {}
+      if (!room) {
+        if (msg?.type === 'room.create') return enter(registry.create(user, msg.name));
+        if (msg?.type === 'room.join') return enter(registry.join(msg.code, user, msg.name));
+        return fail(400, 'Expected room.create or room.join', 'invalid_request');
+      }
+      if (msg?.type === 'room.leave') {
+        leave();
+        client.close(1000);
+      } else if (msg?.type === 'room.state' && member.id === room.host) {
+        broadcast(room, { type: 'room.state', state: registry.setState(room, msg.state) }, member.id);
+      } else if (msg?.type === 'room.floor') {
+        if (registry.setFloor(room, member.id, String(msg.member || ''))) {
+          broadcast(room, { type: 'room.update', room: registry.snapshot(room) });
+        }
+      }
+    });
+
+    client.on('close', () => {
+      clearInterval(heartbeat);
+      leave();
+    });
+    client.on('error', (err) => console.warn('[WARN] room client error:', err.message));
+  }
+
+  return { wss, registry };
+}
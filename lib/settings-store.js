@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { validateTurnDetection } from './turn-detection.js';
+
+// Runtime settings that admins change from /admin without a restart. .env
+// supplies the defaults at startup; SETTINGS_FILE keeps only the fields an
+// admin changed and is applied on top of them, so later .env edits still
+// take effect for everything else. New /session calls read the current
+// values; calls already running keep what they started with.
+//
+//   model                 default model, one of allowed_models
+//   allowed_models        what clients may request
+//   default_voice         used when neither the request nor the persona has one
+//   allowed_voices        what clients and personas may use
+//   default_instructions  system prompt when neither has one ('' = none)
+//   max_instructions_chars
+//   turn_detection        default when there is no persona (see turn-detection.js)
+//   limits                session/login rate limits (0 disables one)
+
+export const LIMIT_KEYS = ['session_per_ip', 'session_per_user', 'session_per_minute', 'session_per_day', 'login_per_ip'];
+const SETTING_KEYS = [
+  'model', 'allowed_models', 'default_voice', 'allowed_voices', 'default_instructions',
+  'max_instructions_chars', 'turn_detection', 'limits'
+];
+const MAX_LIMIT = 1_000_000;
+const INSTRUCTIONS_CHARS_RANGE = [100, 100_000];
+
+function isNameList(value) {
+  return Array.isArray(value) && value.length > 0 && value.length <= 100 &&
+    value.every(v => typeof v === 'string' && v.trim() && v === v.trim() && v.length <= 100);
+}
+
+// A patch from PUT /admin/config: any subset of the fields, null resets a
+// field (or a single limit) to its .env default
+export function validateSettingsPatch(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return ['Request body must be a JSON object'];
+  const errors = [];
+  for (const key of Object.keys(patch)) {
+    if (!SETTING_KEYS.includes(key)) errors.push(`Unknown field: ${key}`);
+  }
+  const set = (key) => patch[key] !== undefined && patch[key] !== null;
+  for (const key of ['model', 'default_voice']) {
+    if (set(key) && (typeof patch[key] !== 'string' || !patch[key].trim())) errors.push(`${key} must be a non-empty string`);
+  }
+  for (const key of ['allowed_models', 'allowed_voices']) {
+    if (set(key) && !isNameList(patch[key])) errors.push(`${key} must be a non-empty array of names`);
+  }
+  if (set('default_instructions') && typeof patch.default_instructions !== 'string') {
+    errors.push('default_instructions must be a string');
+  }
+  if (set('max_instructions_chars')) {
+    const [min, max] = INSTRUCTIONS_CHARS_RANGE;
+    const v = patch.max_instructions_chars;
+    if (!Number.isInteger(v) || v < min || v > max) errors.push(`max_instructions_chars must be an integer between ${min} and ${max}`);
+  }
+  if (set('turn_detection')) validateTurnDetection(patch.turn_detection, errors);
+  if (set('limits')) {
+    const limits = patch.limits;
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+      errors.push('limits must be an object');
+    } else {
+      for (const [key, v] of Object.entries(limits)) {
+        if (!LIMIT_KEYS.includes(key)) errors.push(`Unknown limit: ${key}`);
+        else if (v !== null && (!Number.isInteger(v) || v < 0 || v > MAX_LIMIT)) errors.push(`limits.${key} must be an integer between 0 and ${MAX_LIMIT}`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Rules that span fields, checked on the merged result
+export function validateSettings(settings) {
+  const errors = [];
+  if (!settings.allowed_models.includes(settings.model)) errors.push('model must be one of allowed_models');
+  if (!settings.allowed_voices.includes(settings.default_voice)) errors.push('default_voice must be one of allowed_voices');
+  if (settings.default_instructions.length > settings.max_instructions_chars) {
+    errors.push(`default_instructions must be at most ${settings.max_instructions_chars} characters`);
+  }
+  return errors;
+}
+
+function merge(defaults, overrides) {
+  return {
+    ...defaults,
+    ...overrides,
+    limits: { ...defaults.limits, ...(overrides.limits || {}) }
+  };
+}
+
+// Applies a patch to the stored overrides; null removes an override
+function applyPatch(overrides, patch) {
+  const next = structuredClone(overrides);
+  for (const [key, value] of Object.entries(patch)) {
+    if (key === 'limits' && value !== null) {
+      const limits = { ...(next.limits || {}) };
+      for (const [name, v] of Object.entries(value)) {
+        if (v === null) delete limits[name];
+        else limits[name] = v;
+      }
+      if (Object.keys(limits).length) next.limits = limits;
+      else delete next.limits;
+    } else if (value === null) {
+      delete next[key];
+    } else {
+      next[key] = key === 'model' || key === 'default_voice' ? value.trim() : value;
+    }
+  }
+  return next;
+}
+
+// defaults: the full settings from .env
+export function createSettingsStore(file, defaults) {
+  let overrides = {};
+  let updatedAt = null;
+  // Why the file was ignored at startup, shown by /ready and the admin page
+  let loadError = null;
+
+  function read() {
+    if (!file || !fs.existsSync(file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const errors = validateSettingsPatch(data?.settings ?? {});
+      if (errors.length) throw new Error(errors.join('; '));
+      // Same normalization as an update, e.g. for nulls in a hand-edited file.
+      // Cross-field rules are left to updates, as .env values may break them too
+      overrides = applyPatch({}, data.settings ?? {});
+      updatedAt = data.updated_at || null;
+    } catch (err) {
+      loadError = err.message;
+      console.warn(`[WARN] Ignoring ${file}: ${err.message}`);
+    }
+  }
+
+  // Saved before it is applied, so a failed write changes nothing
+  function save(next) {
+    const at = new Date().toISOString();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ updated_at: at, settings: next }, null, 2));
+    fs.renameSync(tmp, file);
+    overrides = next;
+    updatedAt = at;
+    loadError = null;
+  }
+
+  read();
+
+  return {
+    file,
+    defaults,
+    get() {
+      return merge(defaults, overrides);
+    },
+    overrides() {
+      return structuredClone(overrides);
+    },
+    status() {
+      return { source: Object.keys(overrides).length ? 'file' : 'env', updated_at: updatedAt, error: loadError };
+    },
+    // -> { errors } or { settings, changed } after saving
+    update(patch) {
+      const errors = validateSettingsPatch(patch);
+      if (errors.length) return { errors };
+      const next = applyPatch(overrides, patch);
+      const merged = merge(defaults, next);
+      const crossErrors = validateSettings(merged);
+      if (crossErrors.length) return { errors: crossErrors };
+      save(next);
+      return { settings: merged, changed: Object.keys(patch) };
+    },
+    reset() {
+      save({});
+      return merge(defaults, overrides);
+    }
+  };
+}
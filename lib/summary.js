@@ -0,0 +1,93 @@
+import fs from 'fs';
+
+// End-of-call summary: what the page asks the model for, in an out-of-band
+// text response, just before it hangs up. The prompt and the JSON shape are
+// read from SUMMARY_FILE (JSON { prompt, schema }) when it exists, so they
+// can be changed without a deploy.
+//
+// The schema is a small JSON Schema subset: an object whose properties are
+// strings or arrays of strings. Each property may carry a title (a string,
+// or { ja, en }) used as the heading in the summary card and exports.
+
+export const DEFAULT_SUMMARY_CONFIG = {
+  prompt: [
+    'The call is ending. Summarize the conversation so far for the user.',
+    'Reply with a single JSON object that matches the schema below, and nothing else: no code fences, no commentary.',
+    'Write in the language the conversation was mostly held in.',
+    'Only include what was actually said. Use an empty array when there is nothing for a field.',
+    'Under entities, list names, dates, amounts and other numbers exactly as they were confirmed or repeated back.'
+  ].join('\n'),
+  schema: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', title: { ja: '概要', en: 'Summary' }, description: 'Two or three sentences on what the call was about' },
+      key_points: { type: 'array', items: { type: 'string' }, title: { ja: '要点', en: 'Key points' } },
+      decisions: { type: 'array', items: { type: 'string' }, title: { ja: '決定事項', en: 'Decisions' } },
+      follow_ups: { type: 'array', items: { type: 'string' }, title: { ja: 'フォローアップ', en: 'Follow-ups' }, description: 'Action items, with who does what by when if that was said' },
+      entities: { type: 'array', items: { type: 'string' }, title: { ja: '固有名詞・数値', en: 'Names and numbers' } }
+    },
+    required: ['summary', 'key_points', 'decisions', 'follow_ups', 'entities']
+  }
+};
+
+const MAX_PROMPT_CHARS = 8000;
+const MAX_PROPERTIES = 20;
+
+function validTitle(title) {
+  if (title === undefined || typeof title === 'string') return true;
+  return Boolean(title) && typeof title === 'object' && !Array.isArray(title) &&
+    Object.values(title).every(v => typeof v === 'string');
+}
+
+export function validateSummaryConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['summary config must be an object'];
+  if (config.prompt !== undefined && (typeof config.prompt !== 'string' || !config.prompt.trim() || config.prompt.length > MAX_PROMPT_CHARS)) {
+    errors.push(`prompt must be a non-empty string of at most ${MAX_PROMPT_CHARS} characters`);
+  }
+  if (config.schema === undefined) return errors;
+  const props = config.schema?.properties;
+  if (config.schema?.type !== 'object' || !props || typeof props !== 'object' || Array.isArray(props)) {
+    errors.push('schema must be { type: "object", properties: { ... } }');
+    return errors;
+  }
+  const entries = Object.entries(props);
+  if (!entries.length || entries.length > MAX_PROPERTIES) errors.push(`schema must have 1 to ${MAX_PROPERTIES} properties`);
+  for (const [key, prop] of entries) {
+    const isString = prop?.type === 'string';
+    const isList = prop?.type === 'array' && prop.items?.type === 'string';
+    if (!isString && !isList) errors.push(`schema.properties.${key} must be a string or an array of strings`);
+    if (!validTitle(prop?.title)) errors.push(`schema.properties.${key}.title must be a string or { ja, en }`);
+  }
+  return errors;
+}
+
+// Falls back to the defaults, field by field, when the file is missing or invalid
+export function loadSummaryConfig(file) {
+  if (!file || !fs.existsSync(file)) return DEFAULT_SUMMARY_CONFIG;
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.warn(`[WARN] Ignoring ${file}: ${err.message}`);
+    return DEFAULT_SUMMARY_CONFIG;
+  }
+  const errors = validateSummaryConfig(config);
+  if (errors.length) {
+    console.warn(`[WARN] Ignoring ${file}: ${errors.join('; ')}`);
+    return DEFAULT_SUMMARY_CONFIG;
+  }
+  return {
+    prompt: config.prompt ?? DEFAULT_SUMMARY_CONFIG.prompt,
+    schema: config.schema ?? DEFAULT_SUMMARY_CONFIG.schema
+  };
+}
+
+// Instructions for the out-of-band response: the prompt followed by the
+// schema without titles, which are for display only
+export function summaryInstructions({ prompt, schema }) {
+  const properties = Object.fromEntries(
+    Object.entries(schema.properties).map(([key, { title, ...rest }]) => [key, rest])
+  );
+  return `${prompt}\n\nJSON Schema:\n${JSON.stringify({ ...schema, properties })}`;
+}
@@ -0,0 +1,61 @@
+// Turn detection settings as accepted from clients and personas:
+//   { type: 'server_vad', threshold, prefix_padding_ms, silence_duration_ms }
+//   { type: 'semantic_vad', eagerness }
+//   { type: 'none' }   push-to-talk, the client commits the buffer itself
+// The type defaults to server_vad so older persona files keep working.
+
+export const TURN_DETECTION_TYPES = ['server_vad', 'semantic_vad', 'none'];
+export const EAGERNESS = ['low', 'medium', 'high', 'auto'];
+
+const SERVER_VAD_RANGES = {
+  threshold: [0, 1],
+  prefix_padding_ms: [0, 5000],
+  silence_duration_ms: [0, 10000]
+};
+
+export function validateTurnDetection(settings, errors, label = 'turn_detection') {
+  if (settings === undefined || settings === null) return;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  const type = settings.type ?? 'server_vad';
+  if (!TURN_DETECTION_TYPES.includes(type)) {
+    errors.push(`${label}.type must be one of: ${TURN_DETECTION_TYPES.join(', ')}`);
+    return;
+  }
+  const allowed = ['type', ...(type === 'server_vad' ? Object.keys(SERVER_VAD_RANGES) : type === 'semantic_vad' ? ['eagerness'] : [])];
+  for (const key of Object.keys(settings)) {
+    if (!allowed.includes(key)) errors.push(`${label}.${key} is not valid for ${type}`);
+  }
+  if (type === 'server_vad') {
+    for (const [key, [min, max]] of Object.entries(SERVER_VAD_RANGES)) {
+      const v = settings[key];
+      if (v !== undefined && (typeof v !== 'number' || Number.isNaN(v) || v < min || v > max)) {
+        errors.push(`${label}.${key} must be a number between ${min} and ${max}`);
+      }
+    }
+  }
+  if (type === 'semantic_vad' && settings.eagerness !== undefined && !EAGERNESS.includes(settings.eagerness)) {
+    errors.push(`${label}.eagerness must be one of: ${EAGERNESS.join(', ')}`);
+  }
+}
+
+// Upstream session value. Responses are never created or interrupted
+// automatically: the client sends response.create when a turn is committed
+// and handles barge-in itself, in every mode.
+export function buildTurnDetection(settings) {
+  const type = settings?.type ?? 'server_vad';
+  if (type === 'none') return null;
+  const out = { type };
+  if (type === 'server_vad') {
+    for (const key of Object.keys(SERVER_VAD_RANGES)) {
+      if (settings?.[key] !== undefined) out[key] = settings[key];
+    }
+  } else if (settings?.eagerness) {
+    out.eagerness = settings.eagerness;
+  }
+  out.create_response = false;
+  out.interrupt_response = false;
+  return out;
+}
@@ -0,0 +1,215 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Token usage reported by clients from response.done, aggregated per
+// session, per day and per persona. Totals are kept per model so cost can be
+// recomputed whenever prices change. Stored as one JSON file, rewritten
+// atomically like the persona store.
+
+// USD per 1M tokens. Model names match by prefix, so dated snapshots
+// (gpt-realtime-2025-08-28) use their family's price. Override with USAGE_PRICES.
+export const DEFAULT_PRICES = {
+  'gpt-realtime': { text_input: 4, text_cached: 0.4, text_output: 16, audio_input: 32, audio_cached: 0.4, audio_output: 64 },
+  'gpt-4o-realtime-preview': { text_input: 5, text_cached: 2.5, text_output: 20, audio_input: 40, audio_cached: 2.5, audio_output: 80 },
+  'gpt-4o-mini-realtime-preview': { text_input: 0.6, text_cached: 0.3, text_output: 2.4, audio_input: 10, audio_cached: 0.3, audio_output: 20 }
+};
+
+export const TOKEN_FIELDS = ['input_text', 'input_audio', 'cached_text', 'cached_audio', 'output_text', 'output_audio'];
+
+const MAX_SESSIONS = 500;
+const MAX_RESPONSE_IDS = 200;
+
+function emptyTokens() {
+  const t = { responses: 0 };
+  for (const f of TOKEN_FIELDS) t[f] = 0;
+  return t;
+}
+
+function count(v) {
+  return Number.isFinite(v) && v > 0 ? Math.floor(v) : 0;
+}
+
+// Flattens the Realtime usage object. Cached tokens are a subset of the input
+// tokens; without a per-modality split they are attributed to text first.
+export function normalizeUsage(usage = {}) {
+  const input = usage.input_token_details || {};
+  const output = usage.output_token_details || {};
+  const inputText = count(input.text_tokens);
+  const inputAudio = count(input.audio_tokens);
+  const cached = count(input.cached_tokens);
+  const split = input.cached_tokens_details;
+  const cachedText = split ? count(split.text_tokens) : Math.min(cached, inputText);
+  const cachedAudio = split ? count(split.audio_tokens) : Math.min(cached - cachedText, inputAudio);
+  return {
+    input_text: inputText,
+    input_audio: inputAudio,
+    cached_text: Math.min(cachedText, inputText),
+    cached_audio: Math.min(cachedAudio, inputAudio),
+    output_text: count(output.text_tokens),
+    output_audio: count(output.audio_tokens)
+  };
+}
+
+export function priceFor(prices, model) {
+  if (prices[model]) return prices[model];
+  const family = Object.keys(prices)
+    .filter(name => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? prices[family] : null;
+}
+
+// Estimated USD for one model's token totals, or null when it has no price.
+export function costOf(tokens, price) {
+  if (!price) return null;
+  const per = (n, rate) => (n * (rate || 0)) / 1_000_000;
+  return per(tokens.input_text - tokens.cached_text, price.text_input) +
+    per(tokens.cached_text, price.text_cached) +
+    per(tokens.output_text, price.text_output) +
+    per(tokens.input_audio - tokens.cached_audio, price.audio_input) +
+    per(tokens.cached_audio, price.audio_cached) +
+    per(tokens.output_audio, price.audio_output);
+}
+
+// Merges USAGE_PRICES (JSON: { model: { text_input, ... } }) over the defaults.
+export function parsePrices(json) {
+  if (!json) return structuredClone(DEFAULT_PRICES);
+  const custom = JSON.parse(json);
+  const prices = structuredClone(DEFAULT_PRICES);
+  for (const [model, price] of Object.entries(custom)) prices[model] = { ...prices[model], ...price };
+  return prices;
+}
+
+export function localDate(now = Date.now()) {
+  const d = new Date(now);
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function addTokens(target, tokens) {
+  target.responses += 1;
+  for (const f of TOKEN_FIELDS) target[f] += tokens[f];
+}
+
+// { model: tokens } -> combined tokens and total cost across models
+function rollUp(byModel, prices) {
+  const tokens = emptyTokens();
+  let cost = 0;
+  const unpriced = [];
+  for (const [model, t] of Object.entries(byModel || {})) {
+    tokens.responses += t.responses;
+    for (const f of TOKEN_FIELDS) tokens[f] += t[f];
+    const c = costOf(t, priceFor(prices, model));
+    if (c === null) unpriced.push(model);
+    else cost += c;
+  }
+  return { tokens, cost, unpriced };
+}
+
+export function createUsageStore(file) {
+  function readAll() {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return { sessions: data.sessions || {}, days: data.days || {}, personas: data.personas || {} };
+    } catch (err) {
+      if (err.code === 'ENOENT') return { sessions: {}, days: {}, personas: {} };
+      throw err;
+    }
+  }
+
+  function writeAll(data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Drops the least recently active sessions; day and persona totals stay
+  function prune(data) {
+    const ids = Object.keys(data.sessions);
+    if (ids.length <= MAX_SESSIONS) return;
+    ids.sort((a, b) => data.sessions[a].updatedAt - data.sessions[b].updatedAt)
+      .slice(0, ids.length - MAX_SESSIONS)
+      .forEach(id => delete data.sessions[id]);
+  }
+
+  function spentSince(data, prices, fromDate) {
+    let cost = 0;
+    for (const [date, byModel] of Object.entries(data.days)) {
+      if (date >= fromDate) cost += rollUp(byModel, prices).cost;
+    }
+    return cost;
+  }
+
+  return {
+    // Called when /session mints a key; the returned id is what clients report against
+    startSession({ user, persona, model }, now = Date.now()) {
+      const data = readAll();
+      const id = `use_${crypto.randomBytes(9).toString('base64url')}`;
+      data.sessions[id] = { id, user, persona: persona || null, model, startedAt: now, updatedAt: now, tokens: emptyTokens(), responseIds: [] };
+      prune(data);
+      writeAll(data);
+      return id;
+    },
+    getSession(id) {
+      return readAll().sessions[id] || null;
+    },
+    // Returns false for a response that was already counted
+    record(id, { responseId, usage }, now = Date.now()) {
+      const data = readAll();
+      const session = data.sessions[id];
+      if (!session) return null;
+      if (responseId && session.responseIds.includes(responseId)) return false;
+      const tokens = normalizeUsage(usage);
+      addTokens(session.tokens, tokens);
+      if (responseId) session.responseIds = [...session.responseIds, responseId].slice(-MAX_RESPONSE_IDS);
+      session.updatedAt = now;
+      const day = (data.days[localDate(now)] ||= {});
+      addTokens((day[session.model] ||= emptyTokens()), tokens);
+      const persona = (data.personas[session.persona || '-'] ||= {});
+      addTokens((persona[session.model] ||= emptyTokens()), tokens);
+      writeAll(data);
+      return true;
+    },
+    spentToday(prices, now = Date.now()) {
+      return spentSince(readAll(), prices, localDate(now));
+    },
+    spentThisMonth(prices, now = Date.now()) {
+      return spentSince(readAll(), prices, `${localDate(now).slice(0, 7)}-01`);
+    },
+    summary(prices, now = Date.now()) {
+      const data = readAll();
+      const unpriced = new Set();
+      const withCost = (byModel) => {
+        const r = rollUp(byModel, prices);
+        r.unpriced.forEach(m => unpriced.add(m));
+        return { tokens: r.tokens, cost: r.cost };
+      };
+      const days = Object.keys(data.days).sort().reverse()
+        .map(date => ({ date, ...withCost(data.days[date]) }));
+      const all = {};
+      for (const byModel of Object.values(data.days)) {
+        for (const [model, t] of Object.entries(byModel)) {
+          const acc = (all[model] ||= emptyTokens());
+          acc.responses += t.responses;
+          for (const f of TOKEN_FIELDS) acc[f] += t[f];
+        }
+      }
+      const sessions = Object.values(data.sessions)
+        .filter(s => s.tokens.responses > 0)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, 50)
+        .map(({ responseIds, ...s }) => ({ ...s, cost: costOf(s.tokens, priceFor(prices, s.model)) }));
+      return {
+        total: withCost(all),
+        today: { cost: spentSince(data, prices, localDate(now)) },
+        month: { cost: spentSince(data, prices, `${localDate(now).slice(0, 7)}-01`) },
+        models: Object.entries(all).map(([model, tokens]) => ({ model, tokens, cost: costOf(tokens, priceFor(prices, model)) })),
+        days,
+        personas: Object.entries(data.personas).map(([persona, byModel]) => ({ persona: persona === '-' ? null : persona, ...withCost(byModel) })),
+        sessions,
+        unpriced_models: [...unpriced]
+      };
+    }
+  };
+}
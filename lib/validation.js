@@ -0,0 +1,191 @@
+import { validateTurnDetection } from './turn-detection.js';
+
+// Request body validation. Each validator returns a list of problems;
+// an empty list means the body is acceptable.
+
+const MODALITIES = ['text', 'audio'];
+
+export function validateSessionRequest(body, { allowedVoices, allowedModels, maxInstructionsChars }) {
+  const errors = [];
+  if (body === undefined || body === null) return errors;
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+  const known = ['voice', 'instructions', 'modalities', 'model', 'persona', 'turn_detection'];
+  for (const key of Object.keys(body)) {
+    if (!known.includes(key)) errors.push(`Unknown field: ${key}`);
+  }
+  if (body.voice !== undefined) {
+    if (typeof body.voice !== 'string' || !body.voice.trim()) {
+      errors.push('voice must be a non-empty string');
+    } else if (allowedVoices.length && !allowedVoices.includes(body.voice.trim())) {
+      errors.push(`voice must be one of: ${allowedVoices.join(', ')}`);
+    }
+  }
+  if (body.model !== undefined) {
+    if (typeof body.model !== 'string' || !body.model.trim()) {
+      errors.push('model must be a non-empty string');
+    } else if (allowedModels.length && !allowedModels.includes(body.model.trim())) {
+      errors.push(`model must be one of: ${allowedModels.join(', ')}`);
+    }
+  }
+  if (body.instructions !== undefined) {
+    if (typeof body.instructions !== 'string') {
+      errors.push('instructions must be a string');
+    } else if (body.instructions.length > maxInstructionsChars) {
+      errors.push(`instructions must be at most ${maxInstructionsChars} characters`);
+    }
+  }
+  validateTurnDetection(body.turn_detection, errors);
+  if (body.persona !== undefined && (typeof body.persona !== 'string' || !body.persona.trim())) {
+    errors.push('persona must be a persona id');
+  }
+  if (body.modalities !== undefined) {
+    if (!Array.isArray(body.modalities) || !body.modalities.length ||
+        !body.modalities.every(m => MODALITIES.includes(m))) {
+      errors.push(`modalities must be a non-empty array of: ${MODALITIES.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+// With partial, fields may be omitted (PUT updates only what is sent)
+export function validatePersona(body, { allowedVoices, toolNames, maxInstructionsChars, partial = false }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+  const errors = [];
+  for (const key of Object.keys(body)) {
+    if (!['name', 'instructions', 'voice', 'vad', 'tools'].includes(key)) errors.push(`Unknown field: ${key}`);
+  }
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 60) {
+      errors.push('name must be a non-empty string of at most 60 characters');
+    }
+  }
+  if (body.instructions !== undefined) {
+    if (typeof body.instructions !== 'string') {
+      errors.push('instructions must be a string');
+    } else if (body.instructions.length > maxInstructionsChars) {
+      errors.push(`instructions must be at most ${maxInstructionsChars} characters`);
+    }
+  }
+  if (body.voice !== undefined && (typeof body.voice !== 'string' || (allowedVoices.length && !allowedVoices.includes(body.voice)))) {
+    errors.push(`voice must be one of: ${allowedVoices.join(', ')}`);
+  }
+  // A persona's vad holds the same turn detection settings as /session accepts
+  validateTurnDetection(body.vad, errors, 'vad');
+  if (body.tools !== undefined) {
+    if (!Array.isArray(body.tools)) {
+      errors.push('tools must be an array of tool names');
+    } else {
+      for (const name of body.tools) {
+        if (!toolNames.includes(name)) errors.push(`Unknown tool: ${name}`);
+      }
+    }
+  }
+  return errors;
+}
+
+const MAX_REPORTED_TOKENS = 1_000_000;
+
+// Usage reported by the client from response.done: { session, response_id, usage }
+export function validateUsageReport(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+  const errors = [];
+  for (const key of Object.keys(body)) {
+    if (!['session', 'response_id', 'usage'].includes(key)) errors.push(`Unknown field: ${key}`);
+  }
+  if (typeof body.session !== 'string' || !body.session || body.session.length > 100) {
+    errors.push('session must be the usage_session id returned by /session');
+  }
+  if (body.response_id !== undefined && (typeof body.response_id !== 'string' || body.response_id.length > 100)) {
+    errors.push('response_id must be a string');
+  }
+  const usage = body.usage;
+  if (!usage || typeof usage !== 'object' || Array.isArray(usage)) {
+    errors.push('usage must be the usage object from response.done');
+    return errors;
+  }
+  const checkCounts = (obj, label) => {
+    if (obj === undefined) return;
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    for (const [key, v] of Object.entries(obj)) {
+      if (v && typeof v === 'object') checkCounts(v, `${label}.${key}`);
+      else if (v !== null && (!Number.isInteger(v) || v < 0 || v > MAX_REPORTED_TOKENS)) {
+        errors.push(`${label}.${key} must be a token count between 0 and ${MAX_REPORTED_TOKENS}`);
+      }
+    }
+  };
+  checkCounts(usage, 'usage');
+  return errors;
+}
+
+const TELEMETRY_KINDS = ['setup', 'turn', 'stats'];
+
+// Flat telemetry records from the debug panel; values are numbers, short
+// strings, booleans or null so a client cannot bloat the log.
+export function validateTelemetryRecord(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+  const errors = [];
+  if (!TELEMETRY_KINDS.includes(body.kind)) errors.push(`kind must be one of: ${TELEMETRY_KINDS.join(', ')}`);
+  const keys = Object.keys(body);
+  if (keys.length > 30) errors.push('Too many fields');
+  for (const key of keys) {
+    const v = body[key];
+    const ok = v === null || typeof v === 'boolean' || (typeof v === 'number' && Number.isFinite(v)) ||
+      (typeof v === 'string' && v.length <= 200);
+    if (!ok) errors.push(`${key} must be a number, boolean, null or a short string`);
+  }
+  return errors;
+}
+
+const TRANSPORTS = ['webrtc', 'relay'];
+const MAX_EVENT_BATCH = 500;
+
+// Start of a server-side recording: what the call was set up with
+export function validateRecordingStart(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+  const errors = [];
+  for (const key of Object.keys(body)) {
+    if (!['usage_session', 'persona', 'voice', 'model', 'transport'].includes(key)) errors.push(`Unknown field: ${key}`);
+  }
+  for (const key of ['usage_session', 'persona', 'voice', 'model']) {
+    const v = body[key];
+    if (v !== undefined && v !== null && (typeof v !== 'string' || v.length > 100)) errors.push(`${key} must be a string`);
+  }
+  if (body.transport !== undefined && !TRANSPORTS.includes(body.transport)) {
+    errors.push(`transport must be one of: ${TRANSPORTS.join(', ')}`);
+  }
+  return errors;
+}
+
+// A batch of recorded events: { events: [{ t, dir, event: { type, ... } }] }
+export function validateRecordingEvents(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+  if (!Array.isArray(body.events) || !body.events.length || body.events.length > MAX_EVENT_BATCH) {
+    return [`events must be an array of 1-${MAX_EVENT_BATCH} entries`];
+  }
+  const errors = [];
+  body.events.forEach((entry, i) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`events[${i}] must be an object`);
+      return;
+    }
+    if (typeof entry.t !== 'number' || !Number.isFinite(entry.t) || entry.t < 0) errors.push(`events[${i}].t must be a non-negative number`);
+    if (!['client', 'server'].includes(entry.dir)) errors.push(`events[${i}].dir must be client or server`);
+    if (typeof entry.event?.type !== 'string') errors.push(`events[${i}].event must be a realtime event`);
+  });
+  return errors;
+}
@@ -0,0 +1,47 @@
+// Cross-origin access for the embeddable widget (public/widget.js) on other
+// sites. WIDGET_ORIGINS lists the sites allowed to call the API from the
+// browser: "https://shop.example.com,https://blog.example.com", or "*".
+//
+// Only bearer tokens work across origins: the login cookie is SameSite=Lax
+// and is never sent, so no Access-Control-Allow-Credentials. Embedding pages
+// pass ACCESS_TOKEN (data-token) when access control is on.
+
+export function parseOrigins(spec) {
+  const origins = new Set();
+  for (const entry of (spec || '').split(',')) {
+    const value = entry.trim().replace(/\/+$/, '');
+    if (!value) continue;
+    if (value === '*') return '*';
+    try {
+      const url = new URL(value);
+      if (url.protocol === 'http:' || url.protocol === 'https:') origins.add(url.origin);
+      else console.warn(`[WARN] Ignoring WIDGET_ORIGINS entry ${value}: not http(s)`);
+    } catch {
+      console.warn(`[WARN] Ignoring WIDGET_ORIGINS entry ${value}: not a URL`);
+    }
+  }
+  return origins;
+}
+
+export function isAllowedOrigin(origins, origin) {
+  if (!origin) return false;
+  return origins === '*' || origins.has(origin);
+}
+
+// Express middleware: CORS headers for allowed origins, 204 for their preflights.
+// Requests from other origins pass through untouched, so browsers block them.
+export function createWidgetCors(origins) {
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    if (!isAllowedOrigin(origins, origin)) return next();
+    res.vary('Origin');
+    res.set('Access-Control-Allow-Origin', origins === '*' ? '*' : origin);
+    if (req.method !== 'OPTIONS') return next();
+    res.set({
+      'Access-Control-Allow-Methods': 'GET, POST',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '600'
+    });
+    res.status(204).end();
+  };
+}
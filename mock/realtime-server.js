@@ -0,0 +1,293 @@
+import express from 'express';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+
+// Local stand-in for the OpenAI Realtime API. It mints fake ephemeral keys,
+// answers the SDP exchange with a syntactically valid (but media-less) answer
+// and exposes a scripted event sequence for driving the client offline.
+// The WebSocket endpoint (used by the server relay) commits appended audio
+// and answers response.create with a short scripted reply, audio included;
+// out-of-band requests (conversation: 'none') get a canned summary as JSON text.
+//
+//   npm run mock    then    OPENAI_BASE_URL=http://localhost:3100/v1 npm start
+
+// One complete user/assistant exchange followed by an error. The user's
+// transcription deliberately completes after the reply starts streaming.
+export const DEFAULT_SCRIPT = [
+  { type: 'session.updated', session: { id: 'sess_mock', voice: 'alloy' } },
+  { type: 'input_audio_buffer.speech_started', item_id: 'item_user_1', audio_start_ms: 0 },
+  { type: 'input_audio_buffer.speech_stopped', item_id: 'item_user_1', audio_end_ms: 1200 },
+  { type: 'input_audio_buffer.committed', item_id: 'item_user_1', previous_item_id: null },
+  { type: 'response.created', response: { id: 'resp_1', status: 'in_progress' } },
+  { type: 'conversation.item.input_audio_transcription.delta', item_id: 'item_user_1', content_index: 0, delta: 'こんにちは、' },
+  { type: 'response.audio_transcript.delta', response_id: 'resp_1', item_id: 'item_ai_1', output_index: 0, content_index: 0, delta: 'こんにちは！' },
+  { type: 'conversation.item.input_audio_transcription.delta', item_id: 'item_user_1', content_index: 0, delta: 'テストです。' },
+  { type: 'conversation.item.input_audio_transcription.completed', item_id: 'item_user_1', content_index: 0, transcript: 'こんにちは、テストです。' },
+  { type: 'output_audio_buffer.started', response_id: 'resp_1' },
+  { type: 'response.audio_transcript.delta', response_id: 'resp_1', item_id: 'item_ai_1', output_index: 0, content_index: 0, delta: 'ご用件をどうぞ。' },
+  { type: 'response.audio_transcript.done', response_id: 'resp_1', item_id: 'item_ai_1', output_index: 0, content_index: 0, transcript: 'こんにちは！ご用件をどうぞ。' },
+  {
+    type: 'response.done',
+    response: {
+      id: 'resp_1',
+      status: 'completed',
+      output: [{ id: 'item_ai_1', type: 'message', role: 'assistant' }],
+      usage: {
+        total_tokens: 180,
+        input_tokens: 120,
+        output_tokens: 60,
+        input_token_details: { text_tokens: 100, audio_tokens: 20, cached_tokens: 64 },
+        output_token_details: { text_tokens: 15, audio_tokens: 45 }
+      }
+    }
+  },
+  { type: 'error', error: { type: 'invalid_request_error', code: 'mock_error', message: 'Scripted error from the mock realtime server' } }
+];
+
+// Sends each scripted event through send(); delayMs spaces them out in time.
+export async function playScript(send, { script = DEFAULT_SCRIPT, delayMs = 0 } = {}) {
+  for (const event of script) {
+    if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+    await send(structuredClone(event));
+  }
+}
+
+// 100 ms of a 440 Hz tone as base64 PCM16, 24 kHz mono
+function toneBase64(ms = 100) {
+  const samples = new Int16Array((24000 * ms) / 1000);
+  for (let i = 0; i < samples.length; i++) samples[i] = Math.round(Math.sin((2 * Math.PI * 440 * i) / 24000) * 8000);
+  return Buffer.from(samples.buffer).toString('base64');
+}
+
+// Reply sent over the WebSocket endpoint for each response.create
+export function wsReplyScript(n, { audio = true } = {}) {
+  const responseId = `resp_ws_${n}`;
+  const itemId = `item_ws_ai_${n}`;
+  const events = [{ type: 'response.created', response: { id: responseId, status: 'in_progress' } }];
+  const kind = audio ? 'audio_transcript' : 'text';
+  events.push({ type: `response.${kind}.delta`, response_id: responseId, item_id: itemId, delta: 'リレー経由の' });
+  if (audio) events.push({ type: 'response.audio.delta', response_id: responseId, item_id: itemId, delta: toneBase64() });
+  events.push({ type: `response.${kind}.delta`, response_id: responseId, item_id: itemId, delta: '応答です。' });
+  if (audio) events.push({ type: 'response.audio.done', response_id: responseId, item_id: itemId });
+  events.push({ type: `response.${kind}.done`, response_id: responseId, item_id: itemId, [audio ? 'transcript' : 'text']: 'リレー経由の応答です。' });
+  events.push({
+    type: 'response.done',
+    response: {
+      id: responseId,
+      status: 'completed',
+      output: [{ id: itemId, type: 'message', role: 'assistant' }],
+      usage: { total_tokens: 40, input_tokens: 30, output_tokens: 10, input_token_details: { text_tokens: 20, audio_tokens: 10, cached_tokens: 0 }, output_token_details: { text_tokens: 4, audio_tokens: audio ? 6 : 0 } }
+    }
+  });
+  return events;
+}
+
+export const MOCK_SUMMARY = {
+  summary: 'モックサーバーとの接続テストでした。',
+  key_points: ['リレー経由で応答が返ることを確認'],
+  decisions: [],
+  follow_ups: ['本番のAPIキーで再確認する'],
+  entities: ['3100']
+};
+
+// Reply to an out-of-band response.create: text only, metadata echoed
+export function wsOutOfBandScript(n, metadata = null) {
+  const responseId = `resp_ws_oob_${n}`;
+  const itemId = `item_ws_oob_${n}`;
+  const text = JSON.stringify(MOCK_SUMMARY);
+  return [
+    { type: 'response.created', response: { id: responseId, status: 'in_progress', conversation_id: null, metadata } },
+    { type: 'response.text.delta', response_id: responseId, item_id: itemId, delta: text },
+    { type: 'response.text.done', response_id: responseId, item_id: itemId, text },
+    {
+      type: 'response.done',
+      response: {
+        id: responseId,
+        status: 'completed',
+        conversation_id: null,
+        metadata,
+        output: [{ id: itemId, type: 'message', role: 'assistant', content: [{ type: 'text', text }] }],
+        usage: { total_tokens: 60, input_tokens: 40, output_tokens: 20, input_token_details: { text_tokens: 40, audio_tokens: 0, cached_tokens: 0 }, output_token_details: { text_tokens: 20, audio_tokens: 0 } }
+      }
+    }
+  ];
+}
+
+function randomToken(bytes = 12) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Mirrors each m= section of the offer so setRemoteDescription accepts it.
+export function buildAnswerSdp(offer) {
+  const sections = offer.split(/\r?\n(?=m=)/);
+  const ufrag = randomToken(4);
+  const pwd = randomToken(12);
+  const fingerprint = crypto.randomBytes(32).toString('hex').toUpperCase().match(/../g).join(':');
+  const mids = [];
+  const media = sections.slice(1).map((section) => {
+    const lines = section.split(/\r?\n/).filter(Boolean);
+    const mLine = lines[0];
+    const mid = (lines.find(l => l.startsWith('a=mid:')) || 'a=mid:0').slice(6);
+    mids.push(mid);
+    const out = [];
+    if (mLine.startsWith('m=application')) {
+      out.push(mLine, 'c=IN IP4 0.0.0.0', `a=mid:${mid}`, 'a=sctp-port:5000', 'a=max-message-size:262144');
+    } else {
+      const [m, kind, , proto, ...pts] = mLine.split(' ');
+      const opus = lines.find(l => /^a=rtpmap:\d+ opus\//i.test(l));
+      const pt = opus ? opus.match(/^a=rtpmap:(\d+)/)[1] : pts[0];
+      const offered = ['sendrecv', 'sendonly', 'recvonly', 'inactive'].find(d => lines.includes(`a=${d}`)) || 'sendrecv';
+      const direction = { sendonly: 'recvonly', recvonly: 'sendonly' }[offered] || offered;
+      out.push(`${m} ${kind} 9 ${proto} ${pt}`, 'c=IN IP4 0.0.0.0', `a=mid:${mid}`, `a=${direction}`, 'a=rtcp-mux');
+      if (opus) out.push(opus.replace(/^a=rtpmap:\d+/, `a=rtpmap:${pt}`));
+    }
+    out.push(`a=ice-ufrag:${ufrag}`, `a=ice-pwd:${pwd}`, `a=fingerprint:sha-256 ${fingerprint}`, 'a=setup:active');
+    return out.join('\r\n');
+  });
+  const head = [
+    'v=0',
+    `o=- ${Date.now()} 2 IN IP4 127.0.0.1`,
+    's=-',
+    't=0 0',
+    `a=group:BUNDLE ${mids.join(' ')}`
+  ].join('\r\n');
+  return [head, ...media].join('\r\n') + '\r\n';
+}
+
+export function createMockRealtimeServer({ script = DEFAULT_SCRIPT } = {}) {
+  // Tests poke at state directly: inspect requests, force failures
+  const state = {
+    sessionRequests: [],
+    sdpOffers: [],
+    issuedSecrets: new Set(),
+    // { status, body } returned by the next /realtime/sessions calls
+    sessionFailure: null,
+    omitClientSecret: false,
+    // WebSocket endpoint: { model, authorization } per connection, client
+    // events received (appends summarized as byte counts)
+    wsConnections: [],
+    wsEvents: [],
+    wsAudioBytes: 0
+  };
+
+  const app = express();
+  // The browser calls the SDP endpoint directly from the app's origin
+  app.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, OpenAI-Beta');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+  });
+  app.use(express.json());
+  app.use(express.text({ type: 'application/sdp' }));
+
+  app.post('/v1/realtime/sessions', (req, res) => {
+    const auth = req.get('Authorization') || '';
+    if (!/^Bearer \S+/.test(auth) || auth === 'Bearer undefined') {
+      return res.status(401).json({ error: { message: 'Missing or invalid API key', type: 'invalid_request_error', code: 'invalid_api_key' } });
+    }
+    state.sessionRequests.push(req.body);
+    if (state.sessionFailure) {
+      const { status = 500, body = { error: { message: 'Mock failure' } } } = state.sessionFailure;
+      return res.status(status).json(body);
+    }
+    const secret = `ek_mock_${randomToken()}`;
+    state.issuedSecrets.add(secret);
+    const session = {
+      id: `sess_mock_${randomToken(6)}`,
+      object: 'realtime.session',
+      model: req.body?.model || 'gpt-realtime',
+      voice: req.body?.voice || 'alloy',
+      modalities: req.body?.modalities || ['text', 'audio'],
+      instructions: req.body?.instructions || ''
+    };
+    if (!state.omitClientSecret) {
+      session.client_secret = { value: secret, expires_at: Math.floor(Date.now() / 1000) + 60 };
+    }
+    res.json(session);
+  });
+
+  app.post('/v1/realtime', (req, res) => {
+    const secret = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    if (!state.issuedSecrets.has(secret)) {
+      return res.status(401).json({ error: { message: 'Unknown ephemeral key', code: 'invalid_api_key' } });
+    }
+    if (typeof req.body !== 'string' || !req.body.startsWith('v=0')) {
+      return res.status(400).json({ error: { message: 'Expected an SDP offer' } });
+    }
+    state.sdpOffers.push({ model: req.query.model, sdp: req.body });
+    res.type('application/sdp').status(201).send(buildAnswerSdp(req.body));
+  });
+
+  app.get('/v1/realtime/script', (_req, res) => {
+    res.json(script);
+  });
+
+  function handleSocket(ws, req) {
+    const model = new URL(req.url, 'http://localhost').searchParams.get('model');
+    state.wsConnections.push({ model, authorization: req.headers.authorization });
+    const send = (event) => ws.send(JSON.stringify(event));
+    let items = 0;
+    let responses = 0;
+    let modalities = ['text', 'audio'];
+    send({ type: 'session.created', session: { id: `sess_mock_${randomToken(6)}`, model } });
+    ws.on('message', (data) => {
+      let msg;
+      try { msg = JSON.parse(data.toString()); } catch { return; }
+      if (msg.type === 'input_audio_buffer.append') {
+        state.wsAudioBytes += Buffer.from(msg.audio || '', 'base64').length;
+        return;
+      }
+      state.wsEvents.push(msg);
+      if (msg.type === 'session.update') {
+        if (msg.session?.modalities) modalities = msg.session.modalities;
+        send({ type: 'session.updated', session: msg.session });
+      } else if (msg.type === 'input_audio_buffer.commit') {
+        send({ type: 'input_audio_buffer.committed', item_id: `item_ws_user_${++items}`, previous_item_id: null });
+      } else if (msg.type === 'response.create' && msg.response?.conversation === 'none') {
+        for (const event of wsOutOfBandScript(++responses, msg.response.metadata || null)) send(event);
+      } else if (msg.type === 'response.create') {
+        const audio = (msg.response?.modalities || modalities).includes('audio');
+        for (const event of wsReplyScript(++responses, { audio })) send(event);
+      }
+    });
+  }
+
+  let server = null;
+  let wss = null;
+  return {
+    app,
+    state,
+    script,
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        server = app.listen(port, () => {
+          const url = `http://localhost:${server.address().port}`;
+          resolve({ server, url, baseUrl: `${url}/v1` });
+        });
+        // Same auth rule as the REST endpoints: any bearer key
+        wss = new WebSocketServer({
+          server,
+          path: '/v1/realtime',
+          verifyClient: ({ req }) => /^Bearer \S+/.test(req.headers.authorization || '') && req.headers.authorization !== 'Bearer undefined'
+        });
+        wss.on('connection', handleSocket);
+      });
+    },
+    close() {
+      for (const client of wss?.clients || []) client.terminate();
+      return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = process.env.MOCK_PORT || 3100;
+  const mock = createMockRealtimeServer();
+  mock.listen(port).then(({ baseUrl }) => {
+    console.log(`Mock realtime server listening on ${baseUrl}`);
+    console.log(`  Start the app with: OPENAI_BASE_URL=${baseUrl} OPENAI_API_KEY=sk-mock npm start`);
+  });
+}
@@ -0,0 +1,305 @@
+// Settings page (admins): readiness, the runtime settings of /admin/config
+// (model, voices, default prompt, turn detection, rate limits) and the
+// read-only server settings from .env.
+import { loadLanguage, setLanguage, getLanguage, t, applyTranslations } from './i18n.js';
+
+const $ = (id) => document.getElementById(id);
+
+const LIMIT_KEYS = ['session_per_ip', 'session_per_user', 'session_per_minute', 'session_per_day', 'login_per_ip'];
+const VAD_NUMBERS = ['threshold', 'prefix_padding_ms', 'silence_duration_ms'];
+
+// Message keys
+const CHECK_LABELS = {
+  api_key: 'admin.check.apiKey',
+  data_dir: 'admin.check.dataDir',
+  personas: 'admin.check.personas',
+  settings: 'admin.check.settings',
+  tools: 'admin.check.tools'
+};
+
+const SERVER_LABELS = {
+  port: 'admin.server.port',
+  https: 'admin.server.https',
+  openai_base_url: 'admin.server.baseUrl',
+  transcription_model: 'admin.server.transcription',
+  access_control: 'admin.server.access',
+  relay: 'admin.server.relay',
+  rooms: 'admin.server.rooms',
+  recording: 'admin.server.recording',
+  summary: 'admin.server.summary',
+  widget_origins: 'admin.server.widgetOrigins'
+};
+
+const ACTION_LABELS = {
+  'config.update': 'audit.configUpdate',
+  'config.reset': 'audit.configReset'
+};
+const HISTORY_COLUMNS = ['audit.col.time', 'audit.col.action', 'audit.col.user', 'admin.col.fields', 'audit.col.ip'];
+
+let config = null;
+// Kept to render again in another language
+let lastHistory = null;
+let lastStatus = null;
+
+function setStatus(key, params) {
+  lastStatus = { key, params };
+  $('status').textContent = t(key, params);
+}
+
+async function fetchJson(url, options) {
+  const r = await fetch(url, options);
+  if (r.status === 401) throw Object.assign(new Error('login'), { status: 401 });
+  if (r.status === 403) throw Object.assign(new Error('forbidden'), { status: 403 });
+  const data = await r.json().catch(() => null);
+  if (!r.ok) throw Object.assign(new Error(data?.error || `HTTP ${r.status}`), { status: r.status, details: data?.details });
+  return data;
+}
+
+function showError(e) {
+  if (e.status === 401) setStatus('page.loginRequired');
+  else if (e.status === 403) setStatus('page.adminOnly');
+  else setStatus('admin.failed', { message: e.message });
+}
+
+function formatTime(iso) {
+  if (!iso) return '-';
+  const d = new Date(iso);
+  return `${d.getMonth() + 1}/${d.getDate()} ${d.getHours()}:${d.getMinutes().toString().padStart(2, '0')}`;
+}
+
+const list = (text) => text.split(',').map(s => s.trim()).filter(Boolean);
+const display = (value) => (Array.isArray(value) ? value.join(', ') : typeof value === 'boolean' ? t(value ? 'admin.enabled' : 'admin.disabled') : String(value ?? '-'));
+
+function renderRows(table, rows) {
+  table.innerHTML = '';
+  const body = table.createTBody();
+  for (const [label, value, className] of rows) {
+    const tr = body.insertRow();
+    const th = document.createElement('th');
+    th.textContent = label;
+    tr.appendChild(th);
+    const td = tr.insertCell();
+    td.textContent = value;
+    if (className) td.className = className;
+  }
+}
+
+function renderReadiness({ ready, checks }) {
+  const rows = [[t('admin.overall'), t(ready ? 'admin.ready' : 'admin.notReady'), ready ? 'ok' : 'ng']];
+  for (const [name, check] of Object.entries(checks)) {
+    let detail = check.ok ? 'OK' : 'NG';
+    if (name === 'api_key' && !check.ok) detail = t('admin.apiKeyMissing');
+    if (check.count !== undefined) detail += t('admin.count', { count: check.count });
+    if (name === 'settings') detail += check.source === 'file' ? t('admin.settingsChanged', { time: formatTime(check.updated_at) }) : t('admin.settingsEnv');
+    if (check.error) detail += ` - ${check.error}`;
+    rows.push([CHECK_LABELS[name] ? t(CHECK_LABELS[name]) : name, detail, check.ok ? 'ok' : 'ng']);
+  }
+  renderRows($('readinessTable'), rows);
+}
+
+// Settings changes from the audit log (/admin/audit)
+function renderHistory(entries) {
+  lastHistory = entries;
+  const table = $('historyTable');
+  table.innerHTML = '';
+  const head = table.createTHead().insertRow();
+  for (const key of HISTORY_COLUMNS) {
+    const th = document.createElement('th');
+    th.textContent = t(key);
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  if (!entries.length) {
+    const td = body.insertRow().insertCell();
+    td.colSpan = HISTORY_COLUMNS.length;
+    td.className = 'note';
+    td.textContent = t('page.noData');
+    return;
+  }
+  for (const e of entries) {
+    const cells = [formatTime(e.ts), ACTION_LABELS[e.action] ? t(ACTION_LABELS[e.action]) : e.action, e.user || '-', e.fields?.join(', ') || '-', e.ip || '-'];
+    const tr = body.insertRow();
+    for (const value of cells) tr.insertCell().textContent = value;
+  }
+}
+
+async function loadHistory() {
+  try {
+    renderHistory((await fetchJson('/admin/audit')).entries);
+  } catch (e) {
+    console.warn('Failed to load settings history', e);
+  }
+}
+
+function fillSelect(select, values, selected) {
+  select.innerHTML = '';
+  for (const value of values) select.add(new Option(value, value));
+  if (selected && !values.includes(selected)) select.add(new Option(t('admin.notAllowed', { value: selected }), selected));
+  select.value = selected;
+}
+
+function renderTurnFields() {
+  const type = $('turn_type').value;
+  for (const field of document.querySelectorAll('[data-turn]')) field.hidden = field.dataset.turn !== type;
+}
+
+// ".env: value" under each field; highlighted when the saved value differs
+function renderHints() {
+  const { defaults, overrides } = config;
+  const hint = (id, key, value) => {
+    const field = $(id).closest('.field');
+    let el = field.querySelector('.hint');
+    if (!el) {
+      el = document.createElement('span');
+      el.className = 'hint';
+      field.appendChild(el);
+    }
+    const changed = key in overrides || (key === 'limits' && id in (overrides.limits || {}));
+    el.textContent = t('admin.envHint', { value: value === '' ? t('page.none') : display(value) }) + (changed ? t('admin.changedHint') : '');
+    el.classList.toggle('changed', changed);
+  };
+  for (const key of ['model', 'allowed_models', 'default_voice', 'allowed_voices', 'max_instructions_chars']) hint(key, key, defaults[key]);
+  hint('default_instructions', 'default_instructions', defaults.default_instructions ? `${defaults.default_instructions.slice(0, 40)}…` : '');
+  hint('turn_type', 'turn_detection', defaults.turn_detection.type || 'server_vad');
+  for (const key of LIMIT_KEYS) hint(key, 'limits', defaults.limits[key]);
+}
+
+function renderForm(settings) {
+  $('allowed_models').value = settings.allowed_models.join(', ');
+  $('allowed_voices').value = settings.allowed_voices.join(', ');
+  fillSelect($('model'), settings.allowed_models, settings.model);
+  fillSelect($('default_voice'), settings.allowed_voices, settings.default_voice);
+  $('default_instructions').value = settings.default_instructions;
+  $('max_instructions_chars').value = settings.max_instructions_chars;
+  const turn = settings.turn_detection || {};
+  $('turn_type').value = turn.type || 'server_vad';
+  for (const key of VAD_NUMBERS) $(key).value = turn[key] ?? '';
+  $('eagerness').value = turn.eagerness || '';
+  renderTurnFields();
+  for (const key of LIMIT_KEYS) $(key).value = settings.limits[key];
+}
+
+function readForm() {
+  const type = $('turn_type').value;
+  const turn = { type };
+  if (type === 'server_vad') {
+    for (const key of VAD_NUMBERS) {
+      if ($(key).value !== '') turn[key] = Number($(key).value);
+    }
+  } else if (type === 'semantic_vad' && $('eagerness').value) {
+    turn.eagerness = $('eagerness').value;
+  }
+  return {
+    model: $('model').value,
+    allowed_models: list($('allowed_models').value),
+    default_voice: $('default_voice').value,
+    allowed_voices: list($('allowed_voices').value),
+    default_instructions: $('default_instructions').value,
+    max_instructions_chars: Number($('max_instructions_chars').value),
+    turn_detection: turn,
+    limits: Object.fromEntries(LIMIT_KEYS.map(key => [key, Number($(key).value)]))
+  };
+}
+
+// Everything but the form values, which may hold unsaved edits
+function renderText() {
+  renderReadiness(config.readiness);
+  renderHints();
+  $('settingsFile').textContent = t('admin.savedTo', { file: config.file });
+  renderRows($('serverTable'), Object.entries(config.server).map(([key, value]) => [SERVER_LABELS[key] ? t(SERVER_LABELS[key]) : key, display(value)]));
+}
+
+function render(data) {
+  config = data;
+  renderForm(data.settings);
+  renderText();
+  $('errors').innerHTML = '';
+}
+
+function showDetails(details = []) {
+  $('errors').innerHTML = '';
+  for (const detail of details) {
+    const li = document.createElement('li');
+    li.textContent = detail;
+    $('errors').appendChild(li);
+  }
+}
+
+async function save(e) {
+  e.preventDefault();
+  const next = readForm();
+  // Only what changed, so untouched fields keep following .env
+  const patch = Object.fromEntries(Object.entries(next).filter(([key, value]) =>
+    JSON.stringify(value) !== JSON.stringify(config.settings[key])));
+  if (patch.limits) {
+    patch.limits = Object.fromEntries(Object.entries(patch.limits).filter(([key, value]) => value !== config.settings.limits[key]));
+  }
+  if (!Object.keys(patch).length) {
+    setStatus('admin.noChanges');
+    return;
+  }
+  try {
+    render(await fetchJson('/admin/config', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(patch)
+    }));
+    setStatus('admin.saved', { fields: Object.keys(patch).join(', ') });
+    loadHistory();
+  } catch (err) {
+    console.error('Failed to save settings', err);
+    showError(err);
+    showDetails(err.details);
+  }
+}
+
+async function reset() {
+  if (!window.confirm(t('admin.confirmReset'))) return;
+  try {
+    render(await fetchJson('/admin/config', { method: 'DELETE' }));
+    setStatus('admin.resetDone');
+    loadHistory();
+  } catch (err) {
+    console.error('Failed to reset settings', err);
+    showError(err);
+  }
+}
+
+async function load() {
+  try {
+    render(await fetchJson('/admin/config'));
+    await loadHistory();
+    setStatus('page.updated', { time: formatTime(new Date().toISOString()) });
+  } catch (e) {
+    console.error('Failed to load settings', e);
+    showError(e);
+  }
+}
+
+// The default must be on the allowlist, so the choices follow it as it is edited
+function fillDefaults() {
+  fillSelect($('model'), list($('allowed_models').value), $('model').value);
+  fillSelect($('default_voice'), list($('allowed_voices').value), $('default_voice').value);
+}
+
+function applyLanguage(lang) {
+  setLanguage(lang);
+  applyTranslations();
+  $('language').value = getLanguage();
+  if (lastStatus) setStatus(lastStatus.key, lastStatus.params);
+  if (config) {
+    renderText();
+    fillDefaults();
+  }
+  if (lastHistory) renderHistory(lastHistory);
+}
+
+$('turn_type').addEventListener('change', renderTurnFields);
+$('allowed_models').addEventListener('change', fillDefaults);
+$('allowed_voices').addEventListener('change', fillDefaults);
+$('settingsForm').addEventListener('submit', save);
+$('resetButton').addEventListener('click', reset);
+$('language').addEventListener('change', () => applyLanguage($('language').value));
+
+applyLanguage(loadLanguage());
+load();
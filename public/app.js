@@ -1,17 +1,54 @@
-let pc = null;
-let micStream = null;
-let dc = null;
-let isConnected = false;
-let isRecording = false;
-let aiBuffer = '';
-// Track prompt status (informational only)
-let promptApplied = false;
-// No external TTS; audio is received from OpenAI over WebRTC
+import {
+  loadSessions, persistSession, deleteSession, formatTranscript, sessionTitle, toJSON, toMarkdown, toSRT, toWebVTT, downloadText
+} from './conversation.js';
+import { RealtimeClient, RECONNECT_MAX_ATTEMPTS, stopTracks } from './realtime-client.js';
+import {
+  loadAudioSettings, saveAudioSettings, micConstraints, listAudioDevices, canSelectOutput, createLevelMeter
+} from './audio-settings.js';
+import { SETUP_PHASES } from './telemetry.js';
+import { startCallRecording } from './recorder.js';
+import { connectRoom, roomStateFrom } from './room.js';
+import { loadLanguage, setLanguage, getLanguage, t, isDefaultPrompt, applyTranslations } from './i18n.js';
+import { errorInfo, classifyError, classifyMicError, createErrorLog, formatErrorLog } from './errors.js';
+import { registerServiceWorker, createWakeLock, setCallMediaSession, clearCallMediaSession } from './pwa.js';
+
+// The page is one consumer of RealtimeClient (realtime-client.js), which
+// holds the call itself; this file wires it to the controls of index.html,
+// history, personas, rooms, recording and the debug panel.
+
+// Past session shown in the transcript pane while idle (null = current/last call)
+let viewedSession = null;
+// Device and mic processing choices (see audio-settings.js) and live meters
+let audioSettings = loadAudioSettings();
+let micMeter = null;
+let aiMeter = null;
+const TELEMETRY_UPLOAD_KEY = 'realtime-mic.telemetryUpload';
+// Transport: 'webrtc' straight to the realtime API, or 'relay' through our
+// server's WebSocket (see lib/relay.js). The server default comes from /client-config.
+const TRANSPORT_KEY = 'realtime-mic.transport';
+let clientConfig = { transport: 'webrtc', relay: false, recording: false, summary: false };
+// Server-side recording of the current call (see recorder.js), when enabled
+let recorder = null;
+let recordingStarting = false;
+// Error shown in the notice under the status line ({ code, detail, retryAfter })
+// and the local history of errors kept for support requests (see errors.js)
+let currentError = null;
+const errorLog = createErrorLog();
+// Shared room (see room.js): as host this page's call is shown to the guests;
+// as guest the transcript, status and reply audio come from the host
+let room = null;
+// Host's state as last received, while this page is a guest
+let roomView = null;
+// Guest's own mic, open only while the host has passed it the mic
+let guestMic = null;
+// Screen kept on during a call (see pwa.js)
+const wakeLock = createWakeLock();
 
 const els = {
   micButton: document.getElementById('micButton'),
   holdButton: document.getElementById('holdButton'),
   endButton: document.getElementById('endButton'),
+  stopSpeaking: document.getElementById('stopSpeaking'),
   status: document.getElementById('status'),
   audio: document.getElementById('ai'),
   volume: document.getElementById('volume'),
@@ -21,9 +58,77 @@ const els = {
   currentTime: document.getElementById('currentTime'),
   instructions: document.getElementById('instructions'),
   applyPrompt: document.getElementById('applyPrompt'),
+  cancelReconnect: document.getElementById('cancelReconnect'),
+  loginArea: document.getElementById('loginArea'),
+  loginUser: document.getElementById('loginUser'),
+  loginSecret: document.getElementById('loginSecret'),
+  loginButton: document.getElementById('loginButton'),
+  persona: document.getElementById('persona'),
+  personaSave: document.getElementById('personaSave'),
+  personaSaveAs: document.getElementById('personaSaveAs'),
+  personaDelete: document.getElementById('personaDelete'),
+  textInput: document.getElementById('textInput'),
+  sendText: document.getElementById('sendText'),
+  replyAudio: document.getElementById('replyAudio'),
+  turnMode: document.getElementById('turnMode'),
+  serverVadSettings: document.getElementById('serverVadSettings'),
+  semanticVadSettings: document.getElementById('semanticVadSettings'),
+  vadThreshold: document.getElementById('vadThreshold'),
+  vadPrefix: document.getElementById('vadPrefix'),
+  vadSilence: document.getElementById('vadSilence'),
+  vadEagerness: document.getElementById('vadEagerness'),
   voice: document.getElementById('voice'),
+  historyList: document.getElementById('historyList'),
+  exportJson: document.getElementById('exportJson'),
+  exportMarkdown: document.getElementById('exportMarkdown'),
+  exportSrt: document.getElementById('exportSrt'),
+  exportVtt: document.getElementById('exportVtt'),
+  inputDevice: document.getElementById('inputDevice'),
+  outputDevice: document.getElementById('outputDevice'),
+  outputNote: document.getElementById('outputNote'),
+  echoCancellation: document.getElementById('echoCancellation'),
+  noiseSuppression: document.getElementById('noiseSuppression'),
+  autoGainControl: document.getElementById('autoGainControl'),
+  micMeter: document.getElementById('micMeter'),
+  aiMeter: document.getElementById('aiMeter'),
+  debugSetup: document.getElementById('debugSetup'),
+  debugStats: document.getElementById('debugStats'),
+  debugTurns: document.getElementById('debugTurns'),
+  telemetryUpload: document.getElementById('telemetryUpload'),
+  transport: document.getElementById('transport'),
+  recordingBadge: document.getElementById('recordingBadge'),
+  language: document.getElementById('language'),
+  errorNotice: document.getElementById('errorNotice'),
+  errorTitle: document.getElementById('errorTitle'),
+  errorHint: document.getElementById('errorHint'),
+  errorDetail: document.getElementById('errorDetail'),
+  errorRetry: document.getElementById('errorRetry'),
+  errorDismiss: document.getElementById('errorDismiss'),
+  errorLog: document.getElementById('errorLog'),
+  errorLogCopy: document.getElementById('errorLogCopy'),
+  errorLogClear: document.getElementById('errorLogClear'),
+  roomArea: document.getElementById('roomArea'),
+  roomName: document.getElementById('roomName'),
+  roomCode: document.getElementById('roomCode'),
+  roomCreate: document.getElementById('roomCreate'),
+  roomJoin: document.getElementById('roomJoin'),
+  roomLeave: document.getElementById('roomLeave'),
+  roomInfo: document.getElementById('roomInfo'),
+  roomMembers: document.getElementById('roomMembers'),
+  summaryCard: document.getElementById('summaryCard'),
+  summaryBody: document.getElementById('summaryBody'),
+  offlineBanner: document.getElementById('offlineBanner'),
 };
 
+const client = new RealtimeClient({
+  audioElement: els.audio,
+  transport: () => selectedTransport(),
+  session: () => sessionRequestBody(),
+  micConstraints: () => micConstraints(audioSettings),
+  language: () => getLanguage(),
+  unheardText: () => t('transcript.unheard')
+});
+
 function updateClock() {
   const now = new Date();
   const hours = now.getHours();
@@ -59,414 +164,1143 @@ function ensureAudioPlayback() {
 
 // No ElevenLabs voice preloading required
 
-function setStatus(s) {
-  els.status.textContent = s;
+// Status line: a catalog key with params, re-rendered when the language
+// changes. setStatusText shows text as is (messages from the server).
+let lastStatus = null; // { key, params }
+
+function setStatus(key, params) {
+  lastStatus = { key, params };
+  els.status.textContent = t(key, params);
+  publishRoomState();
+}
+
+function setStatusText(text) {
+  lastStatus = null;
+  els.status.textContent = text;
+  publishRoomState();
+}
+
+// Records the error and shows what happened and what to do about it. detail
+// is shown as is (validation messages, the upstream's own message).
+function showError(code, { detail = '', status, context, retryAfter } = {}) {
+  console.warn('[error]', code, context || '', status || '', detail);
+  errorLog.add({ code, message: detail, status, context, transport: selectedTransport() });
+  currentError = { code, detail, retryAfter };
+  renderErrorNotice();
+  renderErrorLog();
+}
+
+function hideError() {
+  currentError = null;
+  renderErrorNotice();
+}
+
+function renderErrorNotice() {
+  if (!els.errorNotice) return;
+  els.errorNotice.hidden = !currentError;
+  if (!currentError) return;
+  const { code, detail, retryAfter } = currentError;
+  els.errorTitle.textContent = t(`error.${code}`);
+  els.errorHint.textContent = retryAfter ? t('error.rate_limited.wait', { seconds: retryAfter }) : t(`error.${code}.hint`);
+  els.errorDetail.textContent = detail ? t('error.detail', { detail }) : '';
+  els.errorDetail.hidden = !detail;
+  els.errorRetry.hidden = !errorInfo(code).retry;
+}
+
+function renderErrorLog() {
+  if (!els.errorLog) return;
+  const entries = errorLog.list();
+  els.errorLog.textContent = entries.length ? formatErrorLog(entries) : t('errors.empty');
+}
+
+// Retry button: asks for the failed reply again on a live call, otherwise
+// starts a new call
+function retryAfterError() {
+  const code = currentError?.code;
+  hideError();
+  // Guests have no call of their own to retry
+  if (!code || client.reconnecting || (room && !room.isHost)) return;
+  if (errorInfo(code).retry === 'response' && client.open) {
+    client.sendEvent({ type: 'response.create' });
+    return;
+  }
+  if (client.active) client.disconnect();
+  startCall();
 }
 
 function setTranscript(text) {
   els.transcript.textContent = text;
 }
 
-function appendTranscript(text) {
-  if (!text) return;
-  // Clear placeholder if present (JP/EN)
-  const placeholderJP = 'マイクを許可して、話しかけてください。';
-  const placeholderEN = 'Tap the microphone to start speaking...';
-  const curr = els.transcript.textContent;
-  const base = (curr.includes(placeholderJP) || curr.includes(placeholderEN)) ? '' : curr;
-  els.transcript.textContent = base + text;
+function renderTranscript() {
+  publishRoomState();
+  const session = roomView || viewedSession || client.conversation;
+  const text = session ? formatTranscript(session, { interrupted: t('transcript.interrupted') }) : '';
+  els.transcript.textContent = text ? text + '\n' : t('transcript.placeholder');
   try { els.transcript.parentElement.scrollTop = els.transcript.parentElement.scrollHeight; } catch {}
+  renderSummary(roomView ? null : session?.summary);
 }
 
-function flushAiSubtitle(prefix = 'AI: ') {
-  const text = aiBuffer.trim();
-  if (text) appendTranscript(`${prefix}${text}\n`);
-  aiBuffer = '';
-}
-
-function updateUI(state) {
-  const setMicEnabled = (on) => {
-    try { if (micStream) micStream.getAudioTracks().forEach(t => t.enabled = !!on); } catch {}
-  };
-  switch (state) {
-    case 'idle':
-      if (els.micButton) els.micButton.classList.remove('recording');
-      if (els.waveform) els.waveform.classList.remove('active');
-      if (els.liveIndicator) els.liveIndicator.classList.remove('active');
-      isRecording = false;
-      setMicEnabled(false);
-      break;
-    case 'recording':
-      if (els.micButton) els.micButton.classList.add('recording');
-      if (els.waveform) els.waveform.classList.add('active');
-      if (els.liveIndicator) els.liveIndicator.classList.add('active');
-      isRecording = true;
-      isConnected = true;
-      setMicEnabled(true);
-      break;
-    case 'connected':
-      isConnected = true;
-      setStatus('Connected - Tap mic to speak');
-      setMicEnabled(false);
-      break;
-    case 'connecting':
-      setStatus('Connecting...');
-      setMicEnabled(false);
-      break;
-    case 'error':
-      setStatus('Connection failed');
-      updateUI('idle');
-      break;
-  }
-}
-
-async function connect() {
-  console.log('connect() function called');
-  if (pc) {
-    console.log('Already has pc connection, returning');
+function renderSummary(summary) {
+  if (!els.summaryCard) return;
+  const sections = summary?.sections || [];
+  els.summaryCard.hidden = !sections.length;
+  els.summaryBody.innerHTML = '';
+  for (const { title, value } of sections) {
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    let body;
+    if (Array.isArray(value)) {
+      body = document.createElement('ul');
+      for (const item of value) {
+        const li = document.createElement('li');
+        li.textContent = item;
+        body.appendChild(li);
+      }
+    } else {
+      body = document.createElement('p');
+      body.textContent = value;
+    }
+    els.summaryBody.append(heading, body);
+  }
+}
+
+function renderHistory() {
+  if (!els.historyList) return;
+  const sessions = loadSessions();
+  els.historyList.innerHTML = '';
+  if (!sessions.length) {
+    const li = document.createElement('li');
+    li.className = 'history-empty';
+    li.textContent = t('history.empty');
+    els.historyList.appendChild(li);
     return;
   }
+  for (const s of sessions) {
+    const li = document.createElement('li');
+    const selected = (viewedSession || client.conversation)?.id === s.id;
+    if (selected) li.classList.add('selected');
+    const open = document.createElement('button');
+    open.className = 'history-open';
+    open.textContent = sessionTitle(s);
+    open.addEventListener('click', () => {
+      // Keep the live transcript on screen during a call
+      if (client.connected) return;
+      viewedSession = s;
+      renderTranscript();
+      renderHistory();
+    });
+    const del = document.createElement('button');
+    del.className = 'history-delete';
+    del.title = t('history.delete');
+    del.textContent = '🗑';
+    del.addEventListener('click', () => {
+      deleteSession(s.id);
+      if (viewedSession?.id === s.id) viewedSession = null;
+      if (client.conversation?.id === s.id && !client.connected) client.conversation = null;
+      renderTranscript();
+      renderHistory();
+    });
+    li.append(open, del);
+    els.historyList.appendChild(li);
+  }
+}
 
-  console.log('Updating UI to connecting state');
-  updateUI('connecting');
+function exportSession(format) {
+  const session = viewedSession || client.conversation || loadSessions()[0];
+  if (!session) {
+    setStatus('status.noExport');
+    return;
+  }
+  const stamp = new Date(session.startedAt).toISOString().replace(/[:.]/g, '-');
+  const base = `conversation-${stamp}`;
+  if (format === 'json') downloadText(`${base}.json`, toJSON(session), 'application/json');
+  else if (format === 'md') downloadText(`${base}.md`, toMarkdown(session), 'text/markdown');
+  else if (format === 'srt') downloadText(`${base}.srt`, toSRT(session), 'application/x-subrip');
+  else if (format === 'vtt') downloadText(`${base}.vtt`, toWebVTT(session), 'text/vtt');
+}
 
-  console.log('Requesting microphone access...');
-  try {
-    micStream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true
-      }
-    });
-    console.log('Microphone access granted with enhanced settings');
-  } catch (err1) {
-    console.warn('Mic constraints failed, retrying with audio:true', err1);
-    try {
-      micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      console.log('Microphone access granted with basic settings');
-    } catch (err2) {
-      console.error('Mic error:', err2);
-      setStatus('Microphone permission denied');
-      updateUI('error');
+// Prompt from the textarea; when it is empty and no persona supplies one,
+// the default prompt of the UI language
+function currentInstructions() {
+  const text = (els.instructions?.value || '').trim();
+  if (text || els.persona?.value) return text;
+  return t('prompt.default');
+}
+
+// Body for POST /session, also sent as relay.start over the relay transport
+function sessionRequestBody() {
+  const body = { modalities: ['text', 'audio'], voice: (els.voice?.value || 'alloy').trim() };
+  const instructions = currentInstructions();
+  if (instructions) body.instructions = instructions;
+  // The persona supplies VAD and tool settings; text fields above still win
+  if (els.persona?.value) body.persona = els.persona.value;
+  const turnDetection = turnDetectionSettings();
+  if (turnDetection) body.turn_detection = turnDetection;
+  return body;
+}
+
+// Mic button, waveform and live indicator follow whether the mic is open
+function renderListening() {
+  const on = client.listening;
+  els.micButton?.classList.toggle('recording', on);
+  els.waveform?.classList.toggle('active', on);
+  els.liveIndicator?.classList.toggle('active', on);
+}
+
+function renderMicLabel() {
+  if (els.micButton) els.micButton.textContent = t(client.isPushToTalk ? 'controls.holdToTalk' : 'controls.talk');
+}
+
+function showReconnectControls(on) {
+  if (els.cancelReconnect) els.cancelReconnect.hidden = !on;
+}
+
+client.on('status', ({ key, params }) => setStatus(key, params));
+client.on('error', (error) => {
+  if (error.code === 'login_required') showLogin(true);
+  showError(error.code, error);
+});
+client.on('state', ({ state }) => showReconnectControls(state === 'reconnecting'));
+client.on('listening', () => {
+  renderListening();
+  if (client.connected) renderMediaSession();
+});
+client.on('transcript', renderTranscript);
+client.on('turn', () => persistSession(client.conversation));
+client.on('interrupted', () => persistSession(client.conversation));
+client.on('response', () => {
+  persistSession(client.conversation);
+  renderHistory();
+});
+client.on('session', ({ info }) => {
+  viewedSession = null;
+  renderMicLabel();
+  wakeLock.acquire();
+  renderMediaSession();
+  // A reconnect continues the recording of the same call
+  if (clientConfig.recording && !recorder && !recordingStarting) startRecording(info);
+});
+client.on('open', () => {
+  hideError();
+  // A guest may already hold the room's mic
+  if (room?.isHost && !room.hasFloor) client.useInput(room.incomingStream);
+});
+client.on('micstream', ({ stream }) => {
+  startMicMeter(stream);
+  // Device labels become available once permission is granted
+  refreshDevices();
+  recorder?.setMicStream(stream);
+});
+client.on('remotestream', ({ stream }) => {
+  recorder?.setRemoteStream(stream);
+  if (room?.isHost) room.setReplyStream(stream);
+  startAiMeter(stream);
+});
+client.on('message', ({ event }) => recorder?.addEvent('server', event));
+client.on('send', ({ event }) => recorder?.addEvent('client', event));
+client.on('telemetry', ({ record }) => uploadTelemetry(record));
+client.on('telemetrychange', renderTelemetry);
+// Keep the finished call on screen and in history instead of wiping it
+client.on('close', ({ conversation }) => {
+  stopRecording();
+  wakeLock.release();
+  clearCallMediaSession();
+  micMeter?.stop();
+  micMeter = null;
+  aiMeter?.stop();
+  aiMeter = null;
+  persistSession(conversation);
+  renderTranscript();
+  renderHistory();
+});
+
+// Starts a call from the mic button or a notice's retry button; failures
+// arrive as error events
+function startCall() {
+  if (!navigator.onLine) {
+    setStatus('status.offline');
+    return;
+  }
+  hideError();
+  // Try to play audio while the click still counts as a user gesture
+  els.audio.play().catch(e => {
+    console.log('Audio play failed (expected):', e.message);
+  });
+  setTranscript(t('status.connecting'));
+  client.connect().catch(err => console.warn('Call did not start:', err.message));
+}
+
+els.micButton.addEventListener('click', () => {
+  if (room && !room.isHost) {
+    setStatus('room.guestNoCall');
+  } else if (!client.connected) {
+    startCall();
+  } else if (client.reconnecting) {
+    setStatus('status.reconnecting', { attempt: client.reconnectAttempt, max: RECONNECT_MAX_ATTEMPTS });
+  } else if (!client.isPushToTalk) {
+    // Push-to-talk is handled by pointerdown/pointerup: hold to talk, release to send
+    client.setListening(!client.listening);
+  }
+});
+
+// Summarizes the call first when the server has summaries on; pressing
+// again while the summary is made hangs up without it
+els.endButton.addEventListener('click', () => {
+  client.disconnect({ summary: true });
+});
+
+// Same path as barge-in: cancel, flush queued audio, truncate what was heard
+els.stopSpeaking?.addEventListener('click', () => {
+  if (!client.interrupt()) setStatus('status.notSpeaking');
+});
+
+els.cancelReconnect?.addEventListener('click', () => {
+  client.cancelReconnect();
+});
+
+els.holdButton.addEventListener('click', () => {
+  if (client.listening && client.setListening(false)) setStatus('status.paused');
+});
+
+// Lock screen and media notification controls for the call (see pwa.js)
+function renderMediaSession() {
+  const persona = els.persona?.value ? els.persona.selectedOptions[0]?.textContent : '';
+  setCallMediaSession({
+    title: t('media.title'),
+    artist: persona || 'Realtime Voice Chat',
+    micActive: client.listening,
+    onEnd: () => client.disconnect({ summary: true }),
+    onToggleMic: () => {
+      if (client.isPushToTalk) return;
+      if (client.listening) els.holdButton.click();
+      else client.setListening(true);
+    }
+  });
+}
+
+// A page in the background should not keep sending audio unnoticed (and
+// mobile browsers may cut its mic anyway): pause as the hold button does and
+// say why on return. Push-to-talk sends what was said so far.
+document.addEventListener('visibilitychange', () => {
+  if (!document.hidden || !client.listening) return;
+  if (client.isPushToTalk) {
+    client.stopTalking();
+  } else if (client.setListening(false)) {
+    setStatus('status.pausedHidden');
+  }
+});
+
+// Offline (e.g. the installed app opened from the cache): say so up front
+// instead of failing on connect, and reload what needs the server on return
+function renderConnectivity() {
+  if (els.offlineBanner) els.offlineBanner.hidden = navigator.onLine;
+}
+
+window.addEventListener('offline', renderConnectivity);
+window.addEventListener('online', () => {
+  renderConnectivity();
+  if (client.connected) return;
+  setStatus('status.ready');
+  refreshAuthStatus();
+  loadClientConfig();
+  loadPersonas();
+});
+
+els.volume.addEventListener('input', () => {
+  client.setVolume(parseFloat(els.volume.value));
+});
+
+// Allow live prompt updates from UI
+if (els.applyPrompt) {
+  els.applyPrompt.addEventListener('click', () => {
+    const text = (els.instructions?.value || '').trim();
+    if (!text) {
+      setStatus('status.promptEmpty');
       return;
     }
+    if (client.open) {
+      setStatus(client.updateSession({ instructions: text }) ? 'status.promptApplied' : 'status.promptFailed');
+    } else {
+      setStatus('status.applyAfterConnect');
+    }
+  });
+}
+
+// No external TTS functions
+
+els.exportJson?.addEventListener('click', () => exportSession('json'));
+els.exportMarkdown?.addEventListener('click', () => exportSession('md'));
+els.exportSrt?.addEventListener('click', () => exportSession('srt'));
+els.exportVtt?.addEventListener('click', () => exportSession('vtt'));
+
+function showLogin(on) {
+  if (els.loginArea) els.loginArea.hidden = !on;
+}
+
+async function refreshAuthStatus() {
+  try {
+    const r = await fetch('/auth/status');
+    const data = await r.json();
+    showLogin(data.required && !data.authenticated);
+  } catch (e) {
+    console.warn('Failed to check auth status', e);
   }
-  // Keep mic tracks disabled until user taps to record
-  try { micStream.getAudioTracks().forEach(t => t.enabled = false); } catch {}
+}
 
-  // Fetch ephemeral session after mic is granted
-  setStatus('fetching session…');
-  let sess;
+els.loginButton?.addEventListener('click', async () => {
+  const user = (els.loginUser?.value || '').trim();
+  const secret = els.loginSecret?.value || '';
+  if (!secret) {
+    setStatus('status.loginSecretMissing');
+    return;
+  }
+  // A user name means per-user login; otherwise the secret is the shared token
+  const body = user ? { user, password: secret } : { token: secret };
   try {
-    const body = { modalities: ['text', 'audio'], voice: (els.voice?.value || 'alloy').trim() };
-    if (els.instructions && els.instructions.value.trim()) {
-      body.instructions = els.instructions.value.trim();
-    }
-    const r = await fetch('/session', {
+    const r = await fetch('/auth/login', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(body)
     });
+    const data = await r.json().catch(() => ({}));
     if (!r.ok) {
-      const t = await r.text().catch(() => '');
-      setStatus(`/session ${r.status}: ${t?.slice(0,120) || 'error'}`);
-      cleanup();
-      throw new Error(`Session request failed: ${r.status}`);
+      if (data.error === 'Invalid credentials') setStatus('status.loginInvalid');
+      else if (data.error) setStatusText(data.error);
+      else setStatus('status.loginHttpError', { status: r.status });
+      return;
     }
-    sess = await r.json();
-  } catch (err) {
-    console.error('Session fetch error:', err);
-    setStatus('failed to reach /session');
-    cleanup();
-    throw err;
+    els.loginSecret.value = '';
+    showLogin(false);
+    if (data.user) setStatus('status.loggedInAs', { user: data.user });
+    else setStatus('status.loggedIn');
+    loadPersonas();
+  } catch (e) {
+    console.error('Login failed', e);
+    setStatus('status.loginFailed');
+  }
+});
+
+// Personas: named bundles of instructions, voice, VAD and tools stored on the server
+const PERSONA_KEY = 'realtime-mic.persona';
+let personaList = [];
+
+function selectedPersona() {
+  const id = els.persona?.value || '';
+  return personaList.find(p => p.id === id) || null;
+}
+
+function renderPersonaOptions(selectedId) {
+  if (!els.persona) return;
+  els.persona.innerHTML = '';
+  const custom = document.createElement('option');
+  custom.value = '';
+  custom.textContent = t('persona.custom');
+  els.persona.appendChild(custom);
+  for (const p of personaList) {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    els.persona.appendChild(opt);
   }
-  if (!sess?.client_secret) {
-    setStatus('invalid session response');
-    cleanup();
-    throw new Error('Invalid session response');
+  els.persona.value = personaList.some(p => p.id === selectedId) ? selectedId : '';
+}
+
+async function loadPersonas() {
+  try {
+    const r = await fetch('/personas');
+    if (!r.ok) return; // e.g. 401 until logged in
+    personaList = (await r.json()).personas || [];
+    renderPersonaOptions(localStorage.getItem(PERSONA_KEY) || '');
+  } catch (e) {
+    console.warn('Failed to load personas', e);
   }
+}
 
-  const model = sess.model;
-  const clientSecret = sess.client_secret;
+function fillFromPersona(persona) {
+  if (els.instructions && persona.instructions !== undefined) els.instructions.value = persona.instructions;
+  if (els.voice && persona.voice) {
+    if (![...els.voice.options].some(o => o.value === persona.voice)) {
+      const opt = document.createElement('option');
+      opt.value = persona.voice;
+      opt.textContent = persona.voice;
+      els.voice.appendChild(opt);
+    }
+    els.voice.value = persona.voice;
+  }
+}
 
-  // Create RTCPeerConnection with public STUN and no-trickle ICE
-  pc = new RTCPeerConnection({
-    iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
-  });
+// Switches the live session over to the persona's instructions, voice, VAD and tools
+async function applyPersonaLive(persona) {
+  if (!client.open) return;
+  try {
+    const r = await fetch(`/personas/${encodeURIComponent(persona.id)}/session-config`);
+    if (!r.ok) throw new Error(`session-config ${r.status}`);
+    const session = await r.json();
+    // Turn detection chosen explicitly in the UI wins over the persona's
+    if (turnDetectionSettings()) delete session.turn_detection;
+    if (client.updateSession(session)) {
+      renderMicLabel();
+      setStatus('status.personaApplied', { name: persona.name });
+    }
+  } catch (e) {
+    console.error('Failed to apply persona', e);
+    setStatus('status.personaApplyFailed');
+  }
+}
 
-  // Send mic track to the model (kept disabled until promptApplied).
-  // Allow bidirectional audio so we can receive OpenAI audio responses.
-  micStream.getAudioTracks().forEach(t => {
-    const sender = pc.addTrack(t, micStream);
-    try {
-      const trx = pc.getTransceivers().find(tr => tr.sender === sender);
-      if (trx) trx.direction = 'sendrecv';
-    } catch {}
+async function savePersona(method, url, body) {
+  const r = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
   });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    const details = Array.isArray(data.details) ? `: ${data.details.join(', ')}` : '';
+    throw new Error(`${data.error || `HTTP ${r.status}`}${details}`);
+  }
+  return data;
+}
 
-  // Ensure we can receive AI audio even if no track arrives immediately
-  try { pc.addTransceiver('audio', { direction: 'recvonly' }); } catch {}
+els.persona?.addEventListener('change', () => {
+  const persona = selectedPersona();
+  localStorage.setItem(PERSONA_KEY, persona?.id || '');
+  if (!persona) return;
+  fillFromPersona(persona);
+  applyPersonaLive(persona);
+});
 
-  // Attach remote audio from OpenAI to the audio element
-  pc.ontrack = (event) => {
-    const streamsLen = (event.streams && event.streams.length) || 0;
-    console.log('pc.ontrack: received remote track', { streams: streamsLen, kind: event.track?.kind });
-    try {
-      const stream = streamsLen ? event.streams[0] : new MediaStream([event.track]);
-      els.audio.srcObject = stream;
-      try {
-        const t = stream.getAudioTracks && stream.getAudioTracks()[0];
-        if (t) {
-          console.log('remote audio track:', { enabled: t.enabled, muted: t.muted, readyState: t.readyState });
-          t.onunmute = () => { console.log('remote audio track: unmuted'); ensureAudioPlayback(); };
-          t.onended = () => console.log('remote audio track: ended');
-        }
-      } catch {}
-      ensureAudioPlayback();
-    } catch {}
-  };
-
-  // Data channel for events (subtitles)
-  const handleEventMessage = (data) => {
-    try {
-      const msg = JSON.parse(data);
-      if (msg?.type === 'response.created') {
-        aiBuffer = '';
-      } else if (msg?.type === 'input_audio_buffer.committed') {
-        // When VAD commits a user turn, ask the model to respond with audio
-        if (dc && dc.readyState === 'open') {
-          try {
-            dc.send(JSON.stringify({ type: 'response.create', response: { conversation: 'auto', modalities: ['audio','text'] } }));
-            console.debug('sent: response.create (on committed)');
-          } catch (e) { console.warn('failed to send response.create', e); }
-        }
-      } else if (msg?.type === 'response.output_text.delta') {
-        aiBuffer += (msg.delta || '');
-      } else if (msg?.type === 'response.audio_transcript.delta') {
-        // For gpt-realtime: use audio transcript text as the model's reply text
-        aiBuffer += (msg.delta || '');
-      } else if (msg?.type === 'response.output_text.done' || msg?.type === 'response.completed') {
-        flushAiSubtitle('AI: ');
-      } else if (msg?.type === 'response.audio_transcript.done' || msg?.type === 'response.done') {
-        // Flush when audio transcript or overall response completes
-        flushAiSubtitle('AI: ');
-      } else if (msg?.type === 'session.updated') {
-        // Acknowledge prompt update if server emits it
-        promptApplied = true;
-        setStatus('Prompt applied');
-      } else if (msg?.type === 'error' || msg?.type === 'response.error') {
-        try { console.error('Realtime error event:', JSON.stringify(msg)); } catch { console.error('Realtime error event:', msg); }
-      } else if (msg?.type === 'output_audio_buffer.started') {
-        ensureAudioPlayback();
-      } else {
-        // Minimal debug for unknown realtime events to help diagnose STT
-        if (msg?.type) console.log('oai event:', msg.type);
-      }
-    } catch {
-      // ignore non-JSON
-    }
-  };
-  // Create the OpenAI events data channel proactively
-  const attachChannel = (ch) => {
-    dc = ch;
-    ch.onopen = () => {
-      console.log('dc.onopen readyState=', ch.readyState);
-      const text = (els.instructions?.value || '').trim();
-      const voice = (els.voice?.value || 'alloy').trim();
-      if (text) {
-        try {
-          ch.send(JSON.stringify({ type: 'session.update', session: { instructions: text, voice } }));
-          console.debug('sent: session.update');
-        } catch {}
-      } else if (voice) {
-        try {
-          ch.send(JSON.stringify({ type: 'session.update', session: { voice } }));
-          console.debug('sent: session.update (voice)');
-        } catch {}
-      }
-      updateUI('recording');
-      setStatus('Listening...');
-    };
-    ch.onmessage = (ev) => handleEventMessage(ev.data);
-    ch.onclose = () => console.debug('dc.onclose');
-    ch.onerror = (e) => console.warn('dc.onerror', e);
-  };
+els.personaSave?.addEventListener('click', async () => {
+  const persona = selectedPersona();
+  if (!persona) {
+    setStatus('status.personaSelect');
+    return;
+  }
+  try {
+    const updated = await savePersona('PUT', `/personas/${encodeURIComponent(persona.id)}`, {
+      instructions: (els.instructions?.value || '').trim(),
+      voice: (els.voice?.value || '').trim()
+    });
+    personaList = personaList.map(p => (p.id === updated.id ? updated : p));
+    setStatus('status.personaSaved', { name: updated.name });
+  } catch (e) {
+    setStatus('status.personaSaveFailed', { error: e.message });
+  }
+});
 
+els.personaSaveAs?.addEventListener('click', async () => {
+  const name = (window.prompt(t('persona.namePrompt')) || '').trim();
+  if (!name) return;
+  // Keep VAD and tool settings of the persona the new one is derived from
+  const base = selectedPersona();
+  const body = { name, instructions: (els.instructions?.value || '').trim(), voice: (els.voice?.value || '').trim() };
+  if (base?.vad) body.vad = base.vad;
+  if (base?.tools) body.tools = base.tools;
   try {
-    attachChannel(pc.createDataChannel('oai-events'));
-  } catch {}
+    const created = await savePersona('POST', '/personas', body);
+    personaList.push(created);
+    localStorage.setItem(PERSONA_KEY, created.id);
+    renderPersonaOptions(created.id);
+    setStatus('status.personaCreated', { name: created.name });
+  } catch (e) {
+    setStatus('status.personaCreateFailed', { error: e.message });
+  }
+});
 
-  pc.ondatachannel = (event) => attachChannel(event.channel);
+els.personaDelete?.addEventListener('click', async () => {
+  const persona = selectedPersona();
+  if (!persona || !window.confirm(t('persona.confirmDelete', { name: persona.name }))) return;
+  try {
+    const r = await fetch(`/personas/${encodeURIComponent(persona.id)}`, { method: 'DELETE' });
+    if (!r.ok && r.status !== 404) throw new Error(`HTTP ${r.status}`);
+    personaList = personaList.filter(p => p.id !== persona.id);
+    localStorage.setItem(PERSONA_KEY, '');
+    renderPersonaOptions('');
+    setStatus('status.personaDeleted', { name: persona.name });
+  } catch (e) {
+    setStatus('status.personaDeleteFailed', { error: e.message });
+  }
+});
 
-  // Removed legacy data channel block that re-enabled OpenAI audio
+// Typed messages go over the same data channel as voice turns
+const REPLY_AUDIO_KEY = 'realtime-mic.replyAudio';
 
-  pc.onconnectionstatechange = () => {
-    console.log('pc.connectionState:', pc.connectionState);
-    setStatus(pc.connectionState);
-    if (pc.connectionState === 'failed' || pc.connectionState === 'closed') {
-      cleanup();
-    } else if (pc.connectionState === 'disconnected') {
-      // 'disconnected' is temporary, don't cleanup immediately
-      setStatus('Connection temporarily lost, attempting to reconnect...');
-    }
-  };
-  pc.onsignalingstatechange = () => console.log('pc.signalingState:', pc.signalingState);
-  pc.oniceconnectionstatechange = () => console.log('pc.iceConnectionState:', pc.iceConnectionState);
-  pc.onicegatheringstatechange = () => console.log('pc.iceGatheringState:', pc.iceGatheringState);
-  pc.onicecandidate = (e) => { if (!e.candidate) console.log('pc.onicecandidate: all candidates gathered'); };
-
-  // Create SDP offer
-  setStatus('creating offer…');
-  const offer = await pc.createOffer();
-  await pc.setLocalDescription(offer);
-  // Wait for ICE gathering to complete since we use non-trickle HTTP exchange
-  await new Promise((resolve) => {
-    if (pc.iceGatheringState === 'complete') return resolve();
-    const check = () => {
-      if (pc.iceGatheringState === 'complete') {
-        pc.removeEventListener('icegatheringstatechange', check);
-        resolve();
-      }
-    };
-    pc.addEventListener('icegatheringstatechange', check);
-    // Fallback timeout (2s)
-    setTimeout(() => { pc.removeEventListener('icegatheringstatechange', check); resolve(); }, 2000);
+function sendTypedMessage() {
+  const text = (els.textInput?.value || '').trim();
+  if (!text) return;
+  if (!client.open) {
+    setStatus('status.sendAfterConnect');
+    return;
+  }
+  const audio = els.replyAudio ? els.replyAudio.checked : true;
+  if (client.sendText(text, { audio })) {
+    els.textInput.value = '';
+    setStatus(audio ? 'status.messageSent' : 'status.messageSentText');
+  } else {
+    setStatus('status.messageFailed');
+  }
+}
+
+els.sendText?.addEventListener('click', sendTypedMessage);
+els.textInput?.addEventListener('keydown', (e) => {
+  // Enter sends; keep IME composition (Japanese input) from triggering it
+  if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+    e.preventDefault();
+    sendTypedMessage();
+  }
+});
+if (els.replyAudio) {
+  els.replyAudio.checked = localStorage.getItem(REPLY_AUDIO_KEY) !== 'false';
+  els.replyAudio.addEventListener('change', () => {
+    localStorage.setItem(REPLY_AUDIO_KEY, String(els.replyAudio.checked));
   });
+}
+
+// Turn detection: server VAD, semantic VAD or push-to-talk ("none")
+const TURN_SETTINGS_KEY = 'realtime-mic.turnDetection';
+
+// Settings chosen in the UI, or null to follow the persona/server default
+function turnDetectionSettings() {
+  const type = els.turnMode?.value || '';
+  if (!type) return null;
+  if (type === 'server_vad') {
+    const settings = { type };
+    const num = (el) => (el && el.value !== '' ? Number(el.value) : undefined);
+    const threshold = num(els.vadThreshold);
+    const prefix = num(els.vadPrefix);
+    const silence = num(els.vadSilence);
+    if (threshold !== undefined) settings.threshold = threshold;
+    if (prefix !== undefined) settings.prefix_padding_ms = prefix;
+    if (silence !== undefined) settings.silence_duration_ms = silence;
+    return settings;
+  }
+  if (type === 'semantic_vad') return { type, eagerness: els.vadEagerness?.value || 'auto' };
+  return { type: 'none' };
+}
+
+// Same shape the server sends upstream (see lib/turn-detection.js)
+function toSessionTurnDetection(settings) {
+  if (settings.type === 'none') return null;
+  return { ...settings, create_response: false };
+}
 
-  // Exchange SDP directly with OpenAI Realtime endpoint using ephemeral key
-  setStatus('exchanging SDP…');
-  let answer;
+function renderTurnSettings() {
+  const type = els.turnMode?.value || '';
+  if (els.serverVadSettings) els.serverVadSettings.hidden = type !== 'server_vad';
+  if (els.semanticVadSettings) els.semanticVadSettings.hidden = type !== 'semantic_vad';
+}
+
+function saveTurnSettings() {
+  const settings = turnDetectionSettings();
+  localStorage.setItem(TURN_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+function restoreTurnSettings() {
   try {
-    const sdpResponse = await fetch(`https://api.openai.com/v1/realtime?model=${encodeURIComponent(model)}`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${clientSecret}`,
-        'Content-Type': 'application/sdp',
-        'Accept': 'application/sdp',
-        'OpenAI-Beta': 'realtime=v1'
-      },
-      body: pc.localDescription.sdp
-    });
-    if (!sdpResponse.ok) {
-      const errText = await sdpResponse.text().catch(() => '');
-      setStatus('SDP exchange failed');
-      console.error('SDP exchange error:', errText);
-      cleanup();
-      throw new Error(`SDP exchange failed: ${sdpResponse.status}`);
+    const settings = JSON.parse(localStorage.getItem(TURN_SETTINGS_KEY) || 'null');
+    if (settings?.type && els.turnMode) {
+      els.turnMode.value = settings.type;
+      if (settings.threshold !== undefined && els.vadThreshold) els.vadThreshold.value = settings.threshold;
+      if (settings.prefix_padding_ms !== undefined && els.vadPrefix) els.vadPrefix.value = settings.prefix_padding_ms;
+      if (settings.silence_duration_ms !== undefined && els.vadSilence) els.vadSilence.value = settings.silence_duration_ms;
+      if (settings.eagerness && els.vadEagerness) els.vadEagerness.value = settings.eagerness;
     }
-    answer = await sdpResponse.text();
-  } catch (err) {
-    console.error('SDP exchange network error:', err);
-    setStatus('SDP exchange network error');
-    cleanup();
-    throw err;
+  } catch {}
+  renderTurnSettings();
+}
+
+function applyTurnSettingsLive() {
+  saveTurnSettings();
+  renderTurnSettings();
+  const settings = turnDetectionSettings();
+  if (!client.open) return;
+  if (!settings) {
+    setStatus('status.turnDefaultNextCall');
+    return;
+  }
+  if (client.updateSession({ turn_detection: toSessionTurnDetection(settings) })) {
+    renderMicLabel();
+    setStatus(client.idleStatus);
+  }
+}
+
+els.micButton.addEventListener('pointerdown', (e) => {
+  if (!client.connected || !client.isPushToTalk) return;
+  e.preventDefault();
+  try { els.micButton.setPointerCapture(e.pointerId); } catch {}
+  client.startTalking();
+});
+['pointerup', 'pointercancel', 'lostpointercapture'].forEach((type) => {
+  els.micButton.addEventListener(type, () => client.stopTalking());
+});
+
+// Space bar works as the talk key unless the user is typing somewhere
+const isTypingTarget = (el) => el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+document.addEventListener('keydown', (e) => {
+  if (e.code !== 'Space' || e.repeat || isTypingTarget(e.target) || !client.connected || !client.isPushToTalk) return;
+  e.preventDefault();
+  client.startTalking();
+});
+document.addEventListener('keyup', (e) => {
+  if (e.code !== 'Space' || !client.talking) return;
+  e.preventDefault();
+  client.stopTalking();
+});
+
+els.turnMode?.addEventListener('change', applyTurnSettingsLive);
+[els.vadThreshold, els.vadPrefix, els.vadSilence, els.vadEagerness].forEach((el) => {
+  el?.addEventListener('change', applyTurnSettingsLive);
+});
+
+// Audio settings panel: devices, mic processing and level meters
+
+function startMicMeter(stream) {
+  if (micMeter) micMeter.stop();
+  micMeter = createLevelMeter(stream, els.micMeter);
+}
+
+function startAiMeter(stream) {
+  if (aiMeter) aiMeter.stop();
+  aiMeter = createLevelMeter(stream, els.aiMeter, { color: '#36c' });
+}
+
+function fillDeviceSelect(select, devices, selectedId) {
+  if (!select) return;
+  select.innerHTML = '';
+  const def = document.createElement('option');
+  def.value = '';
+  def.textContent = t('audio.defaultDevice');
+  select.appendChild(def);
+  for (const d of devices) {
+    // 'default' and 'communications' duplicate real devices in Chrome
+    if (!d.id || d.id === 'default' || d.id === 'communications') continue;
+    const opt = document.createElement('option');
+    opt.value = d.id;
+    opt.textContent = d.label;
+    select.appendChild(opt);
   }
-  await pc.setRemoteDescription({ type: 'answer', sdp: answer });
-  console.debug('Remote SDP applied');
+  select.value = devices.some(d => d.id === selectedId) ? selectedId : '';
+}
 
-  // Mark connected state will be handled on data channel open
+async function refreshDevices() {
+  try {
+    const { inputs, outputs } = await listAudioDevices({ input: t('audio.mic'), output: t('audio.speaker') });
+    fillDeviceSelect(els.inputDevice, inputs, audioSettings.inputId);
+    fillDeviceSelect(els.outputDevice, outputs, audioSettings.outputId);
+  } catch (e) {
+    console.warn('Failed to list audio devices', e);
+  }
 }
 
-function stopTracks(stream) {
-  if (!stream) return;
-  stream.getTracks().forEach(t => t.stop());
+function updateAudioSettings(patch) {
+  audioSettings = { ...audioSettings, ...patch };
+  saveAudioSettings(audioSettings);
 }
 
-function cleanup() {
-  try { if (dc) dc.close(); } catch {}
-  dc = null;
-  try { if (pc) pc.close(); } catch {}
-  pc = null;
-  stopTracks(micStream);
-  micStream = null;
-  isConnected = false;
-  updateUI('idle');
-  setStatus('Ready to connect');
-  setTranscript('Tap the microphone to start speaking...');
+async function applyOutputDevice() {
+  if (!canSelectOutput(els.audio)) return;
+  try {
+    await els.audio.setSinkId(audioSettings.outputId || '');
+  } catch (e) {
+    console.warn('Failed to set output device', e);
+    setStatus('status.outputDeviceFailed');
+  }
 }
 
-async function disconnect() {
-  cleanup();
+function restoreAudioSettings() {
+  if (els.echoCancellation) els.echoCancellation.checked = audioSettings.echoCancellation;
+  if (els.noiseSuppression) els.noiseSuppression.checked = audioSettings.noiseSuppression;
+  if (els.autoGainControl) els.autoGainControl.checked = audioSettings.autoGainControl;
+  const outputSupported = canSelectOutput(els.audio);
+  if (els.outputDevice) els.outputDevice.disabled = !outputSupported;
+  if (els.outputNote) els.outputNote.hidden = outputSupported;
+  refreshDevices();
+  applyOutputDevice();
 }
 
-els.micButton.addEventListener('click', (event) => {
-  console.log('Microphone button clicked!', { isConnected, isRecording });
+els.inputDevice?.addEventListener('change', () => {
+  updateAudioSettings({ inputId: els.inputDevice.value });
+  client.restartMicrophone();
+});
 
-  if (!isConnected) {
-    console.log('Starting connection process...');
+els.outputDevice?.addEventListener('change', () => {
+  updateAudioSettings({ outputId: els.outputDevice.value });
+  applyOutputDevice();
+});
 
-    // Try to play audio without await first
-    els.audio.play().catch(e => {
-      console.log('Audio play failed (expected):', e.message);
-    });
+for (const key of ['echoCancellation', 'noiseSuppression', 'autoGainControl']) {
+  els[key]?.addEventListener('change', () => {
+    updateAudioSettings({ [key]: els[key].checked });
+    client.restartMicrophone();
+  });
+}
 
-    console.log('Setting transcript...');
-    setTranscript('Connecting...');
+navigator.mediaDevices?.addEventListener?.('devicechange', refreshDevices);
 
-    console.log('About to call connect()');
+// Debug panel: setup phases, per-turn latency and getStats() figures
 
-    // Call connect function
-    const connectPromise = connect();
-    console.log('Connect function called, promise:', connectPromise);
+const ms = (v) => (v === null || v === undefined ? '-' : `${Math.round(v)}ms`);
 
-    connectPromise.then(() => {
-      console.log('Connect completed successfully');
-    }).catch(err => {
-      console.error('Connection failed:', err);
-      updateUI('error');
-      cleanup();
-    });
+function renderTelemetry() {
+  const snap = client.telemetry.snapshot();
+  if (els.debugSetup) {
+    els.debugSetup.textContent = snap.setup
+      ? `${t(snap.setup.resume ? 'debug.reconnect' : 'debug.connect')}: ` +
+        SETUP_PHASES.filter(p => snap.setup.phases[p] !== undefined).map(p => `${t(`debug.phase.${p}`)} ${ms(snap.setup.phases[p])}`).join(' / ') +
+        (snap.setup.total_ms !== null ? ` / ${t('debug.total')} ${ms(snap.setup.total_ms)}` : ' …')
+      : t('debug.notConnected');
+  }
+  if (els.debugStats) {
+    const st = snap.stats;
+    els.debugStats.textContent = st
+      ? t('debug.stats', {
+        rtt: ms(st.rtt_ms), jitter: st.jitter_ms ?? '-', buffer: ms(st.jitter_buffer_ms), loss: st.loss_pct ?? '-',
+        lost: st.packets_lost ?? '-', received: st.packets_received ?? '-', outboundLoss: st.outbound_loss_pct ?? '-'
+      })
+      : t('debug.noStats');
+  }
+  if (els.debugTurns) {
+    const rows = snap.turns.map(turn => t('debug.turn', {
+      item: turn.item_id || '-', transcript: ms(turn.user_transcript_ms), firstDelta: ms(turn.first_delta_ms), audioStart: ms(turn.audio_start_ms)
+    }));
+    if (rows.length) rows.unshift(t('debug.median', { firstDelta: ms(snap.median_first_delta_ms), audioStart: ms(snap.median_audio_start_ms) }));
+    els.debugTurns.textContent = rows.join('\n') || t('debug.noTurns');
+  }
+}
 
-    console.log('Event handler completing...');
-  } else {
-    console.log('Already connected, toggling recording state');
-    if (isRecording) {
-      updateUI('idle');
-      setStatus('Connected - Tap mic to speak');
-    } else {
-      updateUI('recording');
-      setStatus('Listening...');
+// Optional upload of telemetry records to the server's JSONL log
+function uploadTelemetry(record) {
+  if (!record || !els.telemetryUpload?.checked) return;
+  fetch('/telemetry', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...record, session: client.sessionInfo?.usage_session || null, model: client.conversation?.model || null })
+  }).then(r => {
+    if (r.status === 404) {
+      els.telemetryUpload.checked = false;
+      try { localStorage.setItem(TELEMETRY_UPLOAD_KEY, 'false'); } catch {}
+      setStatus('status.telemetryDisabled');
+    } else if (!r.ok) {
+      console.warn('telemetry upload rejected:', r.status);
     }
+  }).catch(e => console.warn('telemetry upload failed', e));
+}
+
+if (els.telemetryUpload) {
+  try { els.telemetryUpload.checked = localStorage.getItem(TELEMETRY_UPLOAD_KEY) === 'true'; } catch {}
+  els.telemetryUpload.addEventListener('change', () => {
+    try { localStorage.setItem(TELEMETRY_UPLOAD_KEY, String(els.telemetryUpload.checked)); } catch {}
+  });
+}
+
+// Transport choice: '' follows the server default
+function selectedTransport() {
+  const choice = els.transport?.value || '';
+  const transport = choice || clientConfig.transport;
+  return transport === 'relay' && clientConfig.relay ? 'relay' : 'webrtc';
+}
+
+async function loadClientConfig() {
+  try {
+    const r = await fetch('/client-config');
+    if (r.ok) clientConfig = { ...clientConfig, ...(await r.json()) };
+  } catch (e) {
+    console.warn('Failed to load client config', e);
   }
-});
+  client.options.summary = Boolean(clientConfig.summary);
+  renderRecordingBadge(recorder ? 'active' : 'ready');
+  renderRoom();
+  if (!els.transport) return;
+  const relayOption = [...els.transport.options].find(o => o.value === 'relay');
+  if (relayOption) relayOption.disabled = !clientConfig.relay;
+  const saved = localStorage.getItem(TRANSPORT_KEY) || '';
+  els.transport.value = saved === 'relay' && !clientConfig.relay ? '' : saved;
+}
 
-els.endButton.addEventListener('click', () => {
-  disconnect();
+// Recording badge: hidden unless the server records calls, so users can
+// see before and during a call that it is being recorded
+function renderRecordingBadge(state) {
+  const badge = els.recordingBadge;
+  if (!badge) return;
+  badge.hidden = !clientConfig.recording;
+  badge.classList.toggle('active', state === 'active');
+  badge.classList.toggle('error', state === 'error');
+  badge.dataset.state = state;
+  badge.textContent = t({ active: 'recording.active', error: 'recording.error' }[state] || 'recording.badge');
+  badge.title = t(state === 'error' ? 'recording.errorTitle' : 'recording.title');
+}
+
+async function startRecording(info) {
+  recordingStarting = true;
+  try {
+    const r = await startCallRecording({
+      meta: {
+        usage_session: info.usage_session || null,
+        persona: info.persona || null,
+        voice: info.voice || null,
+        model: info.model || null,
+        transport: selectedTransport()
+      },
+      micStream: client.micStream,
+      remoteStream: client.remoteStream,
+      onError: (e) => {
+        console.warn('Recording upload failed', e);
+        renderRecordingBadge('error');
+      }
+    });
+    if (!client.micStream) {
+      // The call ended while the recording was being created
+      r.stop();
+      return;
+    }
+    recorder = r;
+    renderRecordingBadge('active');
+  } catch (e) {
+    console.warn('Failed to start recording', e);
+    renderRecordingBadge('error');
+  } finally {
+    recordingStarting = false;
+  }
+}
+
+function stopRecording() {
+  const r = recorder;
+  recorder = null;
+  if (!r) return;
+  renderRecordingBadge('ready');
+  r.stop().catch(e => console.warn('Failed to finish recording', e));
+}
+
+window.addEventListener('pagehide', () => recorder?.abandon());
+
+els.transport?.addEventListener('change', () => {
+  localStorage.setItem(TRANSPORT_KEY, els.transport.value);
+  if (client.connected) setStatus('status.transportNextCall');
 });
 
-els.holdButton.addEventListener('click', () => {
-  if (isConnected && isRecording) {
-    updateUI('idle');
-    setStatus('Paused - Tap mic to resume');
+// Language: translates the page, dynamic labels and the last status line.
+// A built-in prompt is swapped for the new language's; edited ones are kept.
+function applyLanguage(lang) {
+  setLanguage(lang);
+  applyTranslations();
+  if (els.language) els.language.value = getLanguage();
+  if (els.instructions && isDefaultPrompt(els.instructions.value)) els.instructions.value = t('prompt.default');
+  renderMicLabel();
+  renderPersonaOptions(els.persona?.value || '');
+  refreshDevices();
+  renderRecordingBadge(els.recordingBadge?.dataset.state || 'ready');
+  renderTranscript();
+  renderHistory();
+  renderTelemetry();
+  renderErrorNotice();
+  renderErrorLog();
+  renderRoom();
+  if (lastStatus) setStatus(lastStatus.key, lastStatus.params);
+}
+
+els.errorRetry?.addEventListener('click', retryAfterError);
+els.errorDismiss?.addEventListener('click', hideError);
+
+els.errorLogCopy?.addEventListener('click', async () => {
+  const text = formatErrorLog(errorLog.list(), {
+    page: location.href,
+    agent: navigator.userAgent,
+    language: getLanguage(),
+    transport: selectedTransport()
+  });
+  try {
+    await navigator.clipboard.writeText(text);
+    setStatus('errors.copied');
+  } catch (e) {
+    console.warn('Clipboard write failed', e);
   }
 });
 
-els.volume.addEventListener('input', () => {
-  els.audio.volume = parseFloat(els.volume.value);
+els.errorLogClear?.addEventListener('click', () => {
+  errorLog.clear();
+  renderErrorLog();
 });
 
-// Allow live prompt updates from UI
-if (els.applyPrompt) {
-  els.applyPrompt.addEventListener('click', () => {
-    const text = (els.instructions?.value || '').trim();
-    if (!text) {
-      setStatus('プロンプトが空です');
+// Room and error-history notices are about this page, not the call, so
+// guests keep seeing the last call status instead
+const LOCAL_STATUS = /^(room|errors)\./;
+let sharedStatus = null;
+
+function publishRoomState() {
+  if (!room?.isHost) return;
+  const status = lastStatus || { text: els.status.textContent };
+  if (!LOCAL_STATUS.test(status.key || '')) sharedStatus = status;
+  room.publishState(roomStateFrom(client.conversation, sharedStatus));
+}
+
+function renderRoom() {
+  if (!els.roomArea) return;
+  els.roomArea.hidden = !clientConfig.rooms;
+  const info = room?.info;
+  for (const el of [els.roomName, els.roomCode, els.roomCreate, els.roomJoin]) if (el) el.hidden = Boolean(room);
+  if (els.roomLeave) els.roomLeave.hidden = !room;
+  if (els.roomInfo) {
+    els.roomInfo.textContent = info
+      ? t(room.isHost ? 'room.hosting' : 'room.joined', { code: info.code })
+      : '';
+  }
+  if (!els.roomMembers) return;
+  els.roomMembers.replaceChildren();
+  for (const m of info?.members || []) {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    const tags = [m.role === 'host' ? t('room.host') : '', m.id === info.floor ? '🎤' : '', m.id === room.member.id ? t('room.you') : ''];
+    label.textContent = [m.name, ...tags].filter(Boolean).join(' ');
+    li.append(label);
+    // The host passes the mic to a guest and takes it back the same way
+    if (room.isHost && m.id !== info.floor) {
+      const pass = document.createElement('button');
+      pass.textContent = t(m.id === info.host ? 'room.takeMic' : 'room.passMic');
+      pass.addEventListener('click', () => room.passFloor(m.id));
+      li.append(pass);
+    }
+    els.roomMembers.append(li);
+  }
+}
+
+// Membership or the mic holder changed
+async function handleRoomUpdate() {
+  renderRoom();
+  if (room.isHost) {
+    // The model hears the guest holding the mic, else the host's own mic
+    if (client.connected) await client.useInput(room.hasFloor ? null : room.incomingStream);
+    return;
+  }
+  if (room.hasFloor && !guestMic) {
+    try {
+      guestMic = await navigator.mediaDevices.getUserMedia(micConstraints(audioSettings));
+    } catch (err) {
+      console.error('Mic error:', err);
+      showError(classifyMicError(err), { context: 'room' });
       return;
     }
-    if (dc && dc.readyState === 'open') {
-      try {
-        const payload = { type: 'session.update', session: { instructions: text } };
-        dc.send(JSON.stringify(payload));
-        setStatus('システムプロンプトを適用しました');
-      } catch (e) {
-        console.error('Failed to send prompt update', e);
-        setStatus('プロンプト適用に失敗しました');
-      }
-    } else {
-      setStatus('接続後に適用できます');
+    if (!room?.hasFloor) {
+      stopTracks(guestMic);
+      guestMic = null;
+      return;
+    }
+    await room.setMicStream(guestMic);
+    setStatus('room.youHaveMic');
+  } else if (!room.hasFloor && guestMic) {
+    room.setMicStream(null);
+    stopTracks(guestMic);
+    guestMic = null;
+    setStatus('room.micReturned');
+  }
+}
+
+function renderRoomState(state) {
+  roomView = { turns: state.turns || [] };
+  renderTranscript();
+  const status = state.status;
+  if (status?.key) setStatus(status.key, status.params);
+  else if (status?.text) setStatusText(status.text);
+}
+
+// A guest hears the host's call through the room instead of a call of their own
+function playRoomAudio(stream) {
+  els.audio.srcObject = stream;
+  startAiMeter(stream);
+  ensureAudioPlayback();
+}
+
+// Forgets the room after leaving or after it closed; the host's call goes on
+function exitRoom() {
+  const wasHost = room?.isHost;
+  room = null;
+  roomView = null;
+  if (guestMic) {
+    stopTracks(guestMic);
+    guestMic = null;
+  }
+  if (wasHost) {
+    if (client.connected) client.useInput(null);
+  } else {
+    els.audio.srcObject = null;
+    if (aiMeter) aiMeter.stop();
+    aiMeter = null;
+  }
+  renderRoom();
+  renderTranscript();
+}
+
+async function enterRoom(code) {
+  if (room) return;
+  if (code !== null && client.connected) {
+    setStatus('room.endCallFirst');
+    return;
+  }
+  const next = connectRoom({
+    code,
+    name: (els.roomName?.value || '').trim(),
+    onUpdate: () => { if (room === next) handleRoomUpdate(); },
+    onState: (state) => { if (room === next && !next.isHost) renderRoomState(state); },
+    onClosed: (reason) => {
+      if (room !== next) return;
+      exitRoom();
+      setStatus(reason === 'host_left' ? 'room.closedByHost' : 'room.disconnected');
     }
   });
+  room = next;
+  try {
+    await next.ready;
+  } catch (err) {
+    if (room === next) room = null;
+    renderRoom();
+    showError(classifyError(err), { status: err.status, context: 'room' });
+    return;
+  }
+  if (room !== next) return;
+  hideError();
+  renderRoom();
+  if (next.isHost) {
+    setStatus('room.created', { code: next.info.code });
+    if (client.remoteStream) next.setReplyStream(client.remoteStream);
+  } else {
+    playRoomAudio(next.incomingStream);
+    renderTranscript();
+    setStatus('room.joinedStatus', { code: next.info.code });
+  }
 }
 
-// No external TTS functions
+els.roomCreate?.addEventListener('click', () => enterRoom(null));
+els.roomJoin?.addEventListener('click', () => {
+  const code = (els.roomCode?.value || '').trim();
+  if (!code) {
+    setStatus('room.codeMissing');
+    return;
+  }
+  enterRoom(code);
+});
+els.roomCode?.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') els.roomJoin?.click();
+});
+els.roomLeave?.addEventListener('click', () => {
+  room?.leave();
+  exitRoom();
+  setStatus('room.left');
+});
+
+els.language?.addEventListener('change', () => {
+  applyLanguage(els.language.value);
+  if (client.connected) setStatus('status.languageNextCall');
+});
+
+applyLanguage(loadLanguage());
+setStatus(navigator.onLine ? 'status.ready' : 'status.offline');
+renderConnectivity();
+registerServiceWorker();
+
+renderHistory();
+refreshAuthStatus();
+loadClientConfig();
+loadPersonas();
+restoreTurnSettings();
+restoreAudioSettings();
+renderTelemetry();
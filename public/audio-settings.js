@@ -0,0 +1,151 @@
+// Audio device selection, mic processing options and level meters.
+// Settings persist in localStorage; meters use Web Audio analysers.
+
+const STORAGE_KEY = 'realtime-mic.audio';
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  inputId: '',
+  outputId: '',
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true
+};
+
+export function loadAudioSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return { ...DEFAULT_AUDIO_SETTINGS, ...(saved && typeof saved === 'object' ? saved : {}) };
+  } catch {
+    return { ...DEFAULT_AUDIO_SETTINGS };
+  }
+}
+
+export function saveAudioSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Failed to save audio settings', e);
+  }
+}
+
+// getUserMedia audio constraints; an empty inputId means the system default.
+export function micConstraints(settings = DEFAULT_AUDIO_SETTINGS) {
+  const audio = {
+    echoCancellation: !!settings.echoCancellation,
+    noiseSuppression: !!settings.noiseSuppression,
+    autoGainControl: !!settings.autoGainControl
+  };
+  if (settings.inputId) audio.deviceId = { exact: settings.inputId };
+  return { audio };
+}
+
+// Labels are empty until mic permission is granted, so number them instead.
+export async function listAudioDevices({ input = 'マイク', output = 'スピーカー' } = {}) {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const pick = (kind, prefix) => devices
+    .filter(d => d.kind === kind)
+    .map((d, i) => ({ id: d.deviceId, label: d.label || `${prefix} ${i + 1}` }));
+  return { inputs: pick('audioinput', input), outputs: pick('audiooutput', output) };
+}
+
+export function canSelectOutput(audioEl) {
+  return !!audioEl && typeof audioEl.setSinkId === 'function';
+}
+
+let audioContext = null;
+
+function sharedContext() {
+  if (!audioContext) audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  if (audioContext.state === 'suspended') audioContext.resume().catch(() => {});
+  return audioContext;
+}
+
+// RMS level of time-domain samples centred on 128, scaled to 0..1.
+export function levelOf(samples) {
+  if (!samples.length) return 0;
+  let sum = 0;
+  for (const v of samples) {
+    const x = (v - 128) / 128;
+    sum += x * x;
+  }
+  return Math.min(1, Math.sqrt(sum / samples.length) * 3);
+}
+
+// Current level (0..1) of a stream, read on demand; used for the level
+// events of realtime-client.js where there is no canvas to draw on
+export function createLevelProbe(stream) {
+  if (!stream) return { level: () => 0, stop() {} };
+  let source;
+  let analyser;
+  try {
+    const ctx = sharedContext();
+    source = ctx.createMediaStreamSource(stream);
+    analyser = ctx.createAnalyser();
+    analyser.fftSize = 512;
+    source.connect(analyser);
+  } catch (e) {
+    console.warn('Level probe unavailable', e);
+    return { level: () => 0, stop() {} };
+  }
+  const samples = new Uint8Array(analyser.fftSize);
+  return {
+    level() {
+      analyser.getByteTimeDomainData(samples);
+      return levelOf(samples);
+    },
+    stop() {
+      try { source.disconnect(); } catch {}
+    }
+  };
+}
+
+// Draws a waveform with a level bar along the bottom of the canvas until
+// stopped. The analyser is not connected to the destination, so metering
+// never doubles the audio that is already playing.
+export function createLevelMeter(stream, canvas, { color = '#0a0' } = {}) {
+  if (!stream || !canvas) return { stop() {} };
+  let source;
+  let analyser;
+  try {
+    const ctx = sharedContext();
+    source = ctx.createMediaStreamSource(stream);
+    analyser = ctx.createAnalyser();
+    analyser.fftSize = 1024;
+    source.connect(analyser);
+  } catch (e) {
+    console.warn('Level meter unavailable', e);
+    return { stop() {} };
+  }
+  const g = canvas.getContext('2d');
+  const samples = new Uint8Array(analyser.fftSize);
+  let frame = null;
+
+  const draw = () => {
+    frame = requestAnimationFrame(draw);
+    analyser.getByteTimeDomainData(samples);
+    const { width, height } = canvas;
+    const barHeight = 4;
+    const mid = (height - barHeight) / 2;
+    g.clearRect(0, 0, width, height);
+    g.strokeStyle = color;
+    g.lineWidth = 1.5;
+    g.beginPath();
+    for (let i = 0; i < samples.length; i++) {
+      const x = (i / (samples.length - 1)) * width;
+      const y = mid + ((samples[i] - 128) / 128) * mid;
+      if (i === 0) g.moveTo(x, y); else g.lineTo(x, y);
+    }
+    g.stroke();
+    g.fillStyle = color;
+    g.fillRect(0, height - barHeight, levelOf(samples) * width, barHeight);
+  };
+  draw();
+
+  return {
+    stop() {
+      cancelAnimationFrame(frame);
+      try { source.disconnect(); } catch {}
+      g.clearRect(0, 0, canvas.width, canvas.height);
+    }
+  };
+}
@@ -0,0 +1,181 @@
+// Conversation log model: sessions made of speaker turns, persisted in
+// localStorage so calls survive reloads and can be exported afterwards.
+
+const STORAGE_KEY = 'realtime-mic.sessions';
+const MAX_SESSIONS = 50;
+
+function newId() {
+  return `sess_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function loadSessions() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveSessions(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list.slice(0, MAX_SESSIONS)));
+  } catch (e) {
+    console.warn('Failed to persist conversation history', e);
+  }
+}
+
+export function createSession({ model = null, voice = null, instructions = '' } = {}) {
+  return {
+    id: newId(),
+    startedAt: Date.now(),
+    endedAt: null,
+    model,
+    voice,
+    instructions,
+    turns: []
+  };
+}
+
+// Sessions without any spoken text are not worth keeping in history.
+export function persistSession(session) {
+  if (!session || !session.turns.some(t => t.text)) return;
+  const list = loadSessions().filter(s => s.id !== session.id);
+  list.unshift(session);
+  saveSessions(list);
+}
+
+export function deleteSession(id) {
+  saveSessions(loadSessions().filter(s => s.id !== id));
+}
+
+// Find the turn for a conversation item, creating it right after
+// previousId when known so late transcripts keep their place.
+export function upsertTurn(session, id, role, previousId = null) {
+  let turn = session.turns.find(t => t.id === id);
+  if (turn) return turn;
+  turn = { id, role, text: '', final: false, startedAt: Date.now(), endedAt: null, responseId: null };
+  const prevIdx = previousId ? session.turns.findIndex(t => t.id === previousId) : -1;
+  if (prevIdx >= 0) session.turns.splice(prevIdx + 1, 0, turn);
+  else session.turns.push(turn);
+  return turn;
+}
+
+export function finalizeTurn(turn) {
+  turn.final = true;
+  if (!turn.endedAt) turn.endedAt = Date.now();
+}
+
+function speakerLabel(role) {
+  return role === 'user' ? 'You' : 'AI';
+}
+
+function spokenTurns(session) {
+  return session.turns.filter(t => t.text && t.text.trim());
+}
+
+// Knowledge base passages a reply was based on, one indented line each
+function sourceLines(turn) {
+  return (turn.sources || []).map(s => `  📄 ${s.title}${s.snippet ? ` — ${s.snippet}` : ''} (${s.source})`);
+}
+
+// interrupted marks replies cut off by barge-in (localized by the page)
+export function formatTranscript(session, { interrupted = '（中断）' } = {}) {
+  return session.turns
+    .filter(t => t.text || !t.final)
+    .flatMap(t => [
+      `${speakerLabel(t.role)}: ${t.text.trim()}${t.interrupted ? ` …${interrupted}` : t.final ? '' : ' …'}`,
+      ...sourceLines(t)
+    ])
+    .join('\n');
+}
+
+export function sessionTitle(session) {
+  const d = new Date(session.startedAt);
+  const date = `${d.getFullYear()}/${d.getMonth() + 1}/${d.getDate()} ${d.getHours()}:${d.getMinutes().toString().padStart(2, '0')}`;
+  const first = spokenTurns(session)[0]?.text.trim() || '';
+  return first ? `${date} ${first.slice(0, 24)}${first.length > 24 ? '…' : ''}` : date;
+}
+
+export function toJSON(session) {
+  return JSON.stringify(session, null, 2);
+}
+
+export function toMarkdown(session) {
+  const out = [`# ${sessionTitle(session)}`, ''];
+  if (session.model) out.push(`- Model: ${session.model}`);
+  if (session.voice) out.push(`- Voice: ${session.voice}`);
+  out.push(`- Started: ${new Date(session.startedAt).toISOString()}`);
+  if (session.endedAt) out.push(`- Ended: ${new Date(session.endedAt).toISOString()}`);
+  if (session.instructions) {
+    out.push('', '## Instructions', '', ...session.instructions.split('\n').map(l => `> ${l}`));
+  }
+  if (session.summary?.sections?.length) {
+    out.push('', '## Summary');
+    for (const { title, value } of session.summary.sections) {
+      out.push('', `### ${title}`, '', ...(Array.isArray(value) ? value.map(v => `- ${v}`) : [value]));
+    }
+  }
+  out.push('', '## Transcript', '');
+  for (const t of spokenTurns(session)) {
+    const mark = t.interrupted ? ' _(interrupted)_' : '';
+    out.push(`**${speakerLabel(t.role)}** (${formatClock(t.startedAt - session.startedAt)}): ${t.text.trim()}${mark}`, '');
+    if (t.sources?.length) {
+      out.push(...t.sources.map(s => `> 📄 ${s.title} (\`${s.source}\`)${s.snippet ? `: ${s.snippet}` : ''}`), '');
+    }
+  }
+  return out.join('\n');
+}
+
+function formatClock(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${s.toString().padStart(2, '0')}`;
+}
+
+function formatCueTime(ms, sep) {
+  const v = Math.max(0, Math.round(ms));
+  const h = Math.floor(v / 3600000);
+  const m = Math.floor((v % 3600000) / 60000);
+  const s = Math.floor((v % 60000) / 1000);
+  const milli = v % 1000;
+  const pad = (n, w = 2) => n.toString().padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(milli, 3)}`;
+}
+
+// Cue times are relative to the session start; turns still open get a
+// short default duration so every cue has a positive length.
+function cues(session) {
+  return spokenTurns(session).map(t => {
+    const start = t.startedAt - session.startedAt;
+    const end = Math.max(start + 1000, (t.endedAt || t.startedAt + 2000) - session.startedAt);
+    return { start, end, text: `${speakerLabel(t.role)}: ${t.text.trim()}` };
+  });
+}
+
+export function toSRT(session) {
+  return cues(session)
+    .map((c, i) => `${i + 1}\n${formatCueTime(c.start, ',')} --> ${formatCueTime(c.end, ',')}\n${c.text}\n`)
+    .join('\n');
+}
+
+export function toWebVTT(session) {
+  const body = cues(session)
+    .map(c => `${formatCueTime(c.start, '.')} --> ${formatCueTime(c.end, '.')}\n${c.text}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+export function downloadText(filename, text, mime = 'text/plain') {
+  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,146 @@
+// Error classification for the page: maps failures from /session, the relay,
+// the browser (mic, WebRTC) and realtime error events to the codes of
+// lib/errors.js plus the ones only the page can see. Messages live in the
+// i18n catalogs as error.<code> (what happened) and error.<code>.hint (what
+// to do about it).
+//
+// retry says what the notice's retry button does:
+//   'connect'   start a new call
+//   'response'  ask for the reply again (a new call when not connected)
+//   false       nothing the user can retry; the hint explains who can fix it
+
+export const ERROR_INFO = {
+  missing_api_key: { retry: false },
+  invalid_api_key: { retry: false },
+  quota_exceeded: { retry: false },
+  invalid_voice: { retry: 'connect' },
+  invalid_model: { retry: false },
+  invalid_request: { retry: 'connect' },
+  rate_limited: { retry: 'connect' },
+  budget_exceeded: { retry: false },
+  login_required: { retry: false },
+  upstream_error: { retry: 'response' },
+  upstream_unreachable: { retry: 'connect' },
+  internal_error: { retry: 'connect' },
+  room_not_found: { retry: false },
+  room_full: { retry: false },
+  mic_denied: { retry: 'connect' },
+  mic_not_found: { retry: 'connect' },
+  mic_busy: { retry: 'connect' },
+  ice_failed: { retry: 'connect' },
+  sdp_failed: { retry: 'connect' },
+  network_error: { retry: 'connect' },
+  connection_lost: { retry: 'connect' },
+  session_expired: { retry: 'connect' },
+  realtime_error: { retry: 'response' },
+  unknown: { retry: 'connect' }
+};
+
+// Realtime error codes that only mean a client event raced the server
+// (cancel after the reply ended, commit of an empty buffer); logged, not shown
+const BENIGN_REALTIME_CODES = new Set([
+  'response_cancel_not_active',
+  'input_audio_buffer_commit_empty',
+  'conversation_already_has_active_response'
+]);
+
+export function errorInfo(code) {
+  return ERROR_INFO[code] || ERROR_INFO.unknown;
+}
+
+// getUserMedia rejections (DOMException names)
+export function classifyMicError(err) {
+  switch (err?.name) {
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'mic_not_found';
+    case 'NotReadableError':
+    case 'AbortError':
+      return 'mic_busy';
+    default:
+      return 'mic_denied';
+  }
+}
+
+// Rejected /session (or relay.start) without a code, e.g. from an older
+// server or a proxy in front of it
+export function classifyStatus(status) {
+  if (status === 401) return 'login_required';
+  if (status === 429) return 'rate_limited';
+  if (status === 400 || status === 422) return 'invalid_request';
+  if (status === 502 || status === 503 || status === 504) return 'upstream_unreachable';
+  if (status >= 500) return 'internal_error';
+  return 'unknown';
+}
+
+// Any thrown error: a known code on it wins; fetch rejects with a TypeError
+// when the network is down
+export function classifyError(err) {
+  if (typeof err?.code === 'string' && ERROR_INFO[err.code]) return err.code;
+  if (err?.status) return classifyStatus(err.status);
+  if (err?.name === 'TypeError') return 'network_error';
+  return 'unknown';
+}
+
+// The error object of an `error` event or of a failed response
+// (response.status_details.error); null when it is not worth a notice
+export function classifyRealtimeError(error) {
+  const code = String(error?.code || '');
+  const param = String(error?.param || '');
+  if (BENIGN_REALTIME_CODES.has(code)) return null;
+  if (code === 'invalid_api_key') return 'invalid_api_key';
+  if (code === 'insufficient_quota') return 'quota_exceeded';
+  if (code === 'rate_limit_exceeded') return 'rate_limited';
+  if (code === 'session_expired') return 'session_expired';
+  if (code === 'model_not_found') return 'invalid_model';
+  if (param === 'voice' || param.endsWith('.voice')) return 'invalid_voice';
+  if (error?.type === 'server_error') return 'upstream_error';
+  return 'realtime_error';
+}
+
+// Recent errors kept in localStorage for support requests, newest first
+export function createErrorLog({
+  storage = globalThis.localStorage,
+  key = 'realtime-mic.errors',
+  max = 50,
+  now = () => Date.now()
+} = {}) {
+  const read = () => {
+    try {
+      const entries = JSON.parse(storage?.getItem(key) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (entries) => {
+    try { storage?.setItem(key, JSON.stringify(entries)); } catch {}
+  };
+
+  return {
+    // entry: { code, message?, status?, context? }
+    add(entry) {
+      const record = { at: now(), ...entry };
+      if (record.message) record.message = String(record.message).slice(0, 300);
+      write([record, ...read()].slice(0, max));
+      return record;
+    },
+    list: read,
+    clear() {
+      try { storage?.removeItem(key); } catch {}
+    }
+  };
+}
+
+// Plain text for the clipboard: one line per error, oldest first
+export function formatErrorLog(entries, extra = {}) {
+  const header = Object.entries(extra).map(([k, v]) => `${k}: ${v}`);
+  const lines = entries.slice().reverse().map(e => [
+    new Date(e.at).toISOString(),
+    e.code,
+    e.context || '-',
+    e.status ?? '-',
+    e.message || ''
+  ].join('\t').trimEnd());
+  return [...header, ...lines].join('\n');
+}
@@ -0,0 +1,916 @@
+// UI localization: Japanese and English message catalogs, the chosen
+// language (persisted in localStorage) and helpers that translate the page.
+//
+// Messages may contain {name} placeholders filled from params. Missing
+// English entries fall back to Japanese, missing keys to the key itself.
+
+export const LANGUAGES = ['ja', 'en'];
+const LANGUAGE_KEY = 'realtime-mic.language';
+
+export const MESSAGES = {
+  ja: {
+    'language.label': '言語',
+    'header.usage': '利用状況',
+    'offline.banner': 'オフラインです。接続が戻るまで通話はできません。',
+    'media.title': '音声通話中',
+
+    'login.user': 'ユーザー名（共有トークンの場合は空欄）',
+    'login.secret': 'パスワード / アクセストークン',
+    'login.button': 'ログイン',
+
+    'transcript.placeholder': 'マイクを許可して、話しかけてください。',
+    'transcript.interrupted': '（中断）',
+    'transcript.unheard': '（聞き取れませんでした）',
+
+    'persona.label': 'ペルソナ:',
+    'persona.custom': '（カスタム）',
+    'persona.save': '保存',
+    'persona.saveTitle': '選択中のペルソナに現在のプロンプトとボイスを上書き保存',
+    'persona.saveAs': '新規保存',
+    'persona.saveAsTitle': '現在のプロンプトとボイスを新しいペルソナとして保存',
+    'persona.delete': '削除',
+    'persona.deleteTitle': '選択中のペルソナを削除',
+    'persona.namePrompt': 'ペルソナ名を入力してください',
+    'persona.confirmDelete': 'ペルソナ「{name}」を削除しますか？',
+
+    'prompt.label': 'システムプロンプト（AIへの指示）',
+    'prompt.apply': '適用',
+    'prompt.default': [
+      'あなたは丁寧で簡潔な日本語の音声アシスタントです。',
+      'ユーザーが話し終えたら、要点を1〜2文で返答してください。',
+      '難しい専門用語は噛み砕いて説明し、確認が必要なときは1つだけ質問します。',
+      '冗長な前置きやフィラー（えー、あのー等）は使わず、自然で聞き取りやすい速度で話します。',
+      'ユーザーが英語で話した場合は英語で、そうでなければ日本語で応答してください。',
+      '正確性が重要な固有名詞・数値は復唱し、聞き取れない場合は丁寧に聞き返してください。'
+    ].join('\n'),
+
+    'controls.talk': '🎤 話す',
+    'controls.holdToTalk': '🎤 押して話す',
+    'controls.pause': '⏸ 一時停止',
+    'controls.pauseTitle': 'マイクを一時停止',
+    'controls.stopSpeaking': '⏹ 発話停止',
+    'controls.stopSpeakingTitle': 'AIの発話を止める',
+    'controls.end': '✖ 終了',
+    'controls.endTitle': '通話を終了',
+    'controls.cancelReconnect': '再接続を中止',
+
+    'text.placeholder': 'テキストで送信（Enterで送信）',
+    'text.send': '送信',
+    'text.replyAudio': '音声で返答',
+
+    'turn.label': 'ターン検出:',
+    'turn.default': 'ペルソナ／既定に従う',
+    'turn.serverVad': '自動（音声区間検出）',
+    'turn.semanticVad': '自動（セマンティック）',
+    'turn.none': 'プッシュ・トゥ・トーク',
+    'turn.threshold': 'しきい値',
+    'turn.prefix': '前置き(ms)',
+    'turn.silence': '無音(ms)',
+    'turn.eagerness': '応答の積極性',
+    'turn.eagernessLow': 'low（ゆっくり待つ）',
+    'turn.eagernessHigh': 'high（すぐ応答）',
+
+    'voice.label': 'ボイス:',
+    'voice.alloy': 'alloy（落ち着き）',
+    'voice.verse': 'verse（明るめ）',
+    'voice.aria': 'aria（やわらか）',
+    'volume.label': '音量',
+
+    'audio.title': 'オーディオ設定',
+    'audio.mic': 'マイク',
+    'audio.speaker': 'スピーカー',
+    'audio.defaultDevice': '既定のデバイス',
+    'audio.outputUnsupported': 'このブラウザは出力先の切り替えに対応していません',
+    'audio.transport': '通信方式',
+    'audio.transportDefault': 'サーバー既定',
+    'audio.transportWebrtc': 'WebRTC（直接接続）',
+    'audio.transportRelay': 'WebSocket リレー（サーバー経由）',
+    'audio.echoCancellation': 'エコーキャンセル',
+    'audio.noiseSuppression': 'ノイズ抑制',
+    'audio.autoGainControl': '自動ゲイン',
+
+    'debug.title': 'デバッグ（遅延・通信品質）',
+    'debug.upload': '計測値をサーバーへ送信 (JSONL)',
+    'debug.connect': '接続',
+    'debug.reconnect': '再接続',
+    'debug.total': '合計',
+    'debug.notConnected': '未接続',
+    'debug.phase.mic': 'マイク',
+    'debug.phase.session': 'セッション',
+    'debug.phase.ice': 'ICE',
+    'debug.phase.sdp': 'SDP',
+    'debug.phase.channel': 'チャネル',
+    'debug.stats': 'RTT {rtt} / ジッター {jitter}ms / ジッターバッファ {buffer} / 受信ロス {loss}% ({lost}/{received}) / 送信ロス {outboundLoss}%',
+    'debug.noStats': '統計なし',
+    'debug.turn': '{item}  文字起こし {transcript}  最初の応答 {firstDelta}  音声開始 {audioStart}',
+    'debug.median': '中央値: 最初の応答 {firstDelta} / 音声開始 {audioStart}',
+    'debug.noTurns': 'ターンなし',
+
+    'error.retry': '再試行',
+    'error.dismiss': '閉じる',
+    'error.detail': '詳細: {detail}',
+    'error.missing_api_key': 'サーバーに API キーが設定されていません',
+    'error.missing_api_key.hint': '管理者に OPENAI_API_KEY の設定を依頼してください。',
+    'error.invalid_api_key': 'API キーが拒否されました',
+    'error.invalid_api_key.hint': 'サーバーの OPENAI_API_KEY が正しいか、無効化されていないか管理者に確認してください。',
+    'error.quota_exceeded': 'API の利用枠を超えました',
+    'error.quota_exceeded.hint': 'OpenAI アカウントのクレジットと請求設定を管理者に確認してもらってください。',
+    'error.invalid_voice': 'このボイスは使用できません',
+    'error.invalid_voice.hint': '別のボイスを選んで再試行してください。',
+    'error.invalid_model': 'このモデルは使用できません',
+    'error.invalid_model.hint': 'サーバーの REALTIME_MODEL / ALLOWED_MODELS の設定を管理者に確認してください。',
+    'error.invalid_request': 'リクエストが不正です',
+    'error.invalid_request.hint': 'プロンプトやターン検出の設定を見直して再試行してください。',
+    'error.rate_limited': 'リクエストが多すぎます',
+    'error.rate_limited.hint': '少し待ってから再試行してください。',
+    'error.rate_limited.wait': '{seconds}秒ほど待ってから再試行してください。',
+    'error.budget_exceeded': '利用上限に達しました',
+    'error.budget_exceeded.hint': '上限がリセットされるまでお待ちいただくか、管理者に上限の変更を依頼してください。',
+    'error.login_required': 'ログインが必要です',
+    'error.login_required.hint': 'ログインしてから接続してください。',
+    'error.upstream_error': 'リアルタイム API でエラーが発生しました',
+    'error.upstream_error.hint': '一時的な障害の可能性があります。再試行してください。',
+    'error.upstream_unreachable': 'リアルタイム API に接続できませんでした',
+    'error.upstream_unreachable.hint': 'サーバーのネットワーク接続を確認して再試行してください。',
+    'error.internal_error': 'サーバーでエラーが発生しました',
+    'error.internal_error.hint': '再試行しても解決しない場合は、エラー履歴を添えて管理者に連絡してください。',
+    'error.room_not_found': 'ルームが見つかりません',
+    'error.room_not_found.hint': 'コードを確認してください。ホストが退出するとルームは閉じられます。',
+    'error.room_full': 'ルームが満員です',
+    'error.room_full.hint': 'ホストに誰かが退出するまで待つよう伝えるか、管理者に ROOM_MAX_MEMBERS の変更を依頼してください。',
+    'error.mic_denied': 'マイクの使用が許可されていません',
+    'error.mic_denied.hint': 'ブラウザのアドレスバーからマイクを許可して再試行してください。',
+    'error.mic_not_found': 'マイクが見つかりません',
+    'error.mic_not_found.hint': 'マイクを接続するか、音声設定で別のマイクを選んで再試行してください。',
+    'error.mic_busy': 'マイクを使用できません',
+    'error.mic_busy.hint': '他のアプリがマイクを使用していないか確認して再試行してください。',
+    'error.ice_failed': '音声の通信経路を確立できませんでした',
+    'error.ice_failed.hint': 'ファイアウォールや VPN が UDP 通信を遮断している可能性があります。音声設定で通信方式を「WebSocket リレー」に切り替えて再試行してください。',
+    'error.sdp_failed': '音声接続の確立に失敗しました',
+    'error.sdp_failed.hint': '再試行してください。繰り返す場合は通信方式を「WebSocket リレー」に切り替えてください。',
+    'error.network_error': 'ネットワークエラーが発生しました',
+    'error.network_error.hint': 'インターネット接続を確認して再試行してください。',
+    'error.connection_lost': '接続が切れました',
+    'error.connection_lost.hint': 'ネットワークを確認して、もう一度接続してください。',
+    'error.session_expired': 'セッションの有効期限が切れました',
+    'error.session_expired.hint': 'もう一度接続すると新しいセッションで続けられます。',
+    'error.realtime_error': '応答の生成中にエラーが発生しました',
+    'error.realtime_error.hint': '再試行すると応答をもう一度生成します。',
+    'error.unknown': '予期しないエラーが発生しました',
+    'error.unknown.hint': '再試行しても解決しない場合は、エラー履歴を添えて管理者に連絡してください。',
+
+    'room.label': 'ルーム:',
+    'room.namePlaceholder': '表示名',
+    'room.create': 'ルームを作成',
+    'room.codePlaceholder': 'コード',
+    'room.join': '参加',
+    'room.leave': '退出',
+    'room.hosting': 'ルーム {code}（ホスト）',
+    'room.joined': 'ルーム {code} に参加中',
+    'room.host': '（ホスト）',
+    'room.you': '（あなた）',
+    'room.passMic': 'マイクを渡す',
+    'room.takeMic': 'マイクを戻す',
+    'room.created': 'ルーム {code} を作成しました。コードを共有してください',
+    'room.joinedStatus': 'ルーム {code} に参加しました',
+    'room.codeMissing': 'ルームのコードを入力してください',
+    'room.endCallFirst': '通話を終了してから参加してください',
+    'room.guestNoCall': 'ルームの参加者は通話を開始できません。ホストからマイクを渡されると話せます',
+    'room.youHaveMic': 'マイクを渡されました。話しかけてください',
+    'room.micReturned': 'マイクがホストに戻りました',
+    'room.closedByHost': 'ホストが退出したためルームが閉じられました',
+    'room.disconnected': 'ルームとの接続が切れました',
+    'room.left': 'ルームを退出しました',
+
+    'summary.title': '通話のまとめ',
+    'summary.generating': '通話のまとめを作成中…（もう一度「終了」を押すとまとめずに終了します）',
+    'summary.done': '通話を終了しました。まとめを作成しました',
+    'summary.failed': '通話を終了しました（まとめは作成できませんでした）',
+    'widget.title': '音声アシスタント',
+    'widget.open': '音声アシスタントを開く',
+    'widget.close': '閉じる',
+    'widget.start': '🎤 話しかける',
+    'widget.mute': 'マイクをミュート',
+    'widget.unmute': 'ミュート解除',
+    'widget.end': '通話を終了',
+    'widget.placeholder': 'メッセージを入力…',
+    'widget.send': '送信',
+    'widget.you': 'あなた',
+    'widget.assistant': 'アシスタント',
+
+    'errors.title': 'エラー履歴',
+    'errors.copy': 'コピー',
+    'errors.copied': 'エラー履歴をコピーしました',
+    'errors.clear': '消去',
+    'errors.empty': 'エラーはありません',
+
+    'history.title': '会話履歴',
+    'history.empty': '履歴はまだありません',
+    'history.delete': '削除',
+    'export.json': 'JSONで書き出し',
+    'export.markdown': 'Markdownで書き出し',
+    'export.srt': 'SRT字幕で書き出し',
+    'export.vtt': 'WebVTT字幕で書き出し',
+
+    'recording.badge': '録音あり',
+    'recording.active': '● 録音中',
+    'recording.error': '録音できません',
+    'recording.title': '通話の音声と会話イベントはサーバーに保存されます',
+    'recording.errorTitle': 'サーバーへの録音に失敗しました',
+
+    'status.ready': '待機中 - マイクボタンで接続します',
+    'status.connecting': '接続中…',
+    'status.listening': '聞き取り中…',
+    'status.connected': '接続しました - マイクをタップして話してください',
+    'status.pushToTalk': 'マイクボタン（またはスペースキー）を押している間だけ話せます',
+    'status.paused': '一時停止中 - マイクをタップして再開',
+    'status.pausedHidden': '画面を離れたためマイクを一時停止しました - タップして再開',
+    'status.offline': 'オフラインです - 接続が戻ると通話できます',
+    'status.failed': '接続に失敗しました',
+    'status.sessionUpdated': 'セッション設定を適用しました',
+    'status.fetchingSession': 'セッションを取得中…',
+    'status.creatingOffer': 'オファーを作成中…',
+    'status.exchangingSdp': 'SDP を交換中…',
+    'status.connectingRelay': 'リレーに接続中…',
+    'status.peer.new': 'WebRTC 準備中…',
+    'status.peer.connecting': 'WebRTC 接続中…',
+    'status.peer.connected': 'WebRTC 接続済み',
+    'status.connectionUnstable': '接続が一時的に切れました。復旧を待っています…',
+    'status.reconnectPhase': '再接続中 ({attempt}/{max}): {text}',
+    'status.reconnectScheduled': '接続が切れました。再接続します… ({attempt}/{max}, {seconds}秒後)',
+    'status.reconnecting': '再接続中… ({attempt}/{max})',
+    'status.reconnected': '再接続しました - {status}',
+    'status.reconnectFailed': '再接続に失敗しました ({max}回試行)',
+    'status.reconnectCancelled': '再接続を中止しました',
+    'status.stoppedSpeaking': 'AIの発話を停止しました',
+    'status.notSpeaking': 'AIは話していません',
+    'status.noExport': 'エクスポートする会話がありません',
+    'status.promptEmpty': 'プロンプトが空です',
+    'status.promptApplied': 'システムプロンプトを適用しました',
+    'status.promptFailed': 'プロンプト適用に失敗しました',
+    'status.applyAfterConnect': '接続後に適用できます',
+    'status.loginSecretMissing': 'パスワードまたはアクセストークンを入力してください',
+    'status.loginInvalid': '認証に失敗しました',
+    'status.loginHttpError': 'ログインに失敗しました ({status})',
+    'status.loggedIn': 'ログインしました',
+    'status.loggedInAs': 'ログインしました ({user})',
+    'status.loginFailed': 'ログインに失敗しました',
+    'status.personaApplied': 'ペルソナ「{name}」を適用しました',
+    'status.personaApplyFailed': 'ペルソナの適用に失敗しました',
+    'status.personaSelect': '上書きするペルソナを選択してください',
+    'status.personaSaved': 'ペルソナ「{name}」を保存しました',
+    'status.personaSaveFailed': '保存に失敗しました ({error})',
+    'status.personaCreated': 'ペルソナ「{name}」を作成しました',
+    'status.personaCreateFailed': '作成に失敗しました ({error})',
+    'status.personaDeleted': 'ペルソナ「{name}」を削除しました',
+    'status.personaDeleteFailed': '削除に失敗しました ({error})',
+    'status.sendAfterConnect': '接続後に送信できます',
+    'status.messageSent': 'メッセージを送信しました',
+    'status.messageSentText': 'メッセージを送信しました（テキストで返答）',
+    'status.messageFailed': 'メッセージの送信に失敗しました',
+    'status.turnDefaultNextCall': 'ターン検出の既定設定は次回の接続から反映されます',
+    'status.pttSpeak': '話してください…（離すと送信）',
+    'status.pttTooShort': '短すぎます。押したまま話してください',
+    'status.pttSent': '送信しました - 応答を待っています',
+    'status.outputDeviceFailed': '出力デバイスを切り替えられませんでした',
+    'status.micSwitchFailed': 'マイクを切り替えられませんでした',
+    'status.micApplied': 'マイク設定を反映しました',
+    'status.telemetryDisabled': 'サーバー側でテレメトリ収集が無効です (TELEMETRY=true)',
+    'status.transportNextCall': '通信方式は次回の接続から反映されます',
+    'status.languageNextCall': '言語を切り替えました。既定のシステムプロンプトは次回の接続から反映されます',
+
+    'page.back': '← 通話に戻る',
+    'page.loading': '読み込み中…',
+    'page.loginRequired': 'ログインが必要です。通話画面でログインしてから開き直してください。',
+    'page.adminOnly': '管理者のみ閲覧できます (ADMIN_USERS)',
+    'page.noData': 'データはまだありません',
+    'page.updated': '更新: {time}',
+    'page.none': '(なし)',
+
+    'usage.documentTitle': '利用状況 - Realtime Voice Chat',
+    'usage.title': '利用状況',
+    'usage.today': '今日',
+    'usage.month': '今月',
+    'usage.total': '累計',
+    'usage.note': '金額はトークン数と設定した単価からの概算です。実際の請求額は OpenAI のダッシュボードで確認してください。',
+    'usage.byModel': 'モデル別',
+    'usage.byDay': '日別',
+    'usage.byPersona': 'ペルソナ別',
+    'usage.recentSessions': '最近のセッション',
+    'usage.prices': '単価 (USD / 100万トークン)',
+    'usage.loadFailed': '利用状況を読み込めませんでした',
+    'usage.noLimit': '上限なし',
+    'usage.limit': '上限 {amount} ({percent}%)',
+    'usage.responses': '{count} 応答',
+    'usage.unpriced': '単価未設定のモデル (金額に含まれません): {models}',
+    'usage.col.model': 'モデル',
+    'usage.col.date': '日付',
+    'usage.col.persona': 'ペルソナ',
+    'usage.col.started': '開始',
+    'usage.col.user': 'ユーザー',
+    'usage.col.responses': '応答',
+    'usage.col.cost': '金額',
+    'usage.token.inputText': '入力テキスト',
+    'usage.token.inputAudio': '入力音声',
+    'usage.token.cached': '(キャッシュ)',
+    'usage.token.outputText': '出力テキスト',
+    'usage.token.outputAudio': '出力音声',
+    'usage.price.textInput': 'テキスト入力',
+    'usage.price.textCached': 'テキスト (キャッシュ)',
+    'usage.price.textOutput': 'テキスト出力',
+    'usage.price.audioInput': '音声入力',
+    'usage.price.audioCached': '音声 (キャッシュ)',
+    'usage.price.audioOutput': '音声出力',
+
+    'recordings.documentTitle': '録音 - Realtime Voice Chat',
+    'recordings.title': '録音',
+    'recordings.disabled': 'サーバーで録音が無効です (RECORDING=true)',
+    'recordings.loadFailed': '読み込みに失敗しました',
+    'recordings.eventsFailed': 'イベントを読み込めませんでした',
+    'recordings.noLines': '会話行はありません ({count} イベント)',
+    'recordings.confirmDelete': '{time} の録音を削除しますか？',
+    'recordings.deleteFailed': '削除に失敗しました',
+    'recordings.retention': '録音は開始から {days} 日後に自動で削除されます。',
+    'recordings.keepForever': '録音は自動では削除されません。',
+    'recordings.open': '開く',
+    'recordings.delete': '削除',
+    'recordings.notEnded': '(未終了)',
+    'recordings.col.started': '開始',
+    'recordings.col.ended': '終了',
+    'recordings.col.user': 'ユーザー',
+    'recordings.col.persona': 'ペルソナ',
+    'recordings.col.voice': 'ボイス',
+    'recordings.col.model': 'モデル',
+    'recordings.col.events': 'イベント',
+    'recordings.col.audio': '音声',
+    'recordings.col.expires': '削除予定',
+
+    'audit.title': '監査ログ',
+    'audit.col.time': '日時',
+    'audit.col.action': '操作',
+    'audit.col.user': 'ユーザー',
+    'audit.col.recording': '録音',
+    'audit.col.ip': 'IP',
+    'audit.system': '(システム)',
+    'audit.recordingStart': '録音開始',
+    'audit.recordingFinish': '録音終了',
+    'audit.recordingView': 'イベント閲覧',
+    'audit.recordingPlay': '再生',
+    'audit.recordingDelete': '削除',
+    'audit.recordingExpire': '保存期間切れで削除',
+    'audit.configUpdate': '設定変更',
+    'audit.configReset': '設定を .env に戻す',
+
+    'admin.documentTitle': '設定 - Realtime Voice Chat',
+    'admin.title': '設定',
+    'admin.readiness': '稼働状態',
+    'admin.sessionSettings': 'セッションの既定値と制限',
+    'admin.applyNote': '変更は保存した時点から新しい通話に適用されます (再起動は不要)。通話中のセッションには影響しません。',
+    'admin.savedTo': ' 保存先: {file}',
+    'admin.modelsVoices': 'モデル・ボイス',
+    'admin.model': '既定のモデル',
+    'admin.allowedModels': '許可するモデル',
+    'admin.voice': '既定のボイス',
+    'admin.allowedVoices': '許可するボイス',
+    'admin.prompt': 'システムプロンプト',
+    'admin.defaultPrompt': '既定のプロンプト',
+    'admin.maxChars': '最大文字数',
+    'admin.turn': 'ターン検出 (ペルソナなしのとき)',
+    'admin.turnType': '方式',
+    'admin.turnServerVad': 'server_vad (無音で区切る)',
+    'admin.turnSemanticVad': 'semantic_vad (発話内容で区切る)',
+    'admin.turnNone': 'none (プッシュトゥトーク)',
+    'admin.threshold': 'しきい値 (0〜1)',
+    'admin.prefixPadding': '前置きパディング (ms)',
+    'admin.silence': '無音判定 (ms)',
+    'admin.eagerness': '積極性',
+    'admin.default': '既定',
+    'admin.limits': 'レート制限 (0 で無効)',
+    'admin.limitIp': 'IP ごと (回/分)',
+    'admin.limitUser': 'ユーザーごと (回/分)',
+    'admin.limitMinute': '全体 (回/分)',
+    'admin.limitDay': '全体 (回/日)',
+    'admin.limitLogin': 'ログイン試行 (回/分・IP)',
+    'admin.save': '保存',
+    'admin.reset': '.env の値に戻す',
+    'admin.server': 'サーバー設定 (再起動で変更)',
+    'admin.serverNote': 'ポート・HTTPS・各機能の有効化は .env で設定し、サーバーの再起動で反映されます。',
+    'admin.failed': '失敗しました: {message}',
+    'admin.enabled': '有効',
+    'admin.disabled': '無効',
+    'admin.overall': '全体',
+    'admin.ready': '準備完了',
+    'admin.notReady': '準備未完了',
+    'admin.apiKeyMissing': 'NG (未設定)',
+    'admin.count': ' ({count} 件)',
+    'admin.settingsChanged': ' (変更あり: {time})',
+    'admin.settingsEnv': ' (.env の値)',
+    'admin.notAllowed': '{value} (許可リスト外)',
+    'admin.envHint': '.env: {value}',
+    'admin.changedHint': ' (変更済み)',
+    'admin.noChanges': '変更はありません',
+    'admin.saved': '保存しました ({fields})',
+    'admin.resetDone': '.env の値に戻しました',
+    'admin.confirmReset': 'すべての設定を .env の値に戻しますか？',
+    'admin.history': '設定の変更履歴',
+    'admin.col.fields': '項目',
+    'admin.check.apiKey': 'OPENAI_API_KEY',
+    'admin.check.dataDir': 'データディレクトリ (書き込み)',
+    'admin.check.personas': 'ペルソナ',
+    'admin.check.settings': '設定ファイル',
+    'admin.check.tools': 'ツール',
+    'admin.server.port': 'ポート (PORT)',
+    'admin.server.https': 'HTTPS',
+    'admin.server.baseUrl': 'API の URL (OPENAI_BASE_URL)',
+    'admin.server.transcription': '文字起こしモデル (TRANSCRIPTION_MODEL)',
+    'admin.server.access': 'アクセス制御',
+    'admin.server.relay': 'WebSocket リレー (RELAY)',
+    'admin.server.rooms': 'ルーム (ROOMS)',
+    'admin.server.recording': '録音 (RECORDING)',
+    'admin.server.summary': '通話のまとめ (SUMMARY)',
+    'admin.server.widgetOrigins': 'ウィジェットの設置元 (WIDGET_ORIGINS)'
+  },
+  en: {
+    'language.label': 'Language',
+    'header.usage': 'Usage',
+    'offline.banner': 'You are offline. Calls are unavailable until the connection returns.',
+    'media.title': 'Voice call',
+
+    'login.user': 'User name (leave empty for a shared token)',
+    'login.secret': 'Password / access token',
+    'login.button': 'Log in',
+
+    'transcript.placeholder': 'Allow the microphone and start talking.',
+    'transcript.interrupted': '(interrupted)',
+    'transcript.unheard': '(could not hear that)',
+
+    'persona.label': 'Persona:',
+    'persona.custom': '(Custom)',
+    'persona.save': 'Save',
+    'persona.saveTitle': 'Overwrite the selected persona with the current prompt and voice',
+    'persona.saveAs': 'Save as new',
+    'persona.saveAsTitle': 'Save the current prompt and voice as a new persona',
+    'persona.delete': 'Delete',
+    'persona.deleteTitle': 'Delete the selected persona',
+    'persona.namePrompt': 'Name for the new persona',
+    'persona.confirmDelete': 'Delete the persona "{name}"?',
+
+    'prompt.label': 'System prompt (instructions for the AI)',
+    'prompt.apply': 'Apply',
+    'prompt.default': [
+      'You are a polite and concise English voice assistant.',
+      'When the user finishes speaking, reply with the key points in one or two sentences.',
+      'Explain technical terms in plain words, and ask only one question when you need to confirm something.',
+      'Skip long preambles and filler words, and speak at a natural, easy-to-follow pace.',
+      'If the user speaks Japanese, reply in Japanese; otherwise reply in English.',
+      'Repeat back names and numbers where accuracy matters, and politely ask again when you could not hear something.'
+    ].join('\n'),
+
+    'controls.talk': '🎤 Talk',
+    'controls.holdToTalk': '🎤 Hold to talk',
+    'controls.pause': '⏸ Pause',
+    'controls.pauseTitle': 'Pause the microphone',
+    'controls.stopSpeaking': '⏹ Stop speaking',
+    'controls.stopSpeakingTitle': 'Stop the AI from speaking',
+    'controls.end': '✖ End',
+    'controls.endTitle': 'End the call',
+    'controls.cancelReconnect': 'Cancel reconnect',
+
+    'text.placeholder': 'Type a message (Enter to send)',
+    'text.send': 'Send',
+    'text.replyAudio': 'Reply with voice',
+
+    'turn.label': 'Turn detection:',
+    'turn.default': 'Follow persona / default',
+    'turn.serverVad': 'Automatic (voice activity)',
+    'turn.semanticVad': 'Automatic (semantic)',
+    'turn.none': 'Push to talk',
+    'turn.threshold': 'Threshold',
+    'turn.prefix': 'Prefix (ms)',
+    'turn.silence': 'Silence (ms)',
+    'turn.eagerness': 'Eagerness',
+    'turn.eagernessLow': 'low (waits longer)',
+    'turn.eagernessHigh': 'high (replies quickly)',
+
+    'voice.label': 'Voice:',
+    'voice.alloy': 'alloy (calm)',
+    'voice.verse': 'verse (bright)',
+    'voice.aria': 'aria (soft)',
+    'volume.label': 'Volume',
+
+    'audio.title': 'Audio settings',
+    'audio.mic': 'Microphone',
+    'audio.speaker': 'Speaker',
+    'audio.defaultDevice': 'Default device',
+    'audio.outputUnsupported': 'This browser cannot switch the output device',
+    'audio.transport': 'Transport',
+    'audio.transportDefault': 'Server default',
+    'audio.transportWebrtc': 'WebRTC (direct)',
+    'audio.transportRelay': 'WebSocket relay (via server)',
+    'audio.echoCancellation': 'Echo cancellation',
+    'audio.noiseSuppression': 'Noise suppression',
+    'audio.autoGainControl': 'Auto gain',
+
+    'debug.title': 'Debug (latency and connection quality)',
+    'debug.upload': 'Send measurements to the server (JSONL)',
+    'debug.connect': 'Connect',
+    'debug.reconnect': 'Reconnect',
+    'debug.total': 'total',
+    'debug.notConnected': 'Not connected',
+    'debug.phase.mic': 'mic',
+    'debug.phase.session': 'session',
+    'debug.phase.ice': 'ICE',
+    'debug.phase.sdp': 'SDP',
+    'debug.phase.channel': 'channel',
+    'debug.stats': 'RTT {rtt} / jitter {jitter}ms / jitter buffer {buffer} / inbound loss {loss}% ({lost}/{received}) / outbound loss {outboundLoss}%',
+    'debug.noStats': 'No stats',
+    'debug.turn': '{item}  transcript {transcript}  first reply {firstDelta}  audio start {audioStart}',
+    'debug.median': 'Median: first reply {firstDelta} / audio start {audioStart}',
+    'debug.noTurns': 'No turns',
+
+    'error.retry': 'Retry',
+    'error.dismiss': 'Dismiss',
+    'error.detail': 'Details: {detail}',
+    'error.missing_api_key': 'No API key is configured on the server',
+    'error.missing_api_key.hint': 'Ask the administrator to set OPENAI_API_KEY.',
+    'error.invalid_api_key': 'The API key was rejected',
+    'error.invalid_api_key.hint': 'Ask the administrator to check that OPENAI_API_KEY on the server is correct and still active.',
+    'error.quota_exceeded': 'The API quota is used up',
+    'error.quota_exceeded.hint': 'Ask the administrator to check the credit and billing of the OpenAI account.',
+    'error.invalid_voice': 'This voice cannot be used',
+    'error.invalid_voice.hint': 'Pick another voice and retry.',
+    'error.invalid_model': 'This model cannot be used',
+    'error.invalid_model.hint': 'Ask the administrator to check REALTIME_MODEL / ALLOWED_MODELS on the server.',
+    'error.invalid_request': 'The request was invalid',
+    'error.invalid_request.hint': 'Check the prompt and turn detection settings, then retry.',
+    'error.rate_limited': 'Too many requests',
+    'error.rate_limited.hint': 'Wait a moment, then retry.',
+    'error.rate_limited.wait': 'Wait about {seconds}s, then retry.',
+    'error.budget_exceeded': 'The usage limit has been reached',
+    'error.budget_exceeded.hint': 'Wait until the limit resets, or ask the administrator to raise it.',
+    'error.login_required': 'Login required',
+    'error.login_required.hint': 'Log in, then connect.',
+    'error.upstream_error': 'The realtime API reported an error',
+    'error.upstream_error.hint': 'This is likely temporary. Retry.',
+    'error.upstream_unreachable': 'Could not reach the realtime API',
+    'error.upstream_unreachable.hint': 'Check the server\'s network connection and retry.',
+    'error.internal_error': 'The server ran into an error',
+    'error.internal_error.hint': 'If retrying does not help, contact the administrator with the error history.',
+    'error.room_not_found': 'Room not found',
+    'error.room_not_found.hint': 'Check the code. A room closes when its host leaves.',
+    'error.room_full': 'The room is full',
+    'error.room_full.hint': 'Wait until someone leaves, or ask the administrator to raise ROOM_MAX_MEMBERS.',
+    'error.mic_denied': 'Microphone permission denied',
+    'error.mic_denied.hint': 'Allow the microphone from the browser\'s address bar, then retry.',
+    'error.mic_not_found': 'No microphone found',
+    'error.mic_not_found.hint': 'Connect a microphone or pick another one in the audio settings, then retry.',
+    'error.mic_busy': 'The microphone is not available',
+    'error.mic_busy.hint': 'Check that no other app is using the microphone, then retry.',
+    'error.ice_failed': 'Could not establish an audio route',
+    'error.ice_failed.hint': 'A firewall or VPN may be blocking UDP. Switch the transport to WebSocket relay in the audio settings and retry.',
+    'error.sdp_failed': 'Could not set up the audio connection',
+    'error.sdp_failed.hint': 'Retry. If it keeps failing, switch the transport to WebSocket relay.',
+    'error.network_error': 'Network error',
+    'error.network_error.hint': 'Check your internet connection and retry.',
+    'error.connection_lost': 'The connection was lost',
+    'error.connection_lost.hint': 'Check the network and connect again.',
+    'error.session_expired': 'The session has expired',
+    'error.session_expired.hint': 'Connect again to continue in a new session.',
+    'error.realtime_error': 'An error occurred while generating the reply',
+    'error.realtime_error.hint': 'Retry to generate the reply again.',
+    'error.unknown': 'An unexpected error occurred',
+    'error.unknown.hint': 'If retrying does not help, contact the administrator with the error history.',
+
+    'room.label': 'Room:',
+    'room.namePlaceholder': 'Display name',
+    'room.create': 'Create room',
+    'room.codePlaceholder': 'Code',
+    'room.join': 'Join',
+    'room.leave': 'Leave',
+    'room.hosting': 'Room {code} (host)',
+    'room.joined': 'In room {code}',
+    'room.host': '(host)',
+    'room.you': '(you)',
+    'room.passMic': 'Pass mic',
+    'room.takeMic': 'Take mic back',
+    'room.created': 'Room {code} created. Share the code',
+    'room.joinedStatus': 'Joined room {code}',
+    'room.codeMissing': 'Enter a room code',
+    'room.endCallFirst': 'End your call before joining a room',
+    'room.guestNoCall': 'Room guests cannot start a call. You can talk once the host passes you the mic',
+    'room.youHaveMic': 'You have the mic. Go ahead and talk',
+    'room.micReturned': 'The mic went back to the host',
+    'room.closedByHost': 'The host left, so the room was closed',
+    'room.disconnected': 'Lost the connection to the room',
+    'room.left': 'Left the room',
+
+    'summary.title': 'Call summary',
+    'summary.generating': 'Summarizing the call… (press End again to hang up without a summary)',
+    'summary.done': 'Call ended. Summary ready',
+    'summary.failed': 'Call ended (no summary could be made)',
+    'widget.title': 'Voice assistant',
+    'widget.open': 'Open the voice assistant',
+    'widget.close': 'Close',
+    'widget.start': '🎤 Start talking',
+    'widget.mute': 'Mute the mic',
+    'widget.unmute': 'Unmute',
+    'widget.end': 'End the call',
+    'widget.placeholder': 'Type a message…',
+    'widget.send': 'Send',
+    'widget.you': 'You',
+    'widget.assistant': 'Assistant',
+
+    'errors.title': 'Error history',
+    'errors.copy': 'Copy',
+    'errors.copied': 'Error history copied',
+    'errors.clear': 'Clear',
+    'errors.empty': 'No errors',
+
+    'history.title': 'History',
+    'history.empty': 'No conversations yet',
+    'history.delete': 'Delete',
+    'export.json': 'Export as JSON',
+    'export.markdown': 'Export as Markdown',
+    'export.srt': 'Export as SRT subtitles',
+    'export.vtt': 'Export as WebVTT subtitles',
+
+    'recording.badge': 'Recorded',
+    'recording.active': '● Recording',
+    'recording.error': 'Not recording',
+    'recording.title': 'Call audio and conversation events are stored on the server',
+    'recording.errorTitle': 'Recording to the server failed',
+
+    'status.ready': 'Ready to connect',
+    'status.connecting': 'Connecting...',
+    'status.listening': 'Listening...',
+    'status.connected': 'Connected - Tap mic to speak',
+    'status.pushToTalk': 'Hold the mic button (or the space bar) while you speak',
+    'status.paused': 'Paused - Tap mic to resume',
+    'status.pausedHidden': 'Mic paused while the app was in the background - Tap mic to resume',
+    'status.offline': 'You are offline - Calls need a connection',
+    'status.failed': 'Connection failed',
+    'status.sessionUpdated': 'Prompt applied',
+    'status.fetchingSession': 'fetching session…',
+    'status.creatingOffer': 'creating offer…',
+    'status.exchangingSdp': 'exchanging SDP…',
+    'status.connectingRelay': 'connecting relay…',
+    'status.peer.new': 'WebRTC starting…',
+    'status.peer.connecting': 'WebRTC connecting…',
+    'status.peer.connected': 'WebRTC connected',
+    'status.connectionUnstable': 'Connection temporarily lost, waiting to recover...',
+    'status.reconnectPhase': 'Reconnecting ({attempt}/{max}): {text}',
+    'status.reconnectScheduled': 'Connection lost. Reconnecting… ({attempt}/{max}, in {seconds}s)',
+    'status.reconnecting': 'Reconnecting… ({attempt}/{max})',
+    'status.reconnected': 'Reconnected - {status}',
+    'status.reconnectFailed': 'Reconnect failed ({max} attempts)',
+    'status.reconnectCancelled': 'Reconnect cancelled',
+    'status.stoppedSpeaking': 'Stopped the AI from speaking',
+    'status.notSpeaking': 'The AI is not speaking',
+    'status.noExport': 'No conversation to export',
+    'status.promptEmpty': 'The prompt is empty',
+    'status.promptApplied': 'System prompt applied',
+    'status.promptFailed': 'Failed to apply the prompt',
+    'status.applyAfterConnect': 'Connect first to apply it',
+    'status.loginSecretMissing': 'Enter a password or access token',
+    'status.loginInvalid': 'Invalid credentials',
+    'status.loginHttpError': 'Login failed ({status})',
+    'status.loggedIn': 'Logged in',
+    'status.loggedInAs': 'Logged in ({user})',
+    'status.loginFailed': 'Login failed',
+    'status.personaApplied': 'Persona "{name}" applied',
+    'status.personaApplyFailed': 'Failed to apply the persona',
+    'status.personaSelect': 'Select the persona to overwrite',
+    'status.personaSaved': 'Persona "{name}" saved',
+    'status.personaSaveFailed': 'Save failed ({error})',
+    'status.personaCreated': 'Persona "{name}" created',
+    'status.personaCreateFailed': 'Create failed ({error})',
+    'status.personaDeleted': 'Persona "{name}" deleted',
+    'status.personaDeleteFailed': 'Delete failed ({error})',
+    'status.sendAfterConnect': 'Connect first to send messages',
+    'status.messageSent': 'Message sent',
+    'status.messageSentText': 'Message sent (text reply)',
+    'status.messageFailed': 'Failed to send the message',
+    'status.turnDefaultNextCall': 'The default turn detection applies from the next call',
+    'status.pttSpeak': 'Speak now… (release to send)',
+    'status.pttTooShort': 'Too short. Keep holding while you speak',
+    'status.pttSent': 'Sent - waiting for the reply',
+    'status.outputDeviceFailed': 'Could not switch the output device',
+    'status.micSwitchFailed': 'Could not switch the microphone',
+    'status.micApplied': 'Microphone settings applied',
+    'status.telemetryDisabled': 'Telemetry collection is disabled on the server (TELEMETRY=true)',
+    'status.transportNextCall': 'The transport applies from the next call',
+    'status.languageNextCall': 'Language switched. The default system prompt applies from the next call',
+
+    'page.back': '← Back to call',
+    'page.loading': 'Loading…',
+    'page.loginRequired': 'Login required. Log in on the call page, then reopen this page.',
+    'page.adminOnly': 'Admins only (ADMIN_USERS)',
+    'page.noData': 'No data yet',
+    'page.updated': 'Updated: {time}',
+    'page.none': '(none)',
+
+    'usage.documentTitle': 'Usage - Realtime Voice Chat',
+    'usage.title': 'Usage',
+    'usage.today': 'Today',
+    'usage.month': 'This month',
+    'usage.total': 'Total',
+    'usage.note': 'Amounts are estimates from token counts and the configured prices. Check the OpenAI dashboard for actual billing.',
+    'usage.byModel': 'By model',
+    'usage.byDay': 'By day',
+    'usage.byPersona': 'By persona',
+    'usage.recentSessions': 'Recent sessions',
+    'usage.prices': 'Prices (USD / 1M tokens)',
+    'usage.loadFailed': 'Could not load usage',
+    'usage.noLimit': 'No limit',
+    'usage.limit': 'Limit {amount} ({percent}%)',
+    'usage.responses': '{count} responses',
+    'usage.unpriced': 'Models without prices (not included in amounts): {models}',
+    'usage.col.model': 'Model',
+    'usage.col.date': 'Date',
+    'usage.col.persona': 'Persona',
+    'usage.col.started': 'Started',
+    'usage.col.user': 'User',
+    'usage.col.responses': 'Responses',
+    'usage.col.cost': 'Cost',
+    'usage.token.inputText': 'Input text',
+    'usage.token.inputAudio': 'Input audio',
+    'usage.token.cached': '(cached)',
+    'usage.token.outputText': 'Output text',
+    'usage.token.outputAudio': 'Output audio',
+    'usage.price.textInput': 'Text input',
+    'usage.price.textCached': 'Text (cached)',
+    'usage.price.textOutput': 'Text output',
+    'usage.price.audioInput': 'Audio input',
+    'usage.price.audioCached': 'Audio (cached)',
+    'usage.price.audioOutput': 'Audio output',
+
+    'recordings.documentTitle': 'Recordings - Realtime Voice Chat',
+    'recordings.title': 'Recordings',
+    'recordings.disabled': 'Recording is disabled on the server (RECORDING=true)',
+    'recordings.loadFailed': 'Failed to load',
+    'recordings.eventsFailed': 'Could not load the events',
+    'recordings.noLines': 'No conversation lines ({count} events)',
+    'recordings.confirmDelete': 'Delete the recording from {time}?',
+    'recordings.deleteFailed': 'Failed to delete',
+    'recordings.retention': 'Recordings are deleted automatically {days} days after they start.',
+    'recordings.keepForever': 'Recordings are not deleted automatically.',
+    'recordings.open': 'Open',
+    'recordings.delete': 'Delete',
+    'recordings.notEnded': '(not ended)',
+    'recordings.col.started': 'Started',
+    'recordings.col.ended': 'Ended',
+    'recordings.col.user': 'User',
+    'recordings.col.persona': 'Persona',
+    'recordings.col.voice': 'Voice',
+    'recordings.col.model': 'Model',
+    'recordings.col.events': 'Events',
+    'recordings.col.audio': 'Audio',
+    'recordings.col.expires': 'Expires',
+
+    'audit.title': 'Audit log',
+    'audit.col.time': 'Time',
+    'audit.col.action': 'Action',
+    'audit.col.user': 'User',
+    'audit.col.recording': 'Recording',
+    'audit.col.ip': 'IP',
+    'audit.system': '(system)',
+    'audit.recordingStart': 'Recording started',
+    'audit.recordingFinish': 'Recording finished',
+    'audit.recordingView': 'Events viewed',
+    'audit.recordingPlay': 'Played',
+    'audit.recordingDelete': 'Deleted',
+    'audit.recordingExpire': 'Deleted after retention',
+    'audit.configUpdate': 'Settings changed',
+    'audit.configReset': 'Settings reset to .env',
+
+    'admin.documentTitle': 'Settings - Realtime Voice Chat',
+    'admin.title': 'Settings',
+    'admin.readiness': 'Readiness',
+    'admin.sessionSettings': 'Session defaults and limits',
+    'admin.applyNote': 'Changes apply to new calls as soon as they are saved (no restart). Calls in progress are not affected.',
+    'admin.savedTo': ' Saved to: {file}',
+    'admin.modelsVoices': 'Models and voices',
+    'admin.model': 'Default model',
+    'admin.allowedModels': 'Allowed models',
+    'admin.voice': 'Default voice',
+    'admin.allowedVoices': 'Allowed voices',
+    'admin.prompt': 'System prompt',
+    'admin.defaultPrompt': 'Default prompt',
+    'admin.maxChars': 'Maximum characters',
+    'admin.turn': 'Turn detection (without a persona)',
+    'admin.turnType': 'Mode',
+    'admin.turnServerVad': 'server_vad (splits on silence)',
+    'admin.turnSemanticVad': 'semantic_vad (splits on meaning)',
+    'admin.turnNone': 'none (push-to-talk)',
+    'admin.threshold': 'Threshold (0-1)',
+    'admin.prefixPadding': 'Prefix padding (ms)',
+    'admin.silence': 'Silence duration (ms)',
+    'admin.eagerness': 'Eagerness',
+    'admin.default': 'Default',
+    'admin.limits': 'Rate limits (0 disables)',
+    'admin.limitIp': 'Per IP (per minute)',
+    'admin.limitUser': 'Per user (per minute)',
+    'admin.limitMinute': 'Overall (per minute)',
+    'admin.limitDay': 'Overall (per day)',
+    'admin.limitLogin': 'Login attempts (per minute, per IP)',
+    'admin.save': 'Save',
+    'admin.reset': 'Reset to .env',
+    'admin.server': 'Server settings (change with a restart)',
+    'admin.serverNote': 'The port, HTTPS and which features are on are set in .env and take effect after a restart.',
+    'admin.failed': 'Failed: {message}',
+    'admin.enabled': 'On',
+    'admin.disabled': 'Off',
+    'admin.overall': 'Overall',
+    'admin.ready': 'Ready',
+    'admin.notReady': 'Not ready',
+    'admin.apiKeyMissing': 'NG (not set)',
+    'admin.count': ' ({count})',
+    'admin.settingsChanged': ' (changed: {time})',
+    'admin.settingsEnv': ' (.env values)',
+    'admin.notAllowed': '{value} (not allowed)',
+    'admin.envHint': '.env: {value}',
+    'admin.changedHint': ' (changed)',
+    'admin.noChanges': 'No changes',
+    'admin.saved': 'Saved ({fields})',
+    'admin.resetDone': 'Reset to the .env values',
+    'admin.confirmReset': 'Reset all settings to the .env values?',
+    'admin.history': 'Settings history',
+    'admin.col.fields': 'Fields',
+    'admin.check.apiKey': 'OPENAI_API_KEY',
+    'admin.check.dataDir': 'Data directory (writable)',
+    'admin.check.personas': 'Personas',
+    'admin.check.settings': 'Settings file',
+    'admin.check.tools': 'Tools',
+    'admin.server.port': 'Port (PORT)',
+    'admin.server.https': 'HTTPS',
+    'admin.server.baseUrl': 'API URL (OPENAI_BASE_URL)',
+    'admin.server.transcription': 'Transcription model (TRANSCRIPTION_MODEL)',
+    'admin.server.access': 'Access control',
+    'admin.server.relay': 'WebSocket relay (RELAY)',
+    'admin.server.rooms': 'Rooms (ROOMS)',
+    'admin.server.recording': 'Recording (RECORDING)',
+    'admin.server.summary': 'Call summary (SUMMARY)',
+    'admin.server.widgetOrigins': 'Widget origins (WIDGET_ORIGINS)'
+  }
+};
+
+let current = 'ja';
+
+// Saved choice first, then the browser's preferred languages, then Japanese
+export function detectLanguage({ saved = null, preferred = [] } = {}) {
+  if (LANGUAGES.includes(saved)) return saved;
+  for (const tag of preferred) {
+    const base = String(tag || '').toLowerCase().split('-')[0];
+    if (LANGUAGES.includes(base)) return base;
+  }
+  return 'ja';
+}
+
+export function loadLanguage() {
+  let saved = null;
+  try { saved = localStorage.getItem(LANGUAGE_KEY); } catch {}
+  const preferred = typeof navigator === 'undefined' ? [] : (navigator.languages || [navigator.language]);
+  current = detectLanguage({ saved, preferred });
+  return current;
+}
+
+export function setLanguage(lang) {
+  if (!LANGUAGES.includes(lang)) return current;
+  current = lang;
+  try { localStorage.setItem(LANGUAGE_KEY, lang); } catch {}
+  return current;
+}
+
+export function getLanguage() {
+  return current;
+}
+
+// A param may itself be a message ({ key, params }), e.g. the status a
+// reconnect went back to; it is translated into the same language
+export function translate(lang, key, params = {}) {
+  const template = MESSAGES[lang]?.[key] ?? MESSAGES.ja[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (m, name) => {
+    const value = params?.[name];
+    if (value && typeof value === 'object' && typeof value.key === 'string') return translate(lang, value.key, value.params);
+    return value ?? m;
+  });
+}
+
+export function t(key, params) {
+  return translate(current, key, params);
+}
+
+// Built-in prompts are swapped on a language change; edited ones are kept
+export function isDefaultPrompt(text) {
+  const value = String(text || '').trim();
+  return LANGUAGES.some(lang => MESSAGES[lang]['prompt.default'] === value);
+}
+
+// Translates elements marked with data-i18n (text content), data-i18n-title
+// and data-i18n-placeholder, and sets the document language.
+export function applyTranslations(root = document) {
+  if (root.documentElement) root.documentElement.lang = current;
+  for (const el of root.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+  for (const el of root.querySelectorAll('[data-i18n-title]')) el.title = t(el.dataset.i18nTitle);
+  for (const el of root.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = t(el.dataset.i18nPlaceholder);
+}
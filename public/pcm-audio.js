@@ -0,0 +1,72 @@
+import { RELAY_SAMPLE_RATE, pcm16ToFloat } from './pcm.js';
+
+// Web Audio side of the PCM16 streams used by the WebSocket relay and rooms:
+// a player that schedules received chunks back to back, and a capture that
+// turns a MediaStream into 24 kHz PCM16 chunks (see pcm-worklet.js).
+
+// Schedules PCM chunks back to back into destination
+export function createPcmPlayer(ctx, destination, { onStarted = () => {}, onStopped = () => {} } = {}) {
+  const sources = new Set();
+  let nextTime = 0;
+  let responseId = null;
+
+  return {
+    enqueue(samples, id) {
+      if (!samples.length) return;
+      const buffer = ctx.createBuffer(1, samples.length, RELAY_SAMPLE_RATE);
+      buffer.copyToChannel(pcm16ToFloat(samples), 0);
+      const src = ctx.createBufferSource();
+      src.buffer = buffer;
+      src.connect(destination);
+      const startAt = Math.max(ctx.currentTime + 0.02, nextTime);
+      src.start(startAt);
+      nextTime = startAt + buffer.duration;
+      const first = !sources.size;
+      sources.add(src);
+      src.onended = () => {
+        sources.delete(src);
+        if (!sources.size) onStopped(responseId);
+      };
+      if (first) {
+        responseId = id || null;
+        onStarted(responseId);
+      }
+    },
+    // Drops everything queued; returns whether anything was playing
+    clear() {
+      const playing = sources.size > 0;
+      for (const src of sources) {
+        src.onended = null;
+        try { src.stop(); } catch {}
+      }
+      sources.clear();
+      nextTime = 0;
+      return playing;
+    }
+  };
+}
+
+// Calls onChunk(ArrayBuffer) with ~40 ms of PCM16 from whatever stream is
+// connected; setStream swaps the source without rebuilding the graph
+export async function createPcmCapture(ctx, onChunk) {
+  await ctx.audioWorklet.addModule(new URL('./pcm-worklet.js', import.meta.url));
+  const node = new AudioWorkletNode(ctx, 'pcm-capture');
+  // Muted so the node is pulled by the graph without being heard
+  const mute = ctx.createGain();
+  mute.gain.value = 0;
+  node.connect(mute).connect(ctx.destination);
+  node.port.onmessage = (e) => onChunk(e.data);
+  let source = null;
+
+  return {
+    setStream(stream) {
+      try { source?.disconnect(); } catch {}
+      source = stream ? ctx.createMediaStreamSource(stream) : null;
+      source?.connect(node);
+    },
+    close() {
+      try { source?.disconnect(); } catch {}
+      try { node.port.close(); node.disconnect(); } catch {}
+    }
+  };
+}
@@ -0,0 +1,38 @@
+import { createResampler, floatToPcm16, RELAY_SAMPLE_RATE } from './pcm.js';
+
+// Captures the mic for the WebSocket relay: resamples to 24 kHz mono PCM16
+// and posts ~40 ms chunks (as transferable ArrayBuffers) to the main thread.
+
+const CHUNK_SAMPLES = RELAY_SAMPLE_RATE / 25;
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.resample = createResampler(sampleRate, RELAY_SAMPLE_RATE);
+    this.pending = [];
+    this.pendingLength = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (!channel) return true;
+    const chunk = this.resample(channel);
+    this.pending.push(chunk);
+    this.pendingLength += chunk.length;
+    if (this.pendingLength >= CHUNK_SAMPLES) {
+      const joined = new Float32Array(this.pendingLength);
+      let offset = 0;
+      for (const part of this.pending) {
+        joined.set(part, offset);
+        offset += part.length;
+      }
+      this.pending = [];
+      this.pendingLength = 0;
+      const pcm = floatToPcm16(joined);
+      this.port.postMessage(pcm.buffer, [pcm.buffer]);
+    }
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
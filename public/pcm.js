@@ -0,0 +1,45 @@
+// PCM16 helpers for the WebSocket relay transport. Plain functions with no
+// DOM or Web Audio dependencies so the capture worklet and tests share them.
+
+export const RELAY_SAMPLE_RATE = 24000;
+
+export function floatToPcm16(floats) {
+  const out = new Int16Array(floats.length);
+  for (let i = 0; i < floats.length; i++) {
+    const v = Math.max(-1, Math.min(1, floats[i]));
+    out[i] = v < 0 ? v * 0x8000 : v * 0x7fff;
+  }
+  return out;
+}
+
+export function pcm16ToFloat(samples) {
+  const out = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = samples[i] / (samples[i] < 0 ? 0x8000 : 0x7fff);
+  return out;
+}
+
+// Streaming linear-interpolation resampler; keeps its read position across
+// chunks so consecutive buffers join without gaps.
+export function createResampler(fromRate, toRate) {
+  const step = fromRate / toRate;
+  let pos = 0; // read position relative to the current chunk
+  return (input) => {
+    if (fromRate === toRate) return Float32Array.from(input);
+    const out = [];
+    while (pos < input.length) {
+      const i = Math.floor(pos);
+      const next = i + 1 < input.length ? input[i + 1] : input[i];
+      out.push(input[i] + (next - input[i]) * (pos - i));
+      pos += step;
+    }
+    pos -= input.length;
+    return Float32Array.from(out);
+  };
+}
+
+export function base64ToPcm16(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Int16Array(bytes.buffer, 0, bytes.length >> 1);
+}
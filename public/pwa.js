@@ -0,0 +1,84 @@
+// Installed-app support for the call page: the service worker (sw.js) that
+// lets it open offline, a screen wake lock while a call runs, and the lock
+// screen / notification controls of the Media Session API. Each is optional
+// in browsers; without one the call works as before.
+
+const ARTWORK = [
+  { src: '/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+  { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png' }
+];
+const MEDIA_ACTIONS = ['hangup', 'stop', 'pause', 'togglemicrophone'];
+
+// Service workers need a secure context (https or localhost)
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+  navigator.serviceWorker.register('/sw.js').catch(err => {
+    console.warn('Service worker registration failed:', err.message);
+  });
+}
+
+// Keeps the screen on between acquire() and release(). Browsers drop the
+// lock whenever the page is hidden, so it is requested again on return.
+export function createWakeLock() {
+  let wanted = false;
+  let sentinel = null;
+
+  async function request() {
+    if (!wanted || sentinel || document.hidden || !('wakeLock' in navigator)) return;
+    try {
+      const lock = await navigator.wakeLock.request('screen');
+      if (!wanted) {
+        lock.release().catch(() => {});
+        return;
+      }
+      sentinel = lock;
+      lock.addEventListener('release', () => {
+        if (sentinel === lock) sentinel = null;
+      });
+    } catch (err) {
+      // Refused, e.g. in battery saver mode; the screen may just turn off
+      console.warn('Wake lock unavailable:', err.message);
+    }
+  }
+
+  document.addEventListener('visibilitychange', request);
+
+  return {
+    acquire() {
+      wanted = true;
+      request();
+    },
+    release() {
+      wanted = false;
+      sentinel?.release().catch(() => {});
+      sentinel = null;
+    }
+  };
+}
+
+// Unsupported actions throw in some browsers
+function setAction(action, handler) {
+  try {
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch {}
+}
+
+// Shows the call on the lock screen and in the media notification. Lock
+// screens mostly offer only play/pause, so pause ends the call like hangup
+// and stop do (as a headset button ends a phone call).
+export function setCallMediaSession({ title, artist, micActive, onEnd, onToggleMic }) {
+  if (!('mediaSession' in navigator)) return;
+  const session = navigator.mediaSession;
+  if (typeof MediaMetadata === 'function') session.metadata = new MediaMetadata({ title, artist, artwork: ARTWORK });
+  session.playbackState = 'playing';
+  for (const action of ['hangup', 'stop', 'pause']) setAction(action, onEnd);
+  setAction('togglemicrophone', onToggleMic);
+  session.setMicrophoneActive?.(micActive);
+}
+
+export function clearCallMediaSession() {
+  if (!('mediaSession' in navigator)) return;
+  navigator.mediaSession.metadata = null;
+  navigator.mediaSession.playbackState = 'none';
+  for (const action of MEDIA_ACTIONS) setAction(action, null);
+}
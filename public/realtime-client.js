@@ -0,0 +1,965 @@
+import { createSession, finalizeTurn } from './conversation.js';
+import { createRealtimeEventHandler } from './realtime-events.js';
+import { createRelayChannel, relayUrl } from './relay-transport.js';
+import { createTelemetry, summarizeStats } from './telemetry.js';
+import { createLevelProbe } from './audio-settings.js';
+import { errorInfo, classifyError, classifyMicError, classifyStatus, classifyRealtimeError } from './errors.js';
+import { summaryRequest, parseSummary, SUMMARY_PURPOSE } from './summary.js';
+
+// Voice assistant client: one call with the realtime API over WebRTC or the
+// server's WebSocket relay, with reconnection, push-to-talk, typed messages
+// and the end-of-call summary. It touches no page elements; index.html
+// (app.js) and the embeddable widget (widget.js) are both built on it.
+//
+//   const client = new RealtimeClient({ session: { voice: 'alloy', instructions } });
+//   client.on('transcript', ({ conversation }) => render(conversation));
+//   client.on('status', ({ key, params }) => show(t(key, params)));
+//   await client.connect();
+//
+// Options:
+//   baseUrl          where server.js runs ('' = this page's origin)
+//   token            ACCESS_TOKEN sent as a bearer token (for other origins,
+//                    where the login cookie is not sent)
+//   transport        'webrtc' | 'relay', or a function returning one
+//   session          body for POST /session ({ voice, instructions, persona,
+//                    turn_detection, ... }), or a function returning it;
+//                    read again for every (re)connection
+//   micConstraints   getUserMedia constraints, or a function returning them
+//   audioElement     element that plays the reply (one is created if absent)
+//   summary          summarize the call when disconnect({ summary: true })
+//   language         'ja' | 'en' (or a function): picks the summary headings
+//   levels           emit 'level' events with mic and reply levels
+//   unheardText()    transcript line for speech that could not be transcribed
+//   runTool(name, argumentsJson)  defaults to POST /tools/:name
+//
+// Events (client.on(type, listener) returns a function that unsubscribes):
+//   status       { key, params }  i18n.js catalog key for the status line
+//   state        { state }  'idle' | 'connecting' | 'connected' | 'reconnecting'
+//   listening    { listening }  the mic is open (sent to the model) or not
+//   transcript   { conversation }  transcript text changed
+//   turn         { conversation }  a user turn is final
+//   response     { message }  a response finished (response.done)
+//   interrupted  { turn, reason }  assistant speech was cut off
+//   error        { code, detail, status, context, retryAfter }  see errors.js
+//   level        { input, output }  0..1, every 100 ms while connected
+//   session      { info, resume }  the server created a session
+//   open         { resume }  the events channel opened; the call is live
+//   close        { conversation, summary }  the call ended
+//   micstream / remotestream  { stream }  mic acquired or replaced / reply audio
+//   message / send  { event }  every server / client realtime event
+//   telemetry    { record }  latency or getStats() record (see telemetry.js)
+//   telemetrychange  {}  client.telemetry has new figures
+
+// Automatic reconnection: exponential backoff with a fresh ephemeral key per attempt
+export const RECONNECT_MAX_ATTEMPTS = 6;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 15000;
+// How long 'disconnected' may last before we stop waiting for ICE to recover
+const DISCONNECT_GRACE_MS = 5000;
+// An attempt whose data channel has not opened by then counts as failed
+const RECONNECT_OPEN_TIMEOUT_MS = 15000;
+// Number of most recent turns replayed into the new session as context
+const REPLAY_TURNS = 12;
+// getStats() polling; every few polls also become a telemetry record
+const STATS_INTERVAL_MS = 2000;
+const STATS_RECORD_EVERY = 5;
+const LEVEL_INTERVAL_MS = 100;
+// Push-to-talk: releases shorter than this are treated as accidental taps,
+// and the mic stays open briefly after release so the last syllable is not cut off
+const PTT_MIN_MS = 200;
+const PTT_TAIL_MS = 150;
+const SUMMARY_TIMEOUT_MS = 20000;
+
+const resolve = (value) => (typeof value === 'function' ? value() : value);
+
+// Also used by the page for the guest mic of a room
+export function stopTracks(stream) {
+  if (!stream) return;
+  stream.getTracks().forEach(t => t.stop());
+}
+
+// A newer attempt (or a teardown) took over; not worth an error event
+function replacedError() {
+  return Object.assign(new Error('Connection was replaced during negotiation'), { replaced: true });
+}
+
+// Error for a rejected session request, carrying the server's error code
+// (or one guessed from the status) and any validation details
+function sessionError(status, data, context = 'session') {
+  const err = new Error(`Session request failed: ${status}`);
+  err.status = status;
+  err.context = context;
+  err.code = data?.code || classifyStatus(status);
+  if (Array.isArray(data?.details)) err.detail = data.details.join(' / ');
+  if (data?.retry_after) err.retryAfter = data.retry_after;
+  return err;
+}
+
+export class RealtimeClient {
+  #listeners = new Map();
+  #reconnect = null; // { attempt, timer, openTimer, wasListening, lastError }
+  #disconnectTimer = null;
+  #statsTimer = null;
+  #levelTimer = null;
+  #probes = { input: null, output: null };
+  // Stream sent to the model instead of the mic (see useInput)
+  #input = null;
+  #ptt = { active: false, startedAt: 0 };
+  #summary = null; // { resolve, timer } while a summary is being made
+  #events;
+
+  constructor(options = {}) {
+    this.options = {
+      baseUrl: '',
+      token: null,
+      transport: 'webrtc',
+      session: {},
+      micConstraints: { audio: true },
+      audioElement: null,
+      summary: false,
+      language: 'ja',
+      levels: false,
+      unheardText: () => '（聞き取れませんでした）',
+      runTool: null,
+      ...options
+    };
+    this.pc = null;
+    this.dc = null;
+    this.micStream = null;
+    this.remoteStream = null;
+    this.connected = false;
+    this.listening = false;
+    this.state = 'idle';
+    // Effective turn detection of the live session: 'server_vad' | 'semantic_vad' | 'none' (push-to-talk)
+    this.turnMode = 'server_vad';
+    // Conversation log of the current or last call (see conversation.js)
+    this.conversation = null;
+    this.sessionInfo = null;
+    this.volume = 1;
+    this.audio = this.options.audioElement || (typeof Audio === 'function' ? new Audio() : null);
+    if (this.audio) this.audio.autoplay = true;
+    this.telemetry = createTelemetry({
+      onRecord: (record) => this.#emit('telemetry', { record }),
+      onChange: () => this.#emit('telemetrychange', {})
+    });
+    this.#events = createRealtimeEventHandler({
+      getConversation: () => this.conversation,
+      send: (event) => this.sendEvent(event),
+      runTool: (name, args) => (this.options.runTool || ((n, a) => this.#requestTool(n, a)))(name, args),
+      onTranscript: () => this.#emit('transcript', { conversation: this.conversation }),
+      onTurnFinalized: () => this.#emit('turn', { conversation: this.conversation }),
+      onResponseDone: (message) => {
+        this.#reportUsage(message);
+        this.#emit('response', { message });
+      },
+      onOutOfBandResponse: (message, text) => {
+        if (message.response?.metadata?.purpose === SUMMARY_PURPOSE) this.#summary?.resolve(text);
+      },
+      onSessionUpdated: () => this.#status('status.sessionUpdated'),
+      onError: (msg) => {
+        const code = classifyRealtimeError(msg.error);
+        if (code) this.#error(code, { detail: msg.error?.message || '', context: msg.type });
+      },
+      onAudioStarted: () => this.#ensurePlayback(),
+      onInterrupted: (turn, reason) => {
+        this.#emit('interrupted', { turn, reason });
+        if (reason === 'manual') this.#status('status.stoppedSpeaking');
+      },
+      unheardText: () => this.options.unheardText()
+    });
+  }
+
+  // --- events ---
+
+  on(type, listener) {
+    if (!this.#listeners.has(type)) this.#listeners.set(type, new Set());
+    this.#listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    this.#listeners.get(type)?.delete(listener);
+  }
+
+  #emit(type, detail) {
+    for (const listener of [...(this.#listeners.get(type) || [])]) {
+      try { listener(detail); } catch (e) { console.error(`${type} listener failed`, e); }
+    }
+  }
+
+  #status(key, params) {
+    this.#emit('status', { key, params });
+  }
+
+  #error(code, { detail = '', status, context, retryAfter } = {}) {
+    this.#emit('error', { code, detail, status, context, retryAfter });
+  }
+
+  #setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.#emit('state', { state });
+  }
+
+  // --- state ---
+
+  get open() {
+    return this.dc?.readyState === 'open';
+  }
+
+  // A call is set up, live or being reconnected
+  get active() {
+    return Boolean(this.pc || this.dc || this.micStream);
+  }
+
+  get reconnecting() {
+    return Boolean(this.#reconnect);
+  }
+
+  get reconnectAttempt() {
+    return this.#reconnect?.attempt || 0;
+  }
+
+  // Push-to-talk is held down
+  get talking() {
+    return this.#ptt.active;
+  }
+
+  get summarizing() {
+    return Boolean(this.#summary);
+  }
+
+  get isPushToTalk() {
+    return this.turnMode === 'none';
+  }
+
+  get transport() {
+    return resolve(this.options.transport) === 'relay' ? 'relay' : 'webrtc';
+  }
+
+  // Status key shown while connected with the mic closed
+  get idleStatus() {
+    return this.isPushToTalk ? 'status.pushToTalk' : 'status.connected';
+  }
+
+  #url(path) {
+    return `${this.options.baseUrl.replace(/\/+$/, '')}${path}`;
+  }
+
+  #fetch(path, init = {}) {
+    const headers = { ...(init.headers || {}) };
+    if (this.options.token) headers.Authorization = `Bearer ${this.options.token}`;
+    return fetch(this.#url(path), { ...init, headers });
+  }
+
+  #sessionBody() {
+    return { modalities: ['text', 'audio'], ...(resolve(this.options.session) || {}) };
+  }
+
+  // --- call lifecycle ---
+
+  async connect() {
+    if (this.pc || this.dc || this.micStream) return;
+    this.#setState('connecting');
+    this.#status('status.connecting');
+    this.telemetry.startSetup();
+    this.telemetry.beginPhase('mic');
+    try {
+      this.micStream = await this.#openMic();
+      this.telemetry.endPhase('mic');
+      // Keep mic tracks disabled until the call is live
+      this.#setMicEnabled(false);
+      this.#watchLevels();
+      this.#emit('micstream', { stream: this.micStream });
+      await this.#negotiate();
+    } catch (err) {
+      console.error('Connection failed:', err);
+      this.#cleanup();
+      if (!err.replaced) {
+        this.#status('status.failed');
+        this.#error(classifyError(err), { detail: err.detail, status: err.status, context: err.context, retryAfter: err.retryAfter });
+      }
+      throw err;
+    }
+  }
+
+  async #openMic() {
+    try {
+      return await navigator.mediaDevices.getUserMedia(resolve(this.options.micConstraints));
+    } catch (err1) {
+      console.warn('Mic constraints failed, retrying with audio:true', err1);
+      try {
+        return await navigator.mediaDevices.getUserMedia({ audio: true });
+      } catch (err2) {
+        console.error('Mic error:', err2);
+        throw Object.assign(new Error(`Microphone unavailable: ${err2?.name || err2}`), {
+          code: classifyMicError(err2), context: 'mic'
+        });
+      }
+    }
+  }
+
+  // Ends the call. With summary (and the summary option on), first asks the
+  // model to summarize it; calling again meanwhile hangs up without waiting.
+  // -> the summary stored on the conversation, or null
+  async disconnect({ summary = false } = {}) {
+    if (this.#summary) {
+      this.#summary.resolve(null);
+      return null;
+    }
+    if (!summary || !this.#canSummarize()) {
+      this.#cleanup();
+      return null;
+    }
+    const stored = await this.#summarize();
+    this.#cleanup();
+    this.#status(stored ? 'summary.done' : 'summary.failed');
+    return stored;
+  }
+
+  cancelReconnect() {
+    if (!this.#reconnect) return;
+    this.#cleanup();
+    this.#status('status.reconnectCancelled');
+  }
+
+  #setMicEnabled(on) {
+    try { this.micStream?.getAudioTracks().forEach(t => { t.enabled = Boolean(on); }); } catch {}
+  }
+
+  #setListening(on) {
+    this.#setMicEnabled(on);
+    if (this.listening === Boolean(on)) return;
+    this.listening = Boolean(on);
+    this.#emit('listening', { listening: this.listening });
+  }
+
+  // Hands-free mode: opens or closes the mic
+  setListening(on) {
+    if (!this.connected || this.#reconnect) return false;
+    this.#setListening(on);
+    this.#status(on ? 'status.listening' : this.idleStatus);
+    return true;
+  }
+
+  // Starts a session over the chosen transport. With resume, the current
+  // conversation is kept and its recent turns are replayed once the channel opens.
+  async #negotiate({ resume = false } = {}) {
+    // Keep the attempt count visible while a reconnect walks through the phases
+    const phase = (key) => (this.#reconnect
+      ? this.#status('status.reconnectPhase', { attempt: this.#reconnect.attempt, max: RECONNECT_MAX_ATTEMPTS, text: { key } })
+      : this.#status(key));
+
+    if (resume) this.telemetry.startSetup({ resume: true });
+    if (this.transport === 'relay') return this.#negotiateRelay({ resume, phase });
+    return this.#negotiatePeer({ resume, phase });
+  }
+
+  // Fetches a fresh ephemeral key and negotiates a new peer connection using
+  // the existing mic stream.
+  async #negotiatePeer({ resume, phase }) {
+    phase('status.fetchingSession');
+    this.telemetry.beginPhase('session');
+    let sess;
+    try {
+      const r = await this.#fetch('/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.#sessionBody())
+      });
+      if (!r.ok) {
+        const data = await r.json().catch(() => null);
+        throw sessionError(r.status, data);
+      }
+      sess = await r.json();
+    } catch (err) {
+      console.error('Session fetch error:', err);
+      if (!err.context) err.context = 'session';
+      throw err;
+    }
+    this.telemetry.endPhase('session');
+    if (!sess?.client_secret) {
+      throw Object.assign(new Error('Invalid session response'), { code: 'upstream_error', context: 'session' });
+    }
+
+    // The server names the upstream realtime endpoint (real API or local stand-in)
+    const realtimeUrl = sess.realtime_url || 'https://api.openai.com/v1/realtime';
+    this.#beginConversation(sess, resume);
+
+    // Public STUN and no-trickle ICE
+    const peer = new RTCPeerConnection({ iceServers: [{ urls: 'stun:stun.l.google.com:19302' }] });
+    this.pc = peer;
+    // Handlers below ignore events from a peer that has since been replaced
+
+    // Send the mic (or the stream set with useInput) and receive the reply audio
+    const input = this.#input || this.micStream;
+    input.getAudioTracks().forEach(t => {
+      const sender = peer.addTrack(t, input);
+      try {
+        const trx = peer.getTransceivers().find(tr => tr.sender === sender);
+        if (trx) trx.direction = 'sendrecv';
+      } catch {}
+    });
+    // Ensure we can receive AI audio even if no track arrives immediately
+    try { peer.addTransceiver('audio', { direction: 'recvonly' }); } catch {}
+
+    peer.ontrack = (event) => {
+      const streams = event.streams?.length || 0;
+      console.log('pc.ontrack: received remote track', { streams, kind: event.track?.kind });
+      try { this.#attachRemoteAudio(streams ? event.streams[0] : new MediaStream([event.track])); } catch {}
+    };
+
+    try {
+      this.#attachChannel(peer.createDataChannel('oai-events'), { resume, peer });
+    } catch {}
+    peer.ondatachannel = (event) => this.#attachChannel(event.channel, { resume, peer });
+
+    peer.onconnectionstatechange = () => {
+      if (peer !== this.pc) return;
+      console.log('pc.connectionState:', peer.connectionState);
+      clearTimeout(this.#disconnectTimer);
+      this.#disconnectTimer = null;
+      if (peer.connectionState === 'failed' || peer.connectionState === 'closed') {
+        this.#handleConnectionLost();
+      } else if (peer.connectionState === 'disconnected') {
+        // 'disconnected' is often temporary; give ICE a moment to recover on its own
+        this.#status('status.connectionUnstable');
+        this.#disconnectTimer = setTimeout(() => {
+          this.#disconnectTimer = null;
+          if (peer === this.pc && peer.connectionState === 'disconnected') this.#handleConnectionLost();
+        }, DISCONNECT_GRACE_MS);
+      } else if (!this.#reconnect) {
+        this.#status(`status.peer.${peer.connectionState}`);
+      }
+    };
+    peer.oniceconnectionstatechange = () => console.log('pc.iceConnectionState:', peer.iceConnectionState);
+
+    phase('status.creatingOffer');
+    this.telemetry.beginPhase('ice');
+    const offer = await peer.createOffer();
+    await peer.setLocalDescription(offer);
+    // Wait for ICE gathering to complete since we use non-trickle HTTP exchange
+    await new Promise((done) => {
+      if (peer.iceGatheringState === 'complete') return done();
+      const check = () => {
+        if (peer.iceGatheringState === 'complete') {
+          peer.removeEventListener('icegatheringstatechange', check);
+          done();
+        }
+      };
+      peer.addEventListener('icegatheringstatechange', check);
+      // Fallback timeout (2s)
+      setTimeout(() => { peer.removeEventListener('icegatheringstatechange', check); done(); }, 2000);
+    });
+    if (peer !== this.pc) throw replacedError();
+    this.telemetry.endPhase('ice');
+
+    // Exchange SDP directly with the realtime endpoint using the ephemeral key
+    phase('status.exchangingSdp');
+    this.telemetry.beginPhase('sdp');
+    let answer;
+    try {
+      const sdpResponse = await fetch(`${realtimeUrl}?model=${encodeURIComponent(sess.model)}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${sess.client_secret}`,
+          'Content-Type': 'application/sdp',
+          'Accept': 'application/sdp',
+          'OpenAI-Beta': 'realtime=v1'
+        },
+        body: peer.localDescription.sdp
+      });
+      if (!sdpResponse.ok) {
+        const errText = await sdpResponse.text().catch(() => '');
+        console.error('SDP exchange error:', errText);
+        throw Object.assign(new Error(`SDP exchange failed: ${sdpResponse.status}`), {
+          code: 'sdp_failed', status: sdpResponse.status, context: 'sdp'
+        });
+      }
+      answer = await sdpResponse.text();
+    } catch (err) {
+      console.error('SDP exchange network error:', err);
+      if (!err.context) err.context = 'sdp';
+      throw err;
+    }
+    if (peer !== this.pc) throw replacedError();
+    await peer.setRemoteDescription({ type: 'answer', sdp: answer });
+    this.telemetry.endPhase('sdp');
+    // The call is live once the data channel opens
+    this.telemetry.beginPhase('channel');
+  }
+
+  // Opens a session through the server's WebSocket relay (lib/relay.js). The
+  // server holds the upstream connection, so there is no ephemeral key or SDP.
+  async #negotiateRelay({ resume, phase }) {
+    phase('status.connectingRelay');
+    this.telemetry.beginPhase('session');
+    const ch = createRelayChannel({
+      url: relayUrl('/relay', this.options.baseUrl || location.href),
+      stream: this.#input || this.micStream,
+      session: this.#sessionBody(),
+      onLost: () => { if (this.dc === ch) this.#handleConnectionLost(); }
+    });
+    this.dc = ch;
+    let info;
+    try {
+      info = await ch.ready;
+    } catch (err) {
+      console.error('Relay start error:', err);
+      // Without a relay.error the socket itself failed (server down, blocked)
+      throw err.data ? sessionError(err.status, err.data, 'relay') : Object.assign(err, { code: 'network_error', context: 'relay' });
+    }
+    if (this.dc !== ch) throw replacedError();
+    this.telemetry.endPhase('session');
+    this.#beginConversation(info, resume);
+    this.#attachRemoteAudio(ch.outputStream);
+    this.#attachChannel(ch, { resume });
+    this.telemetry.beginPhase('channel');
+    ch.activate();
+  }
+
+  // Sets up the conversation for a session the server has just created
+  #beginConversation(info, resume) {
+    this.sessionInfo = info;
+    // null means push-to-talk; absent (older servers) means server VAD
+    this.turnMode = info.turn_detection === null ? 'none' : info.turn_detection?.type || 'server_vad';
+    if (!resume || !this.conversation) {
+      const body = this.#sessionBody();
+      this.conversation = createSession({
+        model: info.model,
+        voice: info.voice || body.voice || null,
+        instructions: body.instructions || ''
+      });
+    }
+    this.#events.reset();
+    this.#emit('session', { info, resume });
+    this.#emit('transcript', { conversation: this.conversation });
+  }
+
+  #attachRemoteAudio(stream) {
+    this.remoteStream = stream;
+    if (this.audio) this.audio.srcObject = stream;
+    this.#probes.output?.stop();
+    this.#probes.output = this.options.levels ? createLevelProbe(stream) : null;
+    const track = stream.getAudioTracks?.()[0];
+    if (track) track.onunmute = () => this.#ensurePlayback();
+    this.#emit('remotestream', { stream });
+    this.#ensurePlayback();
+  }
+
+  #ensurePlayback() {
+    if (!this.audio) return;
+    try {
+      this.audio.muted = false;
+      this.audio.volume = this.volume;
+      this.audio.play()?.catch(() => {});
+    } catch {}
+  }
+
+  setVolume(volume) {
+    this.volume = Math.min(1, Math.max(0, Number(volume) || 0));
+    if (this.audio) this.audio.volume = this.volume;
+  }
+
+  // Wires the events channel: the WebRTC data channel, or the relay channel
+  // which mimics it (peer is null then).
+  #attachChannel(ch, { resume = false, peer = null } = {}) {
+    this.dc = ch;
+    ch.onopen = () => {
+      console.log('dc.onopen readyState=', ch.readyState);
+      this.connected = true;
+      this.telemetry.endPhase('channel');
+      this.telemetry.finishSetup();
+      if (peer) this.#pollStats(peer);
+      const { instructions, voice } = this.#sessionBody();
+      if (instructions) this.sendEvent({ type: 'session.update', session: { instructions, voice } });
+      else if (voice) this.sendEvent({ type: 'session.update', session: { voice } });
+      this.#emit('open', { resume });
+      if (resume) {
+        this.#replayRecentTurns();
+        this.#finishReconnect();
+        return;
+      }
+      this.#setState('connected');
+      if (this.isPushToTalk) {
+        this.#setListening(false);
+        this.#status(this.idleStatus);
+        return;
+      }
+      this.#setListening(true);
+      this.#status('status.listening');
+    };
+    ch.onmessage = (ev) => {
+      let msg;
+      try { msg = JSON.parse(ev.data); } catch { return; }
+      this.telemetry.observe(msg);
+      this.#emit('message', { event: msg });
+      this.#events.handle(msg);
+    };
+    ch.onclose = () => console.debug('dc.onclose');
+    ch.onerror = (e) => {
+      console.warn('dc.onerror', e);
+      // The relay reports upstream failures during a call as relay.error
+      if (e?.data?.code) this.#error(e.data.code, { status: e.data.status, context: 'relay' });
+    };
+  }
+
+  sendEvent(event) {
+    if (!this.open) return false;
+    try {
+      this.dc.send(JSON.stringify(event));
+      this.#emit('send', { event });
+      return true;
+    } catch (e) {
+      console.warn(`failed to send ${event.type}`, e);
+      return false;
+    }
+  }
+
+  // --- during a call ---
+
+  // Typed message, answered as audio+text or text only
+  sendText(text, { audio = true } = {}) {
+    if (!this.open) return false;
+    return this.#events.sendText(text, { audio });
+  }
+
+  // Sends session.update; a turn_detection change switches between hands-free
+  // and push-to-talk (null = push-to-talk)
+  updateSession(session) {
+    if (!this.sendEvent({ type: 'session.update', session })) return false;
+    if ('turn_detection' in session) {
+      this.turnMode = session.turn_detection === null ? 'none' : session.turn_detection?.type || 'server_vad';
+      this.#setListening(false);
+    }
+    return true;
+  }
+
+  // Stops the assistant mid-reply: cancel, flush queued audio, truncate what was heard
+  interrupt() {
+    return this.#events.interrupt('manual');
+  }
+
+  // Push-to-talk: the mic is open between startTalking() and stopTalking()
+  startTalking() {
+    if (!this.connected || this.#reconnect || !this.isPushToTalk || this.#ptt.active) return false;
+    this.#ptt = { active: true, startedAt: Date.now() };
+    // Pressing to talk interrupts the assistant, as VAD barge-in would
+    this.#events.interrupt('push-to-talk');
+    // Drop anything left in the buffer from before the press
+    this.sendEvent({ type: 'input_audio_buffer.clear' });
+    this.#setListening(true);
+    this.#status('status.pttSpeak');
+    return true;
+  }
+
+  stopTalking() {
+    if (!this.#ptt.active) return;
+    this.#ptt.active = false;
+    if (Date.now() - this.#ptt.startedAt < PTT_MIN_MS) {
+      this.#setListening(false);
+      this.sendEvent({ type: 'input_audio_buffer.clear' });
+      this.#status('status.pttTooShort');
+      return;
+    }
+    setTimeout(() => {
+      if (this.#ptt.active) return; // pressed again during the tail
+      this.#setListening(false);
+      // The committed event that follows requests the reply (realtime-events.js)
+      if (this.sendEvent({ type: 'input_audio_buffer.commit' })) this.#status('status.pttSent');
+    }, PTT_TAIL_MS);
+  }
+
+  // Sends the model this stream instead of the mic (null = the mic again),
+  // without renegotiating; rooms use it for the guest holding the mic
+  async useInput(stream) {
+    this.#input = stream && stream !== this.micStream ? stream : null;
+    const next = this.#input || this.micStream;
+    const track = next?.getAudioTracks()[0];
+    if (!track) return;
+    await this.#replaceTrack(track);
+    if (this.dc?.setStream) this.dc.setStream(next);
+  }
+
+  async #replaceTrack(track) {
+    if (!this.pc) return;
+    for (const sender of this.pc.getSenders()) {
+      if (sender.track?.kind !== 'audio' || sender.track === track) continue;
+      try {
+        await sender.replaceTrack(track);
+      } catch (e) {
+        console.warn('replaceTrack failed', e);
+      }
+    }
+  }
+
+  // Re-acquires the mic with the current constraints (device or processing
+  // change) and swaps the track in place. -> whether the mic was replaced
+  async restartMicrophone() {
+    if (!this.micStream) return false;
+    let next;
+    try {
+      next = await navigator.mediaDevices.getUserMedia(resolve(this.options.micConstraints));
+    } catch (e) {
+      console.warn('Failed to restart microphone', e);
+      this.#status('status.micSwitchFailed');
+      return false;
+    }
+    if (!this.micStream) {
+      // The call ended while the new device was opening
+      stopTracks(next);
+      return false;
+    }
+    const prev = this.micStream;
+    const track = next.getAudioTracks()[0];
+    track.enabled = prev.getAudioTracks().some(t => t.enabled);
+    this.micStream = next;
+    // While another input is in use, the model keeps hearing that
+    if (!this.#input) {
+      await this.#replaceTrack(track);
+      if (this.dc?.setStream) this.dc.setStream(next);
+    }
+    stopTracks(prev);
+    this.#probes.input?.stop();
+    this.#probes.input = this.options.levels ? createLevelProbe(next) : null;
+    this.#emit('micstream', { stream: next });
+    this.#status('status.micApplied');
+    return true;
+  }
+
+  // --- reconnection ---
+
+  // Closes the data channel and peer connection but keeps the mic stream and
+  // conversation, so a reconnect can reuse them.
+  #teardownPeer() {
+    clearTimeout(this.#disconnectTimer);
+    this.#disconnectTimer = null;
+    try { this.dc?.close(); } catch {}
+    this.dc = null;
+    this.#events.reset();
+    try { this.pc?.close(); } catch {}
+    this.pc = null;
+    clearInterval(this.#statsTimer);
+    this.#statsTimer = null;
+    this.telemetry.reset();
+    this.#probes.output?.stop();
+    this.#probes.output = null;
+    this.remoteStream = null;
+  }
+
+  // Re-seeds a fresh session with the tail of the conversation so the
+  // assistant picks up where it left off.
+  #replayRecentTurns() {
+    if (!this.conversation) return;
+    const recent = this.conversation.turns
+      .filter(t => t.final && !t.failed && t.text && t.text.trim())
+      .slice(-REPLAY_TURNS);
+    for (const t of recent) {
+      this.sendEvent({
+        type: 'conversation.item.create',
+        item: { type: 'message', role: t.role, content: [{ type: t.role === 'user' ? 'input_text' : 'text', text: t.text.trim() }] }
+      });
+    }
+    console.debug(`replayed ${recent.length} turns into new session`);
+  }
+
+  #handleConnectionLost() {
+    // Hanging up anyway; the disconnect() waiting for the summary cleans up
+    if (this.#summary) return this.#summary.resolve(null);
+    if (this.#reconnect) {
+      // The attempt in progress died before its data channel opened
+      clearTimeout(this.#reconnect.openTimer);
+      this.#teardownPeer();
+      this.#scheduleReconnectAttempt();
+      return;
+    }
+    if (!this.connected) {
+      // Lost before the data channel opened: on WebRTC that means ICE failed
+      const relay = this.transport === 'relay';
+      this.#cleanup();
+      this.#status('status.failed');
+      this.#error(relay ? 'connection_lost' : 'ice_failed', { context: relay ? 'relay' : 'ice' });
+      return;
+    }
+    this.#reconnect = { attempt: 0, timer: null, openTimer: null, wasListening: this.listening, lastError: null };
+    this.#teardownPeer();
+    this.#setListening(false);
+    this.#setState('reconnecting');
+    this.#scheduleReconnectAttempt();
+  }
+
+  #scheduleReconnectAttempt() {
+    const r = this.#reconnect;
+    if (!r) return;
+    // Give up after the last attempt, or at once when retrying cannot help
+    // (e.g. the API key was rejected)
+    const code = r.lastError ? classifyError(r.lastError) : 'connection_lost';
+    if (r.attempt >= RECONNECT_MAX_ATTEMPTS || !errorInfo(code).retry) {
+      this.#cleanup();
+      this.#status('status.reconnectFailed', { max: RECONNECT_MAX_ATTEMPTS });
+      this.#error(code, { detail: r.lastError?.detail, status: r.lastError?.status, context: 'reconnect' });
+      return;
+    }
+    r.attempt++;
+    const backoff = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (r.attempt - 1), RECONNECT_MAX_DELAY_MS);
+    const delay = backoff + Math.floor(Math.random() * 300);
+    this.#status('status.reconnectScheduled', { attempt: r.attempt, max: RECONNECT_MAX_ATTEMPTS, seconds: Math.round(delay / 1000) });
+    r.timer = setTimeout(async () => {
+      if (this.#reconnect !== r) return;
+      this.#status('status.reconnecting', { attempt: r.attempt, max: RECONNECT_MAX_ATTEMPTS });
+      r.openTimer = setTimeout(() => {
+        if (this.#reconnect === r && !this.open) this.#handleConnectionLost();
+      }, RECONNECT_OPEN_TIMEOUT_MS);
+      try {
+        await this.#negotiate({ resume: true });
+      } catch (err) {
+        console.warn(`Reconnect attempt ${r.attempt} failed:`, err);
+        if (this.#reconnect !== r) return;
+        if (!err.replaced) r.lastError = err;
+        clearTimeout(r.openTimer);
+        this.#teardownPeer();
+        this.#scheduleReconnectAttempt();
+      }
+    }, delay);
+  }
+
+  #finishReconnect() {
+    const r = this.#reconnect;
+    if (!r) return;
+    clearTimeout(r.timer);
+    clearTimeout(r.openTimer);
+    this.#reconnect = null;
+    this.#setState('connected');
+    const listening = r.wasListening && !this.isPushToTalk;
+    this.#setListening(listening);
+    this.#status('status.reconnected', { status: { key: listening ? 'status.listening' : this.idleStatus } });
+  }
+
+  #cleanup() {
+    if (this.#reconnect) {
+      clearTimeout(this.#reconnect.timer);
+      clearTimeout(this.#reconnect.openTimer);
+      this.#reconnect = null;
+    }
+    this.#ptt.active = false;
+    this.#teardownPeer();
+    this.#setListening(false);
+    stopTracks(this.micStream);
+    this.micStream = null;
+    this.#input = null;
+    clearInterval(this.#levelTimer);
+    this.#levelTimer = null;
+    this.#probes.input?.stop();
+    this.#probes.input = null;
+    if (this.audio) this.audio.srcObject = null;
+    const wasActive = this.state !== 'idle';
+    this.connected = false;
+    this.#setState('idle');
+    this.#status('status.ready');
+    // Keep the finished call instead of wiping it
+    const conversation = this.conversation;
+    if (conversation && !conversation.endedAt) {
+      conversation.turns.forEach(t => { if (!t.final) finalizeTurn(t); });
+      conversation.endedAt = Date.now();
+    }
+    if (wasActive) this.#emit('close', { conversation, summary: conversation?.summary || null });
+  }
+
+  // --- summary ---
+
+  #canSummarize() {
+    return Boolean(this.options.summary) && !this.#reconnect && this.open &&
+      Boolean(this.conversation?.turns.some(t => t.final && t.text));
+  }
+
+  // Asks the model for a summary of the call as an out-of-band text response
+  // (nothing is spoken or added to the conversation) and stores it on the
+  // conversation. -> the summary, or null
+  async #summarize() {
+    const conversation = this.conversation;
+    this.#events.interrupt('hangup');
+    this.#setListening(false);
+    this.#status('summary.generating');
+    let parsed = null;
+    // Set before the config is fetched, so hanging up meanwhile is not ignored
+    const reply = new Promise((done) => {
+      this.#summary = { resolve: done, timer: setTimeout(() => done(null), SUMMARY_TIMEOUT_MS) };
+    });
+    try {
+      // null when hung up (or timed out) before the config arrived
+      const config = await Promise.race([this.#summaryConfig(), reply]);
+      const text = config && this.sendEvent(summaryRequest(config.instructions)) ? await reply : null;
+      parsed = text ? parseSummary(text, config.schema, { lang: resolve(this.options.language) }) : null;
+      if (text && !parsed) console.warn('summary reply is not JSON:', text.slice(0, 200));
+    } catch (e) {
+      console.warn('summary failed', e);
+    } finally {
+      clearTimeout(this.#summary?.timer);
+      this.#summary = null;
+    }
+    if (!parsed?.sections.length) return null;
+    conversation.summary = { createdAt: Date.now(), sections: parsed.sections };
+    return conversation.summary;
+  }
+
+  // --- server calls, stats and levels ---
+
+  async #summaryConfig() {
+    const r = await this.#fetch('/summary-config');
+    if (!r.ok) throw new Error(`summary-config ${r.status}`);
+    return r.json();
+  }
+
+  // Runs a tool requested by the model on our server (see tools/)
+  async #requestTool(name, args) {
+    const r = await this.#fetch(`/tools/${encodeURIComponent(name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ arguments: args })
+    });
+    const data = await r.json().catch(() => ({}));
+    return r.ok ? data.output : { error: data.error || `Tool request failed: ${r.status}` };
+  }
+
+  // Forwards token usage from response.done for metering (see /usage)
+  #reportUsage(msg) {
+    const usage = msg?.response?.usage;
+    const session = this.sessionInfo?.usage_session;
+    if (!usage || !session) return;
+    this.#fetch('/usage', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ session, response_id: msg.response.id, usage })
+    }).then(r => {
+      if (!r.ok) console.warn('usage report rejected:', r.status);
+    }).catch(e => console.warn('usage report failed', e));
+  }
+
+  #pollStats(peer) {
+    clearInterval(this.#statsTimer);
+    let polls = 0;
+    const timer = setInterval(async () => {
+      if (peer !== this.pc) return clearInterval(timer);
+      try {
+        this.telemetry.setStats(summarizeStats(await peer.getStats()));
+        if (++polls % STATS_RECORD_EVERY === 0) this.#emit('telemetry', { record: this.telemetry.statsRecord() });
+      } catch (e) {
+        console.warn('getStats failed', e);
+      }
+    }, STATS_INTERVAL_MS);
+    this.#statsTimer = timer;
+  }
+
+  #watchLevels() {
+    if (!this.options.levels) return;
+    this.#probes.input?.stop();
+    this.#probes.input = createLevelProbe(this.micStream);
+    clearInterval(this.#levelTimer);
+    this.#levelTimer = setInterval(() => {
+      this.#emit('level', {
+        input: this.listening ? this.#probes.input?.level() || 0 : 0,
+        output: this.#probes.output?.level() || 0
+      });
+    }, LEVEL_INTERVAL_MS);
+  }
+}
@@ -0,0 +1,344 @@
+import { upsertTurn, finalizeTurn } from './conversation.js';
+
+// Handles realtime data channel events independently of the DOM so the same
+// logic can be driven by the page or by tests replaying a scripted session.
+//
+// Hooks (all optional except getConversation and send):
+//   getConversation() -> current conversation session
+//   send(event) -> boolean, sends a client event on the data channel
+//   runTool(name, argumentsJson) -> Promise<output>
+//   onTranscript()       transcript text changed
+//   onTurnFinalized()    a user turn is final (persist)
+//   onResponseDone(msg)  a response finished (persist, history)
+//   onOutOfBandResponse(msg, text)  an out-of-band response (one created with
+//                        metadata, e.g. the call summary) finished; its text
+//                        never reaches the transcript
+//   onSessionUpdated()   session.updated acknowledged
+//   onError(msg)         error event, or { type: 'response.failed', error } for a failed response
+//   onAudioStarted()     output audio began playing
+//   onInterrupted(turn, reason)  assistant speech was cut off
+//   unheardText()        line shown for a user turn that could not be transcribed
+//   now()                clock, replaceable in tests
+
+// Rough speaking rates used to estimate how much of an interrupted reply was
+// actually heard; WebRTC gives us no per-character audio timing.
+const CHARS_PER_SECOND_JA = 7;
+const CHARS_PER_SECOND_EN = 15;
+
+// Keeps the part of a reply spoken within playedMs, ending on a word
+// boundary for Latin text.
+export function heardPortion(text, playedMs) {
+  const latin = /^[\x00-\x7F\s]*$/.test(text);
+  const rate = latin ? CHARS_PER_SECOND_EN : CHARS_PER_SECOND_JA;
+  const chars = Math.floor((Math.max(0, playedMs) / 1000) * rate);
+  if (chars >= text.length) return text;
+  let cut = text.slice(0, chars);
+  if (latin) {
+    const space = cut.lastIndexOf(' ');
+    if (space > 0) cut = cut.slice(0, space);
+  }
+  return cut.trimEnd();
+}
+
+// All text a finished response produced (response.done's response.output)
+export function responseText(response) {
+  return (response?.output || [])
+    .flatMap(item => item?.content || [])
+    .map(part => part?.text ?? part?.transcript ?? '')
+    .join('');
+}
+
+// Passages a tool answered with ({ results: [{ source, title, snippet }] },
+// as returned by search_knowledge), kept to show next to the reply.
+export function citedSources(output) {
+  if (!Array.isArray(output?.results)) return [];
+  return output.results
+    .filter(r => r && typeof r.source === 'string')
+    .map(r => ({ source: r.source, title: String(r.title || r.source), snippet: String(r.snippet || '') }));
+}
+
+export function createRealtimeEventHandler(hooks) {
+  const {
+    getConversation,
+    send,
+    runTool = async () => ({ error: 'Tools are not available' }),
+    onTranscript = () => {},
+    onTurnFinalized = () => {},
+    onResponseDone = () => {},
+    onOutOfBandResponse = () => {},
+    onSessionUpdated = () => {},
+    onError = () => {},
+    onAudioStarted = () => {},
+    onInterrupted = () => {},
+    unheardText = () => '（聞き取れませんでした）',
+    now = () => Date.now()
+  } = hooks;
+
+  // Wall-clock time VAD detected the start of the pending user utterance
+  let speechStartedAt = null;
+  // Tool calls per response id: { pending, sent, done }. The follow-up
+  // response.create waits until the response is done and every output is sent.
+  const toolRounds = new Map();
+  // Response currently being generated, and when its audio started playing
+  let activeResponseId = null;
+  let playback = null; // { responseId, startedAt }
+  // Items and responses cut off by barge-in; later deltas for them are ignored
+  const interruptedItems = new Set();
+  const cancelledResponses = new Set();
+  // Sources from tool output, attached to the next assistant line that is
+  // not part of the response which made the call
+  let pendingSources = null; // { responseId, sources }
+  // Out-of-band responses in progress: response id -> text streamed so far
+  const outOfBand = new Map();
+
+  function isCancelled(msg) {
+    return interruptedItems.has(msg.item_id) || cancelledResponses.has(msg.response_id);
+  }
+
+  function assistantTurnFor(responseId) {
+    const conversation = getConversation();
+    if (!conversation || !responseId) return null;
+    return [...conversation.turns].reverse().find(t => t.role === 'assistant' && t.responseId === responseId) || null;
+  }
+
+  // Cancels generation, flushes queued output audio and truncates the
+  // assistant item to what was played, so the model's memory matches what
+  // the user heard.
+  function interrupt(reason) {
+    const responseId = playback?.responseId || activeResponseId;
+    if (!responseId) return false;
+    if (activeResponseId) send({ type: 'response.cancel' });
+    cancelledResponses.add(responseId);
+    send({ type: 'output_audio_buffer.clear' });
+    const turn = assistantTurnFor(responseId);
+    if (turn && !interruptedItems.has(turn.id)) {
+      const playedMs = playback ? Math.max(0, now() - playback.startedAt) : 0;
+      if (playback) {
+        send({ type: 'conversation.item.truncate', item_id: turn.id, content_index: 0, audio_end_ms: Math.round(playedMs) });
+      }
+      interruptedItems.add(turn.id);
+      turn.text = heardPortion(turn.text, playedMs);
+      turn.interrupted = true;
+      finalizeTurn(turn);
+      onTranscript();
+      onInterrupted(turn, reason);
+    }
+    console.debug(`interrupted response ${responseId} (${reason})`);
+    activeResponseId = null;
+    playback = null;
+    return true;
+  }
+
+  function toolRound(responseId) {
+    let round = toolRounds.get(responseId);
+    if (!round) {
+      round = { pending: 0, sent: 0, done: false };
+      toolRounds.set(responseId, round);
+    }
+    return round;
+  }
+
+  function maybeRequestFollowUp(responseId) {
+    const round = toolRounds.get(responseId);
+    if (!round || !round.done || round.pending > 0) return;
+    toolRounds.delete(responseId);
+    // Answered the way the call was asked for, e.g. text-only for a typed question
+    const modalities = round.modalities || ['audio', 'text'];
+    if (round.sent > 0 && send({ type: 'response.create', response: { modalities } })) {
+      console.debug('sent: response.create (after tool output)');
+    }
+  }
+
+  async function handleFunctionCall(msg) {
+    const { call_id: callId, name, response_id: responseId } = msg;
+    const round = toolRound(responseId);
+    round.pending++;
+    console.log('tool call:', name, msg.arguments);
+    let output;
+    try {
+      output = await runTool(name, msg.arguments);
+    } catch (err) {
+      console.error('Tool request error:', err);
+      output = { error: 'Tool request failed' };
+    }
+    const sent = send({
+      type: 'conversation.item.create',
+      item: { type: 'function_call_output', call_id: callId, output: JSON.stringify(output ?? null) }
+    });
+    round.pending--;
+    if (sent) round.sent++;
+    const sources = citedSources(output);
+    if (sent && sources.length) {
+      const known = pendingSources?.sources || [];
+      pendingSources = { responseId, sources: [...known, ...sources.filter(s => !known.some(k => k.source === s.source))] };
+    }
+    maybeRequestFollowUp(responseId);
+  }
+
+  function handleMessage(msg) {
+    const conversation = getConversation();
+    if (msg?.type === 'response.created') {
+      // Our out-of-band requests carry metadata; they are not a reply to the user
+      if (msg.response?.metadata && msg.response.id) {
+        outOfBand.set(msg.response.id, '');
+        return;
+      }
+      // Assistant lines are created lazily from the first transcript delta
+      activeResponseId = msg.response?.id || null;
+    } else if (msg?.type === 'input_audio_buffer.speech_started') {
+      speechStartedAt = now();
+      // Barge-in: the user started talking over the assistant
+      if (playback || activeResponseId) interrupt('barge-in');
+    } else if (msg?.type === 'input_audio_buffer.committed') {
+      // Reserve the user's line now so it stays above the reply even if
+      // transcription finishes after the response has started streaming
+      if (msg.item_id && conversation) {
+        const turn = upsertTurn(conversation, msg.item_id, 'user', msg.previous_item_id);
+        if (speechStartedAt) turn.startedAt = speechStartedAt;
+        turn.endedAt = now();
+        speechStartedAt = null;
+        onTranscript();
+      }
+      // When VAD commits a user turn, ask the model to respond with audio
+      if (send({ type: 'response.create', response: { conversation: 'auto', modalities: ['audio', 'text'] } })) {
+        console.debug('sent: response.create (on committed)');
+      }
+    } else if (msg?.type === 'conversation.item.input_audio_transcription.delta') {
+      const turn = upsertTurn(conversation, msg.item_id, 'user');
+      turn.text += (msg.delta || '');
+      onTranscript();
+    } else if (msg?.type === 'conversation.item.input_audio_transcription.completed') {
+      // The final transcript replaces any streamed partial text
+      const turn = upsertTurn(conversation, msg.item_id, 'user');
+      turn.text = msg.transcript ?? turn.text;
+      finalizeTurn(turn);
+      onTranscript();
+      onTurnFinalized();
+    } else if (msg?.type === 'conversation.item.input_audio_transcription.failed') {
+      console.warn('input transcription failed:', msg.error);
+      const turn = upsertTurn(conversation, msg.item_id, 'user');
+      if (!turn.text) {
+        turn.text = unheardText();
+        turn.failed = true;
+      }
+      finalizeTurn(turn);
+      onTranscript();
+    } else if (msg?.type === 'response.output_text.delta' || msg?.type === 'response.text.delta' ||
+               msg?.type === 'response.audio_transcript.delta') {
+      // Text-only replies stream as response.text.*; for audio replies from
+      // gpt-realtime, use the audio transcript as the model's reply text
+      if (outOfBand.has(msg.response_id)) {
+        outOfBand.set(msg.response_id, outOfBand.get(msg.response_id) + (msg.delta || ''));
+        return;
+      }
+      if (isCancelled(msg)) return;
+      const turn = upsertTurn(conversation, msg.item_id, 'assistant');
+      if (msg.response_id) turn.responseId = msg.response_id;
+      if (pendingSources && !turn.sources && msg.response_id !== pendingSources.responseId) {
+        turn.sources = pendingSources.sources;
+        pendingSources = null;
+      }
+      turn.text += (msg.delta || '');
+      onTranscript();
+    } else if (msg?.type === 'response.output_text.done' || msg?.type === 'response.text.done' ||
+               msg?.type === 'response.audio_transcript.done') {
+      if (isCancelled(msg) || outOfBand.has(msg.response_id)) return;
+      const turn = upsertTurn(conversation, msg.item_id, 'assistant');
+      if (msg.response_id) turn.responseId = msg.response_id;
+      const finalText = msg.text ?? msg.transcript;
+      if (finalText) turn.text = finalText;
+      finalizeTurn(turn);
+      onTranscript();
+    } else if (msg?.type === 'response.function_call_arguments.done') {
+      if (!outOfBand.has(msg.response_id)) handleFunctionCall(msg);
+    } else if ((msg?.type === 'response.done' || msg?.type === 'response.completed') &&
+               (outOfBand.has(msg.response?.id) || msg.response?.metadata)) {
+      const streamed = outOfBand.get(msg.response.id) || '';
+      outOfBand.delete(msg.response.id);
+      onResponseDone(msg);
+      onOutOfBandResponse(msg, responseText(msg.response) || streamed);
+    } else if (msg?.type === 'response.done' || msg?.type === 'response.completed') {
+      const responseId = msg.response?.id;
+      if (responseId === activeResponseId) activeResponseId = null;
+      if (responseId && toolRounds.has(responseId)) {
+        const round = toolRound(responseId);
+        round.done = true;
+        round.modalities = msg.response.modalities;
+        maybeRequestFollowUp(responseId);
+      }
+      // Finalize whatever the response produced, even without a .done per item
+      const ids = (msg.response?.output || []).map(o => o.id);
+      conversation.turns.forEach(t => {
+        if (t.role === 'assistant' && !t.final && (!ids.length || ids.includes(t.id))) finalizeTurn(t);
+      });
+      onTranscript();
+      onResponseDone(msg);
+      if (msg.response?.status === 'failed') {
+        onError({ type: 'response.failed', response_id: responseId, error: msg.response.status_details?.error || null });
+      }
+    } else if (msg?.type === 'session.updated') {
+      onSessionUpdated();
+    } else if (msg?.type === 'error' || msg?.type === 'response.error') {
+      try { console.error('Realtime error event:', JSON.stringify(msg)); } catch { console.error('Realtime error event:', msg); }
+      onError(msg);
+    } else if (msg?.type === 'output_audio_buffer.started') {
+      playback = { responseId: msg.response_id || activeResponseId, startedAt: now() };
+      onAudioStarted();
+    } else if (msg?.type === 'output_audio_buffer.stopped' || msg?.type === 'output_audio_buffer.cleared') {
+      playback = null;
+    } else {
+      // Minimal debug for unknown realtime events to help diagnose STT
+      if (msg?.type) console.log('oai event:', msg.type);
+    }
+  }
+
+  return {
+    // Sends a typed user message and asks for a reply, as audio+text or text only.
+    // The item id is chosen here so the line appears before the reply streams in.
+    sendText(text, { audio = true } = {}) {
+      const content = String(text || '').trim();
+      if (!content) return false;
+      const itemId = `item_txt_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+      const created = send({
+        type: 'conversation.item.create',
+        item: { id: itemId, type: 'message', role: 'user', content: [{ type: 'input_text', text: content }] }
+      });
+      if (!created) return false;
+      const conversation = getConversation();
+      if (conversation) {
+        const turn = upsertTurn(conversation, itemId, 'user');
+        turn.text = content;
+        turn.typed = true;
+        finalizeTurn(turn);
+        onTranscript();
+        onTurnFinalized();
+      }
+      send({ type: 'response.create', response: { modalities: audio ? ['audio', 'text'] : ['text'] } });
+      return true;
+    },
+    // Manual "stop speaking" uses the same path as barge-in
+    interrupt,
+    // Accepts a raw data channel payload or an already parsed event
+    handle(data) {
+      let msg = data;
+      if (typeof data === 'string') {
+        try {
+          msg = JSON.parse(data);
+        } catch {
+          return; // ignore non-JSON
+        }
+      }
+      handleMessage(msg);
+    },
+    reset() {
+      speechStartedAt = null;
+      toolRounds.clear();
+      activeResponseId = null;
+      playback = null;
+      interruptedItems.clear();
+      cancelledResponses.clear();
+      pendingSources = null;
+      outOfBand.clear();
+    }
+  };
+}
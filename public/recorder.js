@@ -0,0 +1,164 @@
+// Server-side call recording (enabled with RECORDING=true on the server).
+// The event stream is uploaded in batches and the mic and assistant audio
+// are mixed into one MediaRecorder track uploaded in chunks, so an
+// interrupted call still leaves everything up to the last few seconds.
+
+// Audio payloads are left out; the audio itself is recorded separately
+const SKIPPED_EVENTS = new Set(['response.audio.delta', 'input_audio_buffer.append']);
+// The server accepts JSON bodies up to 64kb
+const MAX_BATCH_BYTES = 48 * 1024;
+const MAX_EVENT_BYTES = 16 * 1024;
+const FLUSH_INTERVAL_MS = 2000;
+const AUDIO_TIMESLICE_MS = 5000;
+const AUDIO_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+const byteLength = (text) => new TextEncoder().encode(text).length;
+
+// Collects { t, dir, event } entries and hands them to send() in batches
+// that stay under the server's body limit. DOM-free for tests.
+export function createEventBatcher({ send, now = () => Date.now(), maxBytes = MAX_BATCH_BYTES, maxEventBytes = MAX_EVENT_BYTES }) {
+  const startedAt = now();
+  let batch = [];
+  let bytes = 0;
+
+  function flush() {
+    if (!batch.length) return;
+    const events = batch;
+    batch = [];
+    bytes = 0;
+    send(events);
+  }
+
+  return {
+    // dir: 'client' for events we sent, 'server' for events received
+    add(dir, event) {
+      if (typeof event?.type !== 'string' || SKIPPED_EVENTS.has(event.type)) return;
+      const t = Math.max(0, Math.round(now() - startedAt));
+      let entry = { t, dir, event };
+      let size = byteLength(JSON.stringify(entry));
+      if (size > maxEventBytes) {
+        entry = { t, dir, event: { type: event.type, truncated: true } };
+        size = byteLength(JSON.stringify(entry));
+      }
+      if (bytes + size > maxBytes) flush();
+      batch.push(entry);
+      bytes += size + 1;
+    },
+    flush,
+    get pending() {
+      return batch.length;
+    }
+  };
+}
+
+async function postJson(url, body) {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!r.ok) {
+    const data = await r.json().catch(() => ({}));
+    throw Object.assign(new Error(data.error || `HTTP ${r.status}`), { status: r.status });
+  }
+  return r.json().catch(() => ({}));
+}
+
+function pickAudioType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return AUDIO_TYPES.find(t => MediaRecorder.isTypeSupported?.(t)) || '';
+}
+
+// meta: { usage_session, persona, voice, model, transport } for POST /recordings.
+// Resolves once the server has accepted the recording.
+export async function startCallRecording({ meta, micStream, remoteStream, onError = () => {} }) {
+  const { id, retention_days: retentionDays } = await postJson('/recordings', meta);
+  const base = `/recordings/${encodeURIComponent(id)}`;
+
+  // Uploads run one at a time so chunks arrive in order
+  let chain = Promise.resolve();
+  let failed = false;
+  const enqueue = (task) => {
+    chain = chain.then(task).catch((e) => {
+      if (!failed) onError(e);
+      failed = true;
+    });
+  };
+
+  const batcher = createEventBatcher({ send: (events) => enqueue(() => postJson(`${base}/events`, { events })) });
+  const flushTimer = setInterval(() => batcher.flush(), FLUSH_INTERVAL_MS);
+
+  // Mix both sides into one stream
+  let ctx = null;
+  let mixer = null;
+  let micSource = null;
+  let remoteSource = null;
+  let recorder = null;
+  const connect = (stream, prev) => {
+    try { prev?.disconnect(); } catch {}
+    if (!stream?.getAudioTracks().length) return null;
+    const source = ctx.createMediaStreamSource(stream);
+    source.connect(mixer);
+    return source;
+  };
+
+  const audioType = pickAudioType();
+  if (audioType === null) {
+    console.warn('MediaRecorder unavailable; recording events only');
+  } else {
+    ctx = new (window.AudioContext || window.webkitAudioContext)();
+    ctx.resume?.().catch(() => {});
+    mixer = ctx.createMediaStreamDestination();
+    micSource = connect(micStream);
+    remoteSource = connect(remoteStream);
+    recorder = new MediaRecorder(mixer.stream, audioType ? { mimeType: audioType } : undefined);
+    recorder.ondataavailable = (e) => {
+      if (!e.data?.size) return;
+      const type = recorder.mimeType || e.data.type || 'audio/webm';
+      enqueue(async () => {
+        const r = await fetch(`${base}/audio`, { method: 'POST', headers: { 'Content-Type': type }, body: e.data });
+        if (!r.ok) throw Object.assign(new Error(`audio upload failed: ${r.status}`), { status: r.status });
+      });
+    };
+    recorder.start(AUDIO_TIMESLICE_MS);
+  }
+
+  let stopped = false;
+  return {
+    id,
+    retentionDays,
+    addEvent(dir, event) {
+      if (!stopped) batcher.add(dir, event);
+    },
+    setMicStream(stream) {
+      if (ctx) micSource = connect(stream, micSource);
+    },
+    setRemoteStream(stream) {
+      if (ctx) remoteSource = connect(stream, remoteSource);
+    },
+    // Uploads what is left and marks the recording finished
+    async stop() {
+      if (stopped) return;
+      stopped = true;
+      clearInterval(flushTimer);
+      batcher.flush();
+      if (recorder && recorder.state !== 'inactive') {
+        await new Promise((resolve) => {
+          recorder.addEventListener('stop', resolve, { once: true });
+          recorder.stop();
+        });
+      }
+      try { micSource?.disconnect(); remoteSource?.disconnect(); } catch {}
+      ctx?.close().catch(() => {});
+      enqueue(() => postJson(`${base}/finish`, {}));
+      await chain;
+    },
+    // Page is going away: no time for uploads, just mark it finished
+    abandon() {
+      if (stopped) return;
+      stopped = true;
+      clearInterval(flushTimer);
+      try { navigator.sendBeacon?.(`${base}/finish`); } catch {}
+    }
+  };
+}
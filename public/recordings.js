@@ -0,0 +1,211 @@
+// Recordings page (admins): lists server-side recordings, plays them back
+// alongside their event stream, deletes them and shows the audit log.
+import { loadLanguage, setLanguage, getLanguage, t, applyTranslations } from './i18n.js';
+
+const $ = (id) => document.getElementById(id);
+
+// Audit action -> message key
+const ACTION_LABELS = {
+  'recording.start': 'audit.recordingStart',
+  'recording.finish': 'audit.recordingFinish',
+  'recording.view': 'audit.recordingView',
+  'recording.play': 'audit.recordingPlay',
+  'recording.delete': 'audit.recordingDelete',
+  'recording.expire': 'audit.recordingExpire',
+  'config.update': 'audit.configUpdate',
+  'config.reset': 'audit.configReset'
+};
+
+const RECORDING_COLUMNS = [
+  'recordings.col.started', 'recordings.col.ended', 'recordings.col.user', 'recordings.col.persona', 'recordings.col.voice',
+  'recordings.col.model', 'recordings.col.events', 'recordings.col.audio', 'recordings.col.expires'
+];
+const AUDIT_COLUMNS = ['audit.col.time', 'audit.col.action', 'audit.col.user', 'audit.col.recording', 'audit.col.ip'];
+
+// Events shown in the playback log: the spoken and typed lines
+const TRANSCRIPT_EVENTS = {
+  'conversation.item.input_audio_transcription.completed': (e) => ['You', e.transcript],
+  'response.audio_transcript.done': (e) => ['AI', e.transcript],
+  'response.text.done': (e) => ['AI', e.text],
+  'response.output_text.done': (e) => ['AI', e.text]
+};
+
+let selectedId = null;
+// Kept to render again in another language
+let lastList = null;
+let lastAudit = null;
+let lastStatus = null;
+
+function setStatus(key, params) {
+  lastStatus = { key, params };
+  $('status').textContent = t(key, params);
+}
+
+function formatTime(ms) {
+  if (!ms) return '-';
+  const d = new Date(ms);
+  return `${d.getMonth() + 1}/${d.getDate()} ${d.getHours()}:${d.getMinutes().toString().padStart(2, '0')}`;
+}
+
+function formatBytes(n) {
+  if (!n) return '-';
+  return n < 1024 * 1024 ? `${Math.round(n / 1024)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatOffset(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${(s % 60).toString().padStart(2, '0')}`;
+}
+
+// rows: [[cell, ...], ...]; cells are text or DOM nodes
+function renderTable(table, headers, rows) {
+  table.innerHTML = '';
+  const head = table.createTHead().insertRow();
+  for (const h of headers) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  if (!rows.length) {
+    const td = body.insertRow().insertCell();
+    td.colSpan = headers.length;
+    td.className = 'note';
+    td.textContent = t('page.noData');
+    return body;
+  }
+  for (const row of rows) {
+    const tr = body.insertRow();
+    for (const cell of row) {
+      const td = tr.insertCell();
+      if (cell instanceof Node) td.appendChild(cell);
+      else td.textContent = cell;
+    }
+  }
+  return body;
+}
+
+function button(label, onClick) {
+  const b = document.createElement('button');
+  b.textContent = label;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+async function fetchJson(url, options) {
+  const r = await fetch(url, options);
+  if (r.status === 401) throw Object.assign(new Error('login'), { status: 401 });
+  if (r.status === 403) throw Object.assign(new Error('forbidden'), { status: 403 });
+  if (r.status === 404) throw Object.assign(new Error('not found'), { status: 404 });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  return r.status === 204 ? null : r.json();
+}
+
+function showError(e) {
+  if (e.status === 401) setStatus('page.loginRequired');
+  else if (e.status === 403) setStatus('page.adminOnly');
+  else if (e.status === 404) setStatus('recordings.disabled');
+  else setStatus('recordings.loadFailed');
+}
+
+async function openRecording(rec) {
+  selectedId = rec.id;
+  $('player').hidden = false;
+  $('playerTitle').textContent = `${formatTime(rec.startedAt)} ${rec.user || ''} ${rec.persona || ''}`;
+  const audio = $('playerAudio');
+  audio.hidden = !rec.audioType;
+  audio.src = rec.audioType ? `/recordings/${encodeURIComponent(rec.id)}/audio` : '';
+  $('playerEvents').textContent = t('page.loading');
+  for (const tr of $('recordingTable').querySelectorAll('tr')) tr.classList.toggle('selected', tr.dataset.id === rec.id);
+  try {
+    const data = await fetchJson(`/recordings/${encodeURIComponent(rec.id)}/events`);
+    const lines = [];
+    for (const { t, dir, event } of data.events) {
+      const line = TRANSCRIPT_EVENTS[event.type]?.(event);
+      if (line) lines.push(`[${formatOffset(t)}] ${line[0]}: ${line[1] || ''}`);
+      else if (event.type === 'error' || event.type === 'response.cancel') lines.push(`[${formatOffset(t)}] (${dir}) ${event.type}`);
+    }
+    $('playerEvents').textContent = lines.join('\n') || t('recordings.noLines', { count: data.events.length });
+    loadAudit();
+  } catch (e) {
+    console.error('Failed to load recording events', e);
+    $('playerEvents').textContent = t('recordings.eventsFailed');
+  }
+}
+
+async function deleteRecording(rec) {
+  if (!window.confirm(t('recordings.confirmDelete', { time: formatTime(rec.startedAt) }))) return;
+  try {
+    await fetchJson(`/recordings/${encodeURIComponent(rec.id)}`, { method: 'DELETE' });
+    if (selectedId === rec.id) {
+      selectedId = null;
+      $('player').hidden = true;
+      $('playerAudio').removeAttribute('src');
+    }
+    await load();
+  } catch (e) {
+    console.error('Failed to delete recording', e);
+    setStatus('recordings.deleteFailed');
+  }
+}
+
+function renderRecordings(data) {
+  lastList = data;
+  $('retention').textContent = data.retention_days
+    ? t('recordings.retention', { days: data.retention_days })
+    : t('recordings.keepForever');
+  const body = renderTable($('recordingTable'), [...RECORDING_COLUMNS.map(key => t(key)), ''],
+    data.recordings.map(rec => {
+      const actions = document.createElement('span');
+      actions.append(button(t('recordings.open'), () => openRecording(rec)), ' ', button(t('recordings.delete'), () => deleteRecording(rec)));
+      return [
+        formatTime(rec.startedAt), rec.endedAt ? formatTime(rec.endedAt) : t('recordings.notEnded'), rec.user || '-', rec.persona || '-',
+        rec.voice || '-', rec.model || '-', String(rec.events), formatBytes(rec.audioBytes), formatTime(rec.expiresAt), actions
+      ];
+    }));
+  data.recordings.forEach((rec, i) => {
+    const tr = body.rows[i];
+    if (!tr) return;
+    tr.dataset.id = rec.id;
+    tr.classList.toggle('selected', rec.id === selectedId);
+  });
+}
+
+function renderAudit(entries) {
+  lastAudit = entries;
+  renderTable($('auditTable'), AUDIT_COLUMNS.map(key => t(key)),
+    entries.map(e => [formatTime(Date.parse(e.ts)), ACTION_LABELS[e.action] ? t(ACTION_LABELS[e.action]) : e.action, e.user || t('audit.system'), e.recording || '-', e.ip || '-']));
+}
+
+async function loadAudit() {
+  try {
+    renderAudit((await fetchJson('/recordings/audit')).entries);
+  } catch (e) {
+    console.warn('Failed to load audit log', e);
+  }
+}
+
+async function load() {
+  try {
+    renderRecordings(await fetchJson('/recordings/list'));
+    await loadAudit();
+    setStatus('page.updated', { time: formatTime(Date.now()) });
+  } catch (e) {
+    console.error('Failed to load recordings', e);
+    showError(e);
+  }
+}
+
+function applyLanguage(lang) {
+  setLanguage(lang);
+  applyTranslations();
+  $('language').value = getLanguage();
+  if (lastStatus) setStatus(lastStatus.key, lastStatus.params);
+  if (lastList) renderRecordings(lastList);
+  if (lastAudit) renderAudit(lastAudit);
+}
+
+$('language').addEventListener('change', () => applyLanguage($('language').value));
+
+applyLanguage(loadLanguage());
+load();
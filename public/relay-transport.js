@@ -0,0 +1,151 @@
+import { base64ToPcm16 } from './pcm.js';
+import { createPcmPlayer, createPcmCapture } from './pcm-audio.js';
+
+// WebSocket relay transport (see lib/relay.js). The returned object stands in
+// for the WebRTC data channel — readyState, send(), close(), onopen,
+// onmessage, onclose — so app.js and realtime-events.js treat both transports
+// alike. Mic audio goes up as binary PCM16 frames; reply audio arrives as
+// response.audio.delta and is played here, and the output_audio_buffer.*
+// events that WebRTC would send are synthesized from local playback.
+
+// base: the app's origin when the page is served from elsewhere (the widget)
+export function relayUrl(path = '/relay', base = location.href) {
+  const url = new URL(path, base);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.href;
+}
+
+// session: the same body POST /session takes. onLost fires when an open
+// relay closes without close() having been called.
+export function createRelayChannel({ url = relayUrl(), stream, session, onLost = () => {} }) {
+  const ctx = new (window.AudioContext || window.webkitAudioContext)();
+  ctx.resume?.().catch(() => {});
+  const output = ctx.createMediaStreamDestination();
+  let micStream = stream;
+  let capture = null;
+  let active = false;
+  let closedByUs = false;
+  let ready = false;
+  const queued = [];
+
+  const ws = new WebSocket(url);
+  ws.binaryType = 'arraybuffer';
+
+  let resolveReady;
+  let rejectReady;
+  const readyPromise = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  // Avoid unhandled rejections when nobody awaits a failed start
+  readyPromise.catch(() => {});
+
+  const channel = {
+    readyState: 'connecting',
+    outputStream: output.stream,
+    onopen: null,
+    onmessage: null,
+    onclose: null,
+    onerror: null,
+    // Resolves with the session info from relay.ready
+    ready: readyPromise,
+    // Called once the page has set up for the session; delivers the open
+    // event and any events that arrived in the meantime
+    activate() {
+      if (active || channel.readyState !== 'open') return;
+      active = true;
+      channel.onopen?.();
+      for (const msg of queued.splice(0)) deliver(msg);
+    },
+    send(text) {
+      if (channel.readyState !== 'open') throw new Error('Relay is not open');
+      let type;
+      try { type = JSON.parse(text)?.type; } catch {}
+      // WebRTC-only event: output audio is buffered here, not upstream
+      if (type === 'output_audio_buffer.clear') {
+        player.clear();
+        deliver({ type: 'output_audio_buffer.cleared' });
+        return;
+      }
+      ws.send(text);
+    },
+    // Swaps the captured mic stream (device or processing change)
+    setStream(next) {
+      micStream = next;
+      capture?.setStream(next);
+    },
+    close() {
+      closedByUs = true;
+      channel.readyState = 'closed';
+      player.clear();
+      capture?.close();
+      try { ws.close(1000); } catch {}
+      ctx.close().catch(() => {});
+    }
+  };
+
+  const player = createPcmPlayer(ctx, output, {
+    onStarted: (responseId) => deliver({ type: 'output_audio_buffer.started', response_id: responseId }),
+    onStopped: (responseId) => deliver({ type: 'output_audio_buffer.stopped', response_id: responseId })
+  });
+
+  function deliver(msg) {
+    if (!active) {
+      queued.push(msg);
+      return;
+    }
+    try { channel.onmessage?.({ data: JSON.stringify(msg) }); } catch (e) { console.error('relay onmessage failed', e); }
+  }
+
+  async function startCapture() {
+    const node = await createPcmCapture(ctx, (data) => {
+      // Disabled tracks (mic closed, push-to-talk released) send nothing
+      const live = micStream?.getAudioTracks().some(t => t.enabled);
+      if (active && live && ws.readyState === WebSocket.OPEN) ws.send(data);
+    });
+    if (closedByUs) return node.close();
+    capture = node;
+    capture.setStream(micStream);
+  }
+
+  ws.onopen = () => {
+    ws.send(JSON.stringify({ type: 'relay.start', session }));
+  };
+
+  ws.onmessage = (ev) => {
+    if (typeof ev.data !== 'string') return;
+    let msg;
+    try { msg = JSON.parse(ev.data); } catch { return; }
+    if (msg.type === 'relay.ready') {
+      ready = true;
+      channel.readyState = 'open';
+      const { type, ...info } = msg;
+      startCapture().catch((e) => console.error('Relay mic capture failed', e));
+      resolveReady(info);
+    } else if (msg.type === 'relay.error') {
+      const err = new Error(msg.error || 'Relay error');
+      err.status = msg.status;
+      err.data = msg;
+      if (!ready) rejectReady(err);
+      else channel.onerror?.(err);
+    } else if (msg.type === 'response.audio.delta') {
+      player.enqueue(base64ToPcm16(msg.delta || ''), msg.response_id);
+    } else {
+      deliver(msg);
+    }
+  };
+
+  ws.onclose = (ev) => {
+    const wasOpen = channel.readyState === 'open';
+    channel.readyState = 'closed';
+    if (!ready) rejectReady(Object.assign(new Error(`Relay closed (${ev.code})`), { status: ev.code === 1008 ? 400 : 502 }));
+    capture?.setStream(null);
+    player.clear();
+    if (active) channel.onclose?.();
+    if (wasOpen && !closedByUs) onLost();
+  };
+
+  ws.onerror = () => console.warn('relay websocket error');
+
+  return channel;
+}
@@ -0,0 +1,182 @@
+import { relayUrl } from './relay-transport.js';
+import { createPcmPlayer, createPcmCapture } from './pcm-audio.js';
+
+// One participant's side of a shared room (see lib/rooms.js). The host keeps
+// its own realtime connection and publishes state and reply audio here;
+// guests get both from here, and whoever holds the mic sends audio that the
+// host feeds to the model in place of its own mic.
+
+// Host state updates are coalesced to at most one per interval
+const STATE_INTERVAL_MS = 250;
+const MAX_TURNS = 50;
+
+// What guests see of the host's call: the status line as a catalog key (so
+// each guest reads it in their own language) or raw text, and recent turns
+export function roomStateFrom(session, status) {
+  const turns = (session?.turns || []).slice(-MAX_TURNS).map(({ id, role, text, final, interrupted, failed }) => ({
+    id, role, text, final: Boolean(final), interrupted: Boolean(interrupted), failed: Boolean(failed)
+  }));
+  return { status: status || null, turns };
+}
+
+// Creates a room (no code) or joins one. Hooks:
+//   onUpdate(info)    members or the mic holder changed
+//   onState(state)    guests: new host state
+//   onClosed(reason)  'host_left' or 'disconnected'
+export function connectRoom({
+  url = relayUrl('/rooms'),
+  code = null,
+  name = '',
+  onUpdate = () => {},
+  onState = () => {},
+  onClosed = () => {}
+}) {
+  const ws = new WebSocket(url);
+  ws.binaryType = 'arraybuffer';
+  let ctx = null;
+  let player = null;
+  let incoming = null;
+  let replyCapture = null;
+  let micCapture = null;
+  let micStream = null;
+  let stateTimer = null;
+  let pendingState = null;
+  let joined = false;
+  let closed = false;
+
+  let resolveReady;
+  let rejectReady;
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  ready.catch(() => {});
+
+  // Audio is set up on first use, after the click that created or joined
+  const audio = () => {
+    if (!ctx) {
+      ctx = new (window.AudioContext || window.webkitAudioContext)();
+      ctx.resume?.().catch(() => {});
+      incoming = ctx.createMediaStreamDestination();
+      player = createPcmPlayer(ctx, incoming);
+    }
+    return ctx;
+  };
+
+  const send = (msg) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  };
+
+  const room = {
+    ready,
+    member: null,
+    info: null,
+    get isHost() {
+      return room.member?.role === 'host';
+    },
+    get hasFloor() {
+      return Boolean(room.member) && room.info?.floor === room.member.id;
+    },
+    // Reply audio for guests; for the host, the guest holding the mic
+    get incomingStream() {
+      audio();
+      return incoming.stream;
+    },
+    publishState(state) {
+      if (!room.isHost) return;
+      pendingState = state;
+      if (stateTimer) return;
+      stateTimer = setTimeout(() => {
+        stateTimer = null;
+        send({ type: 'room.state', state: pendingState });
+      }, STATE_INTERVAL_MS);
+    },
+    // Host: the reply audio stream of the call, sent on to the guests
+    async setReplyStream(stream) {
+      if (!room.isHost || closed) return;
+      if (!replyCapture) {
+        const capture = await createPcmCapture(audio(), (data) => {
+          if (ws.readyState === WebSocket.OPEN && room.info?.members.length > 1) ws.send(data);
+        });
+        if (closed || replyCapture) return capture.close();
+        replyCapture = capture;
+      }
+      replyCapture.setStream(stream);
+    },
+    // Guest: mic sent to the host while this guest holds the mic
+    async setMicStream(stream) {
+      micStream = stream;
+      if (!micCapture && stream && !closed) {
+        const capture = await createPcmCapture(audio(), (data) => {
+          const live = micStream?.getAudioTracks().some(t => t.enabled);
+          if (live && room.hasFloor && ws.readyState === WebSocket.OPEN) ws.send(data);
+        });
+        if (closed || micCapture) return capture.close();
+        micCapture = capture;
+      }
+      micCapture?.setStream(micStream);
+    },
+    passFloor(memberId) {
+      send({ type: 'room.floor', member: memberId });
+    },
+    leave() {
+      if (closed) return;
+      send({ type: 'room.leave' });
+      shutdown();
+      try { ws.close(1000); } catch {}
+    }
+  };
+
+  function shutdown() {
+    closed = true;
+    clearTimeout(stateTimer);
+    player?.clear();
+    replyCapture?.close();
+    micCapture?.close();
+    ctx?.close().catch(() => {});
+  }
+
+  ws.onopen = () => {
+    send(code ? { type: 'room.join', code, name } : { type: 'room.create', name });
+  };
+
+  ws.onmessage = (ev) => {
+    if (typeof ev.data !== 'string') {
+      if (joined && !closed) {
+        audio();
+        player.enqueue(new Int16Array(ev.data));
+      }
+      return;
+    }
+    let msg;
+    try { msg = JSON.parse(ev.data); } catch { return; }
+    if (msg.type === 'room.joined') {
+      joined = true;
+      room.member = msg.member;
+      room.info = msg.room;
+      resolveReady(msg);
+    } else if (msg.type === 'room.update') {
+      room.info = msg.room;
+      onUpdate(room.info);
+    } else if (msg.type === 'room.state') {
+      onState(msg.state);
+    } else if (msg.type === 'room.closed') {
+      if (!closed) onClosed(msg.reason);
+      shutdown();
+    } else if (msg.type === 'room.error' && !joined) {
+      rejectReady(Object.assign(new Error(msg.error || 'Room error'), { status: msg.status, code: msg.code, context: 'room' }));
+    }
+  };
+
+  ws.onclose = () => {
+    if (!joined) rejectReady(Object.assign(new Error('Room connection closed'), { code: 'network_error', context: 'room' }));
+    if (!closed) {
+      shutdown();
+      if (joined) onClosed('disconnected');
+    }
+  };
+
+  ws.onerror = () => console.warn('room websocket error');
+
+  return room;
+}
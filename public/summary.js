@@ -0,0 +1,67 @@
+// End-of-call summary on the page side: the out-of-band request sent just
+// before hanging up, and parsing the model's JSON reply into the sections
+// shown in the summary card and stored with the session. The prompt and
+// schema come from the server (GET /summary-config, see lib/summary.js).
+
+export const SUMMARY_PURPOSE = 'call_summary';
+
+// Text-only response outside the conversation, so neither the request nor
+// the summary ends up in the model's memory or the transcript
+export function summaryRequest(instructions) {
+  return {
+    type: 'response.create',
+    response: {
+      conversation: 'none',
+      modalities: ['text'],
+      tool_choice: 'none',
+      instructions,
+      metadata: { purpose: SUMMARY_PURPOSE }
+    }
+  };
+}
+
+// First JSON object in the reply; models sometimes wrap it in a code fence
+// or add a line before it despite the prompt
+function extractJson(text) {
+  const source = String(text || '');
+  const start = source.indexOf('{');
+  const end = source.lastIndexOf('}');
+  if (start < 0 || end <= start) return null;
+  try {
+    const value = JSON.parse(source.slice(start, end + 1));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+// Heading for a schema property: its title in the page language, else the key
+export function sectionTitle(key, prop, lang = 'ja') {
+  const title = prop?.title;
+  if (typeof title === 'string' && title) return title;
+  if (title && typeof title === 'object') return title[lang] || title.ja || title.en || key;
+  return key;
+}
+
+// -> { sections: [{ key, title, value }] } in schema order, where value is
+// a string or a list of strings, or null when the reply has no usable JSON.
+// Empty fields are left out.
+export function parseSummary(text, schema, { lang = 'ja' } = {}) {
+  const data = extractJson(text);
+  if (!data) return null;
+  const sections = [];
+  for (const [key, prop] of Object.entries(schema?.properties || {})) {
+    const raw = data[key];
+    let value;
+    if (prop?.type === 'array') {
+      const list = Array.isArray(raw) ? raw : raw == null ? [] : [raw];
+      value = list.map(v => (typeof v === 'string' ? v : JSON.stringify(v)).trim()).filter(Boolean);
+      if (!value.length) continue;
+    } else {
+      value = raw == null ? '' : (typeof raw === 'string' ? raw : JSON.stringify(raw)).trim();
+      if (!value) continue;
+    }
+    sections.push({ key, title: sectionTitle(key, prop, lang), value });
+  }
+  return { sections };
+}
@@ -0,0 +1,60 @@
+// Service worker (registered by pwa.js): keeps the static shell of the call
+// page so the installed app opens without a connection and can say it is
+// offline. Network first, so an online page always gets the current files;
+// the cache is only the fallback. API calls and the admin pages pass through.
+
+// Bump when SHELL changes so old entries are dropped
+const CACHE = 'realtime-mic-shell-v1';
+
+// The page and every module it loads (test/pwa.test.js checks the list)
+const SHELL = [
+  '/',
+  '/app.js',
+  '/audio-settings.js',
+  '/conversation.js',
+  '/errors.js',
+  '/i18n.js',
+  '/pcm.js',
+  '/pcm-audio.js',
+  '/pcm-worklet.js',
+  '/pwa.js',
+  '/realtime-client.js',
+  '/realtime-events.js',
+  '/recorder.js',
+  '/relay-transport.js',
+  '/room.js',
+  '/summary.js',
+  '/telemetry.js',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  const key = url.pathname === '/index.html' ? '/' : url.pathname;
+  if (!SHELL.includes(key)) return;
+  event.respondWith(fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE).then(cache => cache.put(key, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(key).then(cached => cached || Response.error())));
+});
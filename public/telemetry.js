@@ -0,0 +1,157 @@
+// Latency and connection quality measurements. DOM-free like
+// realtime-events.js: the page feeds it setup phases, data channel events and
+// getStats() reports, and renders what it collects.
+
+const MAX_TURNS = 20;
+
+// Setup phases in the order they happen
+export const SETUP_PHASES = ['mic', 'session', 'ice', 'sdp', 'channel'];
+
+const REPLY_DELTAS = ['response.audio_transcript.delta', 'response.text.delta', 'response.output_text.delta'];
+const USER_TRANSCRIPT = ['conversation.item.input_audio_transcription.delta', 'conversation.item.input_audio_transcription.completed'];
+
+const round = (v) => (v === null || v === undefined || Number.isNaN(v) ? null : Math.round(v * 10) / 10);
+
+// Reduces an RTCStatsReport (or any iterable of stats objects) to the audio
+// figures we display: round-trip time, jitter and packet loss both ways.
+export function summarizeStats(report) {
+  const list = typeof report?.values === 'function' ? [...report.values()] : [...(report || [])];
+  const byId = new Map(list.map(s => [s.id, s]));
+  const transport = list.find(s => s.type === 'transport' && s.selectedCandidatePairId);
+  const pair = (transport && byId.get(transport.selectedCandidatePairId)) ||
+    list.find(s => s.type === 'candidate-pair' && s.nominated && s.state === 'succeeded');
+  const inbound = list.find(s => s.type === 'inbound-rtp' && (s.kind || s.mediaType) === 'audio');
+  const remoteInbound = list.find(s => s.type === 'remote-inbound-rtp' && (s.kind || s.mediaType) === 'audio');
+
+  const out = { rtt_ms: null, jitter_ms: null, jitter_buffer_ms: null, packets_received: null, packets_lost: null, loss_pct: null, outbound_loss_pct: null };
+  if (pair?.currentRoundTripTime !== undefined) out.rtt_ms = round(pair.currentRoundTripTime * 1000);
+  else if (remoteInbound?.roundTripTime !== undefined) out.rtt_ms = round(remoteInbound.roundTripTime * 1000);
+  if (inbound) {
+    if (inbound.jitter !== undefined) out.jitter_ms = round(inbound.jitter * 1000);
+    if (inbound.jitterBufferEmittedCount) out.jitter_buffer_ms = round((inbound.jitterBufferDelay / inbound.jitterBufferEmittedCount) * 1000);
+    out.packets_received = inbound.packetsReceived ?? null;
+    out.packets_lost = inbound.packetsLost ?? null;
+    const total = (inbound.packetsReceived || 0) + Math.max(0, inbound.packetsLost || 0);
+    if (total) out.loss_pct = round((Math.max(0, inbound.packetsLost || 0) / total) * 100);
+  }
+  if (remoteInbound?.fractionLost !== undefined) out.outbound_loss_pct = round(remoteInbound.fractionLost * 100);
+  return out;
+}
+
+function median(values) {
+  const v = values.filter(x => typeof x === 'number').sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+// Hooks (all optional):
+//   onRecord(record)   a setup, turn or stats record is complete
+//   onChange()         something shown in the debug panel changed
+//   now()              monotonic clock, replaceable in tests
+export function createTelemetry(hooks = {}) {
+  const {
+    onRecord = () => {},
+    onChange = () => {},
+    now = () => performance.now()
+  } = hooks;
+
+  let setup = null;      // { resume, startedAt, phaseStarts, phases, total_ms, done }
+  let pending = null;    // turn awaiting its reply, keyed by the committed item
+  const turns = [];
+  let stats = null;
+
+  function finishTurn() {
+    if (!pending) return;
+    const { committedAt, waitingForAudio, ...turn } = pending;
+    pending = null;
+    const record = { kind: 'turn', ...turn };
+    turns.unshift(record);
+    turns.length = Math.min(turns.length, MAX_TURNS);
+    onRecord(record);
+    onChange();
+  }
+
+  const since = (t) => round(now() - t);
+
+  return {
+    startSetup({ resume = false } = {}) {
+      setup = { resume, startedAt: now(), phaseStarts: {}, phases: {}, total_ms: null, done: false };
+      onChange();
+    },
+    beginPhase(name) {
+      if (setup) setup.phaseStarts[name] = now();
+    },
+    endPhase(name) {
+      const started = setup?.phaseStarts[name];
+      if (started === undefined) return;
+      setup.phases[name] = since(started);
+      onChange();
+    },
+    finishSetup() {
+      if (!setup || setup.done) return;
+      setup.done = true;
+      setup.total_ms = since(setup.startedAt);
+      const record = { kind: 'setup', resume: setup.resume, total_ms: setup.total_ms };
+      for (const name of SETUP_PHASES) record[`${name}_ms`] = setup.phases[name] ?? null;
+      onRecord(record);
+      onChange();
+    },
+    // Feed every parsed data channel event
+    observe(msg) {
+      const type = msg?.type;
+      if (type === 'input_audio_buffer.committed') {
+        finishTurn(); // a turn still waiting was superseded
+        pending = {
+          item_id: msg.item_id || null,
+          response_id: null,
+          committedAt: now(),
+          first_delta_ms: null,
+          audio_start_ms: null,
+          user_transcript_ms: null
+        };
+        return;
+      }
+      if (!pending) return;
+      if (USER_TRANSCRIPT.includes(type) && msg.item_id === pending.item_id) {
+        if (pending.user_transcript_ms === null) pending.user_transcript_ms = since(pending.committedAt);
+      } else if (type === 'response.created') {
+        if (!pending.response_id) pending.response_id = msg.response?.id || null;
+      } else if (REPLY_DELTAS.includes(type)) {
+        if (pending.first_delta_ms === null) pending.first_delta_ms = since(pending.committedAt);
+      } else if (type === 'output_audio_buffer.started') {
+        if (pending.audio_start_ms === null) pending.audio_start_ms = since(pending.committedAt);
+      } else if (type === 'response.done') {
+        // A response that only called tools is followed by the real reply
+        const calledTools = (msg.response?.output || []).some(o => o.type === 'function_call');
+        if (calledTools && pending.first_delta_ms === null) return;
+        // Playback of a short reply can start after response.done; wait for it
+        if (pending.audio_start_ms === null && pending.first_delta_ms !== null && msg.response?.status !== 'cancelled') {
+          pending.waitingForAudio = true;
+          return;
+        }
+        finishTurn();
+      }
+      if (type === 'output_audio_buffer.started' && pending?.waitingForAudio) finishTurn();
+    },
+    setStats(summary) {
+      stats = { ...summary, at: Date.now() };
+      onChange();
+    },
+    statsRecord() {
+      return stats ? { kind: 'stats', ...stats } : null;
+    },
+    reset() {
+      pending = null;
+    },
+    snapshot() {
+      return {
+        setup: setup && { resume: setup.resume, phases: { ...setup.phases }, total_ms: setup.total_ms },
+        turns: turns.slice(),
+        stats,
+        median_audio_start_ms: median(turns.map(t => t.audio_start_ms)),
+        median_first_delta_ms: median(turns.map(t => t.first_delta_ms))
+      };
+    }
+  };
+}
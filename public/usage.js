@@ -0,0 +1,141 @@
+// Usage page (admins): renders /usage/summary as cost cards and tables.
+import { loadLanguage, setLanguage, getLanguage, t, applyTranslations } from './i18n.js';
+
+const $ = (id) => document.getElementById(id);
+
+// [field, message key]
+const TOKEN_COLUMNS = [
+  ['input_text', 'usage.token.inputText'],
+  ['cached_text', 'usage.token.cached'],
+  ['input_audio', 'usage.token.inputAudio'],
+  ['cached_audio', 'usage.token.cached'],
+  ['output_text', 'usage.token.outputText'],
+  ['output_audio', 'usage.token.outputAudio']
+];
+
+const PRICE_COLUMNS = [
+  ['text_input', 'usage.price.textInput'],
+  ['text_cached', 'usage.price.textCached'],
+  ['text_output', 'usage.price.textOutput'],
+  ['audio_input', 'usage.price.audioInput'],
+  ['audio_cached', 'usage.price.audioCached'],
+  ['audio_output', 'usage.price.audioOutput']
+];
+
+// Kept to render again in another language
+let lastData = null;
+let lastStatus = null;
+
+function setStatus(key, params) {
+  lastStatus = { key, params };
+  $('status').textContent = t(key, params);
+}
+
+function usd(v) {
+  if (v === null || v === undefined) return '-';
+  return `$${v < 1 ? v.toFixed(4) : v.toFixed(2)}`;
+}
+
+function num(v) {
+  return Number(v || 0).toLocaleString();
+}
+
+function formatTime(ms) {
+  const d = new Date(ms);
+  return `${d.getMonth() + 1}/${d.getDate()} ${d.getHours()}:${d.getMinutes().toString().padStart(2, '0')}`;
+}
+
+// rows: [[cell, ...], ...]; all cells are set as text
+function renderTable(table, headers, rows) {
+  table.innerHTML = '';
+  const head = table.createTHead().insertRow();
+  for (const h of headers) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  if (!rows.length) {
+    const td = body.insertRow().insertCell();
+    td.colSpan = headers.length;
+    td.className = 'note';
+    td.textContent = t('page.noData');
+    return;
+  }
+  for (const row of rows) {
+    const tr = body.insertRow();
+    for (const cell of row) tr.insertCell().textContent = cell;
+  }
+}
+
+const tokenCells = (tokens) => TOKEN_COLUMNS.map(([key]) => num(tokens[key]));
+const tokenHeaders = () => TOKEN_COLUMNS.map(([, key]) => t(key));
+
+function renderLimit(card, label, spent, limit) {
+  if (!limit) {
+    label.textContent = t('usage.noLimit');
+    return;
+  }
+  label.textContent = t('usage.limit', { amount: usd(limit), percent: Math.min(100, Math.round((spent / limit) * 100)) });
+  card.classList.toggle('over', spent >= limit);
+}
+
+function render(data) {
+  lastData = data;
+  $('todayCost').textContent = usd(data.today.cost);
+  $('monthCost').textContent = usd(data.month.cost);
+  $('totalCost').textContent = usd(data.total.cost);
+  $('totalResponses').textContent = t('usage.responses', { count: num(data.total.tokens.responses) });
+  renderLimit($('todayCard'), $('todayLimit'), data.today.cost, data.limits.daily_usd);
+  renderLimit($('monthCard'), $('monthLimit'), data.month.cost, data.limits.monthly_usd);
+  if (data.unpriced_models.length) {
+    $('unpriced').hidden = false;
+    $('unpriced').textContent = t('usage.unpriced', { models: data.unpriced_models.join(', ') });
+  }
+
+  const responses = t('usage.col.responses');
+  const cost = t('usage.col.cost');
+  renderTable($('modelTable'), [t('usage.col.model'), responses, ...tokenHeaders(), cost],
+    data.models.map(m => [m.model, num(m.tokens.responses), ...tokenCells(m.tokens), usd(m.cost)]));
+  renderTable($('dayTable'), [t('usage.col.date'), responses, ...tokenHeaders(), cost],
+    data.days.map(d => [d.date, num(d.tokens.responses), ...tokenCells(d.tokens), usd(d.cost)]));
+  renderTable($('personaTable'), [t('usage.col.persona'), responses, ...tokenHeaders(), cost],
+    data.personas.map(p => [p.persona || t('page.none'), num(p.tokens.responses), ...tokenCells(p.tokens), usd(p.cost)]));
+  renderTable($('sessionTable'), [t('usage.col.started'), t('usage.col.user'), t('usage.col.persona'), t('usage.col.model'), responses, cost],
+    data.sessions.map(s => [formatTime(s.startedAt), s.user || '-', s.persona || '-', s.model, num(s.tokens.responses), usd(s.cost)]));
+  renderTable($('priceTable'), [t('usage.col.model'), ...PRICE_COLUMNS.map(([, key]) => t(key))],
+    Object.entries(data.prices).map(([model, p]) => [model, ...PRICE_COLUMNS.map(([key]) => (p[key] ?? '-').toString())]));
+}
+
+async function load() {
+  try {
+    const r = await fetch('/usage/summary');
+    if (r.status === 401) {
+      setStatus('page.loginRequired');
+      return;
+    }
+    if (r.status === 403) {
+      setStatus('page.adminOnly');
+      return;
+    }
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    render(await r.json());
+    setStatus('page.updated', { time: formatTime(Date.now()) });
+  } catch (e) {
+    console.error('Failed to load usage', e);
+    setStatus('usage.loadFailed');
+  }
+}
+
+function applyLanguage(lang) {
+  setLanguage(lang);
+  applyTranslations();
+  $('language').value = getLanguage();
+  if (lastStatus) setStatus(lastStatus.key, lastStatus.params);
+  if (lastData) render(lastData);
+}
+
+$('language').addEventListener('change', () => applyLanguage($('language').value));
+
+applyLanguage(loadLanguage());
+load();
@@ -0,0 +1,263 @@
+// Embeddable voice assistant. Any site can add it with one tag:
+//
+//   <script src="https://voice.example.com/widget.js" async
+//           data-persona="support" data-color="#0a66c2"></script>
+//
+// A classic script (no type="module" needed) that loads realtime-client.js
+// and i18n.js from the same server and builds its UI in a shadow root, so
+// the host page's CSS neither leaks in nor is affected. Sites on other
+// origins must be listed in WIDGET_ORIGINS (see lib/widget.js); calls from
+// there use WebRTC, as the relay needs the login cookie.
+//
+// data-* attributes, or options of RealtimeMicWidget.mount():
+//   persona       persona id (see /personas): its prompt, voice, VAD and tools
+//   instructions  system prompt when there is no persona
+//   voice         voice when there is no persona
+//   title         panel heading
+//   color         accent color (any CSS color)
+//   theme         'light' | 'dark'
+//   position      'bottom-right' | 'bottom-left'
+//   lang          'ja' | 'en' (default: the browser's language)
+//   token         ACCESS_TOKEN, when the server has access control
+//   server        where server.js runs (default: where widget.js came from)
+//   auto          'false' to not mount on load; call RealtimeMicWidget.mount()
+(() => {
+  const script = document.currentScript;
+  const scriptUrl = script?.src || location.href;
+  const MAX_TURNS = 30;
+
+  const CSS = `
+    :host { position: fixed; bottom: 20px; right: 20px; z-index: 2147483000; --accent: #0a66c2;
+      --bg: #fff; --fg: #222; --muted: #666; --line: #ddd; --bubble: #f1f3f5;
+      font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: var(--fg); }
+    :host([data-position="bottom-left"]) { right: auto; left: 20px; }
+    :host([data-theme="dark"]) { --bg: #1e1f22; --fg: #eee; --muted: #aaa; --line: #3a3b3f; --bubble: #2b2d31; }
+    * { box-sizing: border-box; }
+    button { font: inherit; cursor: pointer; }
+    button:disabled { opacity: .5; cursor: default; }
+    .launcher { width: 56px; height: 56px; border: none; border-radius: 50%; background: var(--accent);
+      color: #fff; font-size: 24px; box-shadow: 0 4px 12px rgba(0,0,0,.25); }
+    .panel { position: absolute; bottom: 68px; right: 0; width: min(360px, calc(100vw - 40px));
+      max-height: min(520px, calc(100vh - 120px)); display: flex; flex-direction: column;
+      background: var(--bg); border: 1px solid var(--line); border-radius: 12px;
+      box-shadow: 0 8px 24px rgba(0,0,0,.2); overflow: hidden; }
+    :host([data-position="bottom-left"]) .panel { right: auto; left: 0; }
+    .panel[hidden] { display: none; }
+    header { display: flex; align-items: center; gap: 8px; padding: 10px 12px; background: var(--accent); color: #fff; }
+    header h2 { flex: 1; margin: 0; font-size: 15px; }
+    header button { background: none; border: none; color: inherit; font-size: 18px; }
+    .status { padding: 6px 12px; font-size: 12px; color: var(--muted); border-bottom: 1px solid var(--line); }
+    .status.error { color: #c00; }
+    .log { flex: 1; overflow-y: auto; padding: 8px 12px; display: flex; flex-direction: column; gap: 6px; min-height: 120px; }
+    .turn { padding: 6px 10px; border-radius: 10px; background: var(--bubble); max-width: 85%; white-space: pre-wrap; }
+    .turn.user { align-self: flex-end; background: var(--accent); color: #fff; }
+    .turn .who { display: block; font-size: 11px; opacity: .7; }
+    .summary { padding: 8px 12px; border-top: 1px solid var(--line); font-size: 13px; }
+    .summary[hidden] { display: none; }
+    .summary h3 { margin: 6px 0 2px; font-size: 13px; }
+    .summary ul { margin: 0; padding-left: 18px; }
+    .controls { display: flex; gap: 8px; padding: 8px 12px; border-top: 1px solid var(--line); }
+    .controls button { flex: 1; padding: 8px; border-radius: 8px; border: 1px solid var(--accent);
+      background: var(--accent); color: #fff; transition: box-shadow .1s; }
+    .controls .end { background: none; color: var(--accent); }
+    form { display: flex; gap: 6px; padding: 0 12px 10px; }
+    form input { flex: 1; padding: 6px 8px; border: 1px solid var(--line); border-radius: 6px; background: var(--bg); color: var(--fg); font: inherit; }
+    form button { padding: 6px 10px; border: none; border-radius: 6px; background: var(--accent); color: #fff; }
+  `;
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function optionsFrom(dataset) {
+    const { persona, instructions, voice, title, color, theme, position, lang, token, server } = dataset;
+    return { persona, instructions, voice, title, color, theme, position, lang, token, server };
+  }
+
+  // -> { client, open(), close(), destroy() }
+  async function mount(options = {}) {
+    const root = String(options.server || new URL('.', scriptUrl).href).replace(/\/*$/, '/');
+    const [{ RealtimeClient }, i18n] = await Promise.all([
+      import(`${root}realtime-client.js`),
+      import(`${root}i18n.js`)
+    ]);
+    const lang = i18n.LANGUAGES.includes(options.lang)
+      ? options.lang
+      : i18n.detectLanguage({ preferred: navigator.languages || [navigator.language] });
+    const t = (key, params) => i18n.translate(lang, key, params);
+
+    const session = {};
+    for (const key of ['persona', 'instructions', 'voice']) {
+      if (options[key]) session[key] = options[key];
+    }
+    const client = new RealtimeClient({
+      baseUrl: root,
+      token: options.token || null,
+      transport: 'webrtc',
+      session,
+      language: lang,
+      levels: true,
+      unheardText: () => t('transcript.unheard')
+    });
+    // Summaries follow the server's SUMMARY setting, as on the main page
+    fetch(`${root}client-config`)
+      .then(r => (r.ok ? r.json() : null))
+      .then(config => { client.options.summary = Boolean(config?.summary); })
+      .catch(() => {});
+
+    const host = el('div');
+    host.dataset.position = options.position === 'bottom-left' ? 'bottom-left' : 'bottom-right';
+    host.dataset.theme = options.theme === 'dark' ? 'dark' : 'light';
+    if (options.color) host.style.setProperty('--accent', options.color);
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.append(el('style', '', CSS));
+
+    const launcher = el('button', 'launcher', '🎤');
+    launcher.type = 'button';
+    launcher.title = t('widget.open');
+    launcher.setAttribute('aria-label', launcher.title);
+    const panel = el('section', 'panel');
+    panel.hidden = true;
+    const header = el('header');
+    const close = el('button', '', '×');
+    close.type = 'button';
+    close.title = t('widget.close');
+    close.setAttribute('aria-label', close.title);
+    header.append(el('h2', '', options.title || t('widget.title')), close);
+    const status = el('div', 'status', t('status.ready'));
+    status.setAttribute('role', 'status');
+    const log = el('div', 'log');
+    log.setAttribute('aria-live', 'polite');
+    const summary = el('div', 'summary');
+    summary.hidden = true;
+    const controls = el('div', 'controls');
+    const talk = el('button', 'talk', t('widget.start'));
+    const end = el('button', 'end', t('widget.end'));
+    talk.type = end.type = 'button';
+    end.disabled = true;
+    controls.append(talk, end);
+    const form = el('form');
+    const input = el('input');
+    input.placeholder = t('widget.placeholder');
+    const send = el('button', '', t('widget.send'));
+    send.type = 'submit';
+    form.append(input, send);
+    panel.append(header, status, log, summary, controls, form);
+    shadow.append(panel, launcher);
+    document.body.append(host);
+
+    const toggle = (open) => { panel.hidden = !open; };
+
+    function renderTalk() {
+      if (!client.active) {
+        talk.textContent = t('widget.start');
+      } else if (client.isPushToTalk) {
+        talk.textContent = t('controls.holdToTalk');
+      } else {
+        talk.textContent = client.listening ? t('widget.mute') : t('widget.unmute');
+      }
+      talk.disabled = client.state === 'connecting';
+      end.disabled = !client.active;
+    }
+
+    function renderLog() {
+      log.replaceChildren();
+      for (const turn of (client.conversation?.turns || []).slice(-MAX_TURNS)) {
+        if (!turn.text) continue;
+        const bubble = el('div', `turn ${turn.role === 'user' ? 'user' : 'assistant'}`);
+        bubble.append(el('span', 'who', t(turn.role === 'user' ? 'widget.you' : 'widget.assistant')));
+        bubble.append(turn.interrupted ? `${turn.text} …${t('transcript.interrupted')}` : turn.text);
+        log.append(bubble);
+      }
+      log.scrollTop = log.scrollHeight;
+    }
+
+    function renderSummary(result) {
+      summary.replaceChildren();
+      summary.hidden = !result?.sections?.length;
+      if (summary.hidden) return;
+      summary.append(el('h3', '', t('summary.title')));
+      for (const { title, value } of result.sections) {
+        summary.append(el('h3', '', title));
+        if (!Array.isArray(value)) {
+          summary.append(el('div', '', value));
+          continue;
+        }
+        const list = el('ul');
+        for (const item of value) list.append(el('li', '', item));
+        summary.append(list);
+      }
+    }
+
+    client.on('status', ({ key, params }) => {
+      status.classList.remove('error');
+      status.textContent = t(key, params);
+    });
+    client.on('error', ({ code }) => {
+      status.classList.add('error');
+      status.textContent = `${t(`error.${code}`)} ${t(`error.${code}.hint`)}`;
+    });
+    client.on('state', renderTalk);
+    client.on('listening', renderTalk);
+    client.on('session', renderTalk);
+    client.on('transcript', renderLog);
+    client.on('level', ({ input: level }) => {
+      talk.style.boxShadow = level > 0.02 ? `0 0 0 ${Math.round(2 + level * 10)}px rgba(0,0,0,.15)` : '';
+    });
+    client.on('close', ({ summary: result }) => {
+      talk.style.boxShadow = '';
+      renderTalk();
+      renderLog();
+      renderSummary(result);
+    });
+
+    launcher.addEventListener('click', () => toggle(panel.hidden));
+    close.addEventListener('click', () => toggle(false));
+    talk.addEventListener('click', () => {
+      if (!client.active) {
+        renderSummary(null);
+        client.connect().catch(() => {});
+      } else if (client.connected && !client.isPushToTalk) {
+        client.setListening(!client.listening);
+      }
+    });
+    talk.addEventListener('pointerdown', () => {
+      if (client.connected && client.isPushToTalk) client.startTalking();
+    });
+    ['pointerup', 'pointercancel', 'pointerleave'].forEach((type) => {
+      talk.addEventListener(type, () => client.stopTalking());
+    });
+    end.addEventListener('click', () => client.disconnect({ summary: true }));
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const text = input.value.trim();
+      if (!text) return;
+      if (!client.open) {
+        status.textContent = t('status.sendAfterConnect');
+        return;
+      }
+      if (client.sendText(text)) input.value = '';
+    });
+
+    return {
+      client,
+      open: () => toggle(true),
+      close: () => toggle(false),
+      async destroy() {
+        await client.disconnect();
+        host.remove();
+      }
+    };
+  }
+
+  window.RealtimeMicWidget = { mount };
+
+  if (script && script.dataset.auto !== 'false') {
+    const start = () => mount(optionsFrom(script.dataset)).catch(e => console.error('Voice widget failed to load', e));
+    if (document.body) start();
+    else document.addEventListener('DOMContentLoaded', start, { once: true });
+  }
+})();
@@ -2,28 +2,198 @@ import express from 'express';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import http from 'http';
 import https from 'https';
 import fs from 'fs';
 import { Readable } from 'stream';
+import { loadTools, toSessionTools, runTool } from './tools/index.js';
+import { createAuth, parseUsers } from './lib/auth.js';
+import { createRateLimiter, createDailyBudget } from './lib/rate-limit.js';
+import {
+  validateSessionRequest, validatePersona, validateUsageReport, validateTelemetryRecord,
+  validateRecordingStart, validateRecordingEvents
+} from './lib/validation.js';
+import { createPersonaStore } from './lib/persona-store.js';
+import { createUsageStore, parsePrices } from './lib/usage-store.js';
+import { createJsonlLog } from './lib/jsonl-log.js';
+import { createRecordingStore, isRecordableAudio } from './lib/recording-store.js';
+import { attachRelay } from './lib/relay.js';
+import { attachRooms } from './lib/rooms.js';
+import { buildTurnDetection } from './lib/turn-detection.js';
+import { classifyUpstreamError, classifyValidationErrors } from './lib/errors.js';
+import { loadSummaryConfig, summaryInstructions } from './lib/summary.js';
+import { parseOrigins, createWidgetCors } from './lib/widget.js';
+import { createSettingsStore } from './lib/settings-store.js';
+import { ensureCertificates, localHosts } from './lib/certs.js';
 
 dotenv.config();
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '64kb' }));
+// Behind a reverse proxy, set TRUST_PROXY so per-IP limits see the client address
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+
+// Sites allowed to embed the widget (public/widget.js) and call the API from
+// the browser; also covers the modules it imports. See lib/widget.js
+const WIDGET_ORIGINS = parseOrigins(process.env.WIDGET_ORIGINS);
+if (WIDGET_ORIGINS === '*' || WIDGET_ORIGINS.size) app.use(createWidgetCors(WIDGET_ORIGINS));
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 app.use(express.static(path.join(__dirname, 'public')));
 
 const PORT = process.env.PORT || 3000;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-// Use gpt-realtime by default, allow override via env
+// Use gpt-realtime by default, allow override via env. Model, voices,
+// default prompt, VAD and limits below are only defaults: admins can change
+// them at runtime (/admin, lib/settings-store.js)
 const REALTIME_MODEL = (process.env.REALTIME_MODEL || 'gpt-realtime').trim();
 const DEFAULT_VOICE = process.env.VOICE || 'alloy';
+// Upstream API root; point at the bundled stand-in (npm run mock) for offline work
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').trim().replace(/\/+$/, '');
+// Model used to transcribe the user's own speech (shown as "You: ..." lines)
+const TRANSCRIPTION_MODEL = (process.env.TRANSCRIPTION_MODEL || 'gpt-4o-mini-transcribe').trim();
 
 console.log('[DEBUG] Environment variables:');
-console.log('  OPENAI_API_KEY:', OPENAI_API_KEY ? `${OPENAI_API_KEY.slice(0, 8)}...${OPENAI_API_KEY.slice(-4)}` : 'NOT SET');
+// Only whether it is set: even part of a key does not belong in logs
+console.log('  OPENAI_API_KEY:', OPENAI_API_KEY ? 'set' : 'NOT SET');
 console.log('  REALTIME_MODEL:', REALTIME_MODEL);
+console.log('  OPENAI_BASE_URL:', OPENAI_BASE_URL);
 console.log('  DEFAULT_VOICE:', DEFAULT_VOICE);
+console.log('  TRANSCRIPTION_MODEL:', TRANSCRIPTION_MODEL);
+
+const envInt = (name, fallback) => {
+  const v = parseInt(process.env[name] ?? '', 10);
+  return Number.isNaN(v) ? fallback : v;
+};
+const envFloat = (name, fallback) => {
+  const v = parseFloat(process.env[name] ?? '');
+  return Number.isNaN(v) ? fallback : v;
+};
+const envList = (name, fallback) => (process.env[name] ? process.env[name].split(',').map(s => s.trim()).filter(Boolean) : fallback);
+
+// Runtime settings as .env sets them; see lib/settings-store.js.
+// allowed_*: what clients may request from /session
+const ENV_SETTINGS = {
+  model: REALTIME_MODEL,
+  allowed_models: envList('ALLOWED_MODELS', [REALTIME_MODEL]),
+  default_voice: DEFAULT_VOICE,
+  allowed_voices: envList('ALLOWED_VOICES', ['alloy', 'verse', 'aria', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'cedar', 'marin']),
+  default_instructions: process.env.DEFAULT_INSTRUCTIONS || '',
+  max_instructions_chars: envInt('MAX_INSTRUCTIONS_CHARS', 8000),
+  turn_detection: { type: 'server_vad' },
+  // 0 disables a limit
+  limits: {
+    session_per_ip: envInt('SESSION_LIMIT_PER_IP', 10),
+    session_per_user: envInt('SESSION_LIMIT_PER_USER', 20),
+    session_per_minute: envInt('SESSION_LIMIT_PER_MINUTE', 60),
+    session_per_day: envInt('SESSION_LIMIT_PER_DAY', 0),
+    login_per_ip: envInt('LOGIN_LIMIT_PER_IP', 10)
+  }
+};
+
+// Session creation limits; the limits are set from the settings below
+const sessionLimits = {
+  perIp: createRateLimiter({ windowMs: 60_000 }),
+  perUser: createRateLimiter({ windowMs: 60_000 }),
+  perMinute: createRateLimiter({ windowMs: 60_000 }),
+  daily: createDailyBudget()
+};
+const loginLimiter = createRateLimiter({ windowMs: 60_000 });
+
+function applyLimits(limits) {
+  sessionLimits.perIp.setLimit(limits.session_per_ip);
+  sessionLimits.perUser.setLimit(limits.session_per_user);
+  sessionLimits.perMinute.setLimit(limits.session_per_minute);
+  sessionLimits.daily.setLimit(limits.session_per_day);
+  loginLimiter.setLimit(limits.login_per_ip);
+}
+
+const ADMIN_USERS = envList('ADMIN_USERS', []);
+const auth = createAuth({
+  token: process.env.ACCESS_TOKEN || '',
+  users: parseUsers(process.env.ACCESS_USERS),
+  admins: ADMIN_USERS,
+  secret: process.env.AUTH_SECRET || '',
+  maxAgeHours: envInt('AUTH_COOKIE_MAX_AGE_HOURS', 12),
+  secureCookie: process.env.HTTPS === 'true'
+});
+console.log('  ACCESS CONTROL:', auth.enabled ? 'enabled' : 'disabled (anyone who can reach the server can mint sessions)');
+
+// Comma-separated allowlist of tool names; all modules in tools/ when unset
+const ENABLED_TOOLS = process.env.TOOLS ? process.env.TOOLS.split(',').map(s => s.trim()).filter(Boolean) : null;
+const tools = await loadTools({ only: ENABLED_TOOLS });
+console.log('  TOOLS:', [...tools.keys()].join(', ') || '(none)');
+
+// Local stores (personas, ...) live under DATA_DIR
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+// Created once here; /ready only checks that it is writable
+try {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+} catch (err) {
+  console.warn(`[WARN] Could not create DATA_DIR ${DATA_DIR}: ${err.message}`);
+}
+const personas = createPersonaStore(process.env.PERSONAS_FILE || path.join(DATA_DIR, 'personas.json'));
+// Seeds the example personas on first run, rather than on the first request
+try {
+  personas.list();
+} catch (err) {
+  console.warn(`[WARN] Could not load personas: ${err.message}`);
+}
+const settings = createSettingsStore(process.env.SETTINGS_FILE || path.join(DATA_DIR, 'settings.json'), ENV_SETTINGS);
+applyLimits(settings.get().limits);
+console.log('  SETTINGS:', settings.status().source === 'file' ? `${settings.file} (${Object.keys(settings.overrides()).join(', ')})` : 'from .env');
+console.log('  SESSION LIMITS:', `ip=${sessionLimits.perIp.limit}/min user=${sessionLimits.perUser.limit}/min total=${sessionLimits.perMinute.limit}/min day=${sessionLimits.daily.limit}`);
+const usage = createUsageStore(process.env.USAGE_FILE || path.join(DATA_DIR, 'usage.json'));
+
+// Per-model prices (USD per 1M tokens) for cost estimates; see lib/usage-store.js
+let prices;
+try {
+  prices = parsePrices(process.env.USAGE_PRICES);
+} catch (err) {
+  console.warn('[WARN] USAGE_PRICES is not valid JSON, using default prices:', err.message);
+  prices = parsePrices();
+}
+// Spending caps in USD; once reached, /session refuses new keys. 0 disables a cap
+const usageLimits = {
+  daily: envFloat('USAGE_LIMIT_DAILY_USD', 0),
+  monthly: envFloat('USAGE_LIMIT_MONTHLY_USD', 0)
+};
+// WebSocket relay for networks where WebRTC to the API is blocked; see lib/relay.js.
+// DEFAULT_TRANSPORT picks what the page uses unless the user overrides it.
+const RELAY_ENABLED = process.env.RELAY === 'true';
+const DEFAULT_TRANSPORT = RELAY_ENABLED && process.env.DEFAULT_TRANSPORT === 'relay' ? 'relay' : 'webrtc';
+console.log('  RELAY:', RELAY_ENABLED ? `enabled (default transport: ${DEFAULT_TRANSPORT})` : 'disabled');
+// Shared rooms where guests follow the host's call; see lib/rooms.js
+const ROOMS_ENABLED = process.env.ROOMS === 'true';
+const ROOM_MAX_MEMBERS = envInt('ROOM_MAX_MEMBERS', 8);
+console.log('  ROOMS:', ROOMS_ENABLED ? `enabled (up to ${ROOM_MAX_MEMBERS} members)` : 'disabled');
+// End-of-call summary; prompt and schema from SUMMARY_FILE, re-read per request. See lib/summary.js
+const SUMMARY_ENABLED = process.env.SUMMARY !== 'false';
+const SUMMARY_FILE = process.env.SUMMARY_FILE || path.join(DATA_DIR, 'summary.json');
+console.log('  SUMMARY:', SUMMARY_ENABLED ? (fs.existsSync(SUMMARY_FILE) ? SUMMARY_FILE : 'enabled (default prompt)') : 'disabled');
+console.log('  WIDGET ORIGINS:', WIDGET_ORIGINS === '*' ? '*' : [...WIDGET_ORIGINS].join(', ') || '(same origin only)');
+
+// Latency/quality records from the debug panel, appended as JSON Lines when enabled
+const telemetryLog = process.env.TELEMETRY === 'true'
+  ? createJsonlLog(process.env.TELEMETRY_FILE || path.join(DATA_DIR, 'telemetry.jsonl'))
+  : null;
+console.log('  TELEMETRY:', telemetryLog ? telemetryLog.file : 'disabled');
+// Optional server-side recording of calls (event stream + mixed audio); off by default.
+// Only admins may list, play back or delete them, so there must be some
+if (process.env.RECORDING === 'true' && (!auth.enabled || !ADMIN_USERS.length)) {
+  console.error('RECORDING=true requires access control (ACCESS_USERS or ACCESS_TOKEN) and ADMIN_USERS');
+  process.exit(1);
+}
+const recordings = process.env.RECORDING === 'true'
+  ? createRecordingStore(process.env.RECORDING_DIR || path.join(DATA_DIR, 'recordings'), {
+      retentionDays: envInt('RECORDING_RETENTION_DAYS', 30),
+      maxAudioBytes: envInt('RECORDING_MAX_MB', 200) * 1024 * 1024
+    })
+  : null;
+// Who started, finished, played back or deleted which recording
+const auditLog = createJsonlLog(process.env.AUDIT_FILE || path.join(DATA_DIR, 'audit.jsonl'));
+console.log('  RECORDING:', recordings ? `enabled (retention: ${recordings.retentionDays ? `${recordings.retentionDays} days` : 'forever'})` : 'disabled');
+console.log('  USAGE LIMITS:', `day=$${usageLimits.daily || '-'} month=$${usageLimits.monthly || '-'}`);
 
 if (!OPENAI_API_KEY) {
   console.warn('[WARN] OPENAI_API_KEY is not set. /session will fail until configured.');
@@ -33,63 +203,726 @@ app.get('/health', (_req, res) => {
   res.json({ ok: true });
 });
 
+// Readiness for load balancers and monitoring: /health only says the process
+// is up. A settings file that failed to load is reported but does not make
+// the server unready, as the .env values apply instead.
+function readinessChecks() {
+  const checks = { api_key: { ok: Boolean(OPENAI_API_KEY) } };
+  try {
+    fs.accessSync(DATA_DIR, fs.constants.W_OK);
+    checks.data_dir = { ok: true };
+  } catch (err) {
+    checks.data_dir = { ok: false, error: err.code || err.message };
+  }
+  try {
+    checks.personas = { ok: true, count: personas.list({ seed: false }).length };
+  } catch (err) {
+    checks.personas = { ok: false, error: err.message };
+  }
+  const status = settings.status();
+  checks.settings = { ok: !status.error, source: status.source, updated_at: status.updated_at, error: status.error };
+  checks.tools = { ok: true, count: tools.size };
+  const ready = ['api_key', 'data_dir', 'personas'].every(name => checks[name].ok);
+  return { ready, checks };
+}
+
+app.get('/ready', (_req, res) => {
+  const result = readinessChecks();
+  res.status(result.ready ? 200 : 503).json(result);
+});
+
+function sendRateLimited(res, message, retryAfterMs, code = 'rate_limited') {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: message, code, retry_after: retryAfter });
+}
+
+app.get('/auth/status', (req, res) => {
+  const user = auth.identify(req);
+  res.json({ required: auth.enabled, authenticated: Boolean(user), user: auth.enabled ? user : null });
+});
+
+app.post('/auth/login', (req, res) => {
+  const limit = loginLimiter.check(req.ip);
+  if (!limit.ok) return sendRateLimited(res, 'Too many login attempts', limit.retryAfterMs);
+  loginLimiter.hit(req.ip);
+  if (!auth.enabled) return res.json({ ok: true, user: null });
+  const user = auth.verifyCredentials({ user: req.body?.user, password: req.body?.password, token: req.body?.token });
+  if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+  res.set('Set-Cookie', auth.issueCookie(user));
+  res.json({ ok: true, user });
+});
+
+app.post('/auth/logout', (_req, res) => {
+  res.set('Set-Cookie', auth.clearCookie());
+  res.json({ ok: true });
+});
+
+// Cost is only known after responses finish, so a cap stops new sessions
+// once spending has reached it rather than before.
+function checkUsageBudget(now = Date.now()) {
+  if (usageLimits.daily && usage.spentToday(prices, now) >= usageLimits.daily) {
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return { ok: false, retryAfterMs: midnight.getTime() - now, message: 'Daily usage budget exceeded' };
+  }
+  if (usageLimits.monthly && usage.spentThisMonth(prices, now) >= usageLimits.monthly) {
+    const d = new Date(now);
+    const nextMonth = new Date(d.getFullYear(), d.getMonth() + 1, 1);
+    return { ok: false, retryAfterMs: nextMonth.getTime() - now, message: 'Monthly usage budget exceeded' };
+  }
+  return { ok: true };
+}
+
+// Checks every limit first and only then records the hit, so a request
+// rejected by one limiter does not use up another's allowance.
+// Returns null when allowed, else { message, retryAfterMs, code }.
+function sessionLimitBlock(ip, user) {
+  const budget = checkUsageBudget();
+  const checks = [
+    [budget, budget.message, 'budget_exceeded'],
+    [sessionLimits.perIp.check(ip), 'Too many sessions from this address'],
+    [sessionLimits.perUser.check(user), 'Too many sessions for this user'],
+    [sessionLimits.perMinute.check('all'), 'Server is busy, please retry shortly'],
+    [sessionLimits.daily.check(), 'Daily session budget exhausted']
+  ];
+  const blocked = checks.find(([result]) => !result.ok);
+  if (blocked) {
+    console.warn(`[WARN] session rate limited: ${blocked[1]} (ip=${ip} user=${user})`);
+    return { message: blocked[1], retryAfterMs: blocked[0].retryAfterMs, code: blocked[2] || 'rate_limited' };
+  }
+  sessionLimits.perIp.hit(ip);
+  sessionLimits.perUser.hit(user);
+  sessionLimits.perMinute.hit('all');
+  sessionLimits.daily.hit();
+  return null;
+}
+
+function checkSessionLimits(req, res, next) {
+  const blocked = sessionLimitBlock(req.ip, req.user);
+  if (blocked) return sendRateLimited(res, blocked.message, blocked.retryAfterMs, blocked.code);
+  next();
+}
+
+// Validates a /session (or relay.start) body and resolves its persona
+function checkSessionRequest(body) {
+  const current = settings.get();
+  const errors = validateSessionRequest(body, {
+    allowedVoices: current.allowed_voices,
+    allowedModels: current.allowed_models,
+    maxInstructionsChars: current.max_instructions_chars
+  });
+  let persona = null;
+  if (body?.persona && !errors.length) {
+    persona = personas.get(body.persona);
+    if (!persona) errors.push(`Unknown persona: ${body.persona}`);
+  }
+  return { errors, persona };
+}
+
+function validateSessionBody(req, res, next) {
+  const { errors, persona } = checkSessionRequest(req.body);
+  if (errors.length) return res.status(400).json({ error: 'Invalid session request', code: classifyValidationErrors(errors), details: errors });
+  req.persona = persona;
+  next();
+}
+
+// Session fields shaped by a persona (or the defaults when there is none).
+// Used both when minting a session and for live session.update from the UI.
+function personaSessionConfig(persona) {
+  const config = {
+    turn_detection: buildTurnDetection(persona ? persona.vad : settings.get().turn_detection)
+  };
+  if (persona?.instructions) config.instructions = persona.instructions;
+  if (persona?.voice) config.voice = persona.voice;
+  const names = Array.isArray(persona?.tools) ? persona.tools : [...tools.keys()];
+  const selected = new Map([...tools].filter(([name]) => names.includes(name)));
+  // An empty list is sent on purpose so a live update removes earlier tools
+  config.tools = toSessionTools(selected);
+  config.tool_choice = selected.size ? 'auto' : 'none';
+  return config;
+}
+
+// Upstream session settings for a validated request. Explicit request
+// fields win over the persona's defaults.
+function resolveSession(reqBody, persona) {
+  const current = settings.get();
+  const personaConfig = personaSessionConfig(persona);
+  const voice = (reqBody?.voice || personaConfig.voice || current.default_voice).trim();
+  const model = (reqBody?.model || current.model).trim();
+  const instructions = reqBody?.instructions || personaConfig.instructions || current.default_instructions;
+  const turnDetection = reqBody?.turn_detection ? buildTurnDetection(reqBody.turn_detection) : personaConfig.turn_detection;
+  // Allow audio input for STT; we do not set voice so no OpenAI TTS is returned
+  const modalities = reqBody?.modalities || ['text', 'audio'];
+
+  const session = {
+    modalities,
+    turn_detection: turnDetection,
+    input_audio_transcription: { model: TRANSCRIPTION_MODEL }
+  };
+  if (instructions) session.instructions = instructions;
+  if (voice) session.voice = voice;
+  if (personaConfig.tools.length) {
+    session.tools = personaConfig.tools;
+    session.tool_choice = personaConfig.tool_choice;
+  }
+  return { model, voice, instructions, turnDetection, session };
+}
+
+// Usage reports from a call are attributed through this id
+function startUsageSession(user, persona, model) {
+  try {
+    return usage.startSession({ user, persona: persona?.id, model });
+  } catch (err) {
+    console.warn('[WARN] Failed to record usage session:', err.message);
+    return null;
+  }
+}
+
+// Without a key every upstream call fails, so say so up front
+function requireApiKey(_req, res, next) {
+  if (!OPENAI_API_KEY) return res.status(503).json({ error: 'OPENAI_API_KEY is not configured', code: 'missing_api_key' });
+  next();
+}
+
 // Issues a short-lived (≈1 min) ephemeral client key for WebRTC.
-app.post('/session', async (req, res) => {
-  try {
-    console.log('[DEBUG] /session request body:', JSON.stringify(req.body, null, 2));
-    const voice = req.body?.voice || DEFAULT_VOICE;
-    const instructions = req.body?.instructions;
-    // Allow audio input for STT; we do not set voice so no OpenAI TTS is returned
-    const modalities = req.body?.modalities || ['text', 'audio'];
-
-    const body = {
-      model: REALTIME_MODEL,
-      modalities,
-      turn_detection: { type: 'server_vad' }
-    };
-    if (instructions) body.instructions = instructions;
-    if (voice) body.voice = voice;
-
-    const r = await fetch('https://api.openai.com/v1/realtime/sessions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-        'OpenAI-Beta': 'realtime=v1'
-      },
-      body: JSON.stringify(body)
-    });
+app.post('/session', auth.requireAuth, requireApiKey, validateSessionBody, checkSessionLimits, async (req, res) => {
+  try {
+    const { model, voice, instructions, turnDetection, session } = resolveSession(req.body, req.persona);
+    console.log(`[DEBUG] /session user=${req.user} ip=${req.ip} model=${model} voice=${voice} persona=${req.persona?.id || '-'} instructions=${instructions ? instructions.length : 0} chars`);
+    const body = { model, ...session };
+
+    let r;
+    try {
+      r = await fetch(`${OPENAI_BASE_URL}/realtime/sessions`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${OPENAI_API_KEY}`,
+          'Content-Type': 'application/json',
+          'OpenAI-Beta': 'realtime=v1'
+        },
+        body: JSON.stringify(body)
+      });
+    } catch (err) {
+      console.warn('[WARN] Realtime API unreachable:', err.message);
+      return res.status(502).json({ error: 'Failed to reach the realtime API', code: 'upstream_unreachable' });
+    }
 
     if (!r.ok) {
+      // The upstream text can echo parts of the key, so it stays in the server log
       const errText = await r.text().catch(() => '');
-      console.log('[DEBUG] OpenAI session creation failed:', r.status, errText);
-      return res.status(r.status).json({ error: 'Failed to create realtime session', details: errText });
+      const code = classifyUpstreamError(r.status, errText);
+      console.log('[DEBUG] OpenAI session creation failed:', r.status, code, errText);
+      return res.status(r.status).json({ error: 'Failed to create realtime session', code });
     }
 
     const data = await r.json();
     const clientSecret = data?.client_secret?.value || null;
     if (!clientSecret) {
-      return res.status(502).json({ error: 'Missing client_secret in upstream response' });
+      return res.status(502).json({ error: 'Missing client_secret in upstream response', code: 'upstream_error' });
     }
 
+    const usageSession = startUsageSession(req.user, req.persona, data?.model || model);
+
     res.json({
       client_secret: clientSecret,
-      model: data?.model || REALTIME_MODEL,
-      voice: data?.voice || voice || null
+      model: data?.model || model,
+      voice: data?.voice || voice || null,
+      persona: req.persona?.id || null,
+      // The client needs the effective mode to decide between VAD and push-to-talk
+      turn_detection: turnDetection,
+      realtime_url: `${OPENAI_BASE_URL}/realtime`,
+      usage_session: usageSession
     });
   } catch (err) {
     console.error('Error in /session:', err);
-    res.status(500).json({ error: 'Internal error creating session' });
+    res.status(500).json({ error: 'Internal error creating session', code: 'internal_error' });
+  }
+});
+
+// Persona CRUD, backed by the JSON file store
+function personaValidationOptions(partial) {
+  const current = settings.get();
+  return { allowedVoices: current.allowed_voices, toolNames: [...tools.keys()], maxInstructionsChars: current.max_instructions_chars, partial };
+}
+
+app.get('/personas', auth.requireAuth, (_req, res) => {
+  res.json({ personas: personas.list() });
+});
+
+app.get('/personas/:id', auth.requireAuth, (req, res) => {
+  const persona = personas.get(req.params.id);
+  if (!persona) return res.status(404).json({ error: 'Persona not found' });
+  res.json(persona);
+});
+
+// Session fields the client sends via session.update to switch persona mid-call
+app.get('/personas/:id/session-config', auth.requireAuth, (req, res) => {
+  const persona = personas.get(req.params.id);
+  if (!persona) return res.status(404).json({ error: 'Persona not found' });
+  res.json(personaSessionConfig(persona));
+});
+
+app.post('/personas', auth.requireAuth, (req, res) => {
+  const errors = validatePersona(req.body, personaValidationOptions(false));
+  if (errors.length) return res.status(400).json({ error: 'Invalid persona', details: errors });
+  try {
+    res.status(201).json(personas.create(req.body));
+  } catch (err) {
+    console.error('Error creating persona:', err);
+    res.status(500).json({ error: 'Failed to save persona' });
+  }
+});
+
+app.put('/personas/:id', auth.requireAuth, (req, res) => {
+  const errors = validatePersona(req.body, personaValidationOptions(true));
+  if (errors.length) return res.status(400).json({ error: 'Invalid persona', details: errors });
+  try {
+    const persona = personas.update(req.params.id, req.body);
+    if (!persona) return res.status(404).json({ error: 'Persona not found' });
+    res.json(persona);
+  } catch (err) {
+    console.error('Error updating persona:', err);
+    res.status(500).json({ error: 'Failed to save persona' });
+  }
+});
+
+app.delete('/personas/:id', auth.requireAuth, (req, res) => {
+  try {
+    if (!personas.remove(req.params.id)) return res.status(404).json({ error: 'Persona not found' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting persona:', err);
+    res.status(500).json({ error: 'Failed to delete persona' });
+  }
+});
+
+// Runs a tool requested by the model; the client relays the result back
+// over the data channel as a function_call_output item.
+app.post('/tools/:name', auth.requireAuth, async (req, res) => {
+  const name = req.params.name;
+  try {
+    const output = await runTool(tools, name, req.body?.arguments);
+    res.json({ output });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(`Error in /tools/${name}:`, err);
+    res.status(500).json({ error: 'Tool execution failed' });
+  }
+});
+
+// Token usage from response.done, reported by the client for each response
+app.post('/usage', auth.requireAuth, (req, res) => {
+  const errors = validateUsageReport(req.body);
+  if (errors.length) return res.status(400).json({ error: 'Invalid usage report', details: errors });
+  try {
+    const session = usage.getSession(req.body.session);
+    if (!session) return res.status(404).json({ error: 'Unknown usage session' });
+    if (auth.enabled && session.user !== req.user) return res.status(403).json({ error: 'Usage session belongs to another user' });
+    const recorded = usage.record(req.body.session, { responseId: req.body.response_id, usage: req.body.usage });
+    res.json({ ok: true, recorded });
+  } catch (err) {
+    console.error('Error recording usage:', err);
+    res.status(500).json({ error: 'Failed to record usage' });
+  }
+});
+
+app.get('/usage', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'usage.html'));
+});
+
+// Every user's sessions and costs, so admins only
+app.get('/usage/summary', auth.requireAdmin, (_req, res) => {
+  try {
+    res.json({
+      ...usage.summary(prices),
+      prices,
+      limits: { daily_usd: usageLimits.daily, monthly_usd: usageLimits.monthly }
+    });
+  } catch (err) {
+    console.error('Error reading usage:', err);
+    res.status(500).json({ error: 'Failed to read usage' });
+  }
+});
+
+app.post('/telemetry', auth.requireAuth, async (req, res) => {
+  if (!telemetryLog) return res.status(404).json({ error: 'Telemetry is disabled' });
+  const errors = validateTelemetryRecord(req.body);
+  if (errors.length) return res.status(400).json({ error: 'Invalid telemetry record', details: errors });
+  try {
+    await telemetryLog.append({ ...req.body, ts: new Date().toISOString(), user: req.user });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error writing telemetry:', err);
+    res.status(500).json({ error: 'Failed to write telemetry' });
+  }
+});
+
+// Server-side recordings: the page uploads the event stream and mixed audio
+// while a call runs; admins list, play back and delete them.
+function audit(req, action, details = {}) {
+  auditLog.append({ ts: new Date().toISOString(), action, user: req?.user ?? null, ip: req?.ip ?? null, ...details })
+    .catch(err => console.warn('[WARN] Failed to write audit log:', err.message));
+}
+
+function requireRecording(_req, res, next) {
+  if (!recordings) return res.status(404).json({ error: 'Recording is disabled' });
+  next();
+}
+
+// Loads a recording for its owner; answers 404/403 and returns null otherwise
+function ownRecording(req, res) {
+  const meta = recordings.get(req.params.id);
+  if (!meta) {
+    res.status(404).json({ error: 'Recording not found' });
+    return null;
+  }
+  if (auth.enabled && meta.user !== req.user) {
+    res.status(403).json({ error: 'Recording belongs to another user' });
+    return null;
+  }
+  if (meta.endedAt) {
+    res.status(409).json({ error: 'Recording has finished' });
+    return null;
+  }
+  return meta;
+}
+
+function pruneRecordings() {
+  try {
+    for (const meta of recordings.prune()) audit(null, 'recording.expire', { recording: meta.id, owner: meta.user });
+  } catch (err) {
+    console.warn('[WARN] Failed to prune recordings:', err.message);
+  }
+}
+
+if (recordings) {
+  pruneRecordings();
+  setInterval(pruneRecordings, 60 * 60 * 1000).unref();
+}
+
+app.post('/recordings', requireRecording, auth.requireAuth, (req, res) => {
+  const errors = validateRecordingStart(req.body);
+  if (errors.length) return res.status(400).json({ error: 'Invalid recording request', details: errors });
+  try {
+    const meta = recordings.create({
+      user: req.user,
+      persona: req.body.persona || null,
+      voice: req.body.voice || null,
+      model: req.body.model || null,
+      transport: req.body.transport || null,
+      usageSession: req.body.usage_session || null
+    });
+    audit(req, 'recording.start', { recording: meta.id, persona: meta.persona, model: meta.model });
+    res.status(201).json({ id: meta.id, retention_days: recordings.retentionDays });
+  } catch (err) {
+    console.error('Error starting recording:', err);
+    res.status(500).json({ error: 'Failed to start recording' });
+  }
+});
+
+app.post('/recordings/:id/events', requireRecording, auth.requireAuth, (req, res) => {
+  const errors = validateRecordingEvents(req.body);
+  if (errors.length) return res.status(400).json({ error: 'Invalid recording events', details: errors });
+  if (!ownRecording(req, res)) return;
+  try {
+    res.json({ ok: true, events: recordings.appendEvents(req.params.id, req.body.events) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error recording events:', err);
+    res.status(500).json({ error: 'Failed to record events' });
+  }
+});
+
+app.post('/recordings/:id/audio', requireRecording, auth.requireAuth,
+  express.raw({ type: (req) => isRecordableAudio(req.headers['content-type']), limit: '4mb' }), (req, res) => {
+    if (!isRecordableAudio(req.headers['content-type'])) return res.status(415).json({ error: 'Unsupported audio type' });
+    if (!Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ error: 'Empty audio chunk' });
+    if (!ownRecording(req, res)) return;
+    try {
+      res.json({ ok: true, bytes: recordings.appendAudio(req.params.id, req.body, req.headers['content-type']) });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error('Error recording audio:', err);
+      res.status(500).json({ error: 'Failed to record audio' });
+    }
+  });
+
+app.post('/recordings/:id/finish', requireRecording, auth.requireAuth, (req, res) => {
+  if (!ownRecording(req, res)) return;
+  try {
+    const meta = recordings.finish(req.params.id);
+    audit(req, 'recording.finish', { recording: meta.id, events: meta.events, audio_bytes: meta.audioBytes });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Error finishing recording:', err);
+    res.status(500).json({ error: 'Failed to finish recording' });
+  }
+});
+
+app.get('/recordings', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'recordings.html'));
+});
+
+app.get('/recordings/list', requireRecording, auth.requireAdmin, (_req, res) => {
+  try {
+    res.json({ recordings: recordings.list(), retention_days: recordings.retentionDays });
+  } catch (err) {
+    console.error('Error listing recordings:', err);
+    res.status(500).json({ error: 'Failed to list recordings' });
+  }
+});
+
+app.get('/recordings/audit', requireRecording, auth.requireAdmin, async (_req, res) => {
+  try {
+    res.json({ entries: await auditLog.tail(200) });
+  } catch (err) {
+    console.error('Error reading audit log:', err);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+app.get('/recordings/:id/events', requireRecording, auth.requireAdmin, (req, res) => {
+  const events = recordings.events(req.params.id);
+  if (!events) return res.status(404).json({ error: 'Recording not found' });
+  audit(req, 'recording.view', { recording: req.params.id });
+  res.json({ recording: recordings.get(req.params.id), events });
+});
+
+app.get('/recordings/:id/audio', requireRecording, auth.requireAdmin, (req, res) => {
+  const audio = recordings.audio(req.params.id);
+  if (!audio) return res.status(404).json({ error: 'Recording has no audio' });
+  // The player fetches in ranges; log the start of a playback only
+  const range = req.headers.range;
+  if (!range || /^bytes=0-/.test(range)) audit(req, 'recording.play', { recording: req.params.id });
+  res.sendFile(audio.file, { headers: { 'Content-Type': audio.type } });
+});
+
+app.delete('/recordings/:id', requireRecording, auth.requireAdmin, (req, res) => {
+  try {
+    if (!recordings.remove(req.params.id)) return res.status(404).json({ error: 'Recording not found' });
+    audit(req, 'recording.delete', { recording: req.params.id });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting recording:', err);
+    res.status(500).json({ error: 'Failed to delete recording' });
   }
 });
 
 // ElevenLabs endpoints removed; OpenAI handles output audio
 
+// Runtime settings (lib/settings-store.js): admins view and change them on
+// /admin. Server settings such as the port or HTTPS are shown read-only, as
+// they only change with a restart.
+function adminConfig() {
+  return {
+    settings: settings.get(),
+    defaults: settings.defaults,
+    overrides: settings.overrides(),
+    status: settings.status(),
+    file: settings.file,
+    readiness: readinessChecks(),
+    server: {
+      port: PORT,
+      https: process.env.HTTPS === 'true',
+      openai_base_url: OPENAI_BASE_URL,
+      transcription_model: TRANSCRIPTION_MODEL,
+      access_control: auth.enabled,
+      relay: RELAY_ENABLED,
+      rooms: ROOMS_ENABLED,
+      recording: Boolean(recordings),
+      summary: SUMMARY_ENABLED,
+      widget_origins: WIDGET_ORIGINS === '*' ? ['*'] : [...WIDGET_ORIGINS]
+    }
+  };
+}
+
+app.get('/admin', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+app.get('/admin/config', auth.requireAdmin, (_req, res) => {
+  res.json(adminConfig());
+});
+
+app.put('/admin/config', auth.requireAdmin, (req, res) => {
+  try {
+    const result = settings.update(req.body);
+    if (result.errors) return res.status(400).json({ error: 'Invalid settings', details: result.errors });
+    applyLimits(result.settings.limits);
+    console.log(`[DEBUG] settings changed by ${req.user}: ${result.changed.join(', ')}`);
+    audit(req, 'config.update', { fields: result.changed });
+    res.json(adminConfig());
+  } catch (err) {
+    console.error('Error saving settings:', err);
+    res.status(500).json({ error: 'Failed to save settings' });
+  }
+});
+
+// Back to the .env values
+app.delete('/admin/config', auth.requireAdmin, (req, res) => {
+  try {
+    applyLimits(settings.reset().limits);
+    console.log(`[DEBUG] settings reset by ${req.user}`);
+    audit(req, 'config.reset');
+    res.json(adminConfig());
+  } catch (err) {
+    console.error('Error resetting settings:', err);
+    res.status(500).json({ error: 'Failed to reset settings' });
+  }
+});
+
+// The settings changes from the audit log; readable without RECORDING,
+// unlike the full log under /recordings/audit
+app.get('/admin/audit', auth.requireAdmin, async (_req, res) => {
+  try {
+    res.json({ entries: await auditLog.tail(50, entry => entry.action?.startsWith('config.')) });
+  } catch (err) {
+    console.error('Error reading audit log:', err);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+// What the page sends as an out-of-band response when the call ends, and
+// the schema (with display titles) it parses the reply against
+app.get('/summary-config', auth.requireAuth, (_req, res) => {
+  if (!SUMMARY_ENABLED) return res.status(404).json({ error: 'Summary is disabled' });
+  const config = loadSummaryConfig(SUMMARY_FILE);
+  res.json({ instructions: summaryInstructions(config), schema: config.schema });
+});
+
+// Malformed JSON bodies get a JSON 400 instead of Express's HTML error page
+app.use((err, _req, res, next) => {
+  if (err?.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_request' });
+  if (err?.type === 'entity.too.large') return res.status(413).json({ error: 'Request body too large' });
+  next(err);
+});
+
+// Client settings the page needs before connecting
+app.get('/client-config', (_req, res) => {
+  res.json({ transport: DEFAULT_TRANSPORT, relay: RELAY_ENABLED, recording: Boolean(recordings), rooms: ROOMS_ENABLED, summary: SUMMARY_ENABLED });
+});
+
+// WebSocket endpoints: the relay (lib/relay.js), where the server holds the
+// upstream connection, and rooms (lib/rooms.js)
+function clientIp(req) {
+  // Mirrors Express's req.ip for upgrade requests, which bypass Express
+  if (process.env.TRUST_PROXY) {
+    const forwarded = (req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket.remoteAddress;
+}
+
+function authorizeWebSocket(req) {
+  const user = auth.identify(req);
+  if (!user) return { status: 401, error: 'Unauthorized' };
+  // Cookies ride along on cross-site WebSocket requests, so check the origin
+  const origin = req.headers.origin;
+  if (auth.enabled && origin) {
+    let host = null;
+    try { host = new URL(origin).host; } catch {}
+    if (host !== req.headers.host) return { status: 403, error: 'Forbidden' };
+  }
+  return { user };
+}
+
+function startRelaySession(req, user, body) {
+  if (!OPENAI_API_KEY) return { status: 503, error: 'OPENAI_API_KEY is not configured', code: 'missing_api_key' };
+  const { errors, persona } = checkSessionRequest(body);
+  if (errors.length) return { status: 400, error: 'Invalid session request', code: classifyValidationErrors(errors), details: errors };
+  const ip = clientIp(req);
+  const blocked = sessionLimitBlock(ip, user);
+  if (blocked) return { status: 429, error: blocked.message, code: blocked.code, retry_after: Math.max(1, Math.ceil(blocked.retryAfterMs / 1000)) };
+  const { model, voice, instructions, turnDetection, session } = resolveSession(body, persona);
+  console.log(`[DEBUG] relay session user=${user} ip=${ip} model=${model} voice=${voice} persona=${persona?.id || '-'} instructions=${instructions ? instructions.length : 0} chars`);
+  return {
+    model,
+    // The relay streams raw PCM both ways
+    session: { ...session, input_audio_format: 'pcm16', output_audio_format: 'pcm16' },
+    info: {
+      model,
+      voice,
+      persona: persona?.id || null,
+      turn_detection: turnDetection,
+      usage_session: startUsageSession(user, persona, model)
+    }
+  };
+}
+
+// The local CA (lib/certs.js) for devices to install, while it signed the
+// certificate being served
+const SSL_CA_KEY = process.env.SSL_CA_KEY || './localhost-ca-key.pem';
+const SSL_CA_CERT = process.env.SSL_CA_CERT || './localhost-ca.pem';
+let localCa = false;
+
+app.get('/ca.crt', (_req, res) => {
+  if (!localCa) return res.status(404).json({ error: 'No local CA in use' });
+  res.type('application/x-x509-ca-cert').sendFile(path.resolve(SSL_CA_CERT));
+});
+
+// Plain-HTTP listener next to HTTPS: sends browsers on to https:// and serves
+// /ca.crt, which a device has to fetch before it trusts the HTTPS one
+const HTTP_REDIRECT_PORT = process.env.HTTP_REDIRECT_PORT;
+
+function startHttpRedirect(httpsPort) {
+  const server = http.createServer((req, res) => {
+    if ((req.url || '').split('?')[0] === '/ca.crt') return app(req, res);
+    let host = 'localhost';
+    try { host = new URL(`http://${req.headers.host}`).hostname; } catch {}
+    const port = httpsPort === 443 ? '' : `:${httpsPort}`;
+    res.writeHead(308, { Location: `https://${host}${port}${req.url || '/'}` }).end();
+  });
+  server.on('error', (err) => console.warn(`[WARN] HTTP redirect on port ${HTTP_REDIRECT_PORT} failed: ${err.message}`));
+  server.listen(HTTP_REDIRECT_PORT, () => {
+    console.log(`HTTP redirect listening on http://localhost:${server.address().port} -> https`);
+  });
+}
+
+function listening(server, scheme) {
+  const socketPaths = [];
+  if (RELAY_ENABLED) {
+    attachRelay(server, {
+      authorize: authorizeWebSocket,
+      start: startRelaySession,
+      upstreamUrl: `${OPENAI_BASE_URL.replace(/^http/, 'ws')}/realtime`,
+      apiKey: OPENAI_API_KEY
+    });
+    socketPaths.push('/relay');
+  }
+  if (ROOMS_ENABLED) {
+    attachRooms(server, { authorize: authorizeWebSocket, maxMembers: ROOM_MAX_MEMBERS });
+    socketPaths.push('/rooms');
+  }
+  // Each endpoint handles only its own path; drop upgrades for any other
+  server.on('upgrade', (req, socket) => {
+    if (!socketPaths.includes((req.url || '').split('?')[0])) socket.destroy();
+  });
+  console.log(`Server listening on ${scheme}://localhost:${server.address().port}`);
+}
+
 const isHttps = process.env.HTTPS === 'true';
 
 if (isHttps) {
   const keyPath = process.env.SSL_KEY || './localhost-key.pem';
   const certPath = process.env.SSL_CERT || './localhost.pem';
+  const hosts = () => localHosts(envList('SSL_HOSTS', []));
+  // Creates the certificate, or renews it when it expires soon or the LAN
+  // address changed (lib/certs.js). SSL_AUTO=false serves SSL_KEY/SSL_CERT as is
+  const ensure = () => {
+    if (process.env.SSL_AUTO === 'false') return;
+    try {
+      const result = ensureCertificates({ keyPath, certPath, caKeyPath: SSL_CA_KEY, caCertPath: SSL_CA_CERT, hosts: hosts() });
+      localCa = result.managed;
+      if (result.caCreated) console.log(`[DEBUG] Created a local CA at ${SSL_CA_CERT}; install it on each device (/ca.crt) to trust the certificate`);
+      if (result.created) console.log(`[DEBUG] HTTPS certificate issued (${result.reason}) for ${result.hosts.join(', ')}; expires ${result.expiresAt}`);
+      if (result.reason === 'custom-expiring') console.warn(`[WARN] ${certPath} expires ${result.expiresAt} and is not managed here; renew it`);
+      return result;
+    } catch (err) {
+      console.warn(`[WARN] Could not create the HTTPS certificate: ${err.message}`);
+    }
+  };
+  ensure();
 
   if (fs.existsSync(keyPath) && fs.existsSync(certPath)) {
     const httpsOptions = {
@@ -97,17 +930,23 @@ if (isHttps) {
       cert: fs.readFileSync(certPath)
     };
 
-    https.createServer(httpsOptions, app).listen(PORT, () => {
-      console.log(`Server listening on https://localhost:${PORT}`);
+    const server = https.createServer(httpsOptions, app).listen(PORT, () => {
+      listening(server, 'https');
+      const port = server.address().port;
+      const lan = hosts().filter(host => /^\d+\.\d+\.\d+\.\d+$/.test(host) && !host.startsWith('127.'));
+      if (lan.length) console.log(`  LAN: ${lan.map(host => `https://${host}:${port}`).join(' ')}`);
+      if (HTTP_REDIRECT_PORT) startHttpRedirect(port);
     });
+    // A long-running server picks up the renewed certificate without a restart
+    setInterval(() => {
+      if (ensure()?.created) {
+        server.setSecureContext({ key: fs.readFileSync(keyPath), cert: fs.readFileSync(certPath) });
+      }
+    }, 24 * 60 * 60 * 1000).unref();
   } else {
-    console.warn('SSL certificates not found. Starting HTTP server.');
-    app.listen(PORT, () => {
-      console.log(`Server listening on http://localhost:${PORT}`);
-    });
+    console.warn(`[WARN] SSL certificates not found (${certPath}). Starting HTTP server: the microphone only works on http://localhost, not from other devices.`);
+    const server = app.listen(PORT, () => listening(server, 'http'));
   }
 } else {
-  app.listen(PORT, () => {
-    console.log(`Server listening on http://localhost:${PORT}`);
-  });
+  const server = app.listen(PORT, () => listening(server, 'http'));
 }
@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockRealtimeServer } from '../mock/realtime-server.js';
+import { startApp, postJson } from './helpers.js';
+
+let mock;
+let upstream;
+let app;
+
+before(async () => {
+  mock = createMockRealtimeServer();
+  upstream = await mock.listen();
+  app = await startApp({
+    OPENAI_API_KEY: 'sk-test',
+    OPENAI_BASE_URL: upstream.baseUrl,
+    ACCESS_TOKEN: 'team-token',
+    ACCESS_USERS: 'alice:wonderland',
+    ALLOWED_VOICES: 'alloy,verse'
+  });
+});
+
+after(async () => {
+  await app?.stop();
+  await mock?.close();
+});
+
+test('/session requires authentication when access control is configured', async () => {
+  const status = await (await fetch(`${app.url}/auth/status`)).json();
+  assert.deepEqual(status, { required: true, authenticated: false, user: null });
+
+  const res = await postJson(`${app.url}/session`, {});
+  assert.equal(res.status, 401);
+  assert.equal(res.json.login, true);
+});
+
+test('shared token is accepted as a bearer token', async () => {
+  const res = await postJson(`${app.url}/session`, {}, { Authorization: 'Bearer team-token' });
+  assert.equal(res.status, 200);
+  const wrong = await postJson(`${app.url}/session`, {}, { Authorization: 'Bearer nope' });
+  assert.equal(wrong.status, 401);
+});
+
+test('login sets a cookie that authorizes later requests', async () => {
+  const bad = await postJson(`${app.url}/auth/login`, { user: 'alice', password: 'nope' });
+  assert.equal(bad.status, 401);
+
+  const login = await postJson(`${app.url}/auth/login`, { user: 'alice', password: 'wonderland' });
+  assert.equal(login.status, 200);
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+  assert.match(cookie, /^rm_auth=/);
+
+  const status = await (await fetch(`${app.url}/auth/status`, { headers: { Cookie: cookie } })).json();
+  assert.equal(status.user, 'alice');
+  const res = await postJson(`${app.url}/session`, {}, { Cookie: cookie });
+  assert.equal(res.status, 200);
+
+  const tampered = cookie.replace(/.$/, c => (c === 'A' ? 'B' : 'A'));
+  assert.equal((await postJson(`${app.url}/session`, {}, { Cookie: tampered })).status, 401);
+
+  // A malformed cookie from another app on the host does not break auth
+  const noisy = `x=%E0%A4%A; ${cookie}`;
+  assert.equal((await postJson(`${app.url}/session`, {}, { Cookie: noisy })).status, 200);
+  assert.equal((await fetch(`${app.url}/personas`, { headers: { Cookie: 'x=%E0%A4%A' } })).status, 401);
+});
+
+test('usage of all users is for admins only', async () => {
+  assert.equal((await fetch(`${app.url}/usage/summary`)).status, 401);
+  assert.equal((await fetch(`${app.url}/usage/summary`, { headers: { Authorization: 'Bearer team-token' } })).status, 403);
+});
+
+test('invalid session requests get a 400 with details', async () => {
+  const auth = { Authorization: 'Bearer team-token' };
+  const voice = await postJson(`${app.url}/session`, { voice: 'aria' }, auth);
+  assert.equal(voice.status, 400);
+  assert.deepEqual(voice.json.details, ['voice must be one of: alloy, verse']);
+  assert.equal(voice.json.code, 'invalid_voice');
+
+  const model = await postJson(`${app.url}/session`, { model: 'gpt-4o' }, auth);
+  assert.equal(model.status, 400);
+
+  const unknown = await postJson(`${app.url}/session`, { temperature: 2 }, auth);
+  assert.deepEqual(unknown.json.details, ['Unknown field: temperature']);
+
+  const malformed = await fetch(`${app.url}/session`, {
+    method: 'POST',
+    headers: { ...auth, 'Content-Type': 'application/json' },
+    body: '{"voice":'
+  });
+  assert.equal(malformed.status, 400);
+  assert.equal((await malformed.json()).error, 'Request body is not valid JSON');
+});
+
+test('per-IP limit answers 429 with Retry-After', async () => {
+  const limited = await startApp({
+    OPENAI_API_KEY: 'sk-test',
+    OPENAI_BASE_URL: upstream.baseUrl,
+    SESSION_LIMIT_PER_IP: '2'
+  });
+  try {
+    assert.equal((await postJson(`${limited.url}/session`, {})).status, 200);
+    assert.equal((await postJson(`${limited.url}/session`, {})).status, 200);
+    const res = await postJson(`${limited.url}/session`, {});
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+    assert.equal(res.json.code, 'rate_limited');
+  } finally {
+    await limited.stop();
+  }
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { micConstraints, levelOf, DEFAULT_AUDIO_SETTINGS } from '../public/audio-settings.js';
+
+test('mic constraints follow the processing toggles and pin the chosen device', () => {
+  assert.deepEqual(micConstraints(DEFAULT_AUDIO_SETTINGS), {
+    audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+  });
+  assert.deepEqual(micConstraints({ inputId: 'mic-2', echoCancellation: false, noiseSuppression: true, autoGainControl: false }), {
+    audio: { echoCancellation: false, noiseSuppression: true, autoGainControl: false, deviceId: { exact: 'mic-2' } }
+  });
+});
+
+test('level is zero for silence and grows with amplitude, capped at 1', () => {
+  assert.equal(levelOf(new Uint8Array(64).fill(128)), 0);
+  const quiet = levelOf(Uint8Array.from({ length: 64 }, (_, i) => (i % 2 ? 133 : 123)));
+  const loud = levelOf(Uint8Array.from({ length: 64 }, (_, i) => (i % 2 ? 255 : 0)));
+  assert.ok(quiet > 0 && quiet < loud);
+  assert.equal(loud, 1);
+  assert.equal(levelOf([]), 0);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate } from '../tools/calculator.js';
+
+test('expressions follow precedence, constants and functions', () => {
+  assert.equal(evaluate('1+2*3'), 7);
+  assert.equal(evaluate('2^3^2'), 512);
+  assert.equal(evaluate('sqrt(16) + PI - pi'), 4);
+});
+
+test('only known names are accepted, not inherited object properties', () => {
+  for (const name of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    assert.throws(() => evaluate(name), { message: `Unknown token: ${name}` });
+    assert.throws(() => evaluate(`${name}(1)`), { message: `Unknown token: ${name}` });
+  }
+  assert.throws(() => evaluate('foo'), /Unknown token: foo/);
+});
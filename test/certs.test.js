@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+import { createCertificateAuthority, issueCertificate, ensureCertificates } from '../lib/certs.js';
+import { startApp } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tmpPaths() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'certs-test-'));
+  return {
+    dir,
+    keyPath: path.join(dir, 'key.pem'),
+    certPath: path.join(dir, 'cert.pem'),
+    caKeyPath: path.join(dir, 'ca-key.pem'),
+    caCertPath: path.join(dir, 'ca.pem')
+  };
+}
+
+test('the local CA signs leaf certificates covering names and addresses', () => {
+  const ca = createCertificateAuthority();
+  const caCert = new crypto.X509Certificate(ca.cert);
+  assert.equal(caCert.ca, true);
+
+  const leaf = issueCertificate(ca, { hosts: ['localhost', 'voice.test', '127.0.0.1', '192.168.1.20', '::1'] });
+  const cert = new crypto.X509Certificate(leaf.cert);
+  assert.equal(cert.ca, false);
+  assert.ok(cert.checkIssued(caCert));
+  assert.ok(cert.verify(caCert.publicKey));
+  assert.equal(cert.checkHost('voice.test'), 'voice.test');
+  assert.equal(cert.checkIP('192.168.1.20'), '192.168.1.20');
+  assert.equal(cert.checkIP('::1'), '::1');
+  assert.equal(cert.checkHost('other.test'), undefined);
+  assert.deepEqual(cert.keyUsage, ['1.3.6.1.5.5.7.3.1']);
+  // The key pair matches the certificate
+  const data = Buffer.from('hello');
+  assert.ok(crypto.verify('sha256', data, cert.publicKey, crypto.sign('sha256', data, leaf.key)));
+});
+
+test('certificates are renewed when expiring or missing a host, and custom ones are kept', () => {
+  const paths = tmpPaths();
+  try {
+    const hosts = ['localhost', '127.0.0.1'];
+    const first = ensureCertificates({ ...paths, hosts });
+    assert.equal(first.created, true);
+    assert.equal(first.caCreated, true);
+    assert.equal(ensureCertificates({ ...paths, hosts }).reason, 'valid');
+
+    const added = ensureCertificates({ ...paths, hosts: [...hosts, '10.0.0.5'] });
+    assert.equal(added.reason, 'new hosts: 10.0.0.5');
+    assert.equal(added.caCreated, false);
+
+    const later = ensureCertificates({ ...paths, hosts: [...hosts, '10.0.0.5'], now: Date.now() + 340 * DAY_MS });
+    assert.equal(later.reason, 'expiring');
+    assert.equal(later.caCreated, false);
+
+    // A certificate from another CA is never overwritten
+    const other = createCertificateAuthority({ commonName: 'Someone else' });
+    const custom = issueCertificate(other, { hosts: ['localhost'] });
+    fs.writeFileSync(paths.keyPath, custom.key);
+    fs.writeFileSync(paths.certPath, custom.cert);
+    const kept = ensureCertificates({ ...paths, hosts });
+    assert.equal(kept.managed, false);
+    assert.equal(kept.created, false);
+    assert.equal(fs.readFileSync(paths.certPath, 'utf8'), custom.cert);
+    // Nor is a self-signed one, even when reissuing on request
+    const own = createCertificateAuthority({ commonName: 'my-server.test' });
+    fs.writeFileSync(paths.keyPath, own.key);
+    fs.writeFileSync(paths.certPath, own.cert);
+    assert.equal(ensureCertificates({ ...paths, hosts, force: true }).managed, false);
+    assert.equal(fs.readFileSync(paths.keyPath, 'utf8'), own.key);
+    // ...unless the old openssl script made it (CN=localhost)
+    const legacy = createCertificateAuthority({ commonName: 'localhost' });
+    fs.writeFileSync(paths.keyPath, legacy.key);
+    fs.writeFileSync(paths.certPath, legacy.cert);
+    assert.equal(ensureCertificates({ ...paths, hosts }).reason, 'self-signed');
+
+    // A key without its certificate is reported, not replaced
+    fs.rmSync(paths.certPath);
+    const key = fs.readFileSync(paths.keyPath, 'utf8');
+    assert.throws(() => ensureCertificates({ ...paths, hosts }), /key\.pem exists but .*cert\.pem is missing/);
+    assert.throws(() => ensureCertificates({ ...paths, hosts, force: true }), /is missing or unreadable/);
+    assert.equal(fs.readFileSync(paths.keyPath, 'utf8'), key);
+  } finally {
+    fs.rmSync(paths.dir, { recursive: true, force: true });
+  }
+});
+
+test('npm run https creates certificates, serves the CA and redirects plain HTTP', async () => {
+  const paths = tmpPaths();
+  const app = await startApp({
+    HTTPS: 'true',
+    SSL_KEY: paths.keyPath,
+    SSL_CERT: paths.certPath,
+    SSL_CA_KEY: paths.caKeyPath,
+    SSL_CA_CERT: paths.caCertPath,
+    SSL_HOSTS: 'voice.test',
+    HTTP_REDIRECT_PORT: '0'
+  });
+  const get = (url, options = {}) => new Promise((resolve, reject) => {
+    (url.startsWith('https') ? https : http).get(url, options, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+  try {
+    assert.match(app.url, /^https:/);
+    const ca = fs.readFileSync(paths.caCertPath, 'utf8');
+    const cert = new crypto.X509Certificate(fs.readFileSync(paths.certPath));
+    assert.equal(cert.checkHost('voice.test'), 'voice.test');
+
+    // Trusted through the CA alone
+    const health = await get(`${app.url}/health`, { ca });
+    assert.equal(health.status, 200);
+    assert.equal((await get(`${app.url}/ca.crt`, { ca })).body, ca);
+
+    let redirectUrl = null;
+    for (let i = 0; i < 50 && !redirectUrl; i++) {
+      redirectUrl = app.output().match(/HTTP redirect listening on (http:\/\/localhost:\d+)/)?.[1];
+      if (!redirectUrl) await new Promise(r => setTimeout(r, 20));
+    }
+    const port = new URL(app.url).port;
+    const redirect = await get(`${redirectUrl}/chat?x=1`);
+    assert.equal(redirect.status, 308);
+    assert.equal(redirect.headers.location, `https://localhost:${port}/chat?x=1`);
+    const caOverHttp = await get(`${redirectUrl}/ca.crt`);
+    assert.equal(caOverHttp.status, 200);
+    assert.equal(caOverHttp.body, ca);
+  } finally {
+    await app.stop();
+    fs.rmSync(paths.dir, { recursive: true, force: true });
+  }
+});
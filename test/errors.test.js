@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyUpstreamError, classifyValidationErrors } from '../lib/errors.js';
+import {
+  ERROR_INFO, classifyError, classifyMicError, classifyStatus, classifyRealtimeError, createErrorLog, formatErrorLog
+} from '../public/errors.js';
+import { MESSAGES } from '../public/i18n.js';
+
+test('upstream failures are classified from the status and the error body', () => {
+  assert.equal(classifyUpstreamError(401, '{"error":{"message":"Incorrect API key"}}'), 'invalid_api_key');
+  assert.equal(classifyUpstreamError(429, { error: { code: 'insufficient_quota', message: 'You exceeded your current quota' } }), 'quota_exceeded');
+  assert.equal(classifyUpstreamError(429, 'Too Many Requests'), 'rate_limited');
+  assert.equal(classifyUpstreamError(400, { error: { param: 'voice', message: "Invalid value: 'robot'" } }), 'invalid_voice');
+  assert.equal(classifyUpstreamError(400, { error: { message: 'Invalid type for instructions' } }), 'invalid_request');
+  assert.equal(classifyUpstreamError(503, '<html>Service Unavailable</html>'), 'upstream_error');
+  assert.equal(classifyValidationErrors(['voice must be one of: alloy']), 'invalid_voice');
+  assert.equal(classifyValidationErrors(['Unknown field: temperature', 'model must be one of: gpt-realtime']), 'invalid_model');
+  assert.equal(classifyValidationErrors(['instructions must be a string']), 'invalid_request');
+});
+
+test('browser failures map to codes the page can explain', () => {
+  assert.equal(classifyMicError({ name: 'NotAllowedError' }), 'mic_denied');
+  assert.equal(classifyMicError({ name: 'NotFoundError' }), 'mic_not_found');
+  assert.equal(classifyMicError({ name: 'NotReadableError' }), 'mic_busy');
+  assert.equal(classifyError({ code: 'quota_exceeded', status: 429 }), 'quota_exceeded');
+  assert.equal(classifyError({ code: 'ENOTFOUND', status: 503 }), 'upstream_unreachable');
+  assert.equal(classifyError(new TypeError('Failed to fetch')), 'network_error');
+  assert.equal(classifyError(new Error('boom')), 'unknown');
+  assert.equal(classifyStatus(401), 'login_required');
+  assert.equal(classifyStatus(500), 'internal_error');
+});
+
+test('realtime error events are classified and races are ignored', () => {
+  assert.equal(classifyRealtimeError({ type: 'invalid_request_error', code: 'response_cancel_not_active' }), null);
+  assert.equal(classifyRealtimeError({ type: 'invalid_request_error', code: 'session_expired' }), 'session_expired');
+  assert.equal(classifyRealtimeError({ type: 'invalid_request_error', code: 'invalid_value', param: 'session.voice' }), 'invalid_voice');
+  assert.equal(classifyRealtimeError({ type: 'insufficient_quota', code: 'insufficient_quota' }), 'quota_exceeded');
+  assert.equal(classifyRealtimeError({ type: 'server_error', message: 'The server had an error' }), 'upstream_error');
+  assert.equal(classifyRealtimeError(null), 'realtime_error');
+});
+
+test('every code has a message and a hint in both languages', () => {
+  for (const code of Object.keys(ERROR_INFO)) {
+    for (const lang of ['ja', 'en']) {
+      assert.ok(MESSAGES[lang][`error.${code}`], `${lang} error.${code}`);
+      assert.ok(MESSAGES[lang][`error.${code}.hint`], `${lang} error.${code}.hint`);
+    }
+  }
+});
+
+test('the error log keeps the newest entries and formats them for support', () => {
+  const data = new Map();
+  const storage = { getItem: (k) => data.get(k) ?? null, setItem: (k, v) => data.set(k, v), removeItem: (k) => data.delete(k) };
+  let clock = Date.UTC(2026, 0, 2, 3, 4, 5);
+  const log = createErrorLog({ storage, max: 2, now: () => clock++ });
+  log.add({ code: 'mic_denied', context: 'mic' });
+  log.add({ code: 'rate_limited', status: 429, context: 'session' });
+  log.add({ code: 'invalid_voice', status: 400, context: 'session', message: 'voice must be one of: alloy' });
+  assert.deepEqual(log.list().map(e => e.code), ['invalid_voice', 'rate_limited']);
+  assert.equal(formatErrorLog(log.list(), { agent: 'test' }), [
+    'agent: test',
+    '2026-01-02T03:04:05.001Z\trate_limited\tsession\t429',
+    '2026-01-02T03:04:05.002Z\tinvalid_voice\tsession\t400\tvoice must be one of: alloy'
+  ].join('\n'));
+  log.clear();
+  assert.deepEqual(log.list(), []);
+  data.set('realtime-mic.errors', 'not json');
+  assert.deepEqual(log.list(), []);
+});
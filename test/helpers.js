@@ -0,0 +1,62 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Starts server.js on a random port with the given env and resolves once it
+// reports the address it is listening on. Each instance gets its own DATA_DIR.
+export function startApp(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'realtime-mic-test-'));
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['server.js'], {
+      cwd: ROOT,
+      env: { PATH: process.env.PATH, PORT: '0', DATA_DIR: dataDir, ...env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`server.js did not start:\n${output}`));
+    }, 10000);
+    const onData = (chunk) => {
+      output += chunk;
+      const m = output.match(/Server listening on (https?:\/\/localhost:\d+)/);
+      if (m) {
+        clearTimeout(timer);
+        resolve({
+          url: m[1],
+          dataDir,
+          output: () => output,
+          stop: () => new Promise((done) => {
+            if (child.exitCode !== null) return done();
+            child.once('exit', () => done());
+            child.kill();
+          }).then(() => fs.rmSync(dataDir, { recursive: true, force: true }))
+        });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      // Failed to start, or stopped: its DATA_DIR is not needed any more
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      reject(new Error(`server.js exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+export async function postJson(url, body, headers = {}) {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const text = await r.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch {}
+  return { status: r.status, json, text, headers: r.headers };
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { MESSAGES, LANGUAGES, translate, detectLanguage, isDefaultPrompt } from '../public/i18n.js';
+import { createSession, formatTranscript } from '../public/conversation.js';
+
+const read = (file) => fs.readFileSync(new URL(`../public/${file}`, import.meta.url), 'utf8');
+const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+test('both catalogs have the same keys and placeholders', () => {
+  const keys = Object.keys(MESSAGES.ja).sort();
+  for (const lang of LANGUAGES) {
+    assert.deepEqual(Object.keys(MESSAGES[lang]).sort(), keys, `${lang} keys`);
+    for (const key of keys) assert.deepEqual(placeholders(MESSAGES[lang][key]), placeholders(MESSAGES.ja[key]), `${lang} ${key}`);
+  }
+});
+
+test('every key used by the pages, app.js, the client and the widget exists', () => {
+  const html = read('index.html');
+  const scripts = ['app.js', 'realtime-client.js', 'widget.js'].map(read).join('\n');
+  const used = [
+    ...[...html.matchAll(/data-i18n(?:-title|-placeholder)?="([^"]+)"/g)].map(m => m[1]),
+    ...[...scripts.matchAll(/(?:\bt|\bsetStatus|#status)\('([a-z][\w.]+)'/g)].map(m => m[1])
+  ];
+  assert.ok(used.length > 50);
+  for (const key of used) assert.ok(key in MESSAGES.ja, `missing ${key}`);
+  // The admin pages: their markup, t() calls and the message keys they list
+  const pages = ['admin', 'usage', 'recordings'];
+  const pageHtml = pages.map(page => read(`${page}.html`)).join('\n');
+  const pageScripts = pages.map(page => read(`${page}.js`)).join('\n');
+  const pageKeys = [
+    ...[...pageHtml.matchAll(/data-i18n(?:-title|-placeholder)?="([^"]+)"/g)].map(m => m[1]),
+    ...[...pageScripts.matchAll(/'((?:page|admin|usage|recordings|audit)\.[\w.]+)'/g)].map(m => m[1])
+  ];
+  assert.ok(pageKeys.length > 40);
+  for (const key of pageKeys) assert.ok(key in MESSAGES.ja, `missing ${key}`);
+  // The markup carries the Japanese text so the page reads right before app.js runs
+  const prompt = html.match(/<textarea id="instructions">([\s\S]*?)<\/textarea>/)[1];
+  assert.equal(prompt, MESSAGES.ja['prompt.default']);
+});
+
+test('messages are filled from params and fall back to Japanese, then the key', () => {
+  assert.equal(translate('en', 'status.reconnecting', { attempt: 2, max: 6 }), 'Reconnecting… (2/6)');
+  assert.equal(translate('ja', 'status.reconnecting', { attempt: 2 }), '再接続中… (2/{max})');
+  assert.equal(translate('fr', 'status.ready'), MESSAGES.ja['status.ready']);
+  assert.equal(translate('en', 'no.such.key'), 'no.such.key');
+});
+
+test('language comes from the saved choice, then the browser, then Japanese', () => {
+  assert.equal(detectLanguage({ saved: 'en', preferred: ['ja-JP'] }), 'en');
+  assert.equal(detectLanguage({ saved: 'xx', preferred: ['fr-FR', 'en-US'] }), 'en');
+  assert.equal(detectLanguage({ preferred: ['de'] }), 'ja');
+  assert.equal(detectLanguage(), 'ja');
+});
+
+test('default prompts are recognized so a language switch can replace them', () => {
+  assert.ok(isDefaultPrompt(MESSAGES.en['prompt.default']));
+  assert.ok(isDefaultPrompt(`\n${MESSAGES.ja['prompt.default']}\n`));
+  assert.ok(!isDefaultPrompt('You are a pirate.'));
+  assert.notEqual(MESSAGES.en['prompt.default'], MESSAGES.ja['prompt.default']);
+});
+
+test('the transcript marks interrupted replies with the given label', () => {
+  const session = createSession();
+  session.turns.push({ id: 'a1', role: 'assistant', text: 'Hello', final: true, interrupted: true });
+  assert.equal(formatTranscript(session), 'AI: Hello …（中断）');
+  assert.equal(formatTranscript(session, { interrupted: '(interrupted)' }), 'AI: Hello …(interrupted)');
+});
@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { tokenize, splitPassages, createKnowledgeBase } from '../lib/knowledge-base.js';
+import { startApp, postJson } from './helpers.js';
+
+let dir;
+let app;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-'));
+  fs.writeFileSync(path.join(dir, 'faq.md'), [
+    '# 製品FAQ',
+    '## 対応ブラウザ',
+    'Chrome と Edge の最新版に対応しています。Safari は 17 以降で動作します。',
+    '## 解約について',
+    '解約は管理画面からいつでも手続きできます。日割りでの返金はありません。'
+  ].join('\n\n'));
+  fs.mkdirSync(path.join(dir, 'ops'));
+  fs.writeFileSync(path.join(dir, 'ops', 'loan.txt'), 'プロジェクターの貸し出しは総務部で受け付けています。');
+  fs.writeFileSync(path.join(dir, 'image.png'), 'not text');
+  app = await startApp({ KNOWLEDGE_DIR: dir });
+});
+
+after(async () => {
+  await app?.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('text is tokenized into words and CJK bigrams without particles', () => {
+  assert.deepEqual(tokenize('Chrome の最新版ＡＢＣ'), ['chrome', '最新', '新版', 'abc']);
+  assert.deepEqual(tokenize('プロジェクターを借りたい'), ['プロ', 'ロジ', 'ジェ', 'ェク', 'クタ', 'ター', '借']);
+  assert.deepEqual(tokenize('ありがとう'), ['あり', 'りが', 'がと', 'とう']);
+});
+
+test('documents are split into passages under their headings', () => {
+  const { title, passages } = splitPassages('# Guide\n\nIntro.\n\n## Setup\n\nStep one.\n\nStep two.\n\n## Usage\n\n' + 'Long sentence. '.repeat(10), { maxChars: 60 });
+  assert.equal(title, 'Guide');
+  assert.deepEqual(passages.map(p => p.heading), ['Guide', 'Setup', 'Usage', 'Usage', 'Usage']);
+  assert.equal(passages[1].text, 'Step one.\n\nStep two.');
+  assert.ok(passages.every(p => p.text.length <= 60));
+});
+
+test('search ranks passages with BM25 and picks up changed files', () => {
+  const kb = createKnowledgeBase(dir, { refreshMs: 0 });
+  assert.deepEqual(kb.stats().documents.map(d => d.doc), ['faq.md', 'ops/loan.txt']);
+
+  const [top] = kb.search('解約したら返金されますか');
+  assert.equal(top.id, 'faq.md#2');
+  assert.equal(top.title, '製品FAQ');
+  assert.equal(top.heading, '解約について');
+  assert.equal(kb.search('プロジェクターを借りたい')[0].doc, 'ops/loan.txt');
+  assert.deepEqual(kb.search('xyzzy'), []);
+
+  const extra = path.join(dir, 'ops', 'wifi.md');
+  fs.writeFileSync(extra, '# Wi-Fi\n\nゲスト用 Wi-Fi のパスワードは受付で案内します。');
+  try {
+    assert.equal(kb.search('wifi パスワード')[0].doc, 'ops/wifi.md');
+  } finally {
+    fs.rmSync(extra);
+  }
+  assert.equal(kb.search('wifi パスワード').length, 0);
+});
+
+test('the search_knowledge tool returns cited passages', async () => {
+  const r = await postJson(`${app.url}/tools/search_knowledge`, { arguments: JSON.stringify({ query: 'Safari に対応していますか', limit: 1 }) });
+  assert.equal(r.status, 200);
+  const [hit] = r.json.output.results;
+  assert.equal(hit.source, 'faq.md#1');
+  assert.equal(hit.title, '製品FAQ › 対応ブラウザ');
+  assert.match(hit.snippet, /Safari/);
+  assert.equal(r.json.output.results.length, 1);
+
+  const none = await postJson(`${app.url}/tools/search_knowledge`, { arguments: '{"query":"xyzzy"}' });
+  assert.deepEqual(none.json.output.results, []);
+  assert.ok(none.json.output.note);
+});
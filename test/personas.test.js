@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockRealtimeServer } from '../mock/realtime-server.js';
+import { startApp, postJson } from './helpers.js';
+
+let mock;
+let app;
+
+before(async () => {
+  mock = createMockRealtimeServer();
+  const upstream = await mock.listen();
+  app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: upstream.baseUrl });
+});
+
+after(async () => {
+  await app?.stop();
+  await mock?.close();
+});
+
+async function send(method, path, body) {
+  const r = await fetch(`${app.url}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await r.text();
+  return { status: r.status, json: text ? JSON.parse(text) : null };
+}
+
+test('the store is seeded with example personas', async () => {
+  const res = await send('GET', '/personas');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.personas.map(p => p.id), ['receptionist', 'language-tutor', 'interview-practice']);
+});
+
+test('personas can be created, updated and deleted', async () => {
+  const created = await send('POST', '/personas', {
+    name: 'Support Desk',
+    instructions: 'Help with product questions.',
+    voice: 'verse',
+    vad: { threshold: 0.7, silence_duration_ms: 800 },
+    tools: ['calculator']
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.json.id, 'support-desk');
+
+  const updated = await send('PUT', '/personas/support-desk', { voice: 'alloy' });
+  assert.equal(updated.json.voice, 'alloy');
+  assert.equal(updated.json.instructions, 'Help with product questions.');
+
+  const config = await send('GET', '/personas/support-desk/session-config');
+  assert.deepEqual(config.json.turn_detection, { type: 'server_vad', threshold: 0.7, silence_duration_ms: 800, create_response: false, interrupt_response: false });
+  assert.deepEqual(config.json.tools.map(t => t.name), ['calculator']);
+
+  assert.equal((await send('DELETE', '/personas/support-desk')).status, 204);
+  assert.equal((await send('GET', '/personas/support-desk')).status, 404);
+});
+
+test('invalid personas are rejected with details', async () => {
+  const res = await send('POST', '/personas', { name: '', voice: 'robot', vad: { threshold: 3 }, tools: ['rm_rf'] });
+  assert.equal(res.status, 400);
+  assert.equal(res.json.details.length, 4);
+});
+
+test('/session applies the persona unless the request overrides it', async () => {
+  mock.state.sessionRequests.length = 0;
+  const res = await postJson(`${app.url}/session`, { persona: 'language-tutor' });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.persona, 'language-tutor');
+  const sent = mock.state.sessionRequests[0];
+  assert.equal(sent.voice, 'verse');
+  assert.match(sent.instructions, /English conversation tutor/);
+  assert.equal(sent.turn_detection.silence_duration_ms, 900);
+  assert.equal(sent.tools, undefined, 'the tutor persona has no tools');
+
+  await postJson(`${app.url}/session`, { persona: 'language-tutor', voice: 'alloy', instructions: 'Custom.' });
+  assert.equal(mock.state.sessionRequests[1].voice, 'alloy');
+  assert.equal(mock.state.sessionRequests[1].instructions, 'Custom.');
+
+  const unknown = await postJson(`${app.url}/session`, { persona: 'nobody' });
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.json.details, ['Unknown persona: nobody']);
+});
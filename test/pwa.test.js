@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startApp } from './helpers.js';
+
+const read = (file) => fs.readFileSync(new URL(`../public/${file}`, import.meta.url), 'utf8');
+const shell = () => JSON.parse(read('sw.js').match(/const SHELL = (\[[\s\S]*?\]);/)[1].replace(/'/g, '"'));
+
+// Modules loaded by the page: static imports and worklets, transitively
+function pageModules(entry = 'app.js', seen = new Set()) {
+  if (seen.has(entry)) return seen;
+  seen.add(entry);
+  const source = read(entry);
+  for (const m of source.matchAll(/from '\.\/([\w-]+\.js)'|new URL\('\.\/([\w-]+\.js)'/g)) pageModules(m[1] || m[2], seen);
+  return seen;
+}
+
+test('the service worker caches the page and every module it loads', () => {
+  const cached = shell();
+  assert.ok(cached.includes('/'));
+  assert.ok(read('index.html').includes('<script src="./app.js" type="module">'));
+  const modules = [...pageModules()];
+  assert.ok(modules.includes('pcm-worklet.js'));
+  for (const file of modules) assert.ok(cached.includes(`/${file}`), `sw.js SHELL is missing /${file}`);
+});
+
+test('the manifest, icons and shell files are served', async () => {
+  const app = await startApp();
+  try {
+    let r = await fetch(`${app.url}/manifest.webmanifest`);
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get('content-type'), /application\/manifest\+json/);
+    const manifest = await r.json();
+    assert.equal(manifest.start_url, '/');
+    assert.equal(manifest.display, 'standalone');
+    const sizes = manifest.icons.map(icon => icon.sizes);
+    assert.ok(sizes.includes('192x192') && sizes.includes('512x512'));
+    assert.ok(manifest.icons.some(icon => icon.purpose === 'maskable'));
+
+    for (const src of [...manifest.icons.map(icon => icon.src), ...shell(), '/sw.js', '/icons/apple-touch-icon.png']) {
+      r = await fetch(`${app.url}${src}`);
+      assert.equal(r.status, 200, src);
+      await r.arrayBuffer();
+    }
+  } finally {
+    await app.stop();
+  }
+});
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../lib/rate-limit.js';
+
+test('keys that stop sending are dropped after their window', () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+  for (let i = 0; i < 100; i++) limiter.hit(`10.0.0.${i}`, 10_000 + i);
+  assert.equal(limiter.size, 100);
+
+  limiter.hit('10.0.1.1', 11_500);
+  assert.equal(limiter.size, 1);
+  assert.equal(limiter.check('10.0.1.1', 11_600).remaining, 1);
+  limiter.hit('10.0.1.1', 11_600);
+  assert.equal(limiter.check('10.0.1.1', 11_700).ok, false);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RealtimeClient } from '../public/realtime-client.js';
+
+// Just enough of the browser for a connect() that fails at the mic
+function withoutMic(fn) {
+  const hadNavigator = 'navigator' in globalThis;
+  const navigator = globalThis.navigator;
+  const mediaDevices = {
+    getUserMedia: async () => { throw Object.assign(new Error('no mic'), { name: 'NotFoundError' }); }
+  };
+  Object.defineProperty(globalThis, 'navigator', { value: { mediaDevices }, configurable: true, writable: true });
+  const log = { error: console.error, warn: console.warn };
+  console.error = console.warn = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    Object.assign(console, log);
+    if (hadNavigator) Object.defineProperty(globalThis, 'navigator', { value: navigator, configurable: true, writable: true });
+    else delete globalThis.navigator;
+  });
+}
+
+test('a failed connect reports a classified error and leaves the client idle', () => withoutMic(async () => {
+  const client = new RealtimeClient();
+  const seen = [];
+  client.on('state', ({ state }) => seen.push(`state:${state}`));
+  client.on('status', ({ key }) => seen.push(key));
+  client.on('error', ({ code, context }) => seen.push(`error:${code}:${context}`));
+  await assert.rejects(client.connect(), { code: 'mic_not_found' });
+  assert.deepEqual(seen, ['state:connecting', 'status.connecting', 'state:idle', 'status.ready', 'status.failed', 'error:mic_not_found:mic']);
+  assert.equal(client.active, false);
+  assert.equal(client.sendText('hi'), false);
+  assert.equal(client.updateSession({ instructions: 'x' }), false);
+  assert.equal(client.setListening(true), false);
+}));
+
+test('listeners can unsubscribe and a throwing one does not stop the others', () => withoutMic(async () => {
+  const client = new RealtimeClient();
+  const calls = [];
+  const off = client.on('error', () => calls.push('a'));
+  client.on('error', () => { throw new Error('listener bug'); });
+  client.on('error', () => calls.push('b'));
+  await client.connect().catch(() => {});
+  off();
+  await client.connect().catch(() => {});
+  assert.deepEqual(calls, ['a', 'b', 'b']);
+}));
@@ -0,0 +1,194 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRealtimeEventHandler } from '../public/realtime-events.js';
+import { createSession, formatTranscript } from '../public/conversation.js';
+import { playScript, DEFAULT_SCRIPT, wsOutOfBandScript, MOCK_SUMMARY } from '../mock/realtime-server.js';
+
+let conversation;
+let sent;
+let calls;
+
+function makeHandler(overrides = {}) {
+  return createRealtimeEventHandler({
+    getConversation: () => conversation,
+    send: (event) => { sent.push(event); return true; },
+    onSessionUpdated: () => calls.push('session.updated'),
+    onError: (msg) => calls.push(`error:${msg.error?.code}`),
+    onAudioStarted: () => calls.push('audio'),
+    onResponseDone: (msg) => calls.push(`done:${msg.response.id}`),
+    ...overrides
+  });
+}
+
+beforeEach(() => {
+  conversation = createSession({ model: 'gpt-realtime' });
+  sent = [];
+  calls = [];
+});
+
+test('scripted exchange produces ordered, finalized user and assistant turns', async () => {
+  const handler = makeHandler();
+  await playScript((event) => handler.handle(JSON.stringify(event)));
+
+  assert.deepEqual(conversation.turns.map(t => [t.role, t.text, t.final]), [
+    ['user', 'こんにちは、テストです。', true],
+    ['assistant', 'こんにちは！ご用件をどうぞ。', true]
+  ]);
+  assert.equal(conversation.turns[1].responseId, 'resp_1');
+  assert.equal(formatTranscript(conversation), 'You: こんにちは、テストです。\nAI: こんにちは！ご用件をどうぞ。');
+  assert.deepEqual(calls, ['session.updated', 'audio', 'done:resp_1', 'error:mock_error']);
+});
+
+test('committed audio requests a response', async () => {
+  const handler = makeHandler();
+  await playScript(handler.handle, { script: DEFAULT_SCRIPT.slice(0, 4) });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].type, 'response.create');
+});
+
+test('partial transcripts are shown as unfinished until completed', () => {
+  const handler = makeHandler();
+  handler.handle({ type: 'input_audio_buffer.committed', item_id: 'u1', previous_item_id: null });
+  handler.handle({ type: 'conversation.item.input_audio_transcription.delta', item_id: 'u1', delta: 'えっと' });
+  assert.equal(formatTranscript(conversation), 'You: えっと …');
+  handler.handle({ type: 'conversation.item.input_audio_transcription.failed', item_id: 'u1', error: {} });
+  assert.equal(formatTranscript(conversation), 'You: えっと');
+});
+
+test('failed transcription without text is marked and not replayable', () => {
+  const handler = makeHandler();
+  handler.handle({ type: 'conversation.item.input_audio_transcription.failed', item_id: 'u1', error: {} });
+  assert.equal(conversation.turns[0].failed, true);
+  assert.equal(conversation.turns[0].final, true);
+});
+
+test('function calls send their output and then request a follow-up response', async () => {
+  const toolCalls = [];
+  const handler = makeHandler({
+    runTool: async (name, args) => { toolCalls.push([name, args]); return { result: 7 }; }
+  });
+  handler.handle({ type: 'response.function_call_arguments.done', response_id: 'resp_t', call_id: 'call_1', name: 'calculator', arguments: '{"expression":"1+2*3"}' });
+  handler.handle({ type: 'response.done', response: { id: 'resp_t', output: [] } });
+  await new Promise(r => setImmediate(r));
+
+  assert.deepEqual(toolCalls, [['calculator', '{"expression":"1+2*3"}']]);
+  assert.deepEqual(sent.map(e => e.type), ['conversation.item.create', 'response.create']);
+  assert.deepEqual(sent[0].item, { type: 'function_call_output', call_id: 'call_1', output: '{"result":7}' });
+  assert.deepEqual(sent[1].response, { modalities: ['audio', 'text'] });
+});
+
+test('the follow-up to a text-only response is text-only too', async () => {
+  const handler = makeHandler({ runTool: async () => ({ result: 7 }) });
+  handler.handle({ type: 'response.function_call_arguments.done', response_id: 'resp_t', call_id: 'call_1', name: 'calculator', arguments: '{}' });
+  handler.handle({ type: 'response.done', response: { id: 'resp_t', modalities: ['text'], output: [] } });
+  await new Promise(r => setImmediate(r));
+
+  assert.deepEqual(sent[1], { type: 'response.create', response: { modalities: ['text'] } });
+});
+
+test('knowledge sources from a tool call are shown under the follow-up reply', async () => {
+  const handler = makeHandler({
+    runTool: async () => ({ query: '解約', results: [{ source: 'faq.md#3', title: 'FAQ › 解約について', text: '…', snippet: '日割りでの返金はありません。' }] })
+  });
+  handler.handle({ type: 'response.function_call_arguments.done', response_id: 'resp_t', call_id: 'call_1', name: 'search_knowledge', arguments: '{"query":"解約"}' });
+  handler.handle({ type: 'response.done', response: { id: 'resp_t', output: [] } });
+  await new Promise(r => setImmediate(r));
+  handler.handle({ type: 'response.audio_transcript.delta', response_id: 'resp_2', item_id: 'a1', delta: '返金はありません。' });
+  handler.handle({ type: 'response.audio_transcript.delta', response_id: 'resp_3', item_id: 'a2', delta: '他にありますか？' });
+
+  assert.deepEqual(conversation.turns[0].sources, [{ source: 'faq.md#3', title: 'FAQ › 解約について', snippet: '日割りでの返金はありません。' }]);
+  assert.equal(conversation.turns[1].sources, undefined);
+  assert.equal(formatTranscript(conversation),
+    'AI: 返金はありません。 …\n  📄 FAQ › 解約について — 日割りでの返金はありません。 (faq.md#3)\nAI: 他にありますか？ …');
+});
+
+test('non-JSON payloads are ignored', () => {
+  const handler = makeHandler();
+  assert.doesNotThrow(() => handler.handle('not json'));
+  assert.equal(conversation.turns.length, 0);
+});
+
+test('typed text is added to the transcript and answered as requested', () => {
+  const handler = makeHandler();
+  assert.equal(handler.sendText('  田中さんの電話番号は？ ', { audio: false }), true);
+
+  assert.equal(sent[0].type, 'conversation.item.create');
+  assert.deepEqual(sent[0].item.content, [{ type: 'input_text', text: '田中さんの電話番号は？' }]);
+  assert.deepEqual(sent[1], { type: 'response.create', response: { modalities: ['text'] } });
+
+  const itemId = sent[0].item.id;
+  assert.ok(itemId.length <= 32, 'item ids must fit the API limit');
+  handler.handle({ type: 'response.text.delta', response_id: 'resp_2', item_id: 'item_ai_2', delta: '03-1234-5678 です。' });
+  handler.handle({ type: 'response.text.done', response_id: 'resp_2', item_id: 'item_ai_2', text: '03-1234-5678 です。' });
+  assert.equal(formatTranscript(conversation), 'You: 田中さんの電話番号は？\nAI: 03-1234-5678 です。');
+  assert.equal(handler.sendText('   '), false);
+});
+
+test('barge-in cancels the reply, flushes audio and truncates to the played position', () => {
+  let clock = 1000;
+  const interrupted = [];
+  const handler = makeHandler({ now: () => clock, onInterrupted: (turn, reason) => interrupted.push([turn.id, reason]) });
+  handler.handle({ type: 'response.created', response: { id: 'resp_2' } });
+  handler.handle({ type: 'response.audio_transcript.delta', item_id: 'item_ai_2', response_id: 'resp_2', delta: 'One two three four five six seven eight nine ten eleven twelve' });
+  handler.handle({ type: 'output_audio_buffer.started', response_id: 'resp_2' });
+  clock += 1000;
+  handler.handle({ type: 'input_audio_buffer.speech_started' });
+
+  assert.deepEqual(sent.map(e => e.type), ['response.cancel', 'output_audio_buffer.clear', 'conversation.item.truncate']);
+  assert.deepEqual(sent[2], { type: 'conversation.item.truncate', item_id: 'item_ai_2', content_index: 0, audio_end_ms: 1000 });
+  assert.deepEqual(interrupted, [['item_ai_2', 'barge-in']]);
+  const turn = conversation.turns[0];
+  assert.equal(turn.interrupted, true);
+  assert.equal(turn.text, 'One two three');
+  assert.equal(formatTranscript(conversation), 'AI: One two three …（中断）');
+
+  // Deltas still in flight for the cancelled response are dropped
+  handler.handle({ type: 'response.audio_transcript.done', item_id: 'item_ai_2', response_id: 'resp_2', transcript: 'full text' });
+  handler.handle({ type: 'response.audio_transcript.delta', item_id: 'item_ai_3', response_id: 'resp_2', delta: 'late' });
+  assert.equal(conversation.turns.length, 1);
+  assert.equal(turn.text, 'One two three');
+});
+
+test('speech without an active reply and a manual stop after playback ended do nothing', () => {
+  const handler = makeHandler();
+  handler.handle({ type: 'input_audio_buffer.speech_started' });
+  handler.handle({ type: 'response.created', response: { id: 'resp_3' } });
+  handler.handle({ type: 'output_audio_buffer.started', response_id: 'resp_3' });
+  handler.handle({ type: 'response.done', response: { id: 'resp_3', output: [] } });
+  handler.handle({ type: 'output_audio_buffer.stopped', response_id: 'resp_3' });
+  assert.equal(handler.interrupt('manual'), false);
+  assert.deepEqual(sent, []);
+});
+
+test('manual stop before audio starts cancels without truncating', () => {
+  const handler = makeHandler();
+  handler.handle({ type: 'response.created', response: { id: 'resp_4' } });
+  handler.handle({ type: 'response.text.delta', item_id: 'item_ai_4', response_id: 'resp_4', delta: 'こんにちは' });
+  assert.equal(handler.interrupt('manual'), true);
+  assert.deepEqual(sent.map(e => e.type), ['response.cancel', 'output_audio_buffer.clear']);
+  assert.equal(conversation.turns[0].text, '');
+  assert.equal(formatTranscript(conversation), '');
+});
+
+test('a failed response is reported as an error', () => {
+  const handler = makeHandler();
+  handler.handle({
+    type: 'response.done',
+    response: { id: 'resp_9', status: 'failed', status_details: { type: 'failed', error: { type: 'server_error', code: 'server_error' } }, output: [] }
+  });
+  assert.deepEqual(calls, ['done:resp_9', 'error:server_error']);
+});
+
+test('out-of-band responses stay out of the transcript and are handed over whole', async () => {
+  const results = [];
+  const handler = makeHandler({ onOutOfBandResponse: (msg, text) => results.push([msg.response.metadata.purpose, text]) });
+  await playScript((e) => handler.handle(e));
+  const before = formatTranscript(conversation);
+  await playScript((e) => handler.handle(e), { script: wsOutOfBandScript(1, { purpose: 'call_summary' }) });
+  assert.equal(formatTranscript(conversation), before);
+  assert.deepEqual(results, [['call_summary', JSON.stringify(MOCK_SUMMARY)]]);
+  assert.ok(calls.includes('done:resp_ws_oob_1'));
+  // Not the active reply, so speech does not try to cancel it
+  handler.handle({ type: 'input_audio_buffer.speech_started' });
+  assert.equal(sent.filter(e => e.type === 'response.cancel').length, 0);
+});
@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRecordingStore } from '../lib/recording-store.js';
+import { createEventBatcher } from '../public/recorder.js';
+import { startApp, postJson } from './helpers.js';
+
+let app;
+let disabled;
+
+before(async () => {
+  app = await startApp({ RECORDING: 'true', ACCESS_USERS: 'alice:wonderland,bob:builder', ADMIN_USERS: 'alice' });
+  disabled = await startApp({});
+});
+
+after(async () => {
+  await app?.stop();
+  await disabled?.stop();
+});
+
+async function login(user, password) {
+  const r = await postJson(`${app.url}/auth/login`, { user, password });
+  assert.equal(r.status, 200);
+  return { Cookie: r.headers.get('set-cookie').split(';')[0] };
+}
+
+test('recording needs access control and admins to start', async () => {
+  await assert.rejects(startApp({ RECORDING: 'true' }), /exited with 1[\s\S]*requires access control/);
+  await assert.rejects(startApp({ RECORDING: 'true', ACCESS_USERS: 'alice:wonderland' }), /exited with 1/);
+});
+
+test('recording is off by default', async () => {
+  assert.equal((await (await fetch(`${disabled.url}/client-config`)).json()).recording, false);
+  assert.equal((await postJson(`${disabled.url}/recordings`, {})).status, 404);
+  assert.equal((await (await fetch(`${app.url}/client-config`)).json()).recording, true);
+});
+
+test('a call is recorded, listed, played back and deleted with an audit trail', async () => {
+  const bob = await login('bob', 'builder');
+  const alice = await login('alice', 'wonderland');
+
+  assert.equal((await postJson(`${app.url}/recordings`, {})).status, 401);
+  assert.equal((await postJson(`${app.url}/recordings`, { transport: 'carrier-pigeon' }, bob)).status, 400);
+  const started = await postJson(`${app.url}/recordings`, { persona: 'receptionist', voice: 'alloy', model: 'gpt-realtime', transport: 'webrtc' }, bob);
+  assert.equal(started.status, 201);
+  assert.equal(started.json.retention_days, 30);
+  const id = started.json.id;
+
+  const events = [
+    { t: 0, dir: 'server', event: { type: 'session.updated' } },
+    { t: 1200, dir: 'server', event: { type: 'conversation.item.input_audio_transcription.completed', transcript: 'こんにちは' } }
+  ];
+  const posted = await postJson(`${app.url}/recordings/${id}/events`, { events }, bob);
+  assert.deepEqual(posted.json, { ok: true, events: 2 });
+  assert.equal((await postJson(`${app.url}/recordings/${id}/events`, { events: [{ t: 0, dir: 'up', event: {} }] }, bob)).status, 400);
+  // Only the caller who started it may add to a recording
+  assert.equal((await postJson(`${app.url}/recordings/${id}/events`, { events }, alice)).status, 403);
+
+  const upload = (body, type) => fetch(`${app.url}/recordings/${id}/audio`, { method: 'POST', headers: { ...bob, 'Content-Type': type }, body });
+  assert.equal((await upload(Buffer.from('chunk-1;'), 'audio/webm;codecs=opus')).status, 200);
+  assert.equal((await upload(Buffer.from('chunk-2'), 'audio/webm;codecs=opus')).status, 200);
+  assert.equal((await upload(Buffer.from('x'), 'text/plain')).status, 415);
+  assert.equal((await upload(Buffer.from('x'), 'audio/ogg')).status, 409);
+
+  assert.equal((await postJson(`${app.url}/recordings/${id}/finish`, {}, bob)).status, 200);
+  assert.equal((await postJson(`${app.url}/recordings/${id}/events`, { events }, bob)).status, 409);
+
+  // Listing and playback are for admins only
+  assert.equal((await fetch(`${app.url}/recordings/list`, { headers: bob })).status, 403);
+  const list = await (await fetch(`${app.url}/recordings/list`, { headers: alice })).json();
+  const rec = list.recordings.find(r => r.id === id);
+  assert.equal(rec.user, 'bob');
+  assert.equal(rec.persona, 'receptionist');
+  assert.equal(rec.events, 2);
+  assert.equal(rec.audioBytes, 15);
+  assert.ok(rec.endedAt >= rec.startedAt);
+  assert.equal(rec.expiresAt, rec.startedAt + 30 * 86_400_000);
+
+  const detail = await (await fetch(`${app.url}/recordings/${id}/events`, { headers: alice })).json();
+  assert.deepEqual(detail.events, events);
+  const audio = await fetch(`${app.url}/recordings/${id}/audio`, { headers: alice });
+  assert.equal(audio.headers.get('content-type'), 'audio/webm');
+  assert.equal(await audio.text(), 'chunk-1;chunk-2');
+
+  assert.equal((await fetch(`${app.url}/recordings/${id}`, { method: 'DELETE', headers: bob })).status, 403);
+  assert.equal((await fetch(`${app.url}/recordings/${id}`, { method: 'DELETE', headers: alice })).status, 204);
+  assert.equal((await fetch(`${app.url}/recordings/${id}/audio`, { headers: alice })).status, 404);
+
+  const audit = await (await fetch(`${app.url}/recordings/audit`, { headers: alice })).json();
+  const actions = audit.entries.filter(e => e.recording === id).map(e => `${e.action}:${e.user}`).reverse();
+  assert.deepEqual(actions, ['recording.start:bob', 'recording.finish:bob', 'recording.view:alice', 'recording.play:alice', 'recording.delete:alice']);
+});
+
+test('recordings past the retention period are pruned', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  try {
+    const store = createRecordingStore(dir, { retentionDays: 1 });
+    const meta = store.create({ user: 'anonymous' });
+    store.appendAudio(meta.id, Buffer.from('abc'), 'audio/webm');
+    assert.equal(store.get('../' + meta.id), null);
+    assert.deepEqual(store.prune(meta.startedAt + 3_600_000), []);
+    assert.deepEqual(store.prune(meta.startedAt + 86_400_000).map(m => m.id), [meta.id]);
+    assert.equal(store.get(meta.id), null);
+    assert.equal(fs.existsSync(path.join(dir, meta.id)), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('recorded events are batched under the size limit without audio payloads', () => {
+  let clock = 1000;
+  const batches = [];
+  const batcher = createEventBatcher({ send: (events) => batches.push(events), now: () => clock, maxBytes: 300, maxEventBytes: 120 });
+  batcher.add('server', { type: 'response.audio.delta', delta: 'AAAA' });
+  batcher.add('client', { type: 'input_audio_buffer.commit' });
+  clock += 250;
+  batcher.add('server', { type: 'response.audio_transcript.delta', delta: 'あ'.repeat(60) });
+  batcher.add('server', { type: 'input_audio_buffer.committed', item_id: 'item_1' });
+  batcher.add('server', { type: 'input_audio_buffer.committed', item_id: 'item_2' });
+  batcher.add('server', { type: 'input_audio_buffer.committed', item_id: 'item_3' });
+  assert.equal(batches.length, 1);
+  batcher.flush();
+  const all = batches.flat();
+  assert.equal(all.length, 5);
+  assert.deepEqual(all[0], { t: 0, dir: 'client', event: { type: 'input_audio_buffer.commit' } });
+  // Oversized events keep only their type
+  assert.deepEqual(all[1], { t: 250, dir: 'server', event: { type: 'response.audio_transcript.delta', truncated: true } });
+  for (const batch of batches) assert.ok(Buffer.byteLength(JSON.stringify(batch)) <= 300);
+});
@@ -0,0 +1,169 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebSocket } from 'ws';
+import { attachRelay } from '../lib/relay.js';
+import { createMockRealtimeServer } from '../mock/realtime-server.js';
+import { floatToPcm16, pcm16ToFloat, createResampler, base64ToPcm16 } from '../public/pcm.js';
+import { startApp } from './helpers.js';
+
+let mock;
+let upstream;
+let app;
+let authApp;
+let disabled;
+
+before(async () => {
+  mock = createMockRealtimeServer();
+  upstream = await mock.listen();
+  const env = { OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: upstream.baseUrl, RELAY: 'true' };
+  app = await startApp({ ...env, DEFAULT_TRANSPORT: 'relay' });
+  authApp = await startApp({ ...env, ACCESS_TOKEN: 'team-token' });
+  disabled = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: upstream.baseUrl });
+});
+
+after(async () => {
+  await app?.stop();
+  await authApp?.stop();
+  await disabled?.stop();
+  await mock?.close();
+});
+
+// Opens a relay socket and collects its JSON messages
+function openRelay(baseUrl, headers = {}) {
+  const ws = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/relay`, { headers });
+  const messages = [];
+  const waiters = [];
+  ws.on('message', (data) => {
+    messages.push(JSON.parse(data.toString()));
+    for (const w of waiters.slice()) w();
+  });
+  const waitFor = (predicate, timeoutMs = 5000) => new Promise((resolve, reject) => {
+    const check = () => {
+      const found = messages.find(predicate);
+      if (!found) return false;
+      waiters.splice(waiters.indexOf(check), 1);
+      clearTimeout(timer);
+      resolve(found);
+      return true;
+    };
+    const timer = setTimeout(() => {
+      waiters.splice(waiters.indexOf(check), 1);
+      reject(new Error(`timed out; got ${messages.map(m => m.type).join(', ')}`));
+    }, timeoutMs);
+    waiters.push(check);
+    check();
+  });
+  const opened = new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+  return { ws, messages, waitFor, opened, closed };
+}
+
+test('client config reports the relay transport', async () => {
+  const config = await (await fetch(`${app.url}/client-config`)).json();
+  assert.deepEqual({ transport: config.transport, relay: config.relay }, { transport: 'relay', relay: true });
+  const off = await (await fetch(`${disabled.url}/client-config`)).json();
+  assert.deepEqual({ transport: off.transport, relay: off.relay }, { transport: 'webrtc', relay: false });
+});
+
+test('relay opens an upstream session and forwards events and audio both ways', async () => {
+  const relay = openRelay(app.url);
+  await relay.opened;
+  relay.ws.send(JSON.stringify({ type: 'relay.start', session: { instructions: 'Be brief.', voice: 'verse' } }));
+  const ready = await relay.waitFor(m => m.type === 'relay.ready');
+  assert.equal(ready.voice, 'verse');
+  assert.match(ready.usage_session, /^use_/);
+  assert.ok(ready.turn_detection);
+
+  // The upstream connection uses the server key and gets the session settings
+  const conn = mock.state.wsConnections.at(-1);
+  assert.equal(conn.authorization, 'Bearer sk-test');
+  assert.equal(conn.model, ready.model);
+  await relay.waitFor(m => m.type === 'session.updated');
+  const update = mock.state.wsEvents.find(e => e.type === 'session.update');
+  assert.equal(update.session.instructions, 'Be brief.');
+  assert.equal(update.session.input_audio_format, 'pcm16');
+  assert.equal(update.session.output_audio_format, 'pcm16');
+
+  // Binary frames become input_audio_buffer.append upstream
+  const bytesBefore = mock.state.wsAudioBytes;
+  relay.ws.send(Buffer.from(new Int16Array(960).buffer));
+  relay.ws.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+  await relay.waitFor(m => m.type === 'input_audio_buffer.committed');
+  assert.equal(mock.state.wsAudioBytes - bytesBefore, 1920);
+
+  relay.ws.send(JSON.stringify({ type: 'response.create' }));
+  const done = await relay.waitFor(m => m.type === 'response.done');
+  assert.equal(done.response.id, 'resp_ws_1');
+  const audio = relay.messages.find(m => m.type === 'response.audio.delta');
+  assert.equal(base64ToPcm16(audio.delta).length, 2400);
+
+  // relay.* messages are not forwarded upstream
+  relay.ws.send(JSON.stringify({ type: 'relay.start', session: {} }));
+  relay.ws.close();
+  await relay.closed;
+  assert.ok(!mock.state.wsEvents.some(e => e.type === 'relay.start'));
+});
+
+test('relay rejects invalid session requests and a missing start', async () => {
+  const invalid = openRelay(app.url);
+  await invalid.opened;
+  invalid.ws.send(JSON.stringify({ type: 'relay.start', session: { voice: 123 } }));
+  const err = await invalid.waitFor(m => m.type === 'relay.error');
+  assert.equal(err.status, 400);
+  assert.ok(Array.isArray(err.details));
+  assert.equal(await invalid.closed, 1008);
+
+  const noStart = openRelay(app.url);
+  await noStart.opened;
+  noStart.ws.send(JSON.stringify({ type: 'response.create' }));
+  assert.equal((await noStart.waitFor(m => m.type === 'relay.error')).status, 400);
+  assert.equal(await noStart.closed, 1008);
+});
+
+test('relay requires login when access control is configured', async () => {
+  const anonymous = openRelay(authApp.url);
+  await assert.rejects(anonymous.opened, /401/);
+
+  const relay = openRelay(authApp.url, { Authorization: 'Bearer team-token' });
+  await relay.opened;
+  relay.ws.close();
+  await relay.closed;
+
+  const crossSite = openRelay(authApp.url, { Authorization: 'Bearer team-token', Origin: 'https://evil.example' });
+  await assert.rejects(crossSite.opened, /403/);
+});
+
+test('a throwing authorize hook answers 400 instead of ending the process', async () => {
+  const server = http.createServer((_req, res) => res.end('ok'));
+  attachRelay(server, { authorize: () => { throw new URIError('URI malformed'); }, start: () => ({}), upstreamUrl: 'ws://127.0.0.1:9', apiKey: '' });
+  await new Promise(resolve => server.listen(0, resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await assert.rejects(openRelay(url).opened, /400/);
+    assert.equal(await (await fetch(url)).text(), 'ok');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('relay endpoint is absent unless enabled', async () => {
+  const relay = openRelay(disabled.url);
+  await assert.rejects(relay.opened);
+});
+
+test('pcm helpers convert and resample', () => {
+  const pcm = floatToPcm16(Float32Array.from([0, 1, -1, 2]));
+  assert.deepEqual([...pcm], [0, 32767, -32768, 32767]);
+  assert.deepEqual([...pcm16ToFloat(pcm)], [0, 1, -1, 1]);
+
+  // 48 kHz -> 24 kHz halves the sample count across chunk boundaries
+  const resample = createResampler(48000, 24000);
+  const chunk = Float32Array.from({ length: 128 }, (_, i) => i / 128);
+  const total = resample(chunk).length + resample(chunk).length + resample(chunk).length;
+  assert.equal(total, 192);
+  assert.equal(createResampler(24000, 24000)(chunk).length, 128);
+});
@@ -0,0 +1,218 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebSocket } from 'ws';
+import { attachRooms, createRoomRegistry, sanitizeRoomState } from '../lib/rooms.js';
+import { roomStateFrom } from '../public/room.js';
+import { startApp } from './helpers.js';
+
+let app;
+let disabled;
+
+before(async () => {
+  app = await startApp({ ROOMS: 'true', ROOM_MAX_MEMBERS: '3' });
+  disabled = await startApp({});
+});
+
+after(async () => {
+  await app?.stop();
+  await disabled?.stop();
+});
+
+// Opens a room socket and collects its JSON messages and binary frames
+function openRoom(baseUrl) {
+  const ws = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/rooms`);
+  const messages = [];
+  const frames = [];
+  const waiters = [];
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) frames.push(Buffer.from(data));
+    else messages.push(JSON.parse(data.toString()));
+    for (const w of waiters.slice()) w();
+  });
+  const waitFor = (predicate, timeoutMs = 5000) => new Promise((resolve, reject) => {
+    const check = () => {
+      const found = messages.find(predicate);
+      if (!found) return false;
+      waiters.splice(waiters.indexOf(check), 1);
+      clearTimeout(timer);
+      resolve(found);
+      return true;
+    };
+    const timer = setTimeout(() => {
+      waiters.splice(waiters.indexOf(check), 1);
+      reject(new Error(`timed out; got ${messages.map(m => m.type).join(', ')}`));
+    }, timeoutMs);
+    waiters.push(check);
+    check();
+  });
+  const waitForFrames = (count, timeoutMs = 5000) => new Promise((resolve, reject) => {
+    const check = () => {
+      if (frames.length < count) return false;
+      waiters.splice(waiters.indexOf(check), 1);
+      clearTimeout(timer);
+      resolve(frames);
+      return true;
+    };
+    const timer = setTimeout(() => reject(new Error(`got ${frames.length} frames`)), timeoutMs);
+    waiters.push(check);
+    check();
+  });
+  const opened = new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+  const send = (msg) => ws.send(JSON.stringify(msg));
+  return { ws, messages, frames, waitFor, waitForFrames, opened, closed, send };
+}
+
+async function createRoom(name = 'Host') {
+  const host = openRoom(app.url);
+  await host.opened;
+  host.send({ type: 'room.create', name });
+  const joined = await host.waitFor(m => m.type === 'room.joined');
+  return { host, joined };
+}
+
+test('rooms are off by default', async () => {
+  assert.equal((await (await fetch(`${disabled.url}/client-config`)).json()).rooms, false);
+  assert.equal((await (await fetch(`${app.url}/client-config`)).json()).rooms, true);
+  await assert.rejects(openRoom(disabled.url).opened);
+});
+
+test('a throwing authorize hook answers 400 instead of ending the process', async () => {
+  const server = http.createServer((_req, res) => res.end('ok'));
+  attachRooms(server, { authorize: () => { throw new URIError('URI malformed'); } });
+  await new Promise(resolve => server.listen(0, resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await assert.rejects(openRoom(url).opened, /400/);
+    assert.equal(await (await fetch(url)).text(), 'ok');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('guests join by code and follow the host state, audio and mic', async () => {
+  const { host, joined } = await createRoom('Interviewer');
+  assert.match(joined.room.code, /^[A-Z2-9]{6}$/);
+  assert.equal(joined.member.role, 'host');
+  assert.equal(joined.room.floor, joined.member.id);
+
+  host.send({ type: 'room.state', state: { status: { key: 'status.listening' }, turns: [{ id: 'u1', role: 'user', text: 'こんにちは', final: true }] } });
+
+  // Codes are case-insensitive; the latest state arrives right after joining
+  const guest = openRoom(app.url);
+  await guest.opened;
+  guest.send({ type: 'room.join', code: joined.room.code.toLowerCase(), name: 'Observer' });
+  const guestJoined = await guest.waitFor(m => m.type === 'room.joined');
+  assert.equal(guestJoined.member.role, 'guest');
+  assert.deepEqual(guestJoined.room.members.map(m => [m.name, m.role]), [['Interviewer', 'host'], ['Observer', 'guest']]);
+  const initial = await guest.waitFor(m => m.type === 'room.state');
+  assert.equal(initial.state.turns[0].text, 'こんにちは');
+  await host.waitFor(m => m.type === 'room.update' && m.room.members.length === 2);
+
+  // State updates and reply audio fan out from the host
+  host.send({ type: 'room.state', state: { status: { key: 'status.listening' }, turns: [{ id: 'a1', role: 'assistant', text: 'どうぞ', final: false }] } });
+  await guest.waitFor(m => m.type === 'room.state' && m.state.turns[0]?.id === 'a1');
+  host.ws.send(Buffer.from([1, 2, 3, 4]));
+  assert.deepEqual([...(await guest.waitForFrames(1))[0]], [1, 2, 3, 4]);
+
+  // Guests cannot take the mic or publish state; their audio is dropped
+  guest.send({ type: 'room.floor', member: guestJoined.member.id });
+  guest.send({ type: 'room.state', state: { turns: [] } });
+  guest.ws.send(Buffer.from([9, 9]));
+  // A ping round trip means the server has handled everything sent before it
+  await new Promise((resolve) => { guest.ws.once('pong', resolve); guest.ws.ping(); });
+
+  // Once the host passes the mic, the guest's audio reaches the host
+  host.send({ type: 'room.floor', member: guestJoined.member.id });
+  await guest.waitFor(m => m.type === 'room.update' && m.room.floor === guestJoined.member.id);
+  guest.ws.send(Buffer.from([5, 6]));
+  assert.deepEqual([...(await host.waitForFrames(1))[0]], [5, 6]);
+  assert.equal(host.frames.length, 1);
+  assert.ok(!host.messages.some(m => m.type === 'room.state'));
+
+  // The mic returns to the host when the guest leaves; the room closes with the host
+  guest.send({ type: 'room.leave' });
+  await guest.closed;
+  await host.waitFor(m => m.type === 'room.update' && m.room.floor === joined.member.id && m.room.members.length === 1);
+
+  const late = openRoom(app.url);
+  await late.opened;
+  late.send({ type: 'room.join', code: joined.room.code, name: 'Late' });
+  await late.waitFor(m => m.type === 'room.joined');
+  host.ws.close();
+  assert.equal((await late.waitFor(m => m.type === 'room.closed')).reason, 'host_left');
+  await late.closed;
+});
+
+test('joining fails for unknown codes and full rooms', async () => {
+  const unknown = openRoom(app.url);
+  await unknown.opened;
+  unknown.send({ type: 'room.join', code: 'ZZZZZZ' });
+  const err = await unknown.waitFor(m => m.type === 'room.error');
+  assert.deepEqual([err.status, err.code], [404, 'room_not_found']);
+  assert.equal(await unknown.closed, 1008);
+
+  const { host, joined } = await createRoom();
+  const guests = [];
+  for (let i = 0; i < 2; i++) {
+    const g = openRoom(app.url);
+    await g.opened;
+    g.send({ type: 'room.join', code: joined.room.code });
+    await g.waitFor(m => m.type === 'room.joined');
+    guests.push(g);
+  }
+  const full = openRoom(app.url);
+  await full.opened;
+  full.send({ type: 'room.join', code: joined.room.code });
+  assert.equal((await full.waitFor(m => m.type === 'room.error')).code, 'room_full');
+
+  const noHello = openRoom(app.url);
+  await noHello.opened;
+  noHello.send({ type: 'room.state', state: {} });
+  assert.equal((await noHello.waitFor(m => m.type === 'room.error')).status, 400);
+
+  host.ws.close();
+  await Promise.all(guests.map(g => g.closed));
+});
+
+test('the host shares the status key and recent turns', () => {
+  const session = { turns: [{ id: 'u1', role: 'user', text: 'hi', final: true, startedAt: 1, sources: [] }] };
+  assert.deepEqual(roomStateFrom(session, { key: 'status.listening' }), {
+    status: { key: 'status.listening' },
+    turns: [{ id: 'u1', role: 'user', text: 'hi', final: true, interrupted: false, failed: false }]
+  });
+  assert.deepEqual(roomStateFrom(null), { status: null, turns: [] });
+});
+
+test('room state keeps recent turns and drops unknown fields', () => {
+  const registry = createRoomRegistry({ maxTurns: 2 });
+  const { room, member } = registry.create('alice', '  ');
+  assert.equal(member.name, 'alice');
+  const state = registry.setState(room, {
+    status: { key: 'status.listening', extra: 1 },
+    turns: [
+      { id: 'u1', role: 'user', text: 'one' },
+      { id: 's1', role: 'system', text: 'secret' },
+      { id: 'u2', role: 'user', text: 'two', final: true, audio: 'AAAA' }
+    ]
+  });
+  assert.deepEqual(state.turns.map(t => t.id), ['u2']);
+  assert.deepEqual(Object.keys(state.turns[0]).sort(), ['failed', 'final', 'id', 'interrupted', 'role', 'text']);
+  assert.equal(state.status.extra, undefined);
+  assert.deepEqual(sanitizeRoomState(null), { status: null, turns: [] });
+  // Status parameters are flat strings and numbers, capped
+  const params = { n: 3, name: 'x'.repeat(1000), nested: { a: 1 }, list: [1], nan: NaN };
+  for (let i = 0; i < 20; i++) params[`p${i}`] = i;
+  const cleaned = sanitizeRoomState({ status: { key: 'status.reconnecting', params } }).status.params;
+  assert.equal(cleaned.n, 3);
+  assert.equal(cleaned.name.length, 200);
+  assert.deepEqual(Object.keys(cleaned), ['n', 'name', 'p0', 'p1', 'p2', 'p3', 'p4']);
+  assert.equal(sanitizeRoomState({ status: { key: 'x', params: [1, 2] } }).status.params, undefined);
+  assert.equal(registry.setFloor(room, 'm999', member.id), false);
+  assert.equal(registry.leave(room, member.id).closed, true);
+  assert.equal(registry.size, 0);
+});
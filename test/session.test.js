@@ -0,0 +1,129 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockRealtimeServer } from '../mock/realtime-server.js';
+import { startApp, postJson } from './helpers.js';
+
+let mock;
+let upstream;
+let app;
+
+before(async () => {
+  mock = createMockRealtimeServer();
+  upstream = await mock.listen();
+  // Per-IP limits are covered in access.test.js
+  app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: upstream.baseUrl, SESSION_LIMIT_PER_IP: '0' });
+});
+
+after(async () => {
+  await app?.stop();
+  await mock?.close();
+});
+
+beforeEach(() => {
+  mock.state.sessionFailure = null;
+  mock.state.omitClientSecret = false;
+  mock.state.sessionRequests.length = 0;
+});
+
+test('POST /session returns an ephemeral key and the upstream realtime URL', async () => {
+  const res = await postJson(`${app.url}/session`, { voice: 'verse', instructions: 'Be brief.' });
+  assert.equal(res.status, 200);
+  assert.match(res.json.client_secret, /^ek_mock_/);
+  assert.equal(res.json.voice, 'verse');
+  assert.equal(res.json.realtime_url, `${upstream.baseUrl}/realtime`);
+
+  const sent = mock.state.sessionRequests[0];
+  assert.equal(sent.instructions, 'Be brief.');
+  assert.ok(sent.input_audio_transcription?.model, 'input transcription is enabled');
+  assert.ok(sent.tools.some(t => t.name === 'calculator'), 'tools are offered to the model');
+});
+
+test('POST /session passes through upstream auth failures with a code, not the upstream text', async () => {
+  mock.state.sessionFailure = { status: 401, body: { error: { message: 'Incorrect API key provided: sk-abc***xyz', code: 'invalid_api_key' } } };
+  const res = await postJson(`${app.url}/session`, {});
+  assert.equal(res.status, 401);
+  assert.deepEqual(res.json, { error: 'Failed to create realtime session', code: 'invalid_api_key' });
+});
+
+test('POST /session classifies upstream failures', async () => {
+  const cases = [
+    [429, { message: 'Rate limit reached', code: 'rate_limit_exceeded' }, 'rate_limited'],
+    [429, { message: 'You exceeded your current quota, please check your plan and billing details.', code: 'insufficient_quota' }, 'quota_exceeded'],
+    [404, { message: 'The model `gpt-nope` does not exist', code: 'model_not_found' }, 'invalid_model'],
+    [400, { message: "Invalid value: 'robot'. Supported values are: 'alloy'", param: 'voice', code: 'invalid_value' }, 'invalid_voice'],
+    [500, { message: 'The server had an error' }, 'upstream_error']
+  ];
+  for (const [status, error, code] of cases) {
+    mock.state.sessionFailure = { status, body: { error } };
+    const res = await postJson(`${app.url}/session`, {});
+    assert.equal(res.status, status);
+    assert.equal(res.json.code, code, error.message);
+  }
+});
+
+test('POST /session rejects an upstream response without client_secret', async () => {
+  mock.state.omitClientSecret = true;
+  const res = await postJson(`${app.url}/session`, {});
+  assert.equal(res.status, 502);
+  assert.match(res.json.error, /client_secret/);
+  assert.equal(res.json.code, 'upstream_error');
+});
+
+test('POST /session reports an unreachable upstream and a missing key', async () => {
+  const offline = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: 'http://127.0.0.1:9/v1' });
+  const keyless = await startApp({ OPENAI_BASE_URL: upstream.baseUrl });
+  try {
+    const res = await postJson(`${offline.url}/session`, {});
+    assert.equal(res.status, 502);
+    assert.equal(res.json.code, 'upstream_unreachable');
+    const missing = await postJson(`${keyless.url}/session`, {});
+    assert.equal(missing.status, 503);
+    assert.equal(missing.json.code, 'missing_api_key');
+  } finally {
+    await offline.stop();
+    await keyless.stop();
+  }
+});
+
+test('mock SDP endpoint only accepts keys it issued', async () => {
+  const sess = await postJson(`${app.url}/session`, {});
+  const offer = 'v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\nm=audio 9 UDP/TLS/RTP/SAVPF 111\r\na=mid:0\r\na=sendrecv\r\na=rtpmap:111 opus/48000/2\r\n';
+  const ok = await fetch(`${sess.json.realtime_url}?model=gpt-realtime`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${sess.json.client_secret}`, 'Content-Type': 'application/sdp' },
+    body: offer
+  });
+  assert.equal(ok.status, 201);
+  assert.match(await ok.text(), /^v=0[\s\S]*a=mid:0[\s\S]*a=sendrecv/);
+
+  const bad = await fetch(`${sess.json.realtime_url}?model=gpt-realtime`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer ek_forged', 'Content-Type': 'application/sdp' },
+    body: offer
+  });
+  assert.equal(bad.status, 401);
+});
+
+test('POST /session maps turn detection modes to the upstream config', async () => {
+  const ptt = await postJson(`${app.url}/session`, { turn_detection: { type: 'none' } });
+  assert.equal(ptt.status, 200);
+  assert.equal(ptt.json.turn_detection, null);
+  assert.equal(mock.state.sessionRequests[0].turn_detection, null);
+
+  await postJson(`${app.url}/session`, { turn_detection: { type: 'semantic_vad', eagerness: 'low' } });
+  assert.deepEqual(mock.state.sessionRequests[1].turn_detection, { type: 'semantic_vad', eagerness: 'low', create_response: false, interrupt_response: false });
+
+  await postJson(`${app.url}/session`, { turn_detection: { type: 'server_vad', threshold: 0.8, silence_duration_ms: 700 } });
+  assert.deepEqual(mock.state.sessionRequests[2].turn_detection, { type: 'server_vad', threshold: 0.8, silence_duration_ms: 700, create_response: false, interrupt_response: false });
+});
+
+test('POST /session rejects invalid turn detection settings', async () => {
+  const res = await postJson(`${app.url}/session`, { turn_detection: { type: 'server_vad', threshold: 2, eagerness: 'high' } });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.json.details, [
+    'turn_detection.eagerness is not valid for server_vad',
+    'turn_detection.threshold must be a number between 0 and 1'
+  ]);
+  const mode = await postJson(`${app.url}/session`, { turn_detection: { type: 'clap' } });
+  assert.equal(mode.status, 400);
+});
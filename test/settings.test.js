@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSettingsStore, validateSettingsPatch } from '../lib/settings-store.js';
+import { createMockRealtimeServer } from '../mock/realtime-server.js';
+import { startApp, postJson } from './helpers.js';
+
+const DEFAULTS = {
+  model: 'gpt-realtime',
+  allowed_models: ['gpt-realtime'],
+  default_voice: 'alloy',
+  allowed_voices: ['alloy', 'verse'],
+  default_instructions: '',
+  max_instructions_chars: 8000,
+  turn_detection: { type: 'server_vad' },
+  limits: { session_per_ip: 10, session_per_user: 20, session_per_minute: 60, session_per_day: 0, login_per_ip: 10 }
+};
+
+test('settings patches are validated field by field', () => {
+  assert.deepEqual(validateSettingsPatch({ default_voice: 'verse', limits: { session_per_ip: null } }), []);
+  assert.deepEqual(validateSettingsPatch({
+    port: 8080,
+    allowed_voices: [],
+    max_instructions_chars: 5,
+    turn_detection: { type: 'semantic_vad', eagerness: 'eager' },
+    limits: { session_per_ip: -1, per_host: 3 }
+  }), [
+    'Unknown field: port',
+    'allowed_voices must be a non-empty array of names',
+    'max_instructions_chars must be an integer between 100 and 100000',
+    'turn_detection.eagerness must be one of: low, medium, high, auto',
+    'limits.session_per_ip must be an integer between 0 and 1000000',
+    'Unknown limit: per_host'
+  ]);
+});
+
+test('overrides are saved, merged over the defaults and reset with null', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-test-'));
+  const file = path.join(dir, 'settings.json');
+  try {
+    const store = createSettingsStore(file, DEFAULTS);
+    assert.deepEqual(store.get(), DEFAULTS);
+    assert.equal(store.status().source, 'env');
+
+    assert.deepEqual(store.update({ default_voice: 'shimmer' }).errors, ['default_voice must be one of allowed_voices']);
+    const { settings, changed } = store.update({ default_voice: ' verse ', limits: { session_per_day: 100 } });
+    assert.deepEqual(changed, ['default_voice', 'limits']);
+    assert.equal(settings.default_voice, 'verse');
+    assert.deepEqual(settings.limits, { ...DEFAULTS.limits, session_per_day: 100 });
+
+    // Another process (a restart) reads the same overrides back
+    const reloaded = createSettingsStore(file, { ...DEFAULTS, max_instructions_chars: 4000 });
+    assert.deepEqual(reloaded.overrides(), { default_voice: 'verse', limits: { session_per_day: 100 } });
+    assert.equal(reloaded.get().max_instructions_chars, 4000);
+    assert.equal(reloaded.status().source, 'file');
+
+    reloaded.update({ default_voice: null, limits: { session_per_day: null } });
+    assert.deepEqual(reloaded.overrides(), {});
+    assert.deepEqual(reloaded.get(), { ...DEFAULTS, max_instructions_chars: 4000 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('admins change settings at runtime and new sessions use them', async () => {
+  const mock = createMockRealtimeServer();
+  const upstream = await mock.listen();
+  const app = await startApp({
+    OPENAI_API_KEY: 'sk-secret-test-key-123456',
+    OPENAI_BASE_URL: upstream.baseUrl,
+    ACCESS_USERS: 'alice:wonderland,bob:builder',
+    ADMIN_USERS: 'alice'
+  });
+  try {
+    assert.doesNotMatch(app.output(), /sk-secret|3456/);
+    const login = async (user, password) => {
+      const r = await postJson(`${app.url}/auth/login`, { user, password });
+      return { Cookie: r.headers.get('set-cookie').split(';')[0] };
+    };
+    const alice = await login('alice', 'wonderland');
+    const bob = await login('bob', 'builder');
+    assert.equal((await fetch(`${app.url}/admin/config`, { headers: bob })).status, 403);
+
+    let r = await fetch(`${app.url}/admin/config`, { headers: alice });
+    const before = await r.json();
+    assert.equal(before.settings.default_voice, 'alloy');
+    assert.equal(before.status.source, 'env');
+    assert.equal(before.readiness.ready, true);
+
+    const put = (body) => fetch(`${app.url}/admin/config`, {
+      method: 'PUT',
+      headers: { ...alice, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    r = await put({ default_voice: 'robot' });
+    assert.equal(r.status, 400);
+    assert.deepEqual((await r.json()).details, ['default_voice must be one of allowed_voices']);
+
+    r = await put({
+      default_voice: 'verse',
+      default_instructions: 'Answer in one sentence.',
+      turn_detection: { type: 'semantic_vad', eagerness: 'low' },
+      limits: { session_per_user: 1 }
+    });
+    assert.equal(r.status, 200);
+    assert.equal((await r.json()).overrides.limits.session_per_user, 1);
+
+    const res = await postJson(`${app.url}/session`, {}, bob);
+    assert.equal(res.status, 200);
+    assert.equal(res.json.voice, 'verse');
+    const sent = mock.state.sessionRequests.at(-1);
+    assert.equal(sent.instructions, 'Answer in one sentence.');
+    assert.deepEqual(sent.turn_detection, { type: 'semantic_vad', eagerness: 'low', create_response: false, interrupt_response: false });
+    // The lowered per-user limit applies without a restart
+    assert.equal((await postJson(`${app.url}/session`, {}, bob)).status, 429);
+
+    r = await fetch(`${app.url}/admin/config`, { method: 'DELETE', headers: alice });
+    assert.deepEqual((await r.json()).overrides, {});
+    const saved = JSON.parse(fs.readFileSync(path.join(app.dataDir, 'settings.json'), 'utf8'));
+    assert.deepEqual(saved.settings, {});
+
+    // The changes are audited, and readable without RECORDING
+    assert.equal((await fetch(`${app.url}/recordings/audit`, { headers: alice })).status, 404);
+    assert.equal((await fetch(`${app.url}/admin/audit`, { headers: bob })).status, 403);
+    const { entries } = await (await fetch(`${app.url}/admin/audit`, { headers: alice })).json();
+    assert.deepEqual(entries.map(e => [e.action, e.user]), [['config.reset', 'alice'], ['config.update', 'alice']]);
+    assert.deepEqual(entries[1].fields.sort(), ['default_instructions', 'default_voice', 'limits', 'turn_detection']);
+  } finally {
+    await app.stop();
+    await mock.close();
+  }
+});
+
+test('without access control the admin API is closed', async () => {
+  const app = await startApp();
+  try {
+    const r = await fetch(`${app.url}/admin/config`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ limits: { session_per_ip: 0 } })
+    });
+    assert.equal(r.status, 403);
+    assert.equal(fs.existsSync(path.join(app.dataDir, 'settings.json')), false);
+    for (const url of ['/admin/config', '/admin/audit', '/usage/summary']) {
+      assert.equal((await fetch(`${app.url}${url}`)).status, 403, url);
+    }
+    assert.equal((await fetch(`${app.url}/admin/config`, { method: 'DELETE' })).status, 403);
+  } finally {
+    await app.stop();
+  }
+});
+
+test('readiness reports a missing API key and the settings source', async () => {
+  const app = await startApp();
+  try {
+    assert.deepEqual(await (await fetch(`${app.url}/health`)).json(), { ok: true });
+    const r = await fetch(`${app.url}/ready`);
+    assert.equal(r.status, 503);
+    const body = await r.json();
+    assert.equal(body.ready, false);
+    assert.deepEqual(body.checks.api_key, { ok: false });
+    assert.equal(body.checks.data_dir.ok, true);
+    assert.equal(body.checks.settings.source, 'env');
+    assert.match(app.output(), /OPENAI_API_KEY: NOT SET/);
+
+    // The probe only checks the data directory, it does not create it again
+    fs.rmSync(app.dataDir, { recursive: true, force: true });
+    const gone = await (await fetch(`${app.url}/ready`)).json();
+    assert.equal(gone.checks.data_dir.ok, false);
+    assert.equal(fs.existsSync(app.dataDir), false);
+  } finally {
+    await app.stop();
+  }
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_SUMMARY_CONFIG, validateSummaryConfig, summaryInstructions } from '../lib/summary.js';
+import { summaryRequest, parseSummary } from '../public/summary.js';
+import { createSession, toMarkdown } from '../public/conversation.js';
+import { startApp } from './helpers.js';
+
+test('summary config validation', () => {
+  assert.deepEqual(validateSummaryConfig(DEFAULT_SUMMARY_CONFIG), []);
+  assert.deepEqual(validateSummaryConfig({ prompt: 'Summarize.' }), []);
+  assert.deepEqual(validateSummaryConfig([]), ['summary config must be an object']);
+  assert.deepEqual(validateSummaryConfig({ schema: { type: 'array' } }), ['schema must be { type: "object", properties: { ... } }']);
+  assert.deepEqual(validateSummaryConfig({
+    prompt: '',
+    schema: { type: 'object', properties: { score: { type: 'number' }, tags: { type: 'array', items: { type: 'string' }, title: 3 } } }
+  }), [
+    'prompt must be a non-empty string of at most 8000 characters',
+    'schema.properties.score must be a string or an array of strings',
+    'schema.properties.tags.title must be a string or { ja, en }'
+  ]);
+});
+
+test('instructions carry the schema without display titles', () => {
+  const instructions = summaryInstructions(DEFAULT_SUMMARY_CONFIG);
+  assert.ok(instructions.startsWith(DEFAULT_SUMMARY_CONFIG.prompt));
+  const schema = JSON.parse(instructions.split('JSON Schema:\n')[1]);
+  assert.deepEqual(Object.keys(schema.properties), ['summary', 'key_points', 'decisions', 'follow_ups', 'entities']);
+  assert.equal(schema.properties.decisions.title, undefined);
+  assert.deepEqual(summaryRequest('x').response, {
+    conversation: 'none', modalities: ['text'], tool_choice: 'none', instructions: 'x', metadata: { purpose: 'call_summary' }
+  });
+});
+
+test('replies are parsed into titled sections in schema order', () => {
+  const reply = 'Here you go:\n```json\n{"entities":["3,000円"," 5月1日 "],"summary":"見積もりの相談","decisions":[],"extra":"x"}\n```';
+  assert.deepEqual(parseSummary(reply, DEFAULT_SUMMARY_CONFIG.schema), {
+    sections: [
+      { key: 'summary', title: '概要', value: '見積もりの相談' },
+      { key: 'entities', title: '固有名詞・数値', value: ['3,000円', '5月1日'] }
+    ]
+  });
+  assert.equal(parseSummary(reply, DEFAULT_SUMMARY_CONFIG.schema, { lang: 'en' }).sections[1].title, 'Names and numbers');
+  assert.equal(parseSummary('Sorry, I cannot do that.', DEFAULT_SUMMARY_CONFIG.schema), null);
+
+  const session = createSession();
+  session.turns.push({ id: 'u1', role: 'user', text: 'こんにちは', final: true, startedAt: session.startedAt });
+  session.summary = parseSummary(reply, DEFAULT_SUMMARY_CONFIG.schema);
+  const md = toMarkdown(session);
+  assert.match(md, /## Summary\n\n### 概要\n\n見積もりの相談\n\n### 固有名詞・数値\n\n- 3,000円\n- 5月1日\n\n## Transcript/);
+});
+
+test('summary config endpoint serves the configured file or the defaults', async () => {
+  const app = await startApp({ OPENAI_API_KEY: 'sk-test' });
+  try {
+    let r = await fetch(`${app.url}/summary-config`);
+    assert.equal(r.status, 200);
+    assert.equal((await r.json()).instructions, summaryInstructions(DEFAULT_SUMMARY_CONFIG));
+    assert.equal((await (await fetch(`${app.url}/client-config`)).json()).summary, true);
+
+    const schema = { type: 'object', properties: { todo: { type: 'array', items: { type: 'string' }, title: 'TODO' } } };
+    fs.writeFileSync(path.join(app.dataDir, 'summary.json'), JSON.stringify({ prompt: 'List the to-dos.', schema }));
+    r = await fetch(`${app.url}/summary-config`);
+    const body = await r.json();
+    assert.deepEqual(body.schema, schema);
+    assert.ok(body.instructions.startsWith('List the to-dos.\n'));
+
+    fs.writeFileSync(path.join(app.dataDir, 'summary.json'), '{"schema":{"type":"object","properties":{}}}');
+    r = await fetch(`${app.url}/summary-config`);
+    assert.deepEqual((await r.json()).schema, DEFAULT_SUMMARY_CONFIG.schema);
+    assert.match(app.output(), /\[WARN\] Ignoring .*summary\.json: schema must have 1 to 20 properties/);
+  } finally {
+    await app.stop();
+  }
+  const disabled = await startApp({ OPENAI_API_KEY: 'sk-test', SUMMARY: 'false' });
+  try {
+    assert.equal((await fetch(`${disabled.url}/summary-config`)).status, 404);
+  } finally {
+    await disabled.stop();
+  }
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createTelemetry, summarizeStats } from '../public/telemetry.js';
+import { playScript } from '../mock/realtime-server.js';
+import { startApp, postJson } from './helpers.js';
+
+let app;
+let disabled;
+
+before(async () => {
+  app = await startApp({ TELEMETRY: 'true' });
+  disabled = await startApp({});
+});
+
+after(async () => {
+  await app?.stop();
+  await disabled?.stop();
+});
+
+test('setup phases and per-turn latencies are measured against a fake clock', async () => {
+  let clock = 0;
+  const records = [];
+  const t = createTelemetry({ now: () => clock, onRecord: (r) => records.push(r) });
+  t.startSetup();
+  for (const phase of ['mic', 'session', 'ice', 'sdp', 'channel']) {
+    t.beginPhase(phase);
+    clock += 100;
+    t.endPhase(phase);
+  }
+  t.finishSetup();
+  assert.deepEqual(records[0], { kind: 'setup', resume: false, total_ms: 500, mic_ms: 100, session_ms: 100, ice_ms: 100, sdp_ms: 100, channel_ms: 100 });
+
+  // Each scripted event advances the clock by 50ms
+  await playScript((event) => {
+    clock += 50;
+    t.observe(event);
+  });
+  const turn = records.find(r => r.kind === 'turn');
+  // committed is the 4th event; user transcription starts at the 6th, reply text the 7th, audio the 10th
+  assert.deepEqual(turn, { kind: 'turn', item_id: 'item_user_1', response_id: 'resp_1', first_delta_ms: 150, audio_start_ms: 300, user_transcript_ms: 100 });
+  assert.equal(t.snapshot().median_audio_start_ms, 300);
+});
+
+test('a tool-only response does not end the turn', () => {
+  let clock = 0;
+  const records = [];
+  const t = createTelemetry({ now: () => clock, onRecord: (r) => records.push(r) });
+  t.observe({ type: 'input_audio_buffer.committed', item_id: 'u1' });
+  clock = 200;
+  t.observe({ type: 'response.done', response: { id: 'r1', output: [{ type: 'function_call' }] } });
+  assert.equal(records.length, 0);
+  clock = 900;
+  t.observe({ type: 'response.audio_transcript.delta', item_id: 'a1', delta: 'x' });
+  clock = 1000;
+  t.observe({ type: 'output_audio_buffer.started' });
+  t.observe({ type: 'response.done', response: { id: 'r2', output: [] } });
+  assert.equal(records.length, 1);
+  assert.equal(records[0].first_delta_ms, 900);
+  assert.equal(records[0].audio_start_ms, 1000);
+});
+
+test('getStats reports reduce to RTT, jitter and loss', () => {
+  const report = new Map([
+    ['T1', { id: 'T1', type: 'transport', selectedCandidatePairId: 'CP1' }],
+    ['CP1', { id: 'CP1', type: 'candidate-pair', currentRoundTripTime: 0.042 }],
+    ['IN', { id: 'IN', type: 'inbound-rtp', kind: 'audio', jitter: 0.0035, packetsReceived: 990, packetsLost: 10, jitterBufferDelay: 12, jitterBufferEmittedCount: 200 }],
+    ['RI', { id: 'RI', type: 'remote-inbound-rtp', kind: 'audio', roundTripTime: 0.05, fractionLost: 0.02 }]
+  ]);
+  assert.deepEqual(summarizeStats(report), {
+    rtt_ms: 42, jitter_ms: 3.5, jitter_buffer_ms: 60, packets_received: 990, packets_lost: 10, loss_pct: 1, outbound_loss_pct: 2
+  });
+  assert.equal(summarizeStats([]).rtt_ms, null);
+});
+
+test('telemetry records are appended as JSON lines when enabled', async () => {
+  const ok = await postJson(`${app.url}/telemetry`, { kind: 'turn', item_id: 'u1', audio_start_ms: 850, user: 'spoofed' });
+  assert.equal(ok.status, 204);
+  const bad = await postJson(`${app.url}/telemetry`, { kind: 'other', nested: { a: 1 } });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.json.details, ['kind must be one of: setup, turn, stats', 'nested must be a number, boolean, null or a short string']);
+
+  const lines = fs.readFileSync(path.join(app.dataDir, 'telemetry.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].audio_start_ms, 850);
+  assert.equal(lines[0].user, 'anonymous');
+  assert.ok(lines[0].ts);
+
+  const off = await postJson(`${disabled.url}/telemetry`, { kind: 'turn' });
+  assert.equal(off.status, 404);
+});
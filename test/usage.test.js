@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockRealtimeServer, DEFAULT_SCRIPT } from '../mock/realtime-server.js';
+import { normalizeUsage, costOf, priceFor, DEFAULT_PRICES } from '../lib/usage-store.js';
+import { startApp, postJson } from './helpers.js';
+
+// usage from the scripted response.done; costs $0.0039296 at gpt-realtime prices
+const MOCK_USAGE = DEFAULT_SCRIPT.find(e => e.type === 'response.done').response.usage;
+
+let mock;
+let app;
+let admin;
+
+before(async () => {
+  mock = createMockRealtimeServer();
+  const upstream = await mock.listen();
+  app = await startApp({
+    OPENAI_API_KEY: 'sk-test',
+    OPENAI_BASE_URL: upstream.baseUrl,
+    USAGE_LIMIT_DAILY_USD: '0.005',
+    ACCESS_USERS: 'alice:wonderland',
+    ADMIN_USERS: 'alice'
+  });
+  const login = await postJson(`${app.url}/auth/login`, { user: 'alice', password: 'wonderland' });
+  admin = { Cookie: login.headers.get('set-cookie').split(';')[0] };
+});
+
+after(async () => {
+  await app?.stop();
+  await mock?.close();
+});
+
+async function summary() {
+  const r = await fetch(`${app.url}/usage/summary`, { headers: admin });
+  return r.json();
+}
+
+test('usage is normalized with cached tokens split and priced per model family', () => {
+  const tokens = normalizeUsage(MOCK_USAGE);
+  assert.deepEqual(tokens, { input_text: 100, input_audio: 20, cached_text: 64, cached_audio: 0, output_text: 15, output_audio: 45 });
+  assert.equal(priceFor(DEFAULT_PRICES, 'gpt-realtime-2025-08-28'), DEFAULT_PRICES['gpt-realtime']);
+  assert.equal(priceFor(DEFAULT_PRICES, 'gpt-4o-mini-realtime-preview-2024-12-17'), DEFAULT_PRICES['gpt-4o-mini-realtime-preview']);
+  assert.equal(priceFor(DEFAULT_PRICES, 'unknown-model'), null);
+  assert.ok(Math.abs(costOf(tokens, DEFAULT_PRICES['gpt-realtime']) - 0.0039296) < 1e-9);
+  assert.equal(costOf(tokens, null), null);
+});
+
+test('reported usage is aggregated per session, day and persona', async () => {
+  const sess = await postJson(`${app.url}/session`, { persona: 'receptionist' }, admin);
+  assert.equal(sess.status, 200);
+  assert.match(sess.json.usage_session, /^use_/);
+
+  const report = { session: sess.json.usage_session, response_id: 'resp_1', usage: MOCK_USAGE };
+  const first = await postJson(`${app.url}/usage`, report, admin);
+  assert.deepEqual(first.json, { ok: true, recorded: true });
+  // The same response reported twice is only counted once
+  const again = await postJson(`${app.url}/usage`, report, admin);
+  assert.deepEqual(again.json, { ok: true, recorded: false });
+
+  const data = await summary();
+  assert.equal(data.total.tokens.responses, 1);
+  assert.equal(data.total.tokens.output_audio, 45);
+  assert.ok(Math.abs(data.today.cost - 0.0039296) < 1e-9);
+  assert.equal(data.days.length, 1);
+  assert.deepEqual(data.personas.map(p => [p.persona, p.tokens.responses]), [['receptionist', 1]]);
+  assert.equal(data.sessions[0].id, sess.json.usage_session);
+  assert.equal(data.limits.daily_usd, 0.005);
+  assert.ok(data.prices['gpt-realtime']);
+});
+
+test('usage reports are validated and must name a known session', async () => {
+  const unknown = await postJson(`${app.url}/usage`, { session: 'use_nope', usage: MOCK_USAGE }, admin);
+  assert.equal(unknown.status, 404);
+  const bad = await postJson(`${app.url}/usage`, { session: 'use_x', usage: { input_tokens: -5 }, extra: 1 }, admin);
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.json.details, ['Unknown field: extra', 'usage.input_tokens must be a token count between 0 and 1000000']);
+});
+
+test('/session refuses new keys once the daily budget is spent', async () => {
+  const sess = await postJson(`${app.url}/session`, {}, admin);
+  assert.equal(sess.status, 200);
+  await postJson(`${app.url}/usage`, { session: sess.json.usage_session, response_id: 'resp_2', usage: MOCK_USAGE }, admin);
+
+  const refused = await postJson(`${app.url}/session`, {}, admin);
+  assert.equal(refused.status, 429);
+  assert.equal(refused.json.error, 'Daily usage budget exceeded');
+  assert.ok(Number(refused.headers.get('retry-after')) > 0);
+});
+
+test('the usage page is served', async () => {
+  const r = await fetch(`${app.url}/usage`);
+  assert.equal(r.status, 200);
+  assert.match(await r.text(), /利用状況/);
+});
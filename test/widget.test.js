@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOrigins, isAllowedOrigin } from '../lib/widget.js';
+import { startApp } from './helpers.js';
+
+test('WIDGET_ORIGINS is parsed into origins', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const origins = parseOrigins(' https://shop.example.com/ , http://localhost:8080/path, ftp://x.example, nope ');
+    assert.deepEqual([...origins], ['https://shop.example.com', 'http://localhost:8080']);
+    assert.ok(isAllowedOrigin(origins, 'https://shop.example.com'));
+    assert.ok(!isAllowedOrigin(origins, 'https://evil.example.com'));
+    assert.ok(!isAllowedOrigin(origins, undefined));
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(parseOrigins('https://a.example,*'), '*');
+  assert.equal(parseOrigins('').size, 0);
+});
+
+test('allowed origins get CORS headers on the API and the widget modules', async () => {
+  const app = await startApp({ OPENAI_API_KEY: 'sk-test', ACCESS_TOKEN: 'secret', WIDGET_ORIGINS: 'https://shop.example.com' });
+  const origin = 'https://shop.example.com';
+  try {
+    const preflight = await fetch(`${app.url}/session`, {
+      method: 'OPTIONS',
+      headers: { Origin: origin, 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'authorization,content-type' }
+    });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-allow-origin'), origin);
+    assert.match(preflight.headers.get('access-control-allow-headers'), /Authorization/);
+    assert.equal(preflight.headers.get('access-control-allow-credentials'), null);
+
+    const module = await fetch(`${app.url}/realtime-client.js`, { headers: { Origin: origin } });
+    assert.equal(module.status, 200);
+    assert.equal(module.headers.get('access-control-allow-origin'), origin);
+    assert.equal((await fetch(`${app.url}/widget.js`)).status, 200);
+
+    // The bearer token is what works across origins
+    const config = await fetch(`${app.url}/summary-config`, { headers: { Origin: origin, Authorization: 'Bearer secret' } });
+    assert.equal(config.status, 200);
+    assert.equal(config.headers.get('access-control-allow-origin'), origin);
+
+    const other = await fetch(`${app.url}/client-config`, { headers: { Origin: 'https://evil.example.com' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+  } finally {
+    await app.stop();
+  }
+});
@@ -0,0 +1,120 @@
+// Arithmetic evaluator with its own parser; expressions never reach eval().
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+function tokenize(expr) {
+  const tokens = [];
+  const re = /\s*(\d+(?:\.\d+)?|\.\d+|[A-Za-z_]+|\*\*|[-+*/%^(),])/y;
+  let m;
+  let pos = 0;
+  while (pos < expr.length) {
+    re.lastIndex = pos;
+    m = re.exec(expr);
+    if (!m) {
+      if (/^\s*$/.test(expr.slice(pos))) break;
+      throw new Error(`Unexpected character at ${pos}: ${expr[pos]}`);
+    }
+    tokens.push(m[1] === '**' ? '^' : m[1]);
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+// Grammar: expr = term (('+'|'-') term)*; term = unary (('*'|'/'|'%') unary)*;
+// unary = '-' unary | power; power = atom ('^' unary)?
+export function evaluate(expr) {
+  const tokens = tokenize(String(expr).replace(/[×＊]/g, '*').replace(/[÷／]/g, '/'));
+  let i = 0;
+  const peek = () => tokens[i];
+  const next = () => tokens[i++];
+  const expect = (t) => {
+    if (next() !== t) throw new Error(`Expected "${t}"`);
+  };
+
+  function parseExpr() {
+    let v = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      v = next() === '+' ? v + parseTerm() : v - parseTerm();
+    }
+    return v;
+  }
+  function parseTerm() {
+    let v = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const op = next();
+      const r = parseUnary();
+      if (op === '*') v *= r;
+      else if (op === '/') v /= r;
+      else v %= r;
+    }
+    return v;
+  }
+  function parseUnary() {
+    if (peek() === '-') { next(); return -parseUnary(); }
+    if (peek() === '+') { next(); return parseUnary(); }
+    return parsePower();
+  }
+  function parsePower() {
+    const base = parseAtom();
+    if (peek() === '^') { next(); return Math.pow(base, parseUnary()); }
+    return base;
+  }
+  function parseAtom() {
+    const t = next();
+    if (t === undefined) throw new Error('Unexpected end of expression');
+    if (t === '(') {
+      const v = parseExpr();
+      expect(')');
+      return v;
+    }
+    if (/^[\d.]/.test(t)) return parseFloat(t);
+    const name = t.toLowerCase();
+    // Own keys only, so 'constructor' or '__proto__' are not names
+    if (Object.hasOwn(CONSTANTS, name)) return CONSTANTS[name];
+    if (Object.hasOwn(FUNCTIONS, name)) {
+      expect('(');
+      const v = parseExpr();
+      expect(')');
+      return FUNCTIONS[name](v);
+    }
+    throw new Error(`Unknown token: ${t}`);
+  }
+
+  const result = parseExpr();
+  if (i < tokens.length) throw new Error(`Unexpected token: ${tokens[i]}`);
+  return result;
+}
+
+export default {
+  name: 'calculator',
+  description: 'Evaluates an arithmetic expression exactly. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, sin, cos, tan, log, ln, pi and e.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'Arithmetic expression, e.g. "(1200 * 1.1) / 3"' }
+    },
+    required: ['expression']
+  },
+  handler({ expression }) {
+    if (!expression) return { error: 'expression is required' };
+    try {
+      const result = evaluate(expression);
+      if (!Number.isFinite(result)) return { expression, error: 'Result is not a finite number' };
+      return { expression, result };
+    } catch (err) {
+      return { expression, error: err.message };
+    }
+  }
+};
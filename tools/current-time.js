@@ -0,0 +1,23 @@
+export default {
+  name: 'get_current_time',
+  description: 'Returns the current date and time in the given IANA timezone (e.g. Asia/Tokyo, America/New_York).',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: { type: 'string', description: 'IANA timezone name. Defaults to Asia/Tokyo.' }
+    }
+  },
+  handler({ timezone = 'Asia/Tokyo' }) {
+    const now = new Date();
+    try {
+      const formatted = new Intl.DateTimeFormat('ja-JP', {
+        timeZone: timezone,
+        dateStyle: 'full',
+        timeStyle: 'long'
+      }).format(now);
+      return { timezone, iso: now.toISOString(), formatted };
+    } catch {
+      return { error: `Unknown timezone: ${timezone}` };
+    }
+  }
+};
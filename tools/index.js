@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Tool registry: every other .js module in this directory default-exports
+// { name, description, parameters, handler } and is offered to the model.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export async function loadTools({ dir = __dirname, only = null } = {}) {
+  const registry = new Map();
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.js') && f !== 'index.js').sort();
+  for (const file of files) {
+    try {
+      const mod = await import(pathToFileURL(path.join(dir, file)).href);
+      const tool = mod.default;
+      if (!tool?.name || typeof tool.handler !== 'function') {
+        console.warn(`[WARN] Skipping tool module ${file}: missing name or handler`);
+        continue;
+      }
+      if (only && !only.includes(tool.name)) continue;
+      registry.set(tool.name, tool);
+    } catch (err) {
+      console.warn(`[WARN] Failed to load tool module ${file}:`, err.message);
+    }
+  }
+  return registry;
+}
+
+// Shape expected by the realtime session config
+export function toSessionTools(registry) {
+  return [...registry.values()].map(t => ({
+    type: 'function',
+    name: t.name,
+    description: t.description || '',
+    parameters: t.parameters || { type: 'object', properties: {} }
+  }));
+}
+
+export async function runTool(registry, name, args) {
+  const tool = registry.get(name);
+  if (!tool) {
+    const err = new Error(`Unknown tool: ${name}`);
+    err.status = 404;
+    throw err;
+  }
+  let parsed = args ?? {};
+  if (typeof parsed === 'string') {
+    try {
+      parsed = parsed.trim() ? JSON.parse(parsed) : {};
+    } catch {
+      const err = new Error('Tool arguments must be a JSON object');
+      err.status = 400;
+      throw err;
+    }
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    const err = new Error('Tool arguments must be a JSON object');
+    err.status = 400;
+    throw err;
+  }
+  return tool.handler(parsed);
+}
@@ -0,0 +1,40 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createKnowledgeBase } from '../lib/knowledge-base.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const KNOWLEDGE_DIR = path.resolve(process.env.KNOWLEDGE_DIR || path.join(__dirname, '..', 'knowledge'));
+
+const kb = createKnowledgeBase(KNOWLEDGE_DIR);
+try {
+  const { documents, passages } = kb.stats();
+  console.log(`  KNOWLEDGE: ${documents.length} documents, ${passages} passages (${KNOWLEDGE_DIR})`);
+} catch (err) {
+  console.warn('[WARN] Could not index knowledge base:', KNOWLEDGE_DIR, err.message);
+}
+
+export default {
+  name: 'search_knowledge',
+  description: 'Searches the internal knowledge base (product FAQs, internal procedures) and returns the most relevant passages. Use it before answering questions about our products, services or procedures, and answer from the returned text.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to look for, in the language of the question' },
+      limit: { type: 'integer', description: 'Maximum number of passages to return (1-5)', minimum: 1, maximum: 5 }
+    },
+    required: ['query']
+  },
+  handler({ query, limit = 3 }) {
+    const q = String(query || '').trim();
+    if (!q) return { error: 'query is required' };
+    const max = Math.min(Math.max(parseInt(limit, 10) || 3, 1), 5);
+    // source and snippet let the page show what the answer was based on
+    const results = kb.search(q, { limit: max }).map(r => ({
+      source: r.id,
+      title: r.heading ? `${r.title} › ${r.heading}` : r.title,
+      text: r.text,
+      snippet: r.snippet
+    }));
+    return results.length ? { query: q, results } : { query: q, results, note: 'No matching passages found' };
+  }
+};
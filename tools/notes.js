@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const NOTES_FILE = process.env.NOTES_FILE || path.join(__dirname, 'notes.json');
+
+function loadNotes() {
+  try {
+    const list = JSON.parse(fs.readFileSync(NOTES_FILE, 'utf8'));
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    console.warn('[WARN] Could not read notes file:', NOTES_FILE, err.message);
+    return [];
+  }
+}
+
+// Plain substring scoring; titles and tags weigh more than the body.
+function score(note, terms) {
+  const title = (note.title || '').toLowerCase();
+  const body = (note.body || '').toLowerCase();
+  const tags = (note.tags || []).join(' ').toLowerCase();
+  return terms.reduce((sum, term) => {
+    return sum + (title.includes(term) ? 3 : 0) + (tags.includes(term) ? 2 : 0) + (body.includes(term) ? 1 : 0);
+  }, 0);
+}
+
+export default {
+  name: 'lookup_notes',
+  description: 'Searches the team notes (FAQ, contacts, procedures) by keyword and returns the best matching entries.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Keywords to search for' },
+      limit: { type: 'integer', description: 'Maximum number of notes to return (1-5)', minimum: 1, maximum: 5 }
+    },
+    required: ['query']
+  },
+  handler({ query, limit = 3 }) {
+    const terms = String(query || '').toLowerCase().split(/[\s、。,]+/).filter(Boolean);
+    if (!terms.length) return { error: 'query is required' };
+    const max = Math.min(Math.max(parseInt(limit, 10) || 3, 1), 5);
+    const results = loadNotes()
+      .map(n => ({ note: n, score: score(n, terms) }))
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, max)
+      .map(r => ({ title: r.note.title, body: r.note.body, tags: r.note.tags || [] }));
+    return { query, results };
+  }
+};